@@ -1,2 +1,2 @@
 #!/usr/bin/env node
-function _typeof(e){return(_typeof="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function _createForOfIteratorHelper(e,t){var n="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!n){if(Array.isArray(e)||(n=_unsupportedIterableToArray(e))||t&&e&&"number"==typeof e.length){n&&(e=n);var r=0,a=function e(){};return{s:a,n:function t(){return r>=e.length?{done:!0}:{done:!1,value:e[r++]}},e:function e(t){throw t},f:a}}throw TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var o,c=!0,s=!1;return{s:function t(){n=n.call(e)},n:function e(){var t=n.next();return c=t.done,t},e:function e(t){s=!0,o=t},f:function e(){try{c||null==n.return||n.return()}finally{if(s)throw o}}}}function _regeneratorRuntime(){"use strict"; /*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/facebook/regenerator/blob/main/LICENSE */ _regeneratorRuntime=function e(){return t};var e,t={},n=Object.prototype,r=n.hasOwnProperty,a=Object.defineProperty||function(e,t,n){e[t]=n.value},o="function"==typeof Symbol?Symbol:{},c=o.iterator||"@@iterator",s=o.asyncIterator||"@@asyncIterator",i=o.toStringTag||"@@toStringTag";function u(e,t,n){return Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}),e[t]}try{u({},"")}catch(l){u=function e(t,n,r){return t[n]=r}}function d(t,n,r,o){var c,s,i,u,l=Object.create((n&&n.prototype instanceof y?n:y).prototype);return a(l,"_invoke",{value:(c=t,s=r,i=new I(o||[]),u=h,function(t,n){if(u===f)throw Error("Generator is already running");if(u===m){if("throw"===t)throw n;return{value:e,done:!0}}for(i.method=t,i.arg=n;;){var r=i.delegate;if(r){var a=E(r,i);if(a){if(a===g)continue;return a}}if("next"===i.method)i.sent=i._sent=i.arg;else if("throw"===i.method){if(u===h)throw u=m,i.arg;i.dispatchException(i.arg)}else"return"===i.method&&i.abrupt("return",i.arg);u=f;var o=p(c,s,i);if("normal"===o.type){if(u=i.done?m:"suspendedYield",o.arg===g)continue;return{value:o.arg,done:i.done}}"throw"===o.type&&(u=m,i.method="throw",i.arg=o.arg)}})}),l}function p(e,t,n){try{return{type:"normal",arg:e.call(t,n)}}catch(r){return{type:"throw",arg:r}}}t.wrap=d;var h="suspendedStart",f="executing",m="completed",g={};function y(){}function v(){}function $(){}var b={};u(b,c,function(){return this});var w=Object.getPrototypeOf,x=w&&w(w(C([])));x&&x!==n&&r.call(x,c)&&(b=x);var R=$.prototype=y.prototype=Object.create(b);function q(e){["next","throw","return"].forEach(function(t){u(e,t,function(e){return this._invoke(t,e)})})}function T(e,t){var n;a(this,"_invoke",{value:function a(o,c){function s(){return new t(function(n,a){!function n(a,o,c,s){var i=p(e[a],e,o);if("throw"!==i.type){var u=i.arg,l=u.value;return l&&"object"==_typeof(l)&&r.call(l,"__await")?t.resolve(l.__await).then(function(e){n("next",e,c,s)},function(e){n("throw",e,c,s)}):t.resolve(l).then(function(e){u.value=e,c(u)},function(e){return n("throw",e,c,s)})}s(i.arg)}(o,c,n,a)})}return n=n?n.then(s,s):s()}})}function E(t,n){var r=n.method,a=t.iterator[r];if(a===e)return n.delegate=null,"throw"===r&&t.iterator.return&&(n.method="return",n.arg=e,E(t,n),"throw"===n.method)||"return"!==r&&(n.method="throw",n.arg=TypeError("The iterator does not provide a '"+r+"' method")),g;var o=p(a,t.iterator,n.arg);if("throw"===o.type)return n.method="throw",n.arg=o.arg,n.delegate=null,g;var c=o.arg;return c?c.done?(n[t.resultName]=c.value,n.next=t.nextLoc,"return"!==n.method&&(n.method="next",n.arg=e),n.delegate=null,g):c:(n.method="throw",n.arg=TypeError("iterator result is not an object"),n.delegate=null,g)}function S(e){var t={tryLoc:e[0]};1 in e&&(t.catchLoc=e[1]),2 in e&&(t.finallyLoc=e[2],t.afterLoc=e[3]),this.tryEntries.push(t)}function _(e){var t=e.completion||{};t.type="normal",delete t.arg,e.completion=t}function I(e){this.tryEntries=[{tryLoc:"root"}],e.forEach(S,this),this.reset(!0)}function C(t){if(t||""===t){var n=t[c];if(n)return n.call(t);if("function"==typeof t.next)return t;if(!isNaN(t.length)){var a=-1,o=function n(){for(;++a<t.length;)if(r.call(t,a))return n.value=t[a],n.done=!1,n;return n.value=e,n.done=!0,n};return o.next=o}}throw TypeError(_typeof(t)+" is not iterable")}return v.prototype=$,a(R,"constructor",{value:$,configurable:!0}),a($,"constructor",{value:v,configurable:!0}),v.displayName=u($,i,"GeneratorFunction"),t.isGeneratorFunction=function(e){var t="function"==typeof e&&e.constructor;return!!t&&(t===v||"GeneratorFunction"===(t.displayName||t.name))},t.mark=function(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,$):(e.__proto__=$,u(e,i,"GeneratorFunction")),e.prototype=Object.create(R),e},t.awrap=function(e){return{__await:e}},q(T.prototype),u(T.prototype,s,function(){return this}),t.AsyncIterator=T,t.async=function(e,n,r,a,o){void 0===o&&(o=Promise);var c=new T(d(e,n,r,a),o);return t.isGeneratorFunction(n)?c:c.next().then(function(e){return e.done?e.value:c.next()})},q(R),u(R,i,"Generator"),u(R,c,function(){return this}),u(R,"toString",function(){return"[object Generator]"}),t.keys=function(e){var t=Object(e),n=[];for(var r in t)n.push(r);return n.reverse(),function e(){for(;n.length;){var r=n.pop();if(r in t)return e.value=r,e.done=!1,e}return e.done=!0,e}},t.values=C,I.prototype={constructor:I,reset:function t(n){if(this.prev=0,this.next=0,this.sent=this._sent=e,this.done=!1,this.delegate=null,this.method="next",this.arg=e,this.tryEntries.forEach(_),!n)for(var a in this)"t"===a.charAt(0)&&r.call(this,a)&&!isNaN(+a.slice(1))&&(this[a]=e)},stop:function e(){this.done=!0;var t=this.tryEntries[0].completion;if("throw"===t.type)throw t.arg;return this.rval},dispatchException:function t(n){if(this.done)throw n;var a=this;function o(t,r){return i.type="throw",i.arg=n,a.next=t,r&&(a.method="next",a.arg=e),!!r}for(var c=this.tryEntries.length-1;c>=0;--c){var s=this.tryEntries[c],i=s.completion;if("root"===s.tryLoc)return o("end");if(s.tryLoc<=this.prev){var u=r.call(s,"catchLoc"),l=r.call(s,"finallyLoc");if(u&&l){if(this.prev<s.catchLoc)return o(s.catchLoc,!0);if(this.prev<s.finallyLoc)return o(s.finallyLoc)}else if(u){if(this.prev<s.catchLoc)return o(s.catchLoc,!0)}else{if(!l)throw Error("try statement without catch or finally");if(this.prev<s.finallyLoc)return o(s.finallyLoc)}}}},abrupt:function e(t,n){for(var a=this.tryEntries.length-1;a>=0;--a){var o=this.tryEntries[a];if(o.tryLoc<=this.prev&&r.call(o,"finallyLoc")&&this.prev<o.finallyLoc){var c=o;break}}c&&("break"===t||"continue"===t)&&c.tryLoc<=n&&n<=c.finallyLoc&&(c=null);var s=c?c.completion:{};return s.type=t,s.arg=n,c?(this.method="next",this.next=c.finallyLoc,g):this.complete(s)},complete:function e(t,n){if("throw"===t.type)throw t.arg;return"break"===t.type||"continue"===t.type?this.next=t.arg:"return"===t.type?(this.rval=this.arg=t.arg,this.method="return",this.next="end"):"normal"===t.type&&n&&(this.next=n),g},finish:function e(t){for(var n=this.tryEntries.length-1;n>=0;--n){var r=this.tryEntries[n];if(r.finallyLoc===t)return this.complete(r.completion,r.afterLoc),_(r),g}},catch:function e(t){for(var n=this.tryEntries.length-1;n>=0;--n){var r=this.tryEntries[n];if(r.tryLoc===t){var a=r.completion;if("throw"===a.type){var o=a.arg;_(r)}return o}}throw Error("illegal catch attempt")},delegateYield:function t(n,r,a){return this.delegate={iterator:C(n),resultName:r,nextLoc:a},"next"===this.method&&(this.arg=e),g}},t}function asyncGeneratorStep(e,t,n,r,a,o,c){try{var s=e[o](c),i=s.value}catch(u){return void n(u)}s.done?t(i):Promise.resolve(i).then(r,a)}function _asyncToGenerator(e){return function(){var t=this,n=arguments;return new Promise(function(r,a){var o=e.apply(t,n);function c(e){asyncGeneratorStep(o,r,a,c,s,"next",e)}function s(e){asyncGeneratorStep(o,r,a,c,s,"throw",e)}c(void 0)})}}function _toArray(e){return _arrayWithHoles(e)||_iterableToArray(e)||_unsupportedIterableToArray(e)||_nonIterableRest()}function _nonIterableRest(){throw TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _unsupportedIterableToArray(e,t){if(e){if("string"==typeof e)return _arrayLikeToArray(e,t);var n=({}).toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?_arrayLikeToArray(e,t):void 0}}function _arrayLikeToArray(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=Array(t);n<t;n++)r[n]=e[n];return r}function _iterableToArray(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}function _arrayWithHoles(e){if(Array.isArray(e))return e}var _process$argv=_toArray(process.argv),command=_process$argv[2],args=_process$argv.slice(3),fs=require("fs"),path=require("path"),_require=require("commander"),program=_require.program,readline=require("readline"),RED="\x1b[31m",GREEN="\x1b[32m",BLUE="\x1b[34m",RESET="\x1b[0m",specialCharRegex=/[0-9!@#$%^&*()_+{}\[\]:;"'<>,.?/~`|\-=\s]/g;function capitalize(e){return e.charAt(0).toUpperCase()+e.slice(1)}function toCamelCase(e){return e.replace(/[^a-zA-Z]+/g,"-").replace(/^-+|-+$/g,"").split("-").map(function(e,t){return 0===t?e.toLowerCase():e.charAt(0).toUpperCase()+e.slice(1).toLowerCase()}).join("")}"resource"===command?(program.version("1.0.0").description("Generate route, model, controller, and interface files for a new resource").argument("<name>","Resource name").action(function(e){var t=specialCharRegex.test(args[0])?toCamelCase(args[0]):args[0].toLowerCase(),n=capitalize(t),r=path.join(__dirname,"..","src","modules",args[0]),a="\n// Import Router from express\nimport { Router } from 'express';\n\n// Import controller from corresponding module\nimport { \n  create".concat(n,",\n  createMany").concat(n,",\n  update").concat(n,",\n  updateMany").concat(n,",\n  delete").concat(n,",\n  deleteMany").concat(n,",\n  get").concat(n,"ById,\n  getMany").concat(n,"\n} from './").concat(args[0],".controller';\n\n//Import validation from corresponding module\nimport { validateCreate").concat(n,", validateCreateMany").concat(n,", validateUpdate").concat(n,", validateUpdateMany").concat(n,"} from './").concat(args[0],".validation';\nimport { validateId, validateIds, validateSearchQueries } from '../../handlers/common-zod-validator';\n\n// Initialize router\nconst router = Router();\n\n// Define route handlers\n/**\n * @route POST /api/v1/").concat(args[0],"/create-").concat(args[0],"\n * @description Create a new ").concat(args[0],"\n * @access Public\n * @param {function} controller - ['create").concat(n,"']\n * @param {function} validation - ['validateCreate").concat(n,"']\n */\nrouter.post(\"/create-").concat(args[0],'", validateCreate').concat(n,", create").concat(n,");\n\n/**\n * @route POST /api/v1/").concat(args[0],"/create-").concat(args[0],"/many\n * @description Create multiple ").concat(args[0],"s\n * @access Public\n * @param {function} controller - ['createMany").concat(n,"']\n * @param {function} validation - ['validateCreateMany").concat(n,"']\n */\nrouter.post(\"/create-").concat(args[0],'/many", validateCreateMany').concat(n,", createMany").concat(n,");\n\n/**\n * @route PUT /api/v1/").concat(args[0],"/update-").concat(args[0],"/many\n * @description Update multiple ").concat(args[0],"s information\n * @access Public\n * @param {function} controller - ['updateMany").concat(n,"']\n * @param {function} validation - ['validateIds', 'validateUpdateMany").concat(n,"']\n */\nrouter.put(\"/update-").concat(args[0],'/many", validateIds, validateUpdateMany').concat(n,", updateMany").concat(n,");\n\n/**\n * @route PUT /api/v1/").concat(args[0],"/update-").concat(args[0],"/:id\n * @description Update ").concat(args[0]," information\n * @param {string} id - The ID of the ").concat(args[0]," to update\n * @access Public\n * @param {function} controller - ['update").concat(n,"']\n * @param {function} validation - ['validateId', 'validateUpdate").concat(n,"']\n */\nrouter.put(\"/update-").concat(args[0],'/:id", validateId, validateUpdate').concat(n,", update").concat(n,");\n\n/**\n * @route DELETE /api/v1/").concat(args[0],"/delete-").concat(args[0],"/many\n * @description Delete multiple ").concat(args[0],"s\n * @access Public\n * @param {function} controller - ['deleteMany").concat(n,"']\n * @param {function} validation - ['validateIds']\n */\nrouter.delete(\"/delete-").concat(args[0],'/many", validateIds, deleteMany').concat(n,");\n\n/**\n * @route DELETE /api/v1/").concat(args[0],"/delete-").concat(args[0],"/:id\n * @description Delete a ").concat(args[0],"\n * @param {string} id - The ID of the ").concat(args[0]," to delete\n * @access Public\n * @param {function} controller - ['delete").concat(n,"']\n * @param {function} validation - ['validateId']\n */\nrouter.delete(\"/delete-").concat(args[0],'/:id", validateId, delete').concat(n,");\n\n/**\n * @route GETapi/v1/").concat(args[0],"/get-").concat(args[0],"/many\n * @description Get multiple ").concat(args[0],"s\n * @access Public\n * @param {function} controller - ['getMany").concat(n,"']\n * @param {function} validation - ['validateSearchQueries']\n */\nrouter.get(\"/get-").concat(args[0],'/many", validateSearchQueries, getMany').concat(n,");\n\n/**\n * @route GET /api/v1/").concat(args[0],"/get-").concat(args[0],"/:id\n * @description Get a ").concat(args[0]," by ID\n * @param {string} id - The ID of the ").concat(args[0]," to retrieve\n * @access Public\n * @param {function} controller - ['get").concat(n,"ById']\n * @param {function} validation - ['validateId']\n */\nrouter.get(\"/get-").concat(args[0],'/:id", validateId, get').concat(n,"ById);\n\n// Export the router\nmodule.exports = router;\n    ");path.join(r,"".concat(args[0],".route.ts"));var o=path.join(__dirname,"..","src","modules",args[0]),c="\nimport { Request, Response } from 'express';\nimport { ".concat(t,"Services } from './").concat(args[0],".service';\nimport ServerResponse from '../../helpers/responses/custom-response';\nimport catchAsync from '../../utils/catch-async/catch-async';\n\n/**\n * Controller function to handle the creation of a single ").concat(n,".\n *\n * @param {Request} req - The request object containing ").concat(args[0]," data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const create").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to create a new ").concat(args[0]," and get the result\n  const result = await ").concat(t,"Services.create").concat(n,"(req.body);\n  // Send a success response with the created ").concat(args[0]," data\n  ServerResponse(res, true, 201, '").concat(n," created successfully', result);\n});\n\n/**\n * Controller function to handle the creation of multiple ").concat(args[0],"s.\n *\n * @param {Request} req - The request object containing an array of ").concat(args[0]," data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const createMany").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to create multiple ").concat(t,"s and get the result\n  const result = await ").concat(t,"Services.createMany").concat(n,"(req.body);\n  // Send a success response with the created ").concat(args[0],"s data\n  ServerResponse(res, true, 201, '").concat(n,"s created successfully', result);\n});\n\n/**\n * Controller function to handle the update operation for a single ").concat(args[0],".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(args[0]," to update in URL parameters and the updated data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const update").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  const { id } = req.params;\n  // Call the service method to update the ").concat(args[0]," by ID and get the result\n  const result = await ").concat(t,"Services.update").concat(n,"(id, req.body);\n  // Send a success response with the updated ").concat(args[0]," data\n  ServerResponse(res, true, 200, '").concat(n," updated successfully', result);\n});\n\n/**\n * Controller function to handle the update operation for multiple ").concat(args[0],"s.\n *\n * @param {Request} req - The request object containing an array of ").concat(args[0]," data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const updateMany").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to update multiple ").concat(args[0],"s and get the result\n  const result = await ").concat(t,"Services.updateMany").concat(n,"(req.body);\n  // Send a success response with the updated ").concat(args[0],"s data\n  ServerResponse(res, true, 200, '").concat(n,"s updated successfully', result);\n});\n\n/**\n * Controller function to handle the deletion of a single ").concat(args[0],".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(args[0]," to delete in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const delete").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  const { id } = req.params;\n  // Call the service method to delete the ").concat(args[0]," by ID\n  await ").concat(t,"Services.delete").concat(n,"(id);\n  // Send a success response confirming the deletion\n  ServerResponse(res, true, 200, '").concat(n," deleted successfully');\n});\n\n/**\n * Controller function to handle the deletion of multiple ").concat(args[0],"s.\n *\n * @param {Request} req - The request object containing an array of IDs of ").concat(args[0]," to delete in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const deleteMany").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to delete multiple ").concat(args[0],"s and get the result\n  await ").concat(t,"Services.deleteMany").concat(n,"(req.body);\n  // Send a success response confirming the deletions\n  ServerResponse(res, true, 200, '").concat(n,"s deleted successfully');\n});\n\n/**\n * Controller function to handle the retrieval of a single ").concat(args[0]," by ID.\n *\n * @param {Request} req - The request object containing the ID of the ").concat(args[0]," to retrieve in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const get").concat(n,"ById = catchAsync(async (req: Request, res: Response) => {\n  const { id } = req.params;\n  // Call the service method to get the ").concat(args[0]," by ID and get the result\n  const result = await ").concat(t,"Services.get").concat(n,"ById(id);\n  // Send a success response with the retrieved ").concat(args[0]," data\n  ServerResponse(res, true, 200, '").concat(n," retrieved successfully', result);\n});\n\n/**\n * Controller function to handle the retrieval of multiple ").concat(args[0],"s.\n *\n * @param {Request} req - The request object containing query parameters for filtering.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const getMany").concat(n," = catchAsync(async (req: Request, res: Response) => {\n  // Type assertion for query parameters\n  const query = req.query as unknown as { searchKey?: string; showPerPage: number; pageNo: number };\n  // Call the service method to get multiple ").concat(args[0],"s based on query parameters and get the result\n  const {").concat(args[0],"s, totalData, totalPages } = await ").concat(t,"Services.getMany").concat(n,"({},query.searchKey, query.showPerPage, query.pageNo);\n  // Send a success response with the retrieved ").concat(args[0],"s data\n  ServerResponse(res, true, 200, '").concat(n,"s retrieved successfully', {").concat(args[0],"s, totalData, totalPages});\n});\n    ");path.join(o,"".concat(args[0],".controller.ts"));var s=path.join(__dirname,"..","src","modules",args[0]),i="\nimport { NextFunction, Request, Response } from 'express';\nimport { z } from 'zod';\nimport zodErrorHandler from '../../handlers/zod-error-handler';\n\n/**\n * Zod schema for validating ".concat(t," data during creation.\n */\nconst zodCreate").concat(n,"Schema = z.object({\n  // Define fields required for creating a new ").concat(t,".\n  // Example:\n  // filedName: z.string({ required_error: 'Please provide a filedName.' }).min(1, \"Can't be empty.\"),\n}).strict();\n\n/**\n * Middleware function to validate ").concat(t," creation data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateCreate").concat(n," = (req: Request, res: Response, next: NextFunction) => {\n  // Validate the request body for creating a new ").concat(t,"\n  const parseResult = zodCreate").concat(n,"Schema.safeParse(req.body);\n\n  // If validation fails, send an error response using the Zod error handler\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n\n  // If validation passes, proceed to the next middleware function\n  return next();\n};\n\n/**\n * Zod schema for validating multiple ").concat(t," data during creation.\n */\nconst zodCreateMany").concat(n,"Schema = z.array(zodCreate").concat(n,"Schema);\n\n/**\n * Middleware function to validate multiple ").concat(t," creation data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateCreateMany").concat(n," = (req: Request, res: Response, next: NextFunction) => {\n  const parseResult = zodCreateMany").concat(n,"Schema.safeParse(req.body);\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n  return next();\n};\n\n/**\n * Zod schema for validating ").concat(t," data during updates.\n */\nconst zodUpdate").concat(n,"Schema = z.object({\n  // Define fields required for updating an existing ").concat(t,".\n  // Example:\n  // fieldName: z.string({ required_error: 'Please provide a filedName.' }).optional(), // Fields can be optional during updates\n}).strict();\n\n/**\n * Middleware function to validate ").concat(t," update data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateUpdate").concat(n," = (req: Request, res: Response, next: NextFunction) => {\n  // Validate the request body for updating an existing ").concat(t,"\n  const parseResult = zodUpdate").concat(n,"Schema.safeParse(req.body);\n\n  // If validation fails, send an error response using the Zod error handler\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n\n  // If validation passes, proceed to the next middleware function\n  return next();\n};\n\n/**\n * Zod schema for validating multiple ").concat(t," data during updates.\n */\nconst zodUpdateMany").concat(n,"Schema = z.array(zodUpdate").concat(n,"Schema);\n\n\n/**\n * Middleware function to validate multiple ").concat(t," update data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateUpdateMany").concat(n," = (req: Request, res: Response, next: NextFunction) => {\n  const parseResult = zodUpdateMany").concat(n,"Schema.safeParse(req.body);\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n  return next();\n};\n    ");path.join(s,"".concat(args[0],".validation.ts"));var u=path.join(__dirname,"..","src","modules",args[0]),l="\nimport { Prisma } from '@prisma/client';\n\n// Import the Prisma Client instance\nimport { prismaClient } from '../../index';\n\n/**\n * Service function to create a new ".concat(t,".\n *\n * @param data - The data to create a new ").concat(t,".\n * @returns {Promise<").concat(n,">} - The created ").concat(t,".\n */\nconst create").concat(n," = async (data: Prisma.").concat(n,"CreateInput) => {\n  return await prismaClient.").concat(t,".create({ data });\n};\n\n/**\n * Service function to create multiple ").concat(t,".\n *\n * @param data - An array of data to create multiple ").concat(t,".\n * @returns {Promise<").concat(n,"[]>} - The created ").concat(t,".\n */\nconst createMany").concat(n," = async (data: Prisma.").concat(n,"CreateManyInput[]) => {\n  return await prismaClient.").concat(t,".createMany({ data });\n};\n\n/**\n * Service function to update a single ").concat(t," by ID.\n *\n * @param id - The ID of the ").concat(t," to update.\n * @param data - The updated data for the ").concat(t,".\n * @returns {Promise<").concat(n,">} - The updated ").concat(t,".\n */\nconst update").concat(n," = async (id: string, data: Prisma.").concat(n,"UpdateInput) => {\n  return await prismaClient.").concat(t,".update({\n    where: { id },\n    data,\n  });\n};\n\n/**\n * Service function to update multiple ").concat(t,".\n *\n * @param data - An array of data to update multiple ").concat(t,".\n * @returns {Promise<").concat(n,"[]>} - The updated ").concat(t,".\n */\nconst updateMany").concat(n," = async (data: { id: string; updates: Prisma.").concat(n,"UpdateInput}[]) => {\n  const updatePromises = data.map(({ id, updates }) =>\n    prismaClient.").concat(t,".update({\n      where: { id },\n      data: updates,\n    })\n  );\n  return await Promise.all(updatePromises);\n};\n\n/**\n * Service function to delete a single ").concat(t," by ID.\n *\n * @param id - The ID of the ").concat(t," to delete.\n * @returns {Promise<").concat(n,">} - The deleted ").concat(t,".\n */\nconst delete").concat(n," = async (id: string) => {\n  return await prismaClient.").concat(t,".delete({\n    where: { id },\n  });\n};\n\n/**\n * Service function to delete multiple ").concat(t,".\n *\n * @param ids - An array of IDs of ").concat(t," to delete.\n * @returns {Promise<").concat(n,"[]>} - The deleted ").concat(t,".\n */\nconst deleteMany").concat(n," = async (ids: string[]) => {\n  return await prismaClient.").concat(t,".deleteMany({\n    where: {\n      id: { in: ids },\n    },\n  });\n};\n\n/**\n * Service function to retrieve a single ").concat(t," by ID.\n *\n * @param id - The ID of the ").concat(t," to retrieve.\n * @returns {Promise<").concat(n,">} - The retrieved ").concat(t,".\n */\nconst get").concat(n,"ById = async (id: string) => {\n  return await prismaClient.").concat(t,".findUnique({\n    where: { id },\n  });\n};\n\n/**\n * Service function to retrieve multiple ").concat(t,"s based on query parameters.\n *\n * @param query - The query parameters for filtering ").concat(t,"s.\n * @param {string | undefined} searchKey - The optional search key for filtering ").concat(t,"s by ").concat(t," fields.\n * @param {number} showPerPage - The number of items to show per page.\n * @param {number} pageNo - The page number for pagination.\n * @returns {Promise<{ ").concat(n,"s: Prisma.").concat(n,"[], total: number, totalPages: number }>} - The retrieved ").concat(t,"s, total count, and total pages.\n */\nconst getMany").concat(n," = async (\n  query: Prisma.").concat(n,"WhereInput,\n  searchKey: string | undefined,\n  showPerPage: number,\n  pageNo: number\n): Promise<{ ").concat(t,"s: Prisma.").concat(n,"[]; totalData: number; totalPages: number }> => {\n  // Build the search filter based on the search key, if provided\n  const searchFilter: Prisma.").concat(n,"WhereInput = {\n    ...query,\n    OR: searchKey\n      ? [\n          { filedName: { contains: searchKey, mode: 'insensitive' } },\n          // Add more fields as needed\n        ]\n      : undefined,\n  };\n\n  // Calculate the number of items to skip based on the page number\n  const skipItems = (pageNo - 1) * showPerPage;\n\n  // Find the total count of matching ").concat(t,"s\n  const totalData = await prismaClient.").concat(t,".count({\n    where: searchFilter,\n  });\n\n  // Find ").concat(t,"s based on the search filter with pagination\n  const ").concat(t,"s = await prismaClient.").concat(t,".findMany({\n    where: searchFilter,\n    skip: skipItems,\n    take: showPerPage,\n    select: {\n      // filed: true,\n      // filed: false,\n      // Add other fields as needed, excluding sensitive ones\n    },\n  });\n\n  // Calculate the total number of pages\n  const totalPages = Math.ceil(totalData / showPerPage);\n\n  return { ").concat(t,"s, totalData, totalPages };\n};\n\nexport const ").concat(t,"Services = {\n  create").concat(n,",\n  createMany").concat(n,",\n  update").concat(n,",\n  updateMany").concat(n,",\n  delete").concat(n,",\n  deleteMany").concat(n,",\n  get").concat(n,"ById,\n  getMany").concat(n,",\n};\n    ");function d(e){return["".concat(e,".controller.ts"),"".concat(e,".route.ts"),"".concat(e,".service.ts"),"".concat(e,".validation.ts")]}function p(e,t){return new Promise(function(n){e.question(t,n)})}function h(e,t){return f.apply(this,arguments)}function f(){return(f=_asyncToGenerator(_regeneratorRuntime().mark(function e(t,n){var r,a,o,c,s,i,u;return _regeneratorRuntime().wrap(function e(l){for(;;)switch(l.prev=l.next){case 0:r=fs.readdirSync(t),a=capitalize(n),o=readline.createInterface({input:process.stdin,output:process.stdout}),l.prev=3,c=_createForOfIteratorHelper(r),l.prev=5,i=_regeneratorRuntime().mark(function e(){var r,c,i,u,l,h,f,g,v,$,b;return _regeneratorRuntime().wrap(function e(w){for(;;)switch(w.prev=w.next){case 0:if(r=s.value,c=path.join(t,r),r!==n||!(i=fs.statSync(c)).isDirectory()){w.next=53;break}if(u=fs.readdirSync(c),0!==(h=(l=d(n)).filter(function(e){return!u.includes(e)})).length){w.next=12;break}console.log("".concat(RED).concat(a," module already exists.").concat(RESET)),w.next=52;break;case 12:if(!(h.length>0&&h.length<l.length)){w.next=50;break}return console.log("".concat(GREEN).concat(a," ").concat(RESET,"module exists, but some files are missing:")),h.forEach(function(e,t){return console.log("".concat(GREEN).concat(t+1,". ").concat(e).concat(RESET))}),w.next=17,p(o,"".concat(BLUE,"Do you want to create missing files one by one (Yes/Y) or all at once (Create/C)?").concat(RESET," Enter (Yes/Y) or (Create/C): "));case 17:if(!("yes"===(f=w.sent).toLowerCase()||"y"===f.toLowerCase())){w.next=42;break}g=_createForOfIteratorHelper(h),w.prev=20,g.s();case 22:if((v=g.n()).done){w.next=32;break}return $=v.value,w.next=26,p(o,"".concat(BLUE,"Do you want to create ").concat(GREEN).concat($,"?").concat(RESET," (yes/no) "));case 26:if(!("yes"===(b=w.sent).toLowerCase()||"y"===b.toLowerCase())){w.next=30;break}return w.next=30,m(c,$,n);case 30:w.next=22;break;case 32:w.next=37;break;case 34:w.prev=34,w.t0=w.catch(20),g.e(w.t0);case 37:return w.prev=37,g.f(),w.finish(37);case 40:case 45:w.next=48;break;case 42:if(!("create"===f.toLowerCase()||"c"===f.toLowerCase())){w.next=47;break}return w.next=45,y(c,h,n);case 47:console.log("".concat(RED,"Invalid option. No files will be created.").concat(RESET));case 48:w.next=52;break;case 50:return w.next=52,y(c,h,n);case 52:return w.abrupt("return",{v:!0});case 53:case"end":return w.stop()}},e,null,[[20,34,37,40]])}),c.s();case 8:if((s=c.n()).done){l.next=15;break}return l.delegateYield(i(),"t0",10);case 10:if(!(u=l.t0)){l.next=13;break}return l.abrupt("return",u.v);case 13:l.next=8;break;case 15:l.next=20;break;case 17:l.prev=17,l.t1=l.catch(5),c.e(l.t1);case 20:return l.prev=20,c.f(),l.finish(20);case 23:return l.abrupt("return",!1);case 24:return l.prev=24,o.close(),l.finish(24);case 27:case"end":return l.stop()}},e,null,[[3,,24,27],[5,17,20,23]])}))).apply(this,arguments)}function m(e,t,n){return g.apply(this,arguments)}function g(){return(g=_asyncToGenerator(_regeneratorRuntime().mark(function e(t,n,r){var o,s;return _regeneratorRuntime().wrap(function e(u){for(;;)switch(u.prev=u.next){case 0:o=path.join(t,n),u.t0=n,u.next=u.t0==="".concat(r,".route.ts")?4:u.t0==="".concat(r,".controller.ts")?6:u.t0==="".concat(r,".validation.ts")?8:u.t0==="".concat(r,".service.ts")?10:12;break;case 4:return s=a,u.abrupt("break",12);case 6:return s=c,u.abrupt("break",12);case 8:return s=i,u.abrupt("break",12);case 10:return s=l,u.abrupt("break",12);case 12:var d;fs.writeFileSync(o,s.trim()),console.log("".concat(GREEN,"CREATE ").concat(RESET).concat((d=o,path.relative(path.join(__dirname,".."),d))," ").concat(BLUE,"(").concat(Buffer.byteLength(s,"utf8")," bytes)").concat(RESET));case 14:case"end":return u.stop()}},e)}))).apply(this,arguments)}function y(e,t,n){return v.apply(this,arguments)}function v(){return(v=_asyncToGenerator(_regeneratorRuntime().mark(function e(t,n,r){var a,o,c;return _regeneratorRuntime().wrap(function e(s){for(;;)switch(s.prev=s.next){case 0:a=_createForOfIteratorHelper(n),s.prev=1,a.s();case 3:if((o=a.n()).done){s.next=9;break}return c=o.value,s.next=7,m(t,c,r);case 7:s.next=3;break;case 9:s.next=14;break;case 11:s.prev=11,s.t0=s.catch(1),a.e(s.t0);case 14:return s.prev=14,a.f(),s.finish(14);case 17:case"end":return s.stop()}},e,null,[[1,11,14,17]])}))).apply(this,arguments)}path.join(u,"".concat(args[0],".service.ts")),[r,o].forEach(function(e){fs.existsSync(e)||fs.mkdirSync(e,{recursive:!0})}),_asyncToGenerator(_regeneratorRuntime().mark(function e(){var t,n,r;return _regeneratorRuntime().wrap(function e(a){for(;;)switch(a.prev=a.next){case 0:if(t=args[0],n=path.join(process.cwd(),"src","modules"),t){a.next=5;break}return console.log("".concat(RED,"Please provide a module name.").concat(RESET)),a.abrupt("return");case 5:return a.next=7,h(n,t);case 7:(r=a.sent)||console.log("".concat(RED,"Module ").concat(t," not found.").concat(RESET));case 9:case"end":return a.stop()}},e)}))()}),program.parse(process.argv)):(console.error("Unknown command: ".concat(command)),process.exit(1));
\ No newline at end of file
+"use strict";function _regenerator(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var e,t,n="function"==typeof Symbol?Symbol:{},a=n.iterator||"@@iterator",o=n.toStringTag||"@@toStringTag";function r(n,a,o,r){var i=a&&a.prototype instanceof s?a:s,d=Object.create(i.prototype);return _regeneratorDefine2(d,"_invoke",function(n,a,o){var r,s,i,d=0,l=o||[],u=!1,m={p:0,n:0,v:e,a:p,f:p.bind(e,4),d:function(t,n){return r=t,s=0,i=e,m.n=n,c}};function p(n,a){for(s=n,i=a,t=0;!u&&d&&!o&&t<l.length;t++){var o,r=l[t],p=m.p,h=r[2];n>3?(o=h===a)&&(i=r[(s=r[4])?5:(s=3,3)],r[4]=r[5]=e):r[0]<=p&&((o=n<2&&p<r[1])?(s=0,m.v=a,m.n=r[1]):p<h&&(o=n<3||r[0]>a||a>h)&&(r[4]=n,r[5]=a,m.n=h,s=0))}if(o||n>1)return c;throw u=!0,a}return function(o,l,h){if(d>1)throw TypeError("Generator is already running");for(u&&1===l&&p(l,h),s=l,i=h;(t=s<2?e:i)||!u;){r||(s?s<3?(s>1&&(m.n=-1),p(s,i)):m.n=i:m.v=i);try{if(d=2,r){if(s||(o="next"),t=r[o]){if(!(t=t.call(r,i)))throw TypeError("iterator result is not an object");if(!t.done)return t;i=t.value,s<2&&(s=0)}else 1===s&&(t=r.return)&&t.call(r),s<2&&(i=TypeError("The iterator does not provide a '"+o+"' method"),s=1);r=e}else if((t=(u=m.n<0)?i:n.call(a,m))!==c)break}catch(t){r=e,s=1,i=t}finally{d=1}}return{value:t,done:u}}}(n,o,r),!0),d}var c={};function s(){}function i(){}function d(){}t=Object.getPrototypeOf;var l=[][a]?t(t([][a]())):(_regeneratorDefine2(t={},a,function(){return this}),t),u=d.prototype=s.prototype=Object.create(l);function m(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,_regeneratorDefine2(e,o,"GeneratorFunction")),e.prototype=Object.create(u),e}return i.prototype=d,_regeneratorDefine2(u,"constructor",d),_regeneratorDefine2(d,"constructor",i),i.displayName="GeneratorFunction",_regeneratorDefine2(d,o,"GeneratorFunction"),_regeneratorDefine2(u),_regeneratorDefine2(u,o,"Generator"),_regeneratorDefine2(u,a,function(){return this}),_regeneratorDefine2(u,"toString",function(){return"[object Generator]"}),(_regenerator=function(){return{w:r,m:m}})()}function _regeneratorDefine2(e,t,n,a){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}_regeneratorDefine2=function(e,t,n,a){function r(t,n){_regeneratorDefine2(e,t,function(e){return this._invoke(t,n,e)})}t?o?o(e,t,{value:n,enumerable:!a,configurable:!a,writable:!a}):e[t]=n:(r("next",0),r("throw",1),r("return",2))},_regeneratorDefine2(e,t,n,a)}function _createForOfIteratorHelper(e,t){var n="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!n){if(Array.isArray(e)||(n=_unsupportedIterableToArray(e))||t&&e&&"number"==typeof e.length){n&&(e=n);var a=0,o=function(){};return{s:o,n:function(){return a>=e.length?{done:!0}:{done:!1,value:e[a++]}},e:function(e){throw e},f:o}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var r,c=!0,s=!1;return{s:function(){n=n.call(e)},n:function(){var e=n.next();return c=e.done,e},e:function(e){s=!0,r=e},f:function(){try{c||null==n.return||n.return()}finally{if(s)throw r}}}}function asyncGeneratorStep(e,t,n,a,o,r,c){try{var s=e[r](c),i=s.value}catch(e){return void n(e)}s.done?t(i):Promise.resolve(i).then(a,o)}function _asyncToGenerator(e){return function(){var t=this,n=arguments;return new Promise(function(a,o){var r=e.apply(t,n);function c(e){asyncGeneratorStep(r,a,o,c,s,"next",e)}function s(e){asyncGeneratorStep(r,a,o,c,s,"throw",e)}c(void 0)})}}function _toConsumableArray(e){return _arrayWithoutHoles(e)||_iterableToArray(e)||_unsupportedIterableToArray(e)||_nonIterableSpread()}function _nonIterableSpread(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _arrayWithoutHoles(e){if(Array.isArray(e))return _arrayLikeToArray(e)}function _slicedToArray(e,t){return _arrayWithHoles(e)||_iterableToArrayLimit(e,t)||_unsupportedIterableToArray(e,t)||_nonIterableRest()}function _iterableToArrayLimit(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var a,o,r,c,s=[],i=!0,d=!1;try{if(r=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;i=!1}else for(;!(i=(a=r.call(n)).done)&&(s.push(a.value),s.length!==t);i=!0);}catch(e){d=!0,o=e}finally{try{if(!i&&null!=n.return&&(c=n.return(),Object(c)!==c))return}finally{if(d)throw o}}return s}}function _toArray(e){return _arrayWithHoles(e)||_iterableToArray(e)||_unsupportedIterableToArray(e)||_nonIterableRest()}function _nonIterableRest(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _unsupportedIterableToArray(e,t){if(e){if("string"==typeof e)return _arrayLikeToArray(e,t);var n={}.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?_arrayLikeToArray(e,t):void 0}}function _arrayLikeToArray(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,a=Array(t);n<t;n++)a[n]=e[n];return a}function _iterableToArray(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}function _arrayWithHoles(e){if(Array.isArray(e))return e}var _process$argv=_toArray(process.argv),command=_process$argv[2],args=_arrayLikeToArray(_process$argv).slice(3),fs=require("fs"),path=require("path"),_require=require("commander"),program=_require.program,readline=require("readline"),RED="[31m",GREEN="[32m",BLUE="[34m",RESET="[0m",rootDir=path.join(__dirname,".."),schemaPath=path.join(rootDir,"prisma","schema.prisma");function capitalize(e){return e.charAt(0).toUpperCase()+e.slice(1)}function toWords(e){return e.replace(/([a-z0-9])([A-Z])/g,"$1 $2").split(/[^a-zA-Z0-9]+/).filter(Boolean).map(function(e){return e.toLowerCase()})}function toResourceNames(e){var t=findPrismaModel(toWords(e).join("")),n=toWords(t?t.name:e);return!n.length||/^\d/.test(n[0])?null:{moduleName:n.join("-"),resourceName:n.map(function(e,t){return 0===t?e:capitalize(e)}).join(""),capitalizedResourceName:n.map(capitalize).join(""),title:n.map(capitalize).join(" ")}}var formatPath=function(e){return path.relative(rootDir,e)};function logChange(e,t,n){var a="DELETE"===e||"SKIP"===e?RED:GREEN,o=void 0===n?"":" ".concat(BLUE,"(").concat(Buffer.byteLength(n,"utf8")," bytes)").concat(RESET);console.log("".concat(a).concat(e," ").concat(RESET).concat(formatPath(t)).concat(o))}function writeFile(e,t,n){var a=fs.existsSync(e)?"UPDATE":"CREATE";n.dryRun||(fs.mkdirSync(path.dirname(e),{recursive:!0}),fs.writeFileSync(e,t)),logChange(a,e,t)}function isInteractive(e){return Boolean(process.stdin.isTTY)&&!e.yes&&!e.force&&!e.dryRun}function askQuestion(e){var t=readline.createInterface({input:process.stdin,output:process.stdout});return new Promise(function(n){t.question(e,function(e){t.close(),n(e.trim().toLowerCase())})})}var PRISMA_SCALAR_TYPES={String:"string",Int:"number",BigInt:"number",Float:"number",Decimal:"number",Boolean:"boolean",DateTime:"date",Json:null,Bytes:null},sensitiveFieldRegex=/password|secret|token|hash|salt/i,managedFieldNames=["createdAt","updatedAt","deletedAt"];function parsePrismaField(e){var t=e.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);if(!t)return null;var n=_slicedToArray(t,6),a=n[1],o=n[2],r=n[3],c=n[4],s=n[5],i=s.match(/@default\(((?:[^()]|\([^()]*\))*)\)/),d=s.match(/@relation\([^)]*fields:\s*\[([^\]]*)\]/),l=s.match(/@relation\(\s*(?:name:\s*)?"([^"]*)"/);return{name:a,type:o,isList:Boolean(r),isOptional:Boolean(c),isId:/@id\b/.test(s),isUnique:/@unique\b/.test(s),isUpdatedAt:/@updatedAt\b/.test(s),default:i?i[1].trim():void 0,relationFields:d?d[1].split(",").map(function(e){return e.trim()}):[],relationName:l?l[1]:void 0}}function parsePrismaSchema(e){for(var t,n={},a={},o=e.replace(/(^|\s)\/\/.*$/gm,"$1"),r=/\b(model|enum)\s+(\w+)\s*\{([^}]*)\}/g;t=r.exec(o);){var c=_slicedToArray(t,4),s=c[1],i=c[2],d=c[3].split("\n").map(function(e){return e.trim()}).filter(function(e){return e&&!e.startsWith("@@")});"enum"===s?a[i]=d.map(function(e){return e.split(/\s+/)[0]}):n[i]=d.map(parsePrismaField).filter(Boolean)}return{models:n,enums:a}}function findPrismaModel(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:"";if(!fs.existsSync(schemaPath))return null;var n=parsePrismaSchema(fs.readFileSync(schemaPath,"utf8")+t),a=n.models,o=n.enums,r=Object.keys(a).find(function(t){return t.toLowerCase()===e.toLowerCase()});return r?{name:r,fields:a[r],models:a,enums:o}:null}function toDefaultLiteral(e,t){var n=e.default;if(void 0!==n&&!/\(.*\)$/.test(n))return t[e.type]?"".concat(e.type,".").concat(n):"String"===e.type?n.startsWith('"')?"'".concat(n.slice(1,-1),"'"):void 0:n}function toZodField(e,t,n){var a,o=e.name,r=capitalize(o),c=/^[aeiou]/i.test(o)?"an":"a",s=function(e){return"{ required_error: 'Please provide ".concat(c," ").concat(o,".', invalid_type_error: '").concat(r," must be ").concat(e,".' }")};if(t[e.type])a="z.nativeEnum(".concat(e.type,", { errorMap: () => ({ message: '").concat(r," must be one of: ").concat(t[e.type].join(", "),".' }) })");else switch(e.type){case"String":a="z.string(".concat(s("a string"),")"),a+=/email/i.test(o)?".email('Please provide a valid ".concat(o,".')"):'.min(1, "Can\'t be empty.")';break;case"Int":case"BigInt":a="z.number(".concat(s("a number"),").int('").concat(r," must be an integer.')");break;case"Float":case"Decimal":a="z.number(".concat(s("a number"),")");break;case"Boolean":a="z.boolean(".concat(s("a boolean"),")");break;case"DateTime":a="z.coerce.date(".concat(s("a valid date"),")");break;default:a="z.any()"}if(e.isList&&(a="z.array(".concat(a,")")),"create"===n){var i=toDefaultLiteral(e,t);return void 0!==i?"".concat(a,".default(").concat(i,")"):e.isOptional?"".concat(a,".nullable().optional()"):void 0!==e.default?"".concat(a,".optional()"):a}return e.isOptional?"".concat(a,".nullable().optional()"):"".concat(a,".optional()")}function buildModelMeta(e){var t=findPrismaModel(e,arguments.length>1&&void 0!==arguments[1]?arguments[1]:"");if(!t)return null;var n=t.fields,a=t.models,o=t.enums,r=n.filter(function(e){return function(e){return e.type in PRISMA_SCALAR_TYPES||Boolean(o[e.type])}(e)&&!e.isList&&!sensitiveFieldRegex.test(e.name)&&"deletedAt"!==e.name&&(o[e.type]||PRISMA_SCALAR_TYPES[e.type])}),c=n.filter(function(e){return!(function(e){return Boolean(a[e.type])}(e)||e.isId&&void 0!==e.default||e.isUpdatedAt||managedFieldNames.includes(e.name))}),s=_toConsumableArray(new Set(n.filter(function(e){return o[e.type]}).map(function(e){return e.type})));return{modelName:t.name,enumNames:s,createFields:c.map(function(e){return"  ".concat(e.name,": ").concat(toZodField(e,o,"create"),",")}),updateFields:c.map(function(e){return"  ".concat(e.name,": ").concat(toZodField(e,o,"update"),",")}),filterable:r.map(function(e){return"    ".concat(e.name,": ").concat(o[e.type]?"Object.values(".concat(e.type,")"):"'".concat(PRISMA_SCALAR_TYPES[e.type],"'"),",")}),fieldNames:r.map(function(e){return e.name}),searchable:r.filter(function(e){return"String"===e.type&&!e.isId}).map(function(e){return e.name}),hasCreatedAt:r.some(function(e){return"createdAt"===e.name}),idType:n.some(function(e){return e.isId&&["Int","BigInt"].includes(e.type)})?"number":"string",softDelete:n.some(function(e){return"deletedAt"===e.name&&"DateTime"===e.type&&e.isOptional})}}function listFiles(e){return fs.existsSync(e)?fs.readdirSync(e,{withFileTypes:!0}).flatMap(function(t){var n=path.join(e,t.name);return t.isDirectory()?listFiles(n):[n]}):[]}function findModuleImporters(e){var t=/(?:from\s+|require\(\s*|import\(\s*)['"](\.{1,2}\/[^'"]*)['"]/g,n=function(t){return t===e||t.startsWith(e+path.sep)};return[].concat(_toConsumableArray(listFiles(path.join(rootDir,"src"))),_toConsumableArray(listFiles(path.join(rootDir,"tests")))).filter(function(e){return e.endsWith(".ts")&&!n(e)}).filter(function(e){return _toConsumableArray(fs.readFileSync(e,"utf8").matchAll(t)).some(function(t){var a=_slicedToArray(t,2)[1];return n(path.resolve(path.dirname(e),a))})})}function schemaBanner(e,t){return"// ===================== ".concat(e," Schema ").concat(t," ===================== //")}function buildModelStub(e){var t=e.capitalizedResourceName,n=e.title,a=n.toLowerCase();return"\n\n".concat(schemaBanner(n,"Start"),"\n\nmodel ").concat(t," {\n  id               String    @id @default(uuid())\n  // Add the fields of the ").concat(a,' here\n  createdAt        DateTime  @default(now()) @map("created_at")\n  updatedAt        DateTime  @default(now()) @updatedAt @map("updated_at")\n  deletedAt        DateTime? @map("deleted_at") // Soft delete: set when the ').concat(a," is moved to the trash\n\n  @@index([deletedAt])\n}\n\n").concat(schemaBanner(n,"End"),"\n")}function removeModelBlock(e,t){var n=t.capitalizedResourceName,a=t.title,o=function(e){return"(?:".concat(schemaBanner(a,e).replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"\\s*)?")},r=new RegExp("\\s*".concat(o("Start"),"model ").concat(n,"\\s*\\{[^}]*\\}\\s*").concat(o("End")));return e.replace(r,"\n\n").replace(/\s*$/,"\n")}if("resource"===command)program.version("1.0.0").description("Generate route, model, controller, and interface files for a new resource").argument("<name>","Resource name, e.g. blog-post or BlogPost").option("--idempotent","Honor the Idempotency-Key header on the create and update routes").option("--cache","Cache the responses of the read routes when WEB_CACHE is enabled").option("--dry-run","Print the changes without writing any file").option("--force","Overwrite the files of the module if they exist").option("--yes","Never prompt: create the missing files and keep the existing ones").action(function(){var e=_asyncToGenerator(_regenerator().m(function e(t,n){var a,o,r,c,s,i,d,l,u,m,p,h,f,y,g,v,b,R,S,w,E,T,q,I,A,P,D,N,C,x,z,_,L,M,j,k,B,Q,F,U,O,G,W,H,Z;return _regenerator().w(function(e){for(;;)switch(e.p=e.n){case 0:if((a=toResourceNames(t))||(console.log("".concat(RED,"Invalid resource name ").concat(t,", use letters, digits and hyphens, e.g. blog-post.").concat(RESET)),process.exit(1)),o=a.moduleName,r=a.resourceName,c=a.capitalizedResourceName,s=a.title,i=fs.existsSync(schemaPath)&&!findPrismaModel(r)?buildModelStub(a):"",(d=buildModelMeta(r,i))||console.log("".concat(RED,"prisma/schema.prisma not found, generating placeholder schemas.").concat(RESET)),l=function(e){return e.map(function(e){return"'".concat(e,"'")}).join(", ")},u=d&&d.enumNames.length?"import { ".concat(d.enumNames.join(", ")," } from '@prisma/client';\n"):"",m=d?d.createFields.join("\n"):"  // Define fields required for creating a new ".concat(r,".\n  // Example:\n  // filedName: z.string({ required_error: 'Please provide a filedName.' }).min(1, \"Can't be empty.\"),"),p=d?d.updateFields.join("\n"):"  // Define fields required for updating an existing ".concat(r,".\n  // Example:\n  // fieldName: z.string({ required_error: 'Please provide a filedName.' }).optional(), // Fields can be optional during updates"),h=d?"  filterable: {\n".concat(d.filterable.join("\n"),"\n  },\n  sortable: [").concat(l(d.fieldNames),"],\n  selectable: [").concat(l(d.fieldNames),"],\n  searchable: [").concat(l(d.searchable),"],").concat(d.hasCreatedAt?"\n  defaultSort: '-createdAt',":""):"  filterable: {\n    id: 'string',\n    // Add the filterable fields of the model, e.g. title: 'string', createdAt: 'date'\n  },\n  sortable: ['id'],\n  selectable: ['id'],\n  searchable: [],",f=d?d.fieldNames.map(function(e){return"  ".concat(e,": true,")}).join("\n"):"  id: true,\n  // Add other fields as needed, excluding sensitive ones",(y=Boolean(d&&d.softDelete))&&console.log("".concat(GREEN,"Model ").concat(c," has a deletedAt column, generating trash routes.").concat(RESET)),g=d?d.idType:"string",v="number"===g?"const id = Number(req.params.id);":"const { id } = req.params;",b=Boolean(n.idempotent),R=b?"idempotency, ":"",S=b?", 'idempotency'":"",w=Boolean(n.cache),E=w?"cacheResponse(), ":"",T=w?", 'cacheResponse'":"",q=["rate limiting","authorization",b&&"idempotency",w&&"caching"].filter(Boolean),I=path.join(rootDir,"src","modules",o),A="\n// Import Router from express\nimport { Router } from 'express';\n\n// Import controller from corresponding module\nimport { \n  create".concat(c,",\n  createMany").concat(c,",\n  update").concat(c,",\n  updateMany").concat(c,",\n  delete").concat(c,",\n  deleteMany").concat(c,",").concat(y?"\n  restore".concat(c,",\n  restoreMany").concat(c,",\n  purge").concat(c,","):"","\n  get").concat(c,"ById,\n  getMany").concat(c).concat(y?",\n  getTrash".concat(c):"","\n} from './").concat(o,".controller';\n\n//Import validation from corresponding module\nimport { validateCreate").concat(c,", validateCreateMany").concat(c,", validateUpdate").concat(c,", validateUpdateMany").concat(c,"} from './").concat(o,".validation';\nimport { createIdValidators, validateBulkMode, validateSearchQueries } from '../../handlers/common-zod-validator';\n\n//Import authentication, ").concat(q.slice(0,-1).join(", ")," and ").concat(q[q.length-1]," middlewares\nimport isAuthorized from '../../middlewares/is-authorized';\nimport rateLimitPolicy from '../../middlewares/rate-limit';\nimport authorize from '../../middlewares/authorize';").concat(b?"\nimport idempotency from '../../middlewares/idempotency';":"").concat(w?"\nimport cacheResponse from '../../middlewares/response-cache';":"","\n\n// Initialize router\nconst router = Router();\n\n// Validators of the ").concat(o," IDs, according to the ID strategy of the model\nconst { validateId, validateIds } = createIdValidators('").concat(c,"');\n\n// Define route handlers\n/**\n * @route POST /api/v1/").concat(o,"/create-").concat(o,"\n * @description Create a new ").concat(o,"\n * @access Private - ['").concat(o,":create']\n * @param {function} controller - ['create").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(S,"]\n * @param {function} validation - ['validateCreate").concat(c,"']\n */\nrouter.post(\"/create-").concat(o,"\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":create'), ").concat(R,"validateCreate").concat(c,", create").concat(c,");\n\n/**\n * @route POST /api/v1/").concat(o,"/create-").concat(o,"/many\n * @description Create multiple ").concat(o,"s, all or nothing (?mode=atomic, default) or item by item (?mode=partial)\n * @access Private - ['").concat(o,":create']\n * @param {function} controller - ['createMany").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(S,"]\n * @param {function} validation - ['validateBulkMode', 'validateCreateMany").concat(c,"']\n */\nrouter.post(\"/create-").concat(o,"/many\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":create'), ").concat(R,"validateBulkMode, validateCreateMany").concat(c,", createMany").concat(c,");\n\n/**\n * @route PATCH /api/v1/").concat(o,"/update-").concat(o,"/many\n * @description Update multiple ").concat(o,"s information, all or nothing (?mode=atomic, default) or item by item (?mode=partial)\n * @access Private - ['").concat(o,":update']\n * @param {function} controller - ['updateMany").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(S,"]\n * @param {function} validation - ['validateBulkMode', 'validateUpdateMany").concat(c,"']\n */\nrouter.patch(\"/update-").concat(o,"/many\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":update'), ").concat(R,"validateBulkMode, validateUpdateMany").concat(c,", updateMany").concat(c,");\n\n/**\n * @route PATCH /api/v1/").concat(o,"/update-").concat(o,"/:id\n * @description Update ").concat(o," information\n * @param {string} id - The ID of the ").concat(o," to update\n * @access Private - ['").concat(o,":update']\n * @param {function} controller - ['update").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(S,"]\n * @param {function} validation - ['validateId', 'validateUpdate").concat(c,"']\n */\nrouter.patch(\"/update-").concat(o,"/:id\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":update'), ").concat(R,"validateId, validateUpdate").concat(c,", update").concat(c,");\n\n/**\n * @route DELETE /api/v1/").concat(o,"/delete-").concat(o,"/many\n * @description Delete multiple ").concat(o,"s, all or nothing (?mode=atomic, default) or item by item (?mode=partial)\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['deleteMany").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateBulkMode', 'validateIds']\n */\nrouter.delete(\"/delete-").concat(o,"/many\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":delete'), validateBulkMode, validateIds, deleteMany").concat(c,");\n\n/**\n * @route DELETE /api/v1/").concat(o,"/delete-").concat(o,"/:id\n * @description Delete a ").concat(o,"\n * @param {string} id - The ID of the ").concat(o," to delete\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['delete").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateId']\n */\nrouter.delete(\"/delete-").concat(o,"/:id\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":delete'), validateId, delete").concat(c,");\n\n").concat(y?"/**\n * @route PATCH /api/v1/".concat(o,"/restore-").concat(o,"/many\n * @description Restore multiple ").concat(o,"s from the trash\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['restoreMany").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateIds']\n */\nrouter.patch(\"/restore-").concat(o,"/many\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":delete'), validateIds, restoreMany").concat(c,");\n\n/**\n * @route PATCH /api/v1/").concat(o,"/restore-").concat(o,"/:id\n * @description Restore a ").concat(o," from the trash\n * @param {string} id - The ID of the ").concat(o," to restore\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['restore").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateId']\n */\nrouter.patch(\"/restore-").concat(o,"/:id\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":delete'), validateId, restore").concat(c,");\n\n/**\n * @route DELETE /api/v1/").concat(o,"/purge-").concat(o,"/:id\n * @description Permanently delete a ").concat(o," from the trash\n * @param {string} id - The ID of the ").concat(o," to purge\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['purge").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateId']\n */\nrouter.delete(\"/purge-").concat(o,"/:id\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(o,":delete'), validateId, purge").concat(c,");\n\n/**\n * @route GET /api/v1/").concat(o,"/get-").concat(o,"/trash\n * @description Get the ").concat(o,"s in the trash\n * @access Private - ['").concat(o,":delete']\n * @param {function} controller - ['getTrash").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(T,"]\n * @param {function} validation - ['validateSearchQueries']\n */\nrouter.get(\"/get-").concat(o,"/trash\", isAuthorized, rateLimitPolicy('read'), authorize('").concat(o,":delete'), validateSearchQueries, ").concat(E,"getTrash").concat(c,");\n\n"):"","/**\n * @route GETapi/v1/").concat(o,"/get-").concat(o,"/many\n * @description Get multiple ").concat(o,"s\n * @access Private - ['").concat(o,":read']\n * @param {function} controller - ['getMany").concat(c,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(T,"]\n * @param {function} validation - ['validateSearchQueries']\n */\nrouter.get(\"/get-").concat(o,"/many\", isAuthorized, rateLimitPolicy('read'), authorize('").concat(o,":read'), validateSearchQueries, ").concat(E,"getMany").concat(c,");\n\n/**\n * @route GET /api/v1/").concat(o,"/get-").concat(o,"/:id\n * @description Get a ").concat(o," by ID\n * @param {string} id - The ID of the ").concat(o," to retrieve\n * @access Private - ['").concat(o,":read']\n * @param {function} controller - ['get").concat(c,"ById']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(T,"]\n * @param {function} validation - ['validateId']\n */\nrouter.get(\"/get-").concat(o,"/:id\", isAuthorized, rateLimitPolicy('read'), authorize('").concat(o,":read'), validateId, ").concat(E,"get").concat(c,"ById);\n\n// Export the router\nmodule.exports = router;\n    "),P=path.join(I,"".concat(o,".route.ts")),D=path.join(rootDir,"src","modules",o),N="\nimport { Request, Response } from 'express';\nimport { ".concat(r,"Services } from './").concat(o,".service';\nimport { ").concat(r,"ListQueryOptions } from './").concat(o,".validation';\nimport { BulkMode, sendBulkResponse } from '../../helpers/bulk/bulk-operation';\nimport { parseListQuery } from '../../helpers/list-query/list-query';\nimport ServerResponse from '../../helpers/responses/custom-response';\nimport catchAsync from '../../utils/catch-async/catch-async';\n\n/**\n * Controller function to handle the creation of a single ").concat(c,".\n *\n * @param {Request} req - The request object containing ").concat(o," data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const create").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to create a new ").concat(o," and get the result\n  const result = await ").concat(r,"Services.create").concat(c,"(req.body);\n  // Send a success response with the created ").concat(o," data\n  ServerResponse(res, true, 201, '").concat(c," created successfully', result);\n});\n\n/**\n * Controller function to handle the creation of multiple ").concat(o,"s.\n *\n * @param {Request} req - The request object containing an array of ").concat(o," data in the body and the bulk mode in the query.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const createMany").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to create multiple ").concat(r,"s in the requested bulk mode and get the result\n  const result = await ").concat(r,"Services.createMany").concat(c,"(req.body, req.query.mode as BulkMode);\n  // Send the result of each creation\n  sendBulkResponse(res, result, 201, '").concat(c,"s created successfully');\n});\n\n/**\n * Controller function to handle the update operation for a single ").concat(o,".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(o," to update in URL parameters and the updated data in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const update").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(v,"\n  // Call the service method to update the ").concat(o," by ID and get the result\n  const result = await ").concat(r,"Services.update").concat(c,"(id, req.body);\n  // Send a success response with the updated ").concat(o," data\n  ServerResponse(res, true, 200, '").concat(c," updated successfully', result);\n});\n\n/**\n * Controller function to handle the update operation for multiple ").concat(o,"s.\n *\n * @param {Request} req - The request object containing an array of ").concat(o," IDs with their updates in the body and the bulk mode in the query.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const updateMany").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to update multiple ").concat(o,"s in the requested bulk mode and get the result\n  const result = await ").concat(r,"Services.updateMany").concat(c,"(req.body, req.query.mode as BulkMode);\n  // Send the result of each update\n  sendBulkResponse(res, result, 200, '").concat(c,"s updated successfully');\n});\n\n/**\n * Controller function to handle the deletion of a single ").concat(o,".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(o," to delete in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const delete").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(v,"\n  // Call the service method to delete the ").concat(o," by ID\n  await ").concat(r,"Services.delete").concat(c,"(id);\n  // Send a success response confirming the deletion\n  ServerResponse(res, true, 200, '").concat(c," deleted successfully');\n});\n\n/**\n * Controller function to handle the deletion of multiple ").concat(o,"s.\n *\n * @param {Request} req - The request object containing an array of IDs of ").concat(o," to delete in the body and the bulk mode in the query.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const deleteMany").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to delete multiple ").concat(o,"s in the requested bulk mode and get the result\n  const result = await ").concat(r,"Services.deleteMany").concat(c,"(req.body.ids, req.query.mode as BulkMode);\n  // Send the result of each deletion\n  sendBulkResponse(res, result, 200, '").concat(c,"s deleted successfully');\n});\n\n").concat(y?"/**\n * Controller function to handle the restoration of a single ".concat(o," from the trash.\n *\n * @param {Request} req - The request object containing the ID of the ").concat(o," to restore in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const restore").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(v,"\n  // Call the service method to restore the ").concat(o," by ID and get the result\n  const result = await ").concat(r,"Services.restore").concat(c,"(id);\n  // Send a success response with the restored ").concat(o," data\n  ServerResponse(res, true, 200, '").concat(c," restored successfully', result);\n});\n\n/**\n * Controller function to handle the restoration of multiple ").concat(o,"s from the trash.\n *\n * @param {Request} req - The request object containing an array of IDs of ").concat(o,"s to restore in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const restoreMany").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Call the service method to restore multiple ").concat(o,"s and get the result\n  const result = await ").concat(r,"Services.restoreMany").concat(c,"(req.body.ids);\n  // Send a success response with the number of restored ").concat(o,"s\n  ServerResponse(res, true, 200, '").concat(c,"s restored successfully', result);\n});\n\n/**\n * Controller function to handle the permanent deletion of a single ").concat(o," from the trash.\n *\n * @param {Request} req - The request object containing the ID of the ").concat(o," to purge in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const purge").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(v,"\n  // Call the service method to permanently delete the ").concat(o," by ID\n  await ").concat(r,"Services.purge").concat(c,"(id);\n  // Send a success response confirming the permanent deletion\n  ServerResponse(res, true, 200, '").concat(c," permanently deleted successfully');\n});\n\n"):"","/**\n * Controller function to handle the retrieval of a single ").concat(o," by ID.\n *\n * @param {Request} req - The request object containing the ID of the ").concat(o," to retrieve in URL parameters.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const get").concat(c,"ById = catchAsync(async (req: Request, res: Response) => {\n  ").concat(v,"\n  // Call the service method to get the ").concat(o," by ID and get the result\n  const result = await ").concat(r,"Services.get").concat(c,"ById(id);\n  // Send a success response with the retrieved ").concat(o," data\n  ServerResponse(res, true, 200, '").concat(c," retrieved successfully', result);\n});\n\n/**\n * Controller function to handle the retrieval of multiple ").concat(o,"s.\n *\n * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const getMany").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Parse the query parameters against the ").concat(o," whitelist\n  const listQuery = parseListQuery(req.query, ").concat(r,"ListQueryOptions);\n  // Call the service method to get multiple ").concat(o,"s based on the list query and get the result\n  const { ").concat(r,"s, totalData, totalPages, nextCursor } = await ").concat(r,"Services.getMany").concat(c,"(listQuery);\n  // Send a success response with the retrieved ").concat(o,"s data\n  ServerResponse(res, true, 200, '").concat(c,"s retrieved successfully', { ").concat(r,"s, totalData, totalPages, nextCursor });\n});").concat(y?"\n\n/**\n * Controller function to handle the retrieval of the ".concat(o,"s in the trash.\n *\n * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const getTrash").concat(c," = catchAsync(async (req: Request, res: Response) => {\n  // Parse the query parameters against the ").concat(o," whitelist\n  const listQuery = parseListQuery(req.query, ").concat(r,"ListQueryOptions);\n  // Call the service method to get the trashed ").concat(o,"s based on the list query and get the result\n  const { ").concat(r,"s, totalData, totalPages, nextCursor } = await ").concat(r,"Services.getTrash").concat(c,"(listQuery);\n  // Send a success response with the trashed ").concat(o,"s data\n  ServerResponse(res, true, 200, 'Trashed ").concat(o,"s retrieved successfully', { ").concat(r,"s, totalData, totalPages, nextCursor });\n});"):"","\n    "),C=path.join(D,"".concat(o,".controller.ts")),x=path.join(rootDir,"src","modules",o),z="\n".concat(u,"import { NextFunction, Request, Response } from 'express';\nimport { z } from 'zod';\nimport zodErrorHandler from '../../handlers/zod-error-handler';\nimport { ListQueryOptions } from '../../helpers/list-query/list-query';\nimport { registerRequestSchemas } from '../../helpers/openapi/request-schema';\nimport { getIdSchema } from '../../helpers/prisma/id-strategy';\n\n/**\n * Zod schema for validating ").concat(r," data during creation.\n */\nconst zodCreate").concat(c,"Schema = z.object({\n").concat(m,"\n}).strict();\n\n/**\n * Middleware function to validate ").concat(r," creation data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateCreate").concat(c," = (req: Request, res: Response, next: NextFunction) => {\n  // Validate the request body for creating a new ").concat(r,"\n  const parseResult = zodCreate").concat(c,"Schema.safeParse(req.body);\n\n  // If validation fails, send an error response using the Zod error handler\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n\n  // Replace the body with the parsed data (applies defaults and coercions)\n  req.body = parseResult.data;\n\n  // If validation passes, proceed to the next middleware function\n  return next();\n};\n\nregisterRequestSchemas(validateCreate").concat(c,", { body: zodCreate").concat(c,"Schema });\n\n/**\n * Zod schema for validating multiple ").concat(r," data during creation.\n */\nconst zodCreateMany").concat(c,"Schema = z.array(zodCreate").concat(c,"Schema).min(1, 'At least one ").concat(r," must be provided.');\n\n/**\n * Middleware function to validate multiple ").concat(r," creation data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateCreateMany").concat(c," = (req: Request, res: Response, next: NextFunction) => {\n  const parseResult = zodCreateMany").concat(c,"Schema.safeParse(req.body);\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n  req.body = parseResult.data;\n  return next();\n};\n\nregisterRequestSchemas(validateCreateMany").concat(c,", { body: zodCreateMany").concat(c,"Schema });\n\n/**\n * Zod schema for validating ").concat(r," data during updates.\n */\nconst zodUpdate").concat(c,"Schema = z.object({\n").concat(p,"\n}).strict();\n\n/**\n * Middleware function to validate ").concat(r," update data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateUpdate").concat(c," = (req: Request, res: Response, next: NextFunction) => {\n  // Validate the request body for updating an existing ").concat(r,"\n  const parseResult = zodUpdate").concat(c,"Schema.safeParse(req.body);\n\n  // If validation fails, send an error response using the Zod error handler\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n\n  // Replace the body with the parsed data (applies defaults and coercions)\n  req.body = parseResult.data;\n\n  // If validation passes, proceed to the next middleware function\n  return next();\n};\n\nregisterRequestSchemas(validateUpdate").concat(c,", { body: zodUpdate").concat(c,"Schema });\n\n/**\n * Zod schema for validating multiple ").concat(r," data during updates: the ID of each ").concat(r," with its updates.\n */\nconst zodUpdateMany").concat(c,"Schema = z.array(z.object({\n  id: getIdSchema('").concat(c,"'),\n  updates: zodUpdate").concat(c,"Schema,\n}).strict()).min(1, 'At least one ").concat(r," must be provided.');\n\n\n/**\n * Middleware function to validate multiple ").concat(r," update data using Zod schema.\n * @param {Request} req - The request object.\n * @param {Response} res - The response object.\n * @param {NextFunction} next - The next middleware function.\n * @returns {void}\n */\nexport const validateUpdateMany").concat(c," = (req: Request, res: Response, next: NextFunction) => {\n  const parseResult = zodUpdateMany").concat(c,"Schema.safeParse(req.body);\n  if (!parseResult.success) {\n    return zodErrorHandler(req, res, parseResult.error);\n  }\n  req.body = parseResult.data;\n  return next();\n};\n\nregisterRequestSchemas(validateUpdateMany").concat(c,", { body: zodUpdateMany").concat(c,"Schema });\n\n/**\n * Whitelist of the ").concat(r," fields that can be used to filter, search, sort and select in list queries.\n */\nexport const ").concat(r,"ListQueryOptions: ListQueryOptions = {\n").concat(h,"\n};\n    "),_=path.join(x,"".concat(o,".validation.ts")),L=path.join(rootDir,"src","modules",o),M="\nimport { Prisma } from '@prisma/client';\nimport { BulkMode, runBulk } from '../../helpers/bulk/bulk-operation';\nimport { NotFoundError } from '../../helpers/errors/app-error';\nimport { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';\n\n// Import the Prisma Client instance\nimport { prismaClient } from '../../helpers/prisma/prisma-client';\n\n/**\n * Fields of a ".concat(r," returned by the API (sensitive fields are omitted).\n */\nconst ").concat(r,"Select = {\n").concat(f,"\n} satisfies Prisma.").concat(c,"Select;\n\n/**\n * Service function to create a new ").concat(r,".\n *\n * @param data - The data to create a new ").concat(r,".\n * @returns {Promise<").concat(c,">} - The created ").concat(r,".\n */\nconst create").concat(c," = async (data: Prisma.").concat(c,"CreateInput) => {\n  return await prismaClient.").concat(r,".create({ data, select: ").concat(r,"Select });\n};\n\n/**\n * Service function to create multiple ").concat(r,".\n *\n * @param data - An array of data to create multiple ").concat(r,".\n * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).\n * @returns {Promise<BulkResult<").concat(c,">>} - The result of each creation, with the created ").concat(r,".\n */\nconst createMany").concat(c," = async (data: Prisma.").concat(c,"CreateInput[], mode: BulkMode) => {\n  return await runBulk(\n    data,\n    mode,\n    (item, db) => db.").concat(r,".create({ data: item, select: ").concat(r,"Select }),\n    (_item, ").concat(r,") => ").concat(r,"?.id ?? null\n  );\n};\n\n/**\n * Service function to update a single ").concat(r," by ID.\n *\n * @param id - The ID of the ").concat(r," to update.\n * @param data - The updated data for the ").concat(r,".\n * @returns {Promise<").concat(c,">} - The updated ").concat(r,".\n */\nconst update").concat(c," = async (id: ").concat(g,", data: Prisma.").concat(c,"UpdateInput) => {\n  return await prismaClient.").concat(r,".update({\n    where: { id },\n    data,\n    select: ").concat(r,"Select,\n  });\n};\n\n/**\n * Service function to update multiple ").concat(r,".\n *\n * @param data - An array of IDs of ").concat(r," with their updated data.\n * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).\n * @returns {Promise<BulkResult<").concat(c,">>} - The result of each update, with the updated ").concat(r,".\n */\nconst updateMany").concat(c," = async (\n  data: { id: ").concat(g,"; updates: Prisma.").concat(c,"UpdateInput }[],\n  mode: BulkMode\n) => {\n  return await runBulk(\n    data,\n    mode,\n    ({ id, updates }, db) => db.").concat(r,".update({ where: { id }, data: updates, select: ").concat(r,"Select }),\n    ({ id }) => id\n  );\n};\n\n/**\n * Service function to delete a single ").concat(r," by ID.").concat(y?"\n * ".concat(c,"s are soft deleted: the row is kept in the trash until it is purged."):"","\n *\n * @param id - The ID of the ").concat(r," to delete.\n * @returns {Promise<").concat(c,">} - The deleted ").concat(r,".\n */\nconst delete").concat(c," = async (id: ").concat(g,") => {\n  return await prismaClient.").concat(r,".delete({\n    where: { id },\n  });\n};\n\n/**\n * Service function to delete multiple ").concat(r,".").concat(y?"\n * ".concat(c,"s are soft deleted: the rows are kept in the trash until they are purged."):"","\n *\n * @param ids - An array of IDs of ").concat(r," to delete.\n * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).\n * @returns {Promise<BulkResult<").concat(c,">>} - The result of each deletion, with the deleted ").concat(r,".\n */\nconst deleteMany").concat(c," = async (ids: ").concat(g,"[], mode: BulkMode) => {\n  return await runBulk(\n    ids,\n    mode,\n    (id, db) => db.").concat(r,".delete({ where: { id }, select: ").concat(r,"Select }),\n    (id) => id\n  );\n};\n\n").concat(y?"/**\n * Service function to restore a single ".concat(r," from the trash.\n *\n * @param id - The ID of the trashed ").concat(r," to restore.\n * @returns {Promise<").concat(c,">} - The restored ").concat(r,".\n */\nconst restore").concat(c," = async (id: ").concat(g,") => {\n  return await prismaClient.").concat(r,".update({\n    where: { id, deletedAt: { not: null } },\n    data: { deletedAt: null },\n    select: ").concat(r,"Select,\n  });\n};\n\n/**\n * Service function to restore multiple ").concat(r,"s from the trash.\n *\n * @param ids - An array of IDs of trashed ").concat(r,"s to restore.\n * @returns {Promise<{ count: number }>} - The number of restored ").concat(r,"s.\n */\nconst restoreMany").concat(c," = async (ids: ").concat(g,"[]) => {\n  return await prismaClient.").concat(r,".updateMany({\n    where: { id: { in: ids }, deletedAt: { not: null } },\n    data: { deletedAt: null },\n  });\n};\n\n/**\n * Service function to permanently delete a single ").concat(r," from the trash.\n *\n * @param id - The ID of the trashed ").concat(r," to purge.\n * @returns {Promise<").concat(c,">} - The purged ").concat(r,".\n */\nconst purge").concat(c," = async (id: ").concat(g,") => {\n  return await prismaClient.").concat(r,".delete({\n    where: { id, deletedAt: { not: null } },\n    select: ").concat(r,"Select,\n  });\n};\n\n"):"","/**\n * Service function to retrieve a single ").concat(r," by ID.\n *\n * @param id - The ID of the ").concat(r," to retrieve.\n * @returns {Promise<").concat(c,">} - The retrieved ").concat(r,".\n * @throws {NotFoundError} - If no ").concat(r," exists with the given ID.\n */\nconst get").concat(c,"ById = async (id: ").concat(g,") => {\n  const ").concat(r," = await prismaClient.").concat(r,".findUnique({\n    where: { id },\n    select: ").concat(r,"Select,\n  });\n  if (!").concat(r,") {\n    throw new NotFoundError('").concat(c," not found');\n  }\n  return ").concat(r,";\n};\n\n/**\n * Service function to retrieve multiple ").concat(r,"s based on a parsed list query.\n *\n * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).\n * @returns {Promise<{ ").concat(r,"s: Partial<").concat(c,">[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved ").concat(r,"s, total count, total pages and the cursor of the next page.\n */\nconst getMany").concat(c," = async (listQuery: ListQuery) => {\n  const where = listQuery.where as Prisma.").concat(c,"WhereInput;\n\n  // Find the total count of matching ").concat(r,"s\n  const totalData = await prismaClient.").concat(r,".count({ where });\n\n  // Find ").concat(r,"s based on the list query with pagination\n  const ").concat(r,"s = await prismaClient.").concat(r,".findMany({\n    where,\n    orderBy: listQuery.orderBy as Prisma.").concat(c,"OrderByWithRelationInput[],\n    select: listQuery.select as Prisma.").concat(c,"Select,\n    cursor: listQuery.cursor as Prisma.").concat(c,"WhereUniqueInput | undefined,\n    skip: listQuery.skip,\n    take: listQuery.take,\n  });\n\n  // Build the pagination metadata\n  const { items, ...pagination } = toListQueryPage(").concat(r,"s, totalData, listQuery);\n\n  return { ").concat(r,"s: items, ...pagination };\n};\n\n").concat(y?"/**\n * Service function to retrieve the ".concat(r,"s in the trash based on a parsed list query.\n *\n * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).\n * @returns {Promise<{ ").concat(r,"s: Partial<").concat(c,">[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The trashed ").concat(r,"s, total count, total pages and the cursor of the next page.\n */\nconst getTrash").concat(c," = async (listQuery: ListQuery) => {\n  const where = { ...listQuery.where, deletedAt: { not: null } } as Prisma.").concat(c,"WhereInput;\n\n  // Find the total count of matching trashed ").concat(r,"s\n  const totalData = await prismaClient.").concat(r,".count({ where });\n\n  // Find trashed ").concat(r,"s based on the list query with pagination\n  const ").concat(r,"s = await prismaClient.").concat(r,".findMany({\n    where,\n    orderBy: listQuery.orderBy as Prisma.").concat(c,"OrderByWithRelationInput[],\n    select: { ...listQuery.select, deletedAt: true } as Prisma.").concat(c,"Select,\n    cursor: listQuery.cursor as Prisma.").concat(c,"WhereUniqueInput | undefined,\n    skip: listQuery.skip,\n    take: listQuery.take,\n  });\n\n  // Build the pagination metadata\n  const { items, ...pagination } = toListQueryPage(").concat(r,"s, totalData, listQuery);\n\n  return { ").concat(r,"s: items, ...pagination };\n};\n\n"):"","export const ").concat(r,"Services = {\n  create").concat(c,",\n  createMany").concat(c,",\n  update").concat(c,",\n  updateMany").concat(c,",\n  delete").concat(c,",\n  deleteMany").concat(c,",").concat(y?"\n  restore".concat(c,",\n  restoreMany").concat(c,",\n  purge").concat(c,","):"","\n  get").concat(c,"ById,\n  getMany").concat(c,",").concat(y?"\n  getTrash".concat(c,","):"","\n};\n    "),j=path.join(L,"".concat(o,".service.ts")),k=[[C,N],[P,A],[j,M],[_,z]],i&&(B=fs.readFileSync(schemaPath,"utf8").replace(/\s*$/,""),writeFile(schemaPath,B+i,n)),Q=k.filter(function(e){var t=_slicedToArray(e,1)[0];return!fs.existsSync(t)}),F=Q,!n.force){e.n=1;break}F=k,e.n=14;break;case 1:if(0!==Q.length){e.n=2;break}console.log("".concat(RED).concat(c," module already exists.").concat(RESET," Use --force to overwrite its files.")),e.n=14;break;case 2:if(!(Q.length<k.length)){e.n=14;break}if(console.log("".concat(GREEN).concat(c," ").concat(RESET,"module exists, but some files are missing:")),Q.forEach(function(e,t){var n=_slicedToArray(e,1)[0];return console.log("".concat(GREEN).concat(t+1,". ").concat(path.basename(n)).concat(RESET))}),!isInteractive(n)){e.n=13;break}return e.n=3,askQuestion("".concat(BLUE,"Do you want to create missing files one by one (Yes/Y) or all at once (Create/C)?").concat(RESET," Enter (Yes/Y) or (Create/C): "));case 3:if("yes"!==(U=e.v)&&"y"!==U){e.n=12;break}F=[],O=_createForOfIteratorHelper(Q),e.p=4,O.s();case 5:if((G=O.n()).done){e.n=8;break}return W=G.value,e.n=6,askQuestion("".concat(BLUE,"Do you want to create ").concat(GREEN).concat(path.basename(W[0]),"?").concat(RESET," (yes/no) "));case 6:"yes"!==(H=e.v)&&"y"!==H||F.push(W);case 7:e.n=5;break;case 8:e.n=10;break;case 9:e.p=9,Z=e.v,O.e(Z);case 10:return e.p=10,O.f(),e.f(10);case 11:e.n=13;break;case 12:"create"!==U&&"c"!==U&&(console.log("".concat(RED,"Invalid option. No files will be created.").concat(RESET)),F=[]);case 13:k.filter(function(e){return!Q.includes(e)}).forEach(function(e){return logChange("SKIP",_slicedToArray(e,1)[0])});case 14:F.forEach(function(e){var t=_slicedToArray(e,2);return writeFile(t[0],t[1].trim(),n)}),i&&console.log("\n".concat(BLUE,"Next steps:").concat(RESET,"\n  1. Add the fields of the ").concat(s.toLowerCase()," to the ").concat(c," model in prisma/schema.prisma\n  2. Run npx prisma migrate dev to create its table\n  3. Run this command again with --force to regenerate the module from the model")),n.dryRun&&console.log("".concat(BLUE,"Dry run: no files were written.").concat(RESET));case 15:return e.a(2)}},e,null,[[4,9,10,11]])}));return function(t,n){return e.apply(this,arguments)}}()),program.parse([].concat(_toConsumableArray(process.argv.slice(0,2)),_toConsumableArray(args)));else if("resource:remove"===command)program.version("1.0.0").description("Delete the files of a resource module, and optionally its Prisma model").argument("<name>","Resource name, e.g. blog-post or BlogPost").option("--model","Also remove the model of the resource from prisma/schema.prisma").option("--dry-run","Print the changes without deleting any file").option("--force","Delete the module even if other files import it").option("--yes","Never prompt for confirmation").action(function(){var e=_asyncToGenerator(_regenerator().m(function e(t,n){var a,o,r,c,s,i,d,l,u,m;return _regenerator().w(function(e){for(;;)switch(e.n){case 0:if((a=toResourceNames(t))||(console.log("".concat(RED,"Invalid resource name ").concat(t,", use letters, digits and hyphens, e.g. blog-post.").concat(RESET)),process.exit(1)),o=a.moduleName,r=a.resourceName,c=a.capitalizedResourceName,s=path.join(rootDir,"src","modules",o),fs.existsSync(s)||(console.log("".concat(RED,"Module ").concat(o," not found.").concat(RESET)),process.exit(1)),(i=findModuleImporters(s)).length&&!n.force&&(console.log("".concat(RED).concat(c," module is imported by:").concat(RESET)),i.forEach(function(e){return console.log("  ".concat(formatPath(e)))}),console.log("Remove these imports first, or use --force to delete the module anyway."),process.exit(1)),d=findPrismaModel(r),n.model&&d&&(l=Object.keys(d.models).filter(function(e){return e!==d.name&&d.models[e].some(function(e){return e.type===d.name})})).length&&(console.log("".concat(RED,"Model ").concat(d.name," is referenced by ").concat(l.join(", "),".").concat(RESET," Remove these relations from prisma/schema.prisma first.")),process.exit(1)),n.yes||n.force||n.dryRun){e.n=2;break}return isInteractive(n)||(console.log("".concat(RED,"Not deleting ").concat(formatPath(s)," without confirmation, use --yes.").concat(RESET)),process.exit(1)),e.n=1,askQuestion("".concat(BLUE,"Do you want to delete ").concat(GREEN).concat(formatPath(s)).concat(n.model&&d?" and the ".concat(d.name," model"):"","?").concat(RESET," (yes/no) "));case 1:if("yes"===(u=e.v)||"y"===u){e.n=2;break}return console.log("".concat(RED,"No files were deleted.").concat(RESET)),e.a(2);case 2:listFiles(s).forEach(function(e){return logChange("DELETE",e)}),n.dryRun||fs.rmSync(s,{recursive:!0,force:!0}),n.model&&d?(writeFile(schemaPath,removeModelBlock(fs.readFileSync(schemaPath,"utf8"),a),n),console.log("".concat(BLUE,"Run npx prisma migrate dev to drop its table.").concat(RESET))):n.model?console.log("".concat(RED,"Model ").concat(c," not found in prisma/schema.prisma.").concat(RESET)):d&&console.log("".concat(BLUE,"The ").concat(d.name," model is kept in prisma/schema.prisma, use --model to remove it.").concat(RESET)),m=path.join(rootDir,"src","config","permissions.ts"),fs.existsSync(m)&&fs.readFileSync(m,"utf8").includes("'".concat(o,":"))&&console.log("".concat(BLUE,"Remove the ").concat(o," permissions from ").concat(formatPath(m),".").concat(RESET)),n.dryRun&&console.log("".concat(BLUE,"Dry run: no files were deleted.").concat(RESET));case 3:return e.a(2)}},e)}));return function(t,n){return e.apply(this,arguments)}}()),program.parse([].concat(_toConsumableArray(process.argv.slice(0,2)),_toConsumableArray(args)));else if("relation"===command)program.version("1.0.0").description("Generate nested routes listing, connecting and disconnecting the related records of a resource").argument("<parent>","Resource owning the relation, e.g. user").argument("<field>","List relation field of its Prisma model, e.g. files").option("--cache","Cache the responses of the listing route when WEB_CACHE is enabled").option("--dry-run","Print the changes without writing any file").option("--force","Overwrite the files of the relation if they exist").option("--yes","Never prompt: create the missing files and keep the existing ones").action(function(e,t,n){var a=toResourceNames(e),o=a&&findPrismaModel(a.resourceName);o||(console.log("".concat(RED,"Model ").concat(e," not found in prisma/schema.prisma.").concat(RESET)),process.exit(1));var r=o.fields.find(function(e){return e.name===t});r&&r.isList&&o.models[r.type]||(console.log("".concat(RED).concat(o.name,".").concat(t," is not a list relation field, e.g. posts Post[].").concat(RESET)),process.exit(1));var c=toResourceNames(r.type),s=o.models[r.type].find(function(e){return e!==r&&e.type===o.name&&e.relationName===r.relationName});s||(console.log("".concat(RED,"Back relation of ").concat(o.name,".").concat(t," not found in model ").concat(r.type,".").concat(RESET)),process.exit(1));var i=s.isList,d=i||s.isOptional,l=path.join(rootDir,"src","modules",a.moduleName),u=path.join(rootDir,"src","modules",c.moduleName,"".concat(c.moduleName,".validation.ts"));fs.existsSync(l)||(console.log("".concat(RED,"Module ").concat(a.moduleName," not found, generate it with: resource ").concat(a.moduleName).concat(RESET)),process.exit(1)),fs.existsSync(u)&&fs.readFileSync(u,"utf8").includes("".concat(c.resourceName,"ListQueryOptions"))||(console.log("".concat(RED).concat(c.resourceName,"ListQueryOptions not found, generate the module with: resource ").concat(c.moduleName).concat(RESET)),process.exit(1));var m=buildModelMeta(a.resourceName),p=buildModelMeta(c.resourceName),h=toWords(t),f=h.join("-"),y=capitalize(h.join(" ")),g="".concat(a.moduleName,"-").concat(f),v="".concat(a.capitalizedResourceName).concat(capitalize(t)),b="".concat(a.resourceName).concat(capitalize(t),"Services"),R="".concat(c.resourceName,"Id"),S="number"===m.idType?"const id = Number(req.params.id);":"const { id } = req.params;",w=n.cache?"cacheResponse({ tags: ['".concat(c.moduleName,"'] }), "):"",E=n.cache?", 'cacheResponse'":"",T=p.softDelete?"{ ...listQuery.where, deletedAt: null }":"listQuery.where",q=p.softDelete?"{ id: ".concat(R,", deletedAt: null }"):"{ id: ".concat(R," }"),I=path.join(l,"".concat(g,".route.ts")),A="\n// Import Router from express\nimport { Router } from 'express';\n\n// Import controller from corresponding module\nimport { get".concat(v,", connect").concat(v).concat(d?", disconnect".concat(v):""," } from './").concat(g,".controller';\n\n//Import validation\nimport { createIdValidators, validateSearchQueries } from '../../handlers/common-zod-validator';\n\n//Import authentication, rate limiting").concat(n.cache?", authorization and caching":" and authorization"," middlewares\nimport isAuthorized from '../../middlewares/is-authorized';\nimport rateLimitPolicy from '../../middlewares/rate-limit';\nimport authorize from '../../middlewares/authorize';").concat(n.cache?"\nimport cacheResponse from '../../middlewares/response-cache';":"","\n\n// Initialize router\nconst router = Router();\n\n// Validators of the ").concat(a.moduleName," ID and of the ").concat(c.moduleName," IDs, according to the ID strategies of the models\nconst { validateId } = createIdValidators('").concat(o.name,"');\nconst { validateIds } = createIdValidators('").concat(r.type,"');\n\n// Define route handlers\n/**\n * @route GET /api/v1/").concat(a.moduleName,"/:id/").concat(f,"\n * @description Get the ").concat(t," of a ").concat(a.moduleName,"\n * @param {string} id - The ID of the ").concat(a.moduleName,"\n * @access Private - ['").concat(a.moduleName,":read', '").concat(c.moduleName,":read']\n * @param {function} controller - ['get").concat(v,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'").concat(E,"]\n * @param {function} validation - ['validateId', 'validateSearchQueries']\n */\nrouter.get(\"/:id/").concat(f,"\", isAuthorized, rateLimitPolicy('read'), authorize('").concat(a.moduleName,":read', '").concat(c.moduleName,":read'), validateId, validateSearchQueries, ").concat(w,"get").concat(v,");\n\n/**\n * @route PATCH /api/v1/").concat(a.moduleName,"/:id/").concat(f,"/connect\n * @description Connect ").concat(t," to a ").concat(a.moduleName,"\n * @param {string} id - The ID of the ").concat(a.moduleName,"\n * @access Private - ['").concat(a.moduleName,":update', '").concat(c.moduleName,":update']\n * @param {function} controller - ['connect").concat(v,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateId', 'validateIds']\n */\nrouter.patch(\"/:id/").concat(f,"/connect\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(a.moduleName,":update', '").concat(c.moduleName,":update'), validateId, validateIds, connect").concat(v,");\n").concat(d?"\n/**\n * @route PATCH /api/v1/".concat(a.moduleName,"/:id/").concat(f,"/disconnect\n * @description Disconnect ").concat(t," from a ").concat(a.moduleName,"\n * @param {string} id - The ID of the ").concat(a.moduleName,"\n * @access Private - ['").concat(a.moduleName,":update', '").concat(c.moduleName,":update']\n * @param {function} controller - ['disconnect").concat(v,"']\n * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']\n * @param {function} validation - ['validateId', 'validateIds']\n */\nrouter.patch(\"/:id/").concat(f,"/disconnect\", isAuthorized, rateLimitPolicy('write'), authorize('").concat(a.moduleName,":update', '").concat(c.moduleName,":update'), validateId, validateIds, disconnect").concat(v,");\n"):"","\n// Export the router\nmodule.exports = router;\n    "),P=[[path.join(l,"".concat(g,".controller.ts")),"\nimport { Request, Response } from 'express';\nimport { ".concat(b," } from './").concat(g,".service';\nimport { ").concat(c.resourceName,"ListQueryOptions } from '../").concat(c.moduleName,"/").concat(c.moduleName,".validation';\nimport { parseListQuery } from '../../helpers/list-query/list-query';\nimport ServerResponse from '../../helpers/responses/custom-response';\nimport catchAsync from '../../utils/catch-async/catch-async';\n\n/**\n * Controller function to handle the retrieval of the ").concat(t," of a ").concat(a.moduleName,".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(a.moduleName," in URL parameters and the list query in the query string.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const get").concat(v," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(S,"\n  // Parse the query parameters against the ").concat(c.moduleName," whitelist\n  const listQuery = parseListQuery(req.query, ").concat(c.resourceName,"ListQueryOptions);\n  // Call the service method to get the ").concat(t," of the ").concat(a.moduleName," based on the list query and get the result\n  const { ").concat(t,", totalData, totalPages, nextCursor } = await ").concat(b,".get").concat(v,"(id, listQuery);\n  // Send a success response with the retrieved ").concat(t," data\n  ServerResponse(res, true, 200, '").concat(y," retrieved successfully', { ").concat(t,", totalData, totalPages, nextCursor });\n});\n\n/**\n * Controller function to handle the connection of ").concat(t," to a ").concat(a.moduleName,".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(a.moduleName," in URL parameters and an array of IDs of ").concat(t," in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const connect").concat(v," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(S,"\n  // Call the service method to connect the ").concat(t," to the ").concat(a.moduleName," and get the result\n  const result = await ").concat(b,".connect").concat(v,"(id, req.body.ids);\n  // Send a success response with the IDs of the ").concat(t," of the ").concat(a.moduleName,"\n  ServerResponse(res, true, 200, '").concat(y," connected successfully', result);\n});\n").concat(d?"\n/**\n * Controller function to handle the disconnection of ".concat(t," from a ").concat(a.moduleName,".\n *\n * @param {Request} req - The request object containing the ID of the ").concat(a.moduleName," in URL parameters and an array of IDs of ").concat(t," in the body.\n * @param {Response} res - The response object used to send the response.\n * @returns {void}\n */\nexport const disconnect").concat(v," = catchAsync(async (req: Request, res: Response) => {\n  ").concat(S,"\n  // Call the service method to disconnect the ").concat(t," from the ").concat(a.moduleName," and get the result\n  const result = await ").concat(b,".disconnect").concat(v,"(id, req.body.ids);\n  // Send a success response with the IDs of the ").concat(t," left to the ").concat(a.moduleName,"\n  ServerResponse(res, true, 200, '").concat(y," disconnected successfully', result);\n});\n"):"")],[I,A],[path.join(l,"".concat(g,".service.ts")),"\nimport { Prisma } from '@prisma/client';\nimport { NotFoundError } from '../../helpers/errors/app-error';\nimport { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';\n\n// Import the Prisma Client instance\nimport { prismaClient } from '../../helpers/prisma/prisma-client';\n\n/**\n * Service function to retrieve the ".concat(t," of a ").concat(a.resourceName," based on a parsed list query.\n *\n * @param id - The ID of the ").concat(a.resourceName,".\n * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).\n * @returns {Promise<{ ").concat(t,": Partial<").concat(r.type,">[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved ").concat(t,", total count, total pages and the cursor of the next page.\n * @throws {NotFoundError} - If no ").concat(a.resourceName," exists with the given ID.\n */\nconst get").concat(v," = async (id: ").concat(m.idType,", listQuery: ListQuery) => {\n  const where = ").concat(T," as Prisma.").concat(r.type,"WhereInput;\n\n  // Find the ").concat(a.resourceName," with a page of its matching ").concat(t," and their total count\n  const ").concat(a.resourceName," = await prismaClient.").concat(a.resourceName,".findUnique({\n    where: { id },\n    select: {\n      ").concat(t,": {\n        where,\n        orderBy: listQuery.orderBy as Prisma.").concat(r.type,"OrderByWithRelationInput[],\n        select: listQuery.select as Prisma.").concat(r.type,"Select,\n        cursor: listQuery.cursor as Prisma.").concat(r.type,"WhereUniqueInput | undefined,\n        skip: listQuery.skip,\n        take: listQuery.take,\n      },\n      _count: { select: { ").concat(t,": { where } } },\n    },\n  });\n  if (!").concat(a.resourceName,") {\n    throw new NotFoundError('").concat(o.name," not found');\n  }\n\n  // Build the pagination metadata\n  const { items, ...pagination } = toListQueryPage(").concat(a.resourceName,".").concat(t,", ").concat(a.resourceName,"._count.").concat(t,", listQuery);\n\n  return { ").concat(t,": items, ...pagination };\n};\n\n/**\n * Service function to connect ").concat(t," to a ").concat(a.resourceName).concat(i?"":", moving them from the ".concat(a.resourceName," they belonged to"),".\n *\n * @param id - The ID of the ").concat(a.resourceName,".\n * @param ids - The IDs of the ").concat(t," to connect.\n * @returns {Promise<{ id: ").concat(m.idType,"; ").concat(t,": { id: ").concat(p.idType," }[] }>} - The ").concat(a.resourceName," with the IDs of its ").concat(t,".\n * @throws - If no ").concat(a.resourceName,", or no ").concat(c.resourceName," with one of the given IDs, exists (handled as 404).\n */\nconst connect").concat(v," = async (id: ").concat(m.idType,", ids: ").concat(p.idType,"[]) => {\n  return prismaClient.").concat(a.resourceName,".update({\n    where: { id },\n    data: { ").concat(t,": { connect: ids.map((").concat(R,") => (").concat(q,")) } },\n    select: { id: true, ").concat(t,": { select: { id: true } } },\n  });\n};\n").concat(d?"\n/**\n * Service function to disconnect ".concat(t," from a ").concat(a.resourceName).concat(i?"":", leaving them without a ".concat(a.resourceName),".\n *\n * @param id - The ID of the ").concat(a.resourceName,".\n * @param ids - The IDs of the ").concat(t," to disconnect.\n * @returns {Promise<{ id: ").concat(m.idType,"; ").concat(t,": { id: ").concat(p.idType," }[] }>} - The ").concat(a.resourceName," with the IDs of its remaining ").concat(t,".\n * @throws - If no ").concat(a.resourceName," exists with the given ID (handled as 404).\n */\nconst disconnect").concat(v," = async (id: ").concat(m.idType,", ids: ").concat(p.idType,"[]) => {\n  return prismaClient.").concat(a.resourceName,".update({\n    where: { id },\n    data: { ").concat(t,": { disconnect: ids.map((").concat(R,") => ({ id: ").concat(R," })) } },\n    select: { id: true, ").concat(t,": { select: { id: true } } },\n  });\n};\n"):"","\nexport const ").concat(b," = {\n  get").concat(v,",\n  connect").concat(v,",").concat(d?"\n  disconnect".concat(v,","):"","\n};\n")]],D=P.filter(function(e){var t=_slicedToArray(e,1)[0];return fs.existsSync(t)});D.length&&!n.force&&(D.forEach(function(e){return logChange("SKIP",_slicedToArray(e,1)[0])}),n.yes&&D.length!==P.length||console.log("".concat(RED).concat(v," relation already exists.").concat(RESET," Use --force to overwrite its files.")),n.yes||process.exit(1)),P.filter(function(e){return n.force||!D.includes(e)}).forEach(function(e){var t=_slicedToArray(e,2);return writeFile(t[0],t[1].trim(),n)}),d||console.log("".concat(BLUE).concat(r.type,".").concat(s.name," is required, so ").concat(t," can be connected to another ").concat(a.moduleName," but not disconnected.").concat(RESET)),n.dryRun&&console.log("".concat(BLUE,"Dry run: no files were written.").concat(RESET))}),program.parse([].concat(_toConsumableArray(process.argv.slice(0,2)),_toConsumableArray(args)));else if("openapi"===command)program.version("1.0.0").description("Write the OpenAPI document of the loaded routes to a file").argument("[output]","Output file (defaults to openapi.json)").action(function(){var e=path.resolve(process.cwd(),args[0]||"openapi.json");require("ts-node").register({transpileOnly:!0});var t=require(path.join(__dirname,"..","src","app")).routes,n=require(path.join(__dirname,"..","src","helpers","openapi","openapi-document")).buildOpenApiDocument,a=JSON.stringify(n(t),null,2);fs.mkdirSync(path.dirname(e),{recursive:!0}),fs.writeFileSync(e,a),console.log("".concat(GREEN,"CREATE ").concat(RESET).concat(path.relative(process.cwd(),e)," ").concat(BLUE,"(").concat(Buffer.byteLength(a,"utf8")," bytes)").concat(RESET))}),program.parse(process.argv);else if("seed"===command||"seed:reset"===command){var reset="seed:reset"===command;program.version("1.0.0").description(reset?"Empty every table of the database, then run a seed set":"Run a seed set, keeping the records already seeded").argument("[set]","Seed set: dev, demo or e2e (defaults to dev, or to none with --bootstrap)").option("--bootstrap","Create the initial SuperAdmin from SEED_SUPER_ADMIN_EMAIL and SEED_SUPER_ADMIN_PASSWORD").option("--force","Allow resetting or seeding the production database").action(function(){var e=_asyncToGenerator(_regenerator().m(function e(t,n){var a,o,r,c,s,i,d,l,u,m,p,h;return _regenerator().w(function(e){for(;;)switch(e.p=e.n){case 0:return require("ts-node").register({transpileOnly:!0}),a=require(path.join(__dirname,"..","src","helpers","seed","seed-sets")),o=a.runSeed,r=a.seedSets,c=require(path.join(__dirname,"..","src","helpers","prisma","prisma-client")),s=c.basePrismaClient,(i=t||(n.bootstrap?void 0:"dev"))&&!r[i]&&(console.log("".concat(RED,"Unknown seed set ").concat(i,", expected one of: ").concat(Object.keys(r).join(", "),".").concat(RESET)),process.exit(1)),e.p=1,e.n=2,o({set:i,reset:reset,bootstrap:n.bootstrap,force:n.force});case 2:d=e.v,l=d.tables,u=d.superAdmin,m=d.records,l&&console.log("".concat(GREEN,"RESET ").concat(RESET).concat(l.length," tables")),u&&console.log(u.created?"".concat(GREEN,"CREATE ").concat(RESET,"SuperAdmin ").concat(u.email):"".concat(BLUE,"SKIP ").concat(RESET,"SuperAdmin ").concat(u.email," already exists")),m&&(p=Object.entries(m).map(function(e){var t=_slicedToArray(e,2),n=t[0],a=t[1];return"".concat(a," ").concat(n)}),console.log("".concat(GREEN,"SEED ").concat(RESET).concat(i," ").concat(BLUE,"(").concat(p.join(", "),")").concat(RESET))),e.n=4;break;case 3:e.p=3,h=e.v,console.log("".concat(RED).concat(h.message).concat(RESET)),process.exitCode=1;case 4:return e.p=4,e.n=5,s.$disconnect();case 5:return e.f(4);case 6:return e.a(2)}},e,null,[[1,3,4,6]])}));return function(t,n){return e.apply(this,arguments)}}()),program.parse([].concat(_toConsumableArray(process.argv.slice(0,2)),_toConsumableArray(args)))}else console.error("Unknown command: ".concat(command)),process.exit(1);
@@ -13,26 +13,334 @@ const GREEN = '\x1b[32m'; // Green color
 const BLUE = '\x1b[34m'; // Blue color
 const RESET = '\x1b[0m'; // Reset color
 
-// Regular expression to check for special characters
-const specialCharRegex = /[0-9!@#$%^&*()_+{}\[\]:;"'<>,.?/~`|\-=\s]/g;
+// Root directory of the project
+const rootDir = path.join(__dirname, '..');
+
+// Path to the Prisma schema
+const schemaPath = path.join(rootDir, 'prisma', 'schema.prisma');
 
 // Helper function to capitalize the first letter of a string
 function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-// Helper function to convert string to camelCase after replacing unwanted characters with hyphens
-function toCamelCase(str) {
-  // Replace all non-alphabetic characters (except hyphens) with hyphens
-  const hyphenatedStr = str.replace(/[^a-zA-Z]+/g, '-').replace(/^-+|-+$/g, '');
-
-  // Convert hyphenated string to camelCase
-  return hyphenatedStr
-    .split('-') // Split the string by hyphens
-    .map((word, index) =>
-      index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-    )
-    .join(''); // Join all words together without hyphens
+// Helper function to split a name into lowercase words, at separators and camelCase boundaries
+function toWords(str) {
+  return str
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+// Helper function to derive the names of a resource from its name or the name of its Prisma model:
+// - moduleName (kebab-case): directory, files, routes and permissions, e.g. blog-post;
+// - resourceName (camelCase): variables and the Prisma delegate, e.g. blogPost;
+// - capitalizedResourceName (PascalCase): the Prisma model and types, e.g. BlogPost.
+function toResourceNames(name) {
+  // blog-post, blog_post, blogPost and BlogPost all name the model BlogPost when it exists
+  const model = findPrismaModel(toWords(name).join(''));
+  const words = toWords(model ? model.name : name);
+  if (!words.length || /^\d/.test(words[0])) return null;
+
+  return {
+    moduleName: words.join('-'),
+    resourceName: words.map((word, index) => (index === 0 ? word : capitalize(word))).join(''),
+    capitalizedResourceName: words.map(capitalize).join(''),
+    title: words.map(capitalize).join(' '),
+  };
+}
+
+// Helper function to format file paths relative to project root
+const formatPath = (filePath) => path.relative(rootDir, filePath);
+
+// Helper function to log a change to a file, e.g. CREATE src/modules/blog/blog.route.ts (1024 bytes)
+function logChange(action, filePath, content) {
+  const color = action === 'DELETE' || action === 'SKIP' ? RED : GREEN;
+  const size = content === undefined ? '' : ` ${BLUE}(${Buffer.byteLength(content, 'utf8')} bytes)${RESET}`;
+  console.log(`${color}${action} ${RESET}${formatPath(filePath)}${size}`);
+}
+
+// Helper function to write a file, unless it is a dry run
+function writeFile(filePath, content, options) {
+  const action = fs.existsSync(filePath) ? 'UPDATE' : 'CREATE';
+  if (!options.dryRun) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  logChange(action, filePath, content);
+}
+
+// Helper function to check if the command can prompt: in a terminal, without --yes, --force or --dry-run
+function isInteractive(options) {
+  return Boolean(process.stdin.isTTY) && !options.yes && !options.force && !options.dryRun;
+}
+
+// Function to ask questions in the command line
+function askQuestion(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+// Prisma scalar types and the list query field type each one maps to
+const PRISMA_SCALAR_TYPES = {
+  String: 'string',
+  Int: 'number',
+  BigInt: 'number',
+  Float: 'number',
+  Decimal: 'number',
+  Boolean: 'boolean',
+  DateTime: 'date',
+  Json: null,
+  Bytes: null,
+};
+
+// Field names that must never be returned, filtered, sorted or searched
+const sensitiveFieldRegex = /password|secret|token|hash|salt/i;
+
+// Field names managed by the database or the application instead of the client
+const managedFieldNames = ['createdAt', 'updatedAt', 'deletedAt'];
+
+// Helper function to parse a single field line of a Prisma model
+function parsePrismaField(line) {
+  const match = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+  if (!match) return null;
+
+  const [, name, type, list, optional, attributes] = match;
+  const defaultMatch = attributes.match(/@default\(((?:[^()]|\([^()]*\))*)\)/);
+  const relationFieldsMatch = attributes.match(/@relation\([^)]*fields:\s*\[([^\]]*)\]/);
+  const relationNameMatch = attributes.match(/@relation\(\s*(?:name:\s*)?"([^"]*)"/);
+
+  return {
+    name,
+    type,
+    isList: Boolean(list),
+    isOptional: Boolean(optional),
+    isId: /@id\b/.test(attributes),
+    isUnique: /@unique\b/.test(attributes),
+    isUpdatedAt: /@updatedAt\b/.test(attributes),
+    default: defaultMatch ? defaultMatch[1].trim() : undefined,
+    relationFields: relationFieldsMatch
+      ? relationFieldsMatch[1].split(',').map((field) => field.trim())
+      : [],
+    relationName: relationNameMatch ? relationNameMatch[1] : undefined,
+  };
+}
+
+// Helper function to parse the models and enums of a Prisma schema
+function parsePrismaSchema(schema) {
+  const models = {};
+  const enums = {};
+
+  // Strip comments (but not "//" inside strings such as URLs)
+  const source = schema.replace(/(^|\s)\/\/.*$/gm, '$1');
+  const blockRegex = /\b(model|enum)\s+(\w+)\s*\{([^}]*)\}/g;
+
+  let match;
+  while ((match = blockRegex.exec(source))) {
+    const [, kind, name, body] = match;
+    const lines = body
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('@@'));
+
+    if (kind === 'enum') {
+      enums[name] = lines.map((line) => line.split(/\s+/)[0]);
+    } else {
+      models[name] = lines.map(parsePrismaField).filter(Boolean);
+    }
+  }
+
+  return { models, enums };
+}
+
+// Helper function to read the Prisma schema (and the models not written yet) and find the model of a resource
+function findPrismaModel(resourceName, extraSchema = '') {
+  if (!fs.existsSync(schemaPath)) return null;
+
+  const { models, enums } = parsePrismaSchema(fs.readFileSync(schemaPath, 'utf8') + extraSchema);
+  const modelName = Object.keys(models).find(
+    (name) => name.toLowerCase() === resourceName.toLowerCase()
+  );
+
+  return modelName ? { name: modelName, fields: models[modelName], models, enums } : null;
+}
+
+// Helper function to convert a Prisma default value to a JavaScript literal (undefined for functions)
+function toDefaultLiteral(field, enums) {
+  const value = field.default;
+  if (value === undefined || /\(.*\)$/.test(value)) return undefined;
+  if (enums[field.type]) return `${field.type}.${value}`;
+  if (field.type === 'String') return value.startsWith('"') ? `'${value.slice(1, -1)}'` : undefined;
+  return value;
+}
+
+// Helper function to build the Zod schema expression of a model field
+function toZodField(field, enums, mode) {
+  const label = field.name;
+  const capitalizedLabel = capitalize(label);
+  const article = /^[aeiou]/i.test(label) ? 'an' : 'a';
+  const typeMessage = (description) =>
+    `{ required_error: 'Please provide ${article} ${label}.', invalid_type_error: '${capitalizedLabel} must be ${description}.' }`;
+
+  let schema;
+  if (enums[field.type]) {
+    schema = `z.nativeEnum(${field.type}, { errorMap: () => ({ message: '${capitalizedLabel} must be one of: ${enums[field.type].join(', ')}.' }) })`;
+  } else {
+    switch (field.type) {
+      case 'String':
+        schema = `z.string(${typeMessage('a string')})`;
+        schema += /email/i.test(label)
+          ? `.email('Please provide a valid ${label}.')`
+          : `.min(1, "Can't be empty.")`;
+        break;
+      case 'Int':
+      case 'BigInt':
+        schema = `z.number(${typeMessage('a number')}).int('${capitalizedLabel} must be an integer.')`;
+        break;
+      case 'Float':
+      case 'Decimal':
+        schema = `z.number(${typeMessage('a number')})`;
+        break;
+      case 'Boolean':
+        schema = `z.boolean(${typeMessage('a boolean')})`;
+        break;
+      case 'DateTime':
+        schema = `z.coerce.date(${typeMessage('a valid date')})`;
+        break;
+      default:
+        schema = 'z.any()';
+    }
+  }
+
+  if (field.isList) schema = `z.array(${schema})`;
+
+  if (mode === 'create') {
+    const defaultLiteral = toDefaultLiteral(field, enums);
+    if (defaultLiteral !== undefined) return `${schema}.default(${defaultLiteral})`;
+    if (field.isOptional) return `${schema}.nullable().optional()`;
+    if (field.default !== undefined) return `${schema}.optional()`;
+    return schema;
+  }
+
+  // Every field is optional during updates
+  return field.isOptional ? `${schema}.nullable().optional()` : `${schema}.optional()`;
+}
+
+// Helper function to derive the validation, search and select metadata of a resource from its Prisma model
+function buildModelMeta(resourceName, extraSchema = '') {
+  const model = findPrismaModel(resourceName, extraSchema);
+  if (!model) return null;
+
+  const { fields, models, enums } = model;
+  const isScalar = (field) => field.type in PRISMA_SCALAR_TYPES || Boolean(enums[field.type]);
+  const isRelation = (field) => Boolean(models[field.type]);
+
+  // Scalar fields that can be exposed (no relations, no sensitive data, no binary/json data)
+  const exposedFields = fields.filter(
+    (field) =>
+      isScalar(field) &&
+      !field.isList &&
+      !sensitiveFieldRegex.test(field.name) &&
+      field.name !== 'deletedAt' && // Trashed rows are listed by the trash route instead
+      (enums[field.type] || PRISMA_SCALAR_TYPES[field.type])
+  );
+
+  // Fields the client can write (no generated IDs, timestamps or relation objects)
+  const writableFields = fields.filter(
+    (field) =>
+      !isRelation(field) &&
+      !(field.isId && field.default !== undefined) &&
+      !field.isUpdatedAt &&
+      !managedFieldNames.includes(field.name)
+  );
+
+  const usedEnums = [...new Set(fields.filter((field) => enums[field.type]).map((field) => field.type))];
+
+  return {
+    modelName: model.name,
+    enumNames: usedEnums,
+    createFields: writableFields.map((field) => `  ${field.name}: ${toZodField(field, enums, 'create')},`),
+    updateFields: writableFields.map((field) => `  ${field.name}: ${toZodField(field, enums, 'update')},`),
+    filterable: exposedFields.map(
+      (field) =>
+        `    ${field.name}: ${enums[field.type] ? `Object.values(${field.type})` : `'${PRISMA_SCALAR_TYPES[field.type]}'`},`
+    ),
+    fieldNames: exposedFields.map((field) => field.name),
+    searchable: exposedFields
+      .filter((field) => field.type === 'String' && !field.isId)
+      .map((field) => field.name),
+    hasCreatedAt: exposedFields.some((field) => field.name === 'createdAt'),
+    // Integer IDs are numbers in the services, every other ID strategy uses strings
+    idType: fields.some((field) => field.isId && ['Int', 'BigInt'].includes(field.type)) ? 'number' : 'string',
+    softDelete: fields.some(
+      (field) => field.name === 'deletedAt' && field.type === 'DateTime' && field.isOptional
+    ),
+  };
+}
+
+// Helper function to list the files of a directory, recursively
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+// Helper function to find the source and test files outside a module that import one of its files
+function findModuleImporters(moduleDir) {
+  const importRegex = /(?:from\s+|require\(\s*|import\(\s*)['"](\.{1,2}\/[^'"]*)['"]/g;
+  const isInModule = (filePath) => filePath === moduleDir || filePath.startsWith(moduleDir + path.sep);
+
+  return [...listFiles(path.join(rootDir, 'src')), ...listFiles(path.join(rootDir, 'tests'))]
+    .filter((filePath) => filePath.endsWith('.ts') && !isInModule(filePath))
+    .filter((filePath) =>
+      [...fs.readFileSync(filePath, 'utf8').matchAll(importRegex)].some(([, specifier]) =>
+        isInModule(path.resolve(path.dirname(filePath), specifier))
+      )
+    );
+}
+
+// Helper function to build the banner comments delimiting the models of a resource in the Prisma schema
+function schemaBanner(title, position) {
+  return `// ===================== ${title} Schema ${position} ===================== //`;
+}
+
+// Helper function to build the model appended to the Prisma schema for a new resource
+function buildModelStub({ capitalizedResourceName, title }) {
+  const label = title.toLowerCase();
+  return `
+
+${schemaBanner(title, 'Start')}
+
+model ${capitalizedResourceName} {
+  id               String    @id @default(uuid())
+  // Add the fields of the ${label} here
+  createdAt        DateTime  @default(now()) @map("created_at")
+  updatedAt        DateTime  @default(now()) @updatedAt @map("updated_at")
+  deletedAt        DateTime? @map("deleted_at") // Soft delete: set when the ${label} is moved to the trash
+
+  @@index([deletedAt])
+}
+
+${schemaBanner(title, 'End')}
+`;
+}
+
+// Helper function to remove the model of a resource (and its banner comments) from the Prisma schema
+function removeModelBlock(schema, { capitalizedResourceName, title }) {
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const banner = (position) => `(?:${escape(schemaBanner(title, position))}\\s*)?`;
+  const blockRegex = new RegExp(
+    `\\s*${banner('Start')}model ${capitalizedResourceName}\\s*\\{[^}]*\\}\\s*${banner('End')}`
+  );
+  return schema.replace(blockRegex, '\n\n').replace(/\s*$/, '\n');
 }
 
 if (command === 'resource') {
@@ -40,16 +348,89 @@ if (command === 'resource') {
   program
     .version('1.0.0') // Version of the CLI tool
     .description('Generate route, model, controller, and interface files for a new resource') // Description of the tool
-    .argument('<name>', 'Resource name') // Argument for resource name
-    .action((name) => {
-      const resourceName = !specialCharRegex.test(args[0])
-        ? args[0].toLowerCase()
-        : toCamelCase(args[0]);
+    .argument('<name>', 'Resource name, e.g. blog-post or BlogPost') // Argument for resource name
+    .option('--idempotent', 'Honor the Idempotency-Key header on the create and update routes')
+    .option('--cache', 'Cache the responses of the read routes when WEB_CACHE is enabled')
+    .option('--dry-run', 'Print the changes without writing any file')
+    .option('--force', 'Overwrite the files of the module if they exist')
+    .option('--yes', 'Never prompt: create the missing files and keep the existing ones')
+    .action(async (name, options) => {
+      const names = toResourceNames(name);
+      if (!names) {
+        console.log(`${RED}Invalid resource name ${name}, use letters, digits and hyphens, e.g. blog-post.${RESET}`);
+        process.exit(1);
+      }
+      const { moduleName, resourceName, capitalizedResourceName, title } = names;
+
+      // Resources without a model get a model stub appended to the Prisma schema
+      const modelStub =
+        fs.existsSync(schemaPath) && !findPrismaModel(resourceName) ? buildModelStub(names) : '';
+
+      // Derive schemas, search fields and selected fields from the Prisma model
+      const modelMeta = buildModelMeta(resourceName, modelStub);
+      if (!modelMeta) {
+        console.log(
+          `${RED}prisma/schema.prisma not found, generating placeholder schemas.${RESET}`
+        );
+      }
+      const quoteList = (names) => names.map((name) => `'${name}'`).join(', ');
+      const enumImport = modelMeta && modelMeta.enumNames.length
+        ? `import { ${modelMeta.enumNames.join(', ')} } from '@prisma/client';\n`
+        : '';
+      const createSchemaFields = modelMeta
+        ? modelMeta.createFields.join('\n')
+        : `  // Define fields required for creating a new ${resourceName}.
+  // Example:
+  // filedName: z.string({ required_error: 'Please provide a filedName.' }).min(1, "Can't be empty."),`;
+      const updateSchemaFields = modelMeta
+        ? modelMeta.updateFields.join('\n')
+        : `  // Define fields required for updating an existing ${resourceName}.
+  // Example:
+  // fieldName: z.string({ required_error: 'Please provide a filedName.' }).optional(), // Fields can be optional during updates`;
+      const listQueryOptions = modelMeta
+        ? `  filterable: {
+${modelMeta.filterable.join('\n')}
+  },
+  sortable: [${quoteList(modelMeta.fieldNames)}],
+  selectable: [${quoteList(modelMeta.fieldNames)}],
+  searchable: [${quoteList(modelMeta.searchable)}],${modelMeta.hasCreatedAt ? "\n  defaultSort: '-createdAt'," : ''}`
+        : `  filterable: {
+    id: 'string',
+    // Add the filterable fields of the model, e.g. title: 'string', createdAt: 'date'
+  },
+  sortable: ['id'],
+  selectable: ['id'],
+  searchable: [],`;
+      const selectFields = modelMeta
+        ? modelMeta.fieldNames.map((name) => `  ${name}: true,`).join('\n')
+        : `  id: true,
+  // Add other fields as needed, excluding sensitive ones`;
+
+      // Models with a nullable deletedAt column get trash routes (restore, purge and listing)
+      const softDelete = Boolean(modelMeta && modelMeta.softDelete);
+      if (softDelete) {
+        console.log(
+          `${GREEN}Model ${capitalizedResourceName} has a deletedAt column, generating trash routes.${RESET}`
+        );
+      }
+
+      // IDs are validated by the ID strategy of the model, integer IDs are converted in the controllers
+      const idType = modelMeta ? modelMeta.idType : 'string';
+      const idParam = idType === 'number' ? 'const id = Number(req.params.id);' : 'const { id } = req.params;';
+
+      // Routes opted in with --idempotent replay the response of retried create and update requests
+      const idempotent = Boolean(options.idempotent);
+      const idempotencyMiddleware = idempotent ? 'idempotency, ' : '';
+      const idempotencyDoc = idempotent ? ", 'idempotency'" : '';
 
-      const capitalizedResourceName = capitalize(resourceName);
+      // Routes opted in with --cache are answered from the response cache until the model changes
+      const cache = Boolean(options.cache);
+      const cacheMiddleware = cache ? 'cacheResponse(), ' : '';
+      const cacheDoc = cache ? ", 'cacheResponse'" : '';
+      const middlewareNames = ['rate limiting', 'authorization', idempotent && 'idempotency', cache && 'caching'].filter(Boolean);
 
       // Path to the route directory
-      const routeDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
+      const routeDir = path.join(rootDir, 'src', 'modules', moduleName);
       // Create route file content
       const routeContent = `
 // Import Router from express
@@ -62,244 +443,372 @@ import {
   update${capitalizedResourceName},
   updateMany${capitalizedResourceName},
   delete${capitalizedResourceName},
-  deleteMany${capitalizedResourceName},
+  deleteMany${capitalizedResourceName},${softDelete ? `
+  restore${capitalizedResourceName},
+  restoreMany${capitalizedResourceName},
+  purge${capitalizedResourceName},` : ''}
   get${capitalizedResourceName}ById,
-  getMany${capitalizedResourceName}
-} from './${args[0]}.controller';
+  getMany${capitalizedResourceName}${softDelete ? `,
+  getTrash${capitalizedResourceName}` : ''}
+} from './${moduleName}.controller';
 
 //Import validation from corresponding module
-import { validateCreate${capitalizedResourceName}, validateCreateMany${capitalizedResourceName}, validateUpdate${capitalizedResourceName}, validateUpdateMany${capitalizedResourceName}} from './${args[0]}.validation';
-import { validateId, validateIds, validateSearchQueries } from '../../handlers/common-zod-validator';
+import { validateCreate${capitalizedResourceName}, validateCreateMany${capitalizedResourceName}, validateUpdate${capitalizedResourceName}, validateUpdateMany${capitalizedResourceName}} from './${moduleName}.validation';
+import { createIdValidators, validateBulkMode, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication, ${middlewareNames.slice(0, -1).join(', ')} and ${middlewareNames[middlewareNames.length - 1]} middlewares
+import isAuthorized from '../../middlewares/is-authorized';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+import authorize from '../../middlewares/authorize';${idempotent ? `
+import idempotency from '../../middlewares/idempotency';` : ''}${cache ? `
+import cacheResponse from '../../middlewares/response-cache';` : ''}
 
 // Initialize router
 const router = Router();
 
+// Validators of the ${moduleName} IDs, according to the ID strategy of the model
+const { validateId, validateIds } = createIdValidators('${capitalizedResourceName}');
+
 // Define route handlers
 /**
- * @route POST /api/v1/${args[0]}/create-${args[0]}
- * @description Create a new ${args[0]}
- * @access Public
+ * @route POST /api/v1/${moduleName}/create-${moduleName}
+ * @description Create a new ${moduleName}
+ * @access Private - ['${moduleName}:create']
  * @param {function} controller - ['create${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${idempotencyDoc}]
  * @param {function} validation - ['validateCreate${capitalizedResourceName}']
  */
-router.post("/create-${args[0]}", validateCreate${capitalizedResourceName}, create${capitalizedResourceName});
+router.post("/create-${moduleName}", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:create'), ${idempotencyMiddleware}validateCreate${capitalizedResourceName}, create${capitalizedResourceName});
 
 /**
- * @route POST /api/v1/${args[0]}/create-${args[0]}/many
- * @description Create multiple ${args[0]}s
- * @access Public
+ * @route POST /api/v1/${moduleName}/create-${moduleName}/many
+ * @description Create multiple ${moduleName}s, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['${moduleName}:create']
  * @param {function} controller - ['createMany${capitalizedResourceName}']
- * @param {function} validation - ['validateCreateMany${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${idempotencyDoc}]
+ * @param {function} validation - ['validateBulkMode', 'validateCreateMany${capitalizedResourceName}']
  */
-router.post("/create-${args[0]}/many", validateCreateMany${capitalizedResourceName}, createMany${capitalizedResourceName});
+router.post("/create-${moduleName}/many", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:create'), ${idempotencyMiddleware}validateBulkMode, validateCreateMany${capitalizedResourceName}, createMany${capitalizedResourceName});
 
 /**
- * @route PATCH /api/v1/${args[0]}/update-${args[0]}/many
- * @description Update multiple ${args[0]}s information
- * @access Public
+ * @route PATCH /api/v1/${moduleName}/update-${moduleName}/many
+ * @description Update multiple ${moduleName}s information, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['${moduleName}:update']
  * @param {function} controller - ['updateMany${capitalizedResourceName}']
- * @param {function} validation - ['validateIds', 'validateUpdateMany${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${idempotencyDoc}]
+ * @param {function} validation - ['validateBulkMode', 'validateUpdateMany${capitalizedResourceName}']
  */
-router.patch("/update-${args[0]}/many", validateIds, validateUpdateMany${capitalizedResourceName}, updateMany${capitalizedResourceName});
+router.patch("/update-${moduleName}/many", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:update'), ${idempotencyMiddleware}validateBulkMode, validateUpdateMany${capitalizedResourceName}, updateMany${capitalizedResourceName});
 
 /**
- * @route PATCH /api/v1/${args[0]}/update-${args[0]}/:id
- * @description Update ${args[0]} information
- * @param {string} id - The ID of the ${args[0]} to update
- * @access Public
+ * @route PATCH /api/v1/${moduleName}/update-${moduleName}/:id
+ * @description Update ${moduleName} information
+ * @param {string} id - The ID of the ${moduleName} to update
+ * @access Private - ['${moduleName}:update']
  * @param {function} controller - ['update${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${idempotencyDoc}]
  * @param {function} validation - ['validateId', 'validateUpdate${capitalizedResourceName}']
  */
-router.patch("/update-${args[0]}/:id", validateId, validateUpdate${capitalizedResourceName}, update${capitalizedResourceName});
+router.patch("/update-${moduleName}/:id", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:update'), ${idempotencyMiddleware}validateId, validateUpdate${capitalizedResourceName}, update${capitalizedResourceName});
 
 /**
- * @route DELETE /api/v1/${args[0]}/delete-${args[0]}/many
- * @description Delete multiple ${args[0]}s
- * @access Public
+ * @route DELETE /api/v1/${moduleName}/delete-${moduleName}/many
+ * @description Delete multiple ${moduleName}s, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['${moduleName}:delete']
  * @param {function} controller - ['deleteMany${capitalizedResourceName}']
- * @param {function} validation - ['validateIds']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateBulkMode', 'validateIds']
  */
-router.delete("/delete-${args[0]}/many", validateIds, deleteMany${capitalizedResourceName});
+router.delete("/delete-${moduleName}/many", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:delete'), validateBulkMode, validateIds, deleteMany${capitalizedResourceName});
 
 /**
- * @route DELETE /api/v1/${args[0]}/delete-${args[0]}/:id
- * @description Delete a ${args[0]}
- * @param {string} id - The ID of the ${args[0]} to delete
- * @access Public
+ * @route DELETE /api/v1/${moduleName}/delete-${moduleName}/:id
+ * @description Delete a ${moduleName}
+ * @param {string} id - The ID of the ${moduleName} to delete
+ * @access Private - ['${moduleName}:delete']
  * @param {function} controller - ['delete${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId']
+ */
+router.delete("/delete-${moduleName}/:id", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:delete'), validateId, delete${capitalizedResourceName});
+
+${softDelete ? `/**
+ * @route PATCH /api/v1/${moduleName}/restore-${moduleName}/many
+ * @description Restore multiple ${moduleName}s from the trash
+ * @access Private - ['${moduleName}:delete']
+ * @param {function} controller - ['restoreMany${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateIds']
+ */
+router.patch("/restore-${moduleName}/many", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:delete'), validateIds, restoreMany${capitalizedResourceName});
+
+/**
+ * @route PATCH /api/v1/${moduleName}/restore-${moduleName}/:id
+ * @description Restore a ${moduleName} from the trash
+ * @param {string} id - The ID of the ${moduleName} to restore
+ * @access Private - ['${moduleName}:delete']
+ * @param {function} controller - ['restore${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId']
+ */
+router.patch("/restore-${moduleName}/:id", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:delete'), validateId, restore${capitalizedResourceName});
+
+/**
+ * @route DELETE /api/v1/${moduleName}/purge-${moduleName}/:id
+ * @description Permanently delete a ${moduleName} from the trash
+ * @param {string} id - The ID of the ${moduleName} to purge
+ * @access Private - ['${moduleName}:delete']
+ * @param {function} controller - ['purge${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
  * @param {function} validation - ['validateId']
  */
-router.delete("/delete-${args[0]}/:id", validateId, delete${capitalizedResourceName});
+router.delete("/purge-${moduleName}/:id", isAuthorized, rateLimitPolicy('write'), authorize('${moduleName}:delete'), validateId, purge${capitalizedResourceName});
 
 /**
- * @route GETapi/v1/${args[0]}/get-${args[0]}/many
- * @description Get multiple ${args[0]}s
- * @access Public
+ * @route GET /api/v1/${moduleName}/get-${moduleName}/trash
+ * @description Get the ${moduleName}s in the trash
+ * @access Private - ['${moduleName}:delete']
+ * @param {function} controller - ['getTrash${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${cacheDoc}]
+ * @param {function} validation - ['validateSearchQueries']
+ */
+router.get("/get-${moduleName}/trash", isAuthorized, rateLimitPolicy('read'), authorize('${moduleName}:delete'), validateSearchQueries, ${cacheMiddleware}getTrash${capitalizedResourceName});
+
+` : ''}/**
+ * @route GETapi/v1/${moduleName}/get-${moduleName}/many
+ * @description Get multiple ${moduleName}s
+ * @access Private - ['${moduleName}:read']
  * @param {function} controller - ['getMany${capitalizedResourceName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${cacheDoc}]
  * @param {function} validation - ['validateSearchQueries']
  */
-router.get("/get-${args[0]}/many", validateSearchQueries, getMany${capitalizedResourceName});
+router.get("/get-${moduleName}/many", isAuthorized, rateLimitPolicy('read'), authorize('${moduleName}:read'), validateSearchQueries, ${cacheMiddleware}getMany${capitalizedResourceName});
 
 /**
- * @route GET /api/v1/${args[0]}/get-${args[0]}/:id
- * @description Get a ${args[0]} by ID
- * @param {string} id - The ID of the ${args[0]} to retrieve
- * @access Public
+ * @route GET /api/v1/${moduleName}/get-${moduleName}/:id
+ * @description Get a ${moduleName} by ID
+ * @param {string} id - The ID of the ${moduleName} to retrieve
+ * @access Private - ['${moduleName}:read']
  * @param {function} controller - ['get${capitalizedResourceName}ById']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${cacheDoc}]
  * @param {function} validation - ['validateId']
  */
-router.get("/get-${args[0]}/:id", validateId, get${capitalizedResourceName}ById);
+router.get("/get-${moduleName}/:id", isAuthorized, rateLimitPolicy('read'), authorize('${moduleName}:read'), validateId, ${cacheMiddleware}get${capitalizedResourceName}ById);
 
 // Export the router
 module.exports = router;
     `;
       // Path to the route file
-      const routeFilePath = path.join(routeDir, `${args[0]}.route.ts`);
+      const routeFilePath = path.join(routeDir, `${moduleName}.route.ts`);
 
       // Path to the controller directory
-      const controllerDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
+      const controllerDir = path.join(rootDir, 'src', 'modules', moduleName);
       // Create controller file content
       const controllerContent = `
 import { Request, Response } from 'express';
-import { ${resourceName}Services } from './${args[0]}.service';
+import { ${resourceName}Services } from './${moduleName}.service';
+import { ${resourceName}ListQueryOptions } from './${moduleName}.validation';
+import { BulkMode, sendBulkResponse } from '../../helpers/bulk/bulk-operation';
+import { parseListQuery } from '../../helpers/list-query/list-query';
 import ServerResponse from '../../helpers/responses/custom-response';
 import catchAsync from '../../utils/catch-async/catch-async';
 
 /**
  * Controller function to handle the creation of a single ${capitalizedResourceName}.
  *
- * @param {Request} req - The request object containing ${args[0]} data in the body.
+ * @param {Request} req - The request object containing ${moduleName} data in the body.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const create${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to create a new ${args[0]} and get the result
+  // Call the service method to create a new ${moduleName} and get the result
   const result = await ${resourceName}Services.create${capitalizedResourceName}(req.body);
-  // Send a success response with the created ${args[0]} data
+  // Send a success response with the created ${moduleName} data
   ServerResponse(res, true, 201, '${capitalizedResourceName} created successfully', result);
 });
 
 /**
- * Controller function to handle the creation of multiple ${args[0]}s.
+ * Controller function to handle the creation of multiple ${moduleName}s.
  *
- * @param {Request} req - The request object containing an array of ${args[0]} data in the body.
+ * @param {Request} req - The request object containing an array of ${moduleName} data in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const createMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to create multiple ${resourceName}s and get the result
-  const result = await ${resourceName}Services.createMany${capitalizedResourceName}(req.body);
-  // Send a success response with the created ${args[0]}s data
-  ServerResponse(res, true, 201, '${capitalizedResourceName}s created successfully', result);
+  // Call the service method to create multiple ${resourceName}s in the requested bulk mode and get the result
+  const result = await ${resourceName}Services.createMany${capitalizedResourceName}(req.body, req.query.mode as BulkMode);
+  // Send the result of each creation
+  sendBulkResponse(res, result, 201, '${capitalizedResourceName}s created successfully');
 });
 
 /**
- * Controller function to handle the update operation for a single ${args[0]}.
+ * Controller function to handle the update operation for a single ${moduleName}.
  *
- * @param {Request} req - The request object containing the ID of the ${args[0]} to update in URL parameters and the updated data in the body.
+ * @param {Request} req - The request object containing the ID of the ${moduleName} to update in URL parameters and the updated data in the body.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const update${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  const { id } = req.params;
-  // Call the service method to update the ${args[0]} by ID and get the result
+  ${idParam}
+  // Call the service method to update the ${moduleName} by ID and get the result
   const result = await ${resourceName}Services.update${capitalizedResourceName}(id, req.body);
-  // Send a success response with the updated ${args[0]} data
+  // Send a success response with the updated ${moduleName} data
   ServerResponse(res, true, 200, '${capitalizedResourceName} updated successfully', result);
 });
 
 /**
- * Controller function to handle the update operation for multiple ${args[0]}s.
+ * Controller function to handle the update operation for multiple ${moduleName}s.
  *
- * @param {Request} req - The request object containing an array of ${args[0]} data in the body.
+ * @param {Request} req - The request object containing an array of ${moduleName} IDs with their updates in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const updateMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to update multiple ${args[0]}s and get the result
-  const result = await ${resourceName}Services.updateMany${capitalizedResourceName}(req.body);
-  // Send a success response with the updated ${args[0]}s data
-  ServerResponse(res, true, 200, '${capitalizedResourceName}s updated successfully', result);
+  // Call the service method to update multiple ${moduleName}s in the requested bulk mode and get the result
+  const result = await ${resourceName}Services.updateMany${capitalizedResourceName}(req.body, req.query.mode as BulkMode);
+  // Send the result of each update
+  sendBulkResponse(res, result, 200, '${capitalizedResourceName}s updated successfully');
 });
 
 /**
- * Controller function to handle the deletion of a single ${args[0]}.
+ * Controller function to handle the deletion of a single ${moduleName}.
  *
- * @param {Request} req - The request object containing the ID of the ${args[0]} to delete in URL parameters.
+ * @param {Request} req - The request object containing the ID of the ${moduleName} to delete in URL parameters.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const delete${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  const { id } = req.params;
-  // Call the service method to delete the ${args[0]} by ID
+  ${idParam}
+  // Call the service method to delete the ${moduleName} by ID
   await ${resourceName}Services.delete${capitalizedResourceName}(id);
   // Send a success response confirming the deletion
   ServerResponse(res, true, 200, '${capitalizedResourceName} deleted successfully');
 });
 
 /**
- * Controller function to handle the deletion of multiple ${args[0]}s.
+ * Controller function to handle the deletion of multiple ${moduleName}s.
  *
- * @param {Request} req - The request object containing an array of IDs of ${args[0]} to delete in the body.
+ * @param {Request} req - The request object containing an array of IDs of ${moduleName} to delete in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const deleteMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to delete multiple ${args[0]}s and get the result
-  await ${resourceName}Services.deleteMany${capitalizedResourceName}(req.body);
-  // Send a success response confirming the deletions
-  ServerResponse(res, true, 200, '${capitalizedResourceName}s deleted successfully');
+  // Call the service method to delete multiple ${moduleName}s in the requested bulk mode and get the result
+  const result = await ${resourceName}Services.deleteMany${capitalizedResourceName}(req.body.ids, req.query.mode as BulkMode);
+  // Send the result of each deletion
+  sendBulkResponse(res, result, 200, '${capitalizedResourceName}s deleted successfully');
+});
+
+${softDelete ? `/**
+ * Controller function to handle the restoration of a single ${moduleName} from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the ${moduleName} to restore in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const restore${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  ${idParam}
+  // Call the service method to restore the ${moduleName} by ID and get the result
+  const result = await ${resourceName}Services.restore${capitalizedResourceName}(id);
+  // Send a success response with the restored ${moduleName} data
+  ServerResponse(res, true, 200, '${capitalizedResourceName} restored successfully', result);
+});
+
+/**
+ * Controller function to handle the restoration of multiple ${moduleName}s from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of ${moduleName}s to restore in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const restoreMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to restore multiple ${moduleName}s and get the result
+  const result = await ${resourceName}Services.restoreMany${capitalizedResourceName}(req.body.ids);
+  // Send a success response with the number of restored ${moduleName}s
+  ServerResponse(res, true, 200, '${capitalizedResourceName}s restored successfully', result);
 });
 
 /**
- * Controller function to handle the retrieval of a single ${args[0]} by ID.
+ * Controller function to handle the permanent deletion of a single ${moduleName} from the trash.
  *
- * @param {Request} req - The request object containing the ID of the ${args[0]} to retrieve in URL parameters.
+ * @param {Request} req - The request object containing the ID of the ${moduleName} to purge in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const purge${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  ${idParam}
+  // Call the service method to permanently delete the ${moduleName} by ID
+  await ${resourceName}Services.purge${capitalizedResourceName}(id);
+  // Send a success response confirming the permanent deletion
+  ServerResponse(res, true, 200, '${capitalizedResourceName} permanently deleted successfully');
+});
+
+` : ''}/**
+ * Controller function to handle the retrieval of a single ${moduleName} by ID.
+ *
+ * @param {Request} req - The request object containing the ID of the ${moduleName} to retrieve in URL parameters.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const get${capitalizedResourceName}ById = catchAsync(async (req: Request, res: Response) => {
-  const { id } = req.params;
-  // Call the service method to get the ${args[0]} by ID and get the result
+  ${idParam}
+  // Call the service method to get the ${moduleName} by ID and get the result
   const result = await ${resourceName}Services.get${capitalizedResourceName}ById(id);
-  // Send a success response with the retrieved ${args[0]} data
+  // Send a success response with the retrieved ${moduleName} data
   ServerResponse(res, true, 200, '${capitalizedResourceName} retrieved successfully', result);
 });
 
 /**
- * Controller function to handle the retrieval of multiple ${args[0]}s.
+ * Controller function to handle the retrieval of multiple ${moduleName}s.
  *
- * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const getMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Type assertion for query parameters
-  const query = req.query as unknown as { searchKey?: string; showPerPage: number; pageNo: number };
-  // Call the service method to get multiple ${args[0]}s based on query parameters and get the result
-  const {${args[0]}s, totalData, totalPages } = await ${resourceName}Services.getMany${capitalizedResourceName}({},query.searchKey, query.showPerPage, query.pageNo);
-  // Send a success response with the retrieved ${args[0]}s data
-  ServerResponse(res, true, 200, '${capitalizedResourceName}s retrieved successfully', {${args[0]}s, totalData, totalPages});
-});
+  // Parse the query parameters against the ${moduleName} whitelist
+  const listQuery = parseListQuery(req.query, ${resourceName}ListQueryOptions);
+  // Call the service method to get multiple ${moduleName}s based on the list query and get the result
+  const { ${resourceName}s, totalData, totalPages, nextCursor } = await ${resourceName}Services.getMany${capitalizedResourceName}(listQuery);
+  // Send a success response with the retrieved ${moduleName}s data
+  ServerResponse(res, true, 200, '${capitalizedResourceName}s retrieved successfully', { ${resourceName}s, totalData, totalPages, nextCursor });
+});${softDelete ? `
+
+/**
+ * Controller function to handle the retrieval of the ${moduleName}s in the trash.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getTrash${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  // Parse the query parameters against the ${moduleName} whitelist
+  const listQuery = parseListQuery(req.query, ${resourceName}ListQueryOptions);
+  // Call the service method to get the trashed ${moduleName}s based on the list query and get the result
+  const { ${resourceName}s, totalData, totalPages, nextCursor } = await ${resourceName}Services.getTrash${capitalizedResourceName}(listQuery);
+  // Send a success response with the trashed ${moduleName}s data
+  ServerResponse(res, true, 200, 'Trashed ${moduleName}s retrieved successfully', { ${resourceName}s, totalData, totalPages, nextCursor });
+});` : ''}
     `;
       // Path to the controller file
-      const controllerFilePath = path.join(controllerDir, `${args[0]}.controller.ts`);
+      const controllerFilePath = path.join(controllerDir, `${moduleName}.controller.ts`);
 
       // Path to the model directory
-      const validationDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
+      const validationDir = path.join(rootDir, 'src', 'modules', moduleName);
       // Create Zod validation schema content
       const validationContent = `
-import { NextFunction, Request, Response } from 'express';
+${enumImport}import { NextFunction, Request, Response } from 'express';
 import { z } from 'zod';
 import zodErrorHandler from '../../handlers/zod-error-handler';
+import { ListQueryOptions } from '../../helpers/list-query/list-query';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+import { getIdSchema } from '../../helpers/prisma/id-strategy';
 
 /**
  * Zod schema for validating ${resourceName} data during creation.
  */
 const zodCreate${capitalizedResourceName}Schema = z.object({
-  // Define fields required for creating a new ${resourceName}.
-  // Example:
-  // filedName: z.string({ required_error: 'Please provide a filedName.' }).min(1, "Can't be empty."),
+${createSchemaFields}
 }).strict();
 
 /**
@@ -318,14 +827,19 @@ export const validateCreate${capitalizedResourceName} = (req: Request, res: Resp
     return zodErrorHandler(req, res, parseResult.error);
   }
 
+  // Replace the body with the parsed data (applies defaults and coercions)
+  req.body = parseResult.data;
+
   // If validation passes, proceed to the next middleware function
   return next();
 };
 
+registerRequestSchemas(validateCreate${capitalizedResourceName}, { body: zodCreate${capitalizedResourceName}Schema });
+
 /**
  * Zod schema for validating multiple ${resourceName} data during creation.
  */
-const zodCreateMany${capitalizedResourceName}Schema = z.array(zodCreate${capitalizedResourceName}Schema);
+const zodCreateMany${capitalizedResourceName}Schema = z.array(zodCreate${capitalizedResourceName}Schema).min(1, 'At least one ${resourceName} must be provided.');
 
 /**
  * Middleware function to validate multiple ${resourceName} creation data using Zod schema.
@@ -339,16 +853,17 @@ export const validateCreateMany${capitalizedResourceName} = (req: Request, res:
   if (!parseResult.success) {
     return zodErrorHandler(req, res, parseResult.error);
   }
+  req.body = parseResult.data;
   return next();
 };
 
+registerRequestSchemas(validateCreateMany${capitalizedResourceName}, { body: zodCreateMany${capitalizedResourceName}Schema });
+
 /**
  * Zod schema for validating ${resourceName} data during updates.
  */
 const zodUpdate${capitalizedResourceName}Schema = z.object({
-  // Define fields required for updating an existing ${resourceName}.
-  // Example:
-  // fieldName: z.string({ required_error: 'Please provide a filedName.' }).optional(), // Fields can be optional during updates
+${updateSchemaFields}
 }).strict();
 
 /**
@@ -367,14 +882,22 @@ export const validateUpdate${capitalizedResourceName} = (req: Request, res: Resp
     return zodErrorHandler(req, res, parseResult.error);
   }
 
+  // Replace the body with the parsed data (applies defaults and coercions)
+  req.body = parseResult.data;
+
   // If validation passes, proceed to the next middleware function
   return next();
 };
 
+registerRequestSchemas(validateUpdate${capitalizedResourceName}, { body: zodUpdate${capitalizedResourceName}Schema });
+
 /**
- * Zod schema for validating multiple ${resourceName} data during updates.
+ * Zod schema for validating multiple ${resourceName} data during updates: the ID of each ${resourceName} with its updates.
  */
-const zodUpdateMany${capitalizedResourceName}Schema = z.array(zodUpdate${capitalizedResourceName}Schema);
+const zodUpdateMany${capitalizedResourceName}Schema = z.array(z.object({
+  id: getIdSchema('${capitalizedResourceName}'),
+  updates: zodUpdate${capitalizedResourceName}Schema,
+}).strict()).min(1, 'At least one ${resourceName} must be provided.');
 
 
 /**
@@ -389,20 +912,40 @@ export const validateUpdateMany${capitalizedResourceName} = (req: Request, res:
   if (!parseResult.success) {
     return zodErrorHandler(req, res, parseResult.error);
   }
+  req.body = parseResult.data;
   return next();
+};
+
+registerRequestSchemas(validateUpdateMany${capitalizedResourceName}, { body: zodUpdateMany${capitalizedResourceName}Schema });
+
+/**
+ * Whitelist of the ${resourceName} fields that can be used to filter, search, sort and select in list queries.
+ */
+export const ${resourceName}ListQueryOptions: ListQueryOptions = {
+${listQueryOptions}
 };
     `;
       // Path to the zod validation file
-      const validationFilePath = path.join(validationDir, `${args[0]}.validation.ts`);
+      const validationFilePath = path.join(validationDir, `${moduleName}.validation.ts`);
 
       // Path to the service directory
-      const serviceDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
+      const serviceDir = path.join(rootDir, 'src', 'modules', moduleName);
       // Create service content
       const serviceContent = `
 import { Prisma } from '@prisma/client';
+import { BulkMode, runBulk } from '../../helpers/bulk/bulk-operation';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
 
 // Import the Prisma Client instance
-import { prismaClient } from '../../index';
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+
+/**
+ * Fields of a ${resourceName} returned by the API (sensitive fields are omitted).
+ */
+const ${resourceName}Select = {
+${selectFields}
+} satisfies Prisma.${capitalizedResourceName}Select;
 
 /**
  * Service function to create a new ${resourceName}.
@@ -411,17 +954,23 @@ import { prismaClient } from '../../index';
  * @returns {Promise<${capitalizedResourceName}>} - The created ${resourceName}.
  */
 const create${capitalizedResourceName} = async (data: Prisma.${capitalizedResourceName}CreateInput) => {
-  return await prismaClient.${resourceName}.create({ data });
+  return await prismaClient.${resourceName}.create({ data, select: ${resourceName}Select });
 };
 
 /**
  * Service function to create multiple ${resourceName}.
  *
  * @param data - An array of data to create multiple ${resourceName}.
- * @returns {Promise<${capitalizedResourceName}[]>} - The created ${resourceName}.
+ * @param mode - The bulk mode: all-or-nothing (\`atomic\`) or per-item (\`partial\`).
+ * @returns {Promise<BulkResult<${capitalizedResourceName}>>} - The result of each creation, with the created ${resourceName}.
  */
-const createMany${capitalizedResourceName} = async (data: Prisma.${capitalizedResourceName}CreateManyInput[]) => {
-  return await prismaClient.${resourceName}.createMany({ data });
+const createMany${capitalizedResourceName} = async (data: Prisma.${capitalizedResourceName}CreateInput[], mode: BulkMode) => {
+  return await runBulk(
+    data,
+    mode,
+    (item, db) => db.${resourceName}.create({ data: item, select: ${resourceName}Select }),
+    (_item, ${resourceName}) => ${resourceName}?.id ?? null
+  );
 };
 
 /**
@@ -431,277 +980,764 @@ const createMany${capitalizedResourceName} = async (data: Prisma.${capitalizedRe
  * @param data - The updated data for the ${resourceName}.
  * @returns {Promise<${capitalizedResourceName}>} - The updated ${resourceName}.
  */
-const update${capitalizedResourceName} = async (id: string, data: Prisma.${capitalizedResourceName}UpdateInput) => {
+const update${capitalizedResourceName} = async (id: ${idType}, data: Prisma.${capitalizedResourceName}UpdateInput) => {
   return await prismaClient.${resourceName}.update({
     where: { id },
     data,
+    select: ${resourceName}Select,
   });
 };
 
 /**
  * Service function to update multiple ${resourceName}.
  *
- * @param data - An array of data to update multiple ${resourceName}.
- * @returns {Promise<${capitalizedResourceName}[]>} - The updated ${resourceName}.
- */
-const updateMany${capitalizedResourceName} = async (data: { id: string; updates: Prisma.${capitalizedResourceName}UpdateInput}[]) => {
-  const updatePromises = data.map(({ id, updates }) =>
-    prismaClient.${resourceName}.update({
-      where: { id },
-      data: updates,
-    })
+ * @param data - An array of IDs of ${resourceName} with their updated data.
+ * @param mode - The bulk mode: all-or-nothing (\`atomic\`) or per-item (\`partial\`).
+ * @returns {Promise<BulkResult<${capitalizedResourceName}>>} - The result of each update, with the updated ${resourceName}.
+ */
+const updateMany${capitalizedResourceName} = async (
+  data: { id: ${idType}; updates: Prisma.${capitalizedResourceName}UpdateInput }[],
+  mode: BulkMode
+) => {
+  return await runBulk(
+    data,
+    mode,
+    ({ id, updates }, db) => db.${resourceName}.update({ where: { id }, data: updates, select: ${resourceName}Select }),
+    ({ id }) => id
   );
-  return await Promise.all(updatePromises);
 };
 
 /**
- * Service function to delete a single ${resourceName} by ID.
+ * Service function to delete a single ${resourceName} by ID.${softDelete ? `
+ * ${capitalizedResourceName}s are soft deleted: the row is kept in the trash until it is purged.` : ''}
  *
  * @param id - The ID of the ${resourceName} to delete.
  * @returns {Promise<${capitalizedResourceName}>} - The deleted ${resourceName}.
  */
-const delete${capitalizedResourceName} = async (id: string) => {
+const delete${capitalizedResourceName} = async (id: ${idType}) => {
   return await prismaClient.${resourceName}.delete({
     where: { id },
   });
 };
 
 /**
- * Service function to delete multiple ${resourceName}.
+ * Service function to delete multiple ${resourceName}.${softDelete ? `
+ * ${capitalizedResourceName}s are soft deleted: the rows are kept in the trash until they are purged.` : ''}
  *
  * @param ids - An array of IDs of ${resourceName} to delete.
- * @returns {Promise<${capitalizedResourceName}[]>} - The deleted ${resourceName}.
+ * @param mode - The bulk mode: all-or-nothing (\`atomic\`) or per-item (\`partial\`).
+ * @returns {Promise<BulkResult<${capitalizedResourceName}>>} - The result of each deletion, with the deleted ${resourceName}.
  */
-const deleteMany${capitalizedResourceName} = async (ids: string[]) => {
-  return await prismaClient.${resourceName}.deleteMany({
-    where: {
-      id: { in: ids },
-    },
+const deleteMany${capitalizedResourceName} = async (ids: ${idType}[], mode: BulkMode) => {
+  return await runBulk(
+    ids,
+    mode,
+    (id, db) => db.${resourceName}.delete({ where: { id }, select: ${resourceName}Select }),
+    (id) => id
+  );
+};
+
+${softDelete ? `/**
+ * Service function to restore a single ${resourceName} from the trash.
+ *
+ * @param id - The ID of the trashed ${resourceName} to restore.
+ * @returns {Promise<${capitalizedResourceName}>} - The restored ${resourceName}.
+ */
+const restore${capitalizedResourceName} = async (id: ${idType}) => {
+  return await prismaClient.${resourceName}.update({
+    where: { id, deletedAt: { not: null } },
+    data: { deletedAt: null },
+    select: ${resourceName}Select,
   });
 };
 
 /**
+ * Service function to restore multiple ${resourceName}s from the trash.
+ *
+ * @param ids - An array of IDs of trashed ${resourceName}s to restore.
+ * @returns {Promise<{ count: number }>} - The number of restored ${resourceName}s.
+ */
+const restoreMany${capitalizedResourceName} = async (ids: ${idType}[]) => {
+  return await prismaClient.${resourceName}.updateMany({
+    where: { id: { in: ids }, deletedAt: { not: null } },
+    data: { deletedAt: null },
+  });
+};
+
+/**
+ * Service function to permanently delete a single ${resourceName} from the trash.
+ *
+ * @param id - The ID of the trashed ${resourceName} to purge.
+ * @returns {Promise<${capitalizedResourceName}>} - The purged ${resourceName}.
+ */
+const purge${capitalizedResourceName} = async (id: ${idType}) => {
+  return await prismaClient.${resourceName}.delete({
+    where: { id, deletedAt: { not: null } },
+    select: ${resourceName}Select,
+  });
+};
+
+` : ''}/**
  * Service function to retrieve a single ${resourceName} by ID.
  *
  * @param id - The ID of the ${resourceName} to retrieve.
  * @returns {Promise<${capitalizedResourceName}>} - The retrieved ${resourceName}.
+ * @throws {NotFoundError} - If no ${resourceName} exists with the given ID.
  */
-const get${capitalizedResourceName}ById = async (id: string) => {
-  return await prismaClient.${resourceName}.findUnique({
+const get${capitalizedResourceName}ById = async (id: ${idType}) => {
+  const ${resourceName} = await prismaClient.${resourceName}.findUnique({
     where: { id },
+    select: ${resourceName}Select,
   });
+  if (!${resourceName}) {
+    throw new NotFoundError('${capitalizedResourceName} not found');
+  }
+  return ${resourceName};
 };
 
 /**
- * Service function to retrieve multiple ${resourceName}s based on query parameters.
+ * Service function to retrieve multiple ${resourceName}s based on a parsed list query.
  *
- * @param query - The query parameters for filtering ${resourceName}s.
- * @param {string | undefined} searchKey - The optional search key for filtering ${resourceName}s by ${resourceName} fields.
- * @param {number} showPerPage - The number of items to show per page.
- * @param {number} pageNo - The page number for pagination.
- * @returns {Promise<{ ${capitalizedResourceName}s: Prisma.${capitalizedResourceName}[], total: number, totalPages: number }>} - The retrieved ${resourceName}s, total count, and total pages.
- */
-const getMany${capitalizedResourceName} = async (
-  query: Prisma.${capitalizedResourceName}WhereInput,
-  searchKey: string | undefined,
-  showPerPage: number,
-  pageNo: number
-): Promise<{ ${resourceName}s: Prisma.${capitalizedResourceName}[]; totalData: number; totalPages: number }> => {
-  // Build the search filter based on the search key, if provided
-  const searchFilter: Prisma.${capitalizedResourceName}WhereInput = {
-    ...query,
-    OR: searchKey
-      ? [
-          { filedName: { contains: searchKey, mode: 'insensitive' } },
-          // Add more fields as needed
-        ]
-      : undefined,
-  };
-
-  // Calculate the number of items to skip based on the page number
-  const skipItems = (pageNo - 1) * showPerPage;
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @returns {Promise<{ ${resourceName}s: Partial<${capitalizedResourceName}>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved ${resourceName}s, total count, total pages and the cursor of the next page.
+ */
+const getMany${capitalizedResourceName} = async (listQuery: ListQuery) => {
+  const where = listQuery.where as Prisma.${capitalizedResourceName}WhereInput;
 
   // Find the total count of matching ${resourceName}s
-  const totalData = await prismaClient.${resourceName}.count({
-    where: searchFilter,
+  const totalData = await prismaClient.${resourceName}.count({ where });
+
+  // Find ${resourceName}s based on the list query with pagination
+  const ${resourceName}s = await prismaClient.${resourceName}.findMany({
+    where,
+    orderBy: listQuery.orderBy as Prisma.${capitalizedResourceName}OrderByWithRelationInput[],
+    select: listQuery.select as Prisma.${capitalizedResourceName}Select,
+    cursor: listQuery.cursor as Prisma.${capitalizedResourceName}WhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
   });
 
-  // Find ${resourceName}s based on the search filter with pagination
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(${resourceName}s, totalData, listQuery);
+
+  return { ${resourceName}s: items, ...pagination };
+};
+
+${softDelete ? `/**
+ * Service function to retrieve the ${resourceName}s in the trash based on a parsed list query.
+ *
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @returns {Promise<{ ${resourceName}s: Partial<${capitalizedResourceName}>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The trashed ${resourceName}s, total count, total pages and the cursor of the next page.
+ */
+const getTrash${capitalizedResourceName} = async (listQuery: ListQuery) => {
+  const where = { ...listQuery.where, deletedAt: { not: null } } as Prisma.${capitalizedResourceName}WhereInput;
+
+  // Find the total count of matching trashed ${resourceName}s
+  const totalData = await prismaClient.${resourceName}.count({ where });
+
+  // Find trashed ${resourceName}s based on the list query with pagination
   const ${resourceName}s = await prismaClient.${resourceName}.findMany({
-    where: searchFilter,
-    skip: skipItems,
-    take: showPerPage,
-    select: {
-      // filed: true,
-      // filed: false,
-      // Add other fields as needed, excluding sensitive ones
-    },
+    where,
+    orderBy: listQuery.orderBy as Prisma.${capitalizedResourceName}OrderByWithRelationInput[],
+    select: { ...listQuery.select, deletedAt: true } as Prisma.${capitalizedResourceName}Select,
+    cursor: listQuery.cursor as Prisma.${capitalizedResourceName}WhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
   });
 
-  // Calculate the total number of pages
-  const totalPages = Math.ceil(totalData / showPerPage);
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(${resourceName}s, totalData, listQuery);
 
-  return { ${resourceName}s, totalData, totalPages };
+  return { ${resourceName}s: items, ...pagination };
 };
 
-export const ${resourceName}Services = {
+` : ''}export const ${resourceName}Services = {
   create${capitalizedResourceName},
   createMany${capitalizedResourceName},
   update${capitalizedResourceName},
   updateMany${capitalizedResourceName},
   delete${capitalizedResourceName},
-  deleteMany${capitalizedResourceName},
+  deleteMany${capitalizedResourceName},${softDelete ? `
+  restore${capitalizedResourceName},
+  restoreMany${capitalizedResourceName},
+  purge${capitalizedResourceName},` : ''}
   get${capitalizedResourceName}ById,
-  getMany${capitalizedResourceName},
+  getMany${capitalizedResourceName},${softDelete ? `
+  getTrash${capitalizedResourceName},` : ''}
 };
     `;
       // Path to the service file
-      const serviceFilePath = path.join(serviceDir, `${args[0]}.service.ts`);
+      const serviceFilePath = path.join(serviceDir, `${moduleName}.service.ts`);
+
+      // Files of the module, in the order they are written
+      const files = [
+        [controllerFilePath, controllerContent],
+        [routeFilePath, routeContent],
+        [serviceFilePath, serviceContent],
+        [validationFilePath, validationContent],
+      ];
+
+      if (modelStub) {
+        const schema = fs.readFileSync(schemaPath, 'utf8').replace(/\s*$/, '');
+        writeFile(schemaPath, schema + modelStub, options);
+      }
 
-      // Function to format file paths relative to project root
-      const formatPath = (filePath) => path.relative(path.join(__dirname, '..'), filePath);
+      // Files to write: all of them with --force, otherwise the missing ones (or those picked at the prompt)
+      const missingFiles = files.filter(([filePath]) => !fs.existsSync(filePath));
+      let selectedFiles = missingFiles;
 
-      // Create the resource directories if they don't exist
-      [routeDir, controllerDir].forEach((dir) => {
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
+      if (options.force) {
+        selectedFiles = files;
+      } else if (missingFiles.length === 0) {
+        console.log(
+          `${RED}${capitalizedResourceName} module already exists.${RESET} Use --force to overwrite its files.`
+        );
+      } else if (missingFiles.length < files.length) {
+        console.log(`${GREEN}${capitalizedResourceName} ${RESET}module exists, but some files are missing:`);
+        missingFiles.forEach(([filePath], index) =>
+          console.log(`${GREEN}${index + 1}. ${path.basename(filePath)}${RESET}`)
+        );
+
+        if (isInteractive(options)) {
+          const answer = await askQuestion(
+            `${BLUE}Do you want to create missing files one by one (Yes/Y) or all at once (Create/C)?${RESET} Enter (Yes/Y) or (Create/C): `
+          );
+
+          if (answer === 'yes' || answer === 'y') {
+            selectedFiles = [];
+            for (const file of missingFiles) {
+              const createFile = await askQuestion(
+                `${BLUE}Do you want to create ${GREEN}${path.basename(file[0])}?${RESET} (yes/no) `
+              );
+              if (createFile === 'yes' || createFile === 'y') {
+                selectedFiles.push(file);
+              }
+            }
+          } else if (answer !== 'create' && answer !== 'c') {
+            console.log(`${RED}Invalid option. No files will be created.${RESET}`);
+            selectedFiles = [];
+          }
         }
-      });
-
-      // Function to generate expected files based on the module name
-      function getExpectedFiles(moduleName) {
-        return [
-          `${moduleName}.controller.ts`,
-          `${moduleName}.route.ts`,
-          `${moduleName}.service.ts`,
-          `${moduleName}.validation.ts`,
-        ];
+
+        files
+          .filter((file) => !missingFiles.includes(file))
+          .forEach(([filePath]) => logChange('SKIP', filePath));
       }
 
-      // Function to ask questions in the command line
-      function askQuestion(rl, question) {
-        return new Promise((resolve) => {
-          rl.question(question, resolve);
-        });
+      selectedFiles.forEach(([filePath, content]) => writeFile(filePath, content.trim(), options));
+
+      if (modelStub) {
+        console.log(`
+${BLUE}Next steps:${RESET}
+  1. Add the fields of the ${title.toLowerCase()} to the ${capitalizedResourceName} model in prisma/schema.prisma
+  2. Run npx prisma migrate dev to create its table
+  3. Run this command again with --force to regenerate the module from the model`);
+      }
+      if (options.dryRun) {
+        console.log(`${BLUE}Dry run: no files were written.${RESET}`);
+      }
+    });
+
+  // Parse the arguments following the command
+  program.parse([...process.argv.slice(0, 2), ...args]);
+} else if (command === 'resource:remove') {
+  // Command-line options setup
+  program
+    .version('1.0.0') // Version of the CLI tool
+    .description('Delete the files of a resource module, and optionally its Prisma model') // Description of the tool
+    .argument('<name>', 'Resource name, e.g. blog-post or BlogPost') // Argument for resource name
+    .option('--model', 'Also remove the model of the resource from prisma/schema.prisma')
+    .option('--dry-run', 'Print the changes without deleting any file')
+    .option('--force', 'Delete the module even if other files import it')
+    .option('--yes', 'Never prompt for confirmation')
+    .action(async (name, options) => {
+      const names = toResourceNames(name);
+      if (!names) {
+        console.log(`${RED}Invalid resource name ${name}, use letters, digits and hyphens, e.g. blog-post.${RESET}`);
+        process.exit(1);
       }
+      const { moduleName, resourceName, capitalizedResourceName } = names;
 
-      // Function to search the search files and create theme
-      async function searchFile(dir, moduleName) {
-        const files = fs.readdirSync(dir);
-        const capitalizedResourceName = capitalize(moduleName);
+      const moduleDir = path.join(rootDir, 'src', 'modules', moduleName);
+      if (!fs.existsSync(moduleDir)) {
+        console.log(`${RED}Module ${moduleName} not found.${RESET}`);
+        process.exit(1);
+      }
 
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout,
-        });
+      // Files importing the module would no longer compile once it is deleted
+      const importers = findModuleImporters(moduleDir);
+      if (importers.length && !options.force) {
+        console.log(`${RED}${capitalizedResourceName} module is imported by:${RESET}`);
+        importers.forEach((filePath) => console.log(`  ${formatPath(filePath)}`));
+        console.log('Remove these imports first, or use --force to delete the module anyway.');
+        process.exit(1);
+      }
 
-        try {
-          for (const module of files) {
-            const modulePath = path.join(dir, module);
-
-            if (module === moduleName) {
-              const stat = fs.statSync(modulePath);
-
-              if (stat.isDirectory()) {
-                const foundFiles = fs.readdirSync(modulePath);
-                const expectedFiles = getExpectedFiles(moduleName);
-                const missingFiles = expectedFiles.filter((file) => !foundFiles.includes(file));
-
-                if (missingFiles.length === 0) {
-                  console.log(`${RED}${capitalizedResourceName} module already exists.${RESET}`);
-                } else if (missingFiles.length > 0 && missingFiles.length < expectedFiles.length) {
-                  console.log(
-                    `${GREEN}${capitalizedResourceName} ${RESET}module exists, but some files are missing:`
-                  );
-                  missingFiles.forEach((file, index) =>
-                    console.log(`${GREEN}${index + 1}. ${file}${RESET}`)
-                  );
-
-                  const answer = await askQuestion(
-                    rl,
-                    `${BLUE}Do you want to create missing files one by one (Yes/Y) or all at once (Create/C)?${RESET} Enter (Yes/Y) or (Create/C): `
-                  );
-
-                  if (answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y') {
-                    for (const file of missingFiles) {
-                      const createFile = await askQuestion(
-                        rl,
-                        `${BLUE}Do you want to create ${GREEN}${file}?${RESET} (yes/no) `
-                      );
-                      if (createFile.toLowerCase() === 'yes' || createFile.toLowerCase() === 'y') {
-                        await createSingleFile(modulePath, file, moduleName);
-                      }
-                    }
-                  } else if (answer.toLowerCase() === 'create' || answer.toLowerCase() === 'c') {
-                    await createAllFiles(modulePath, missingFiles, moduleName);
-                  } else {
-                    console.log(`${RED}Invalid option. No files will be created.${RESET}`);
-                  }
-                } else {
-                  await createAllFiles(modulePath, missingFiles, moduleName);
-                }
-
-                return true;
-              }
-            }
-          }
-          return false;
-        } finally {
-          rl.close();
+      // The model can only be removed when no other model has a relation to it
+      const model = findPrismaModel(resourceName);
+      if (options.model && model) {
+        const referencingModels = Object.keys(model.models).filter(
+          (other) => other !== model.name && model.models[other].some((field) => field.type === model.name)
+        );
+        if (referencingModels.length) {
+          console.log(
+            `${RED}Model ${model.name} is referenced by ${referencingModels.join(', ')}.${RESET} Remove these relations from prisma/schema.prisma first.`
+          );
+          process.exit(1);
         }
       }
 
-      // Function to create single resource file
-      async function createSingleFile(modulePath, file, moduleName) {
-        const filePath = path.join(modulePath, file);
-        let content;
-
-        switch (file) {
-          case `${moduleName}.route.ts`:
-            content = routeContent;
-            break;
-          case `${moduleName}.controller.ts`:
-            content = controllerContent;
-            break;
-          case `${moduleName}.validation.ts`:
-            content = validationContent;
-            break;
-          case `${moduleName}.service.ts`:
-            content = serviceContent;
-            break;
+      // Ask for confirmation, which scripts give with --yes
+      if (!options.yes && !options.force && !options.dryRun) {
+        if (!isInteractive(options)) {
+          console.log(`${RED}Not deleting ${formatPath(moduleDir)} without confirmation, use --yes.${RESET}`);
+          process.exit(1);
         }
 
-        fs.writeFileSync(filePath, content.trim());
-        console.log(
-          `${GREEN}CREATE ${RESET}${formatPath(filePath)} ${BLUE}(${Buffer.byteLength(content, 'utf8')} bytes)${RESET}`
+        const answer = await askQuestion(
+          `${BLUE}Do you want to delete ${GREEN}${formatPath(moduleDir)}${options.model && model ? ` and the ${model.name} model` : ''}?${RESET} (yes/no) `
         );
+        if (answer !== 'yes' && answer !== 'y') {
+          console.log(`${RED}No files were deleted.${RESET}`);
+          return;
+        }
       }
 
-      // Function to create all resources files
-      async function createAllFiles(modulePath, missingFiles, moduleName) {
-        for (const file of missingFiles) {
-          await createSingleFile(modulePath, file, moduleName);
-        }
+      listFiles(moduleDir).forEach((filePath) => logChange('DELETE', filePath));
+      if (!options.dryRun) {
+        fs.rmSync(moduleDir, { recursive: true, force: true });
       }
 
-      // Entry point
-      (async () => {
-        const moduleName = args[0];
-        const srcPath = path.join(process.cwd(), 'src', 'modules');
+      if (options.model && model) {
+        writeFile(schemaPath, removeModelBlock(fs.readFileSync(schemaPath, 'utf8'), names), options);
+        console.log(`${BLUE}Run npx prisma migrate dev to drop its table.${RESET}`);
+      } else if (options.model) {
+        console.log(`${RED}Model ${capitalizedResourceName} not found in prisma/schema.prisma.${RESET}`);
+      } else if (model) {
+        console.log(`${BLUE}The ${model.name} model is kept in prisma/schema.prisma, use --model to remove it.${RESET}`);
+      }
 
-        if (!moduleName) {
-          console.log(`${RED}Please provide a module name.${RESET}`);
-          return;
-        }
+      // The permissions of the module are left to the developer, who may reuse them
+      const permissionsPath = path.join(rootDir, 'src', 'config', 'permissions.ts');
+      if (fs.existsSync(permissionsPath) && fs.readFileSync(permissionsPath, 'utf8').includes(`'${moduleName}:`)) {
+        console.log(`${BLUE}Remove the ${moduleName} permissions from ${formatPath(permissionsPath)}.${RESET}`);
+      }
+      if (options.dryRun) {
+        console.log(`${BLUE}Dry run: no files were deleted.${RESET}`);
+      }
+    });
 
-        const found = await searchFile(srcPath, moduleName);
-        if (!found) {
-          console.log(`${RED}Module ${moduleName} not found.${RESET}`);
+  // Parse the arguments following the command
+  program.parse([...process.argv.slice(0, 2), ...args]);
+} else if (command === 'relation') {
+  // Command-line options setup
+  program
+    .version('1.0.0') // Version of the CLI tool
+    .description('Generate nested routes listing, connecting and disconnecting the related records of a resource') // Description of the tool
+    .argument('<parent>', 'Resource owning the relation, e.g. user') // Argument for parent resource name
+    .argument('<field>', 'List relation field of its Prisma model, e.g. files') // Argument for relation field
+    .option('--cache', 'Cache the responses of the listing route when WEB_CACHE is enabled')
+    .option('--dry-run', 'Print the changes without writing any file')
+    .option('--force', 'Overwrite the files of the relation if they exist')
+    .option('--yes', 'Never prompt: create the missing files and keep the existing ones')
+    .action((parentName, field, options) => {
+      // The parent model and its list relation field, e.g. User.files
+      const parent = toResourceNames(parentName);
+      const parentModel = parent && findPrismaModel(parent.resourceName);
+      if (!parentModel) {
+        console.log(`${RED}Model ${parentName} not found in prisma/schema.prisma.${RESET}`);
+        process.exit(1);
+      }
+      const relationField = parentModel.fields.find((parentField) => parentField.name === field);
+      if (!relationField || !relationField.isList || !parentModel.models[relationField.type]) {
+        console.log(`${RED}${parentModel.name}.${field} is not a list relation field, e.g. posts Post[].${RESET}`);
+        process.exit(1);
+      }
+
+      // The back relation field of the child model tells the kind of relation:
+      // a list for an implicit many-to-many relation, a foreign key for a one-to-many relation
+      const child = toResourceNames(relationField.type);
+      const backField = parentModel.models[relationField.type].find(
+        (childField) =>
+          childField !== relationField &&
+          childField.type === parentModel.name &&
+          childField.relationName === relationField.relationName
+      );
+      if (!backField) {
+        console.log(`${RED}Back relation of ${parentModel.name}.${field} not found in model ${relationField.type}.${RESET}`);
+        process.exit(1);
+      }
+      const manyToMany = backField.isList;
+      // Children of a required foreign key cannot be detached from their parent, only moved to another one
+      const canDisconnect = manyToMany || backField.isOptional;
+
+      // The nested routes reuse the list query whitelist of the child module
+      const parentDir = path.join(rootDir, 'src', 'modules', parent.moduleName);
+      const childValidationPath = path.join(rootDir, 'src', 'modules', child.moduleName, `${child.moduleName}.validation.ts`);
+      if (!fs.existsSync(parentDir)) {
+        console.log(`${RED}Module ${parent.moduleName} not found, generate it with: resource ${parent.moduleName}${RESET}`);
+        process.exit(1);
+      }
+      if (
+        !fs.existsSync(childValidationPath) ||
+        !fs.readFileSync(childValidationPath, 'utf8').includes(`${child.resourceName}ListQueryOptions`)
+      ) {
+        console.log(`${RED}${child.resourceName}ListQueryOptions not found, generate the module with: resource ${child.moduleName}${RESET}`);
+        process.exit(1);
+      }
+
+      const parentMeta = buildModelMeta(parent.resourceName);
+      const childMeta = buildModelMeta(child.resourceName);
+      const fieldWords = toWords(field);
+      const fieldPath = fieldWords.join('-');
+      const fieldTitle = capitalize(fieldWords.join(' '));
+      const relationModuleName = `${parent.moduleName}-${fieldPath}`;
+      const relationName = `${parent.capitalizedResourceName}${capitalize(field)}`;
+      const servicesName = `${parent.resourceName}${capitalize(field)}Services`;
+      const childIdName = `${child.resourceName}Id`;
+      const idParam = parentMeta.idType === 'number' ? 'const id = Number(req.params.id);' : 'const { id } = req.params;';
+
+      // Routes opted in with --cache are answered from the response cache until the parent or a child changes
+      const cacheMiddleware = options.cache ? `cacheResponse({ tags: ['${child.moduleName}'] }), ` : '';
+      const cacheDoc = options.cache ? ", 'cacheResponse'" : '';
+
+      // Trashed children are neither listed nor connected
+      const childWhere = childMeta.softDelete ? '{ ...listQuery.where, deletedAt: null }' : 'listQuery.where';
+      const childConnectWhere = childMeta.softDelete ? `{ id: ${childIdName}, deletedAt: null }` : `{ id: ${childIdName} }`;
+
+      // Path to the route file
+      const routeFilePath = path.join(parentDir, `${relationModuleName}.route.ts`);
+      // Create route file content
+      const routeContent = `
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { get${relationName}, connect${relationName}${canDisconnect ? `, disconnect${relationName}` : ''} } from './${relationModuleName}.controller';
+
+//Import validation
+import { createIdValidators, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication, rate limiting${options.cache ? ', authorization and caching' : ' and authorization'} middlewares
+import isAuthorized from '../../middlewares/is-authorized';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+import authorize from '../../middlewares/authorize';${options.cache ? `
+import cacheResponse from '../../middlewares/response-cache';` : ''}
+
+// Initialize router
+const router = Router();
+
+// Validators of the ${parent.moduleName} ID and of the ${child.moduleName} IDs, according to the ID strategies of the models
+const { validateId } = createIdValidators('${parentModel.name}');
+const { validateIds } = createIdValidators('${relationField.type}');
+
+// Define route handlers
+/**
+ * @route GET /api/v1/${parent.moduleName}/:id/${fieldPath}
+ * @description Get the ${field} of a ${parent.moduleName}
+ * @param {string} id - The ID of the ${parent.moduleName}
+ * @access Private - ['${parent.moduleName}:read', '${child.moduleName}:read']
+ * @param {function} controller - ['get${relationName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize'${cacheDoc}]
+ * @param {function} validation - ['validateId', 'validateSearchQueries']
+ */
+router.get("/:id/${fieldPath}", isAuthorized, rateLimitPolicy('read'), authorize('${parent.moduleName}:read', '${child.moduleName}:read'), validateId, validateSearchQueries, ${cacheMiddleware}get${relationName});
+
+/**
+ * @route PATCH /api/v1/${parent.moduleName}/:id/${fieldPath}/connect
+ * @description Connect ${field} to a ${parent.moduleName}
+ * @param {string} id - The ID of the ${parent.moduleName}
+ * @access Private - ['${parent.moduleName}:update', '${child.moduleName}:update']
+ * @param {function} controller - ['connect${relationName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId', 'validateIds']
+ */
+router.patch("/:id/${fieldPath}/connect", isAuthorized, rateLimitPolicy('write'), authorize('${parent.moduleName}:update', '${child.moduleName}:update'), validateId, validateIds, connect${relationName});
+${canDisconnect ? `
+/**
+ * @route PATCH /api/v1/${parent.moduleName}/:id/${fieldPath}/disconnect
+ * @description Disconnect ${field} from a ${parent.moduleName}
+ * @param {string} id - The ID of the ${parent.moduleName}
+ * @access Private - ['${parent.moduleName}:update', '${child.moduleName}:update']
+ * @param {function} controller - ['disconnect${relationName}']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId', 'validateIds']
+ */
+router.patch("/:id/${fieldPath}/disconnect", isAuthorized, rateLimitPolicy('write'), authorize('${parent.moduleName}:update', '${child.moduleName}:update'), validateId, validateIds, disconnect${relationName});
+` : ''}
+// Export the router
+module.exports = router;
+    `;
+
+      // Path to the controller file
+      const controllerFilePath = path.join(parentDir, `${relationModuleName}.controller.ts`);
+      // Create controller file content
+      const controllerContent = `
+import { Request, Response } from 'express';
+import { ${servicesName} } from './${relationModuleName}.service';
+import { ${child.resourceName}ListQueryOptions } from '../${child.moduleName}/${child.moduleName}.validation';
+import { parseListQuery } from '../../helpers/list-query/list-query';
+import ServerResponse from '../../helpers/responses/custom-response';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle the retrieval of the ${field} of a ${parent.moduleName}.
+ *
+ * @param {Request} req - The request object containing the ID of the ${parent.moduleName} in URL parameters and the list query in the query string.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const get${relationName} = catchAsync(async (req: Request, res: Response) => {
+  ${idParam}
+  // Parse the query parameters against the ${child.moduleName} whitelist
+  const listQuery = parseListQuery(req.query, ${child.resourceName}ListQueryOptions);
+  // Call the service method to get the ${field} of the ${parent.moduleName} based on the list query and get the result
+  const { ${field}, totalData, totalPages, nextCursor } = await ${servicesName}.get${relationName}(id, listQuery);
+  // Send a success response with the retrieved ${field} data
+  ServerResponse(res, true, 200, '${fieldTitle} retrieved successfully', { ${field}, totalData, totalPages, nextCursor });
+});
+
+/**
+ * Controller function to handle the connection of ${field} to a ${parent.moduleName}.
+ *
+ * @param {Request} req - The request object containing the ID of the ${parent.moduleName} in URL parameters and an array of IDs of ${field} in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const connect${relationName} = catchAsync(async (req: Request, res: Response) => {
+  ${idParam}
+  // Call the service method to connect the ${field} to the ${parent.moduleName} and get the result
+  const result = await ${servicesName}.connect${relationName}(id, req.body.ids);
+  // Send a success response with the IDs of the ${field} of the ${parent.moduleName}
+  ServerResponse(res, true, 200, '${fieldTitle} connected successfully', result);
+});
+${canDisconnect ? `
+/**
+ * Controller function to handle the disconnection of ${field} from a ${parent.moduleName}.
+ *
+ * @param {Request} req - The request object containing the ID of the ${parent.moduleName} in URL parameters and an array of IDs of ${field} in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const disconnect${relationName} = catchAsync(async (req: Request, res: Response) => {
+  ${idParam}
+  // Call the service method to disconnect the ${field} from the ${parent.moduleName} and get the result
+  const result = await ${servicesName}.disconnect${relationName}(id, req.body.ids);
+  // Send a success response with the IDs of the ${field} left to the ${parent.moduleName}
+  ServerResponse(res, true, 200, '${fieldTitle} disconnected successfully', result);
+});
+` : ''}`;
+
+      // Path to the service file
+      const serviceFilePath = path.join(parentDir, `${relationModuleName}.service.ts`);
+      // Create service file content
+      const serviceContent = `
+import { Prisma } from '@prisma/client';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+
+/**
+ * Service function to retrieve the ${field} of a ${parent.resourceName} based on a parsed list query.
+ *
+ * @param id - The ID of the ${parent.resourceName}.
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @returns {Promise<{ ${field}: Partial<${relationField.type}>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved ${field}, total count, total pages and the cursor of the next page.
+ * @throws {NotFoundError} - If no ${parent.resourceName} exists with the given ID.
+ */
+const get${relationName} = async (id: ${parentMeta.idType}, listQuery: ListQuery) => {
+  const where = ${childWhere} as Prisma.${relationField.type}WhereInput;
+
+  // Find the ${parent.resourceName} with a page of its matching ${field} and their total count
+  const ${parent.resourceName} = await prismaClient.${parent.resourceName}.findUnique({
+    where: { id },
+    select: {
+      ${field}: {
+        where,
+        orderBy: listQuery.orderBy as Prisma.${relationField.type}OrderByWithRelationInput[],
+        select: listQuery.select as Prisma.${relationField.type}Select,
+        cursor: listQuery.cursor as Prisma.${relationField.type}WhereUniqueInput | undefined,
+        skip: listQuery.skip,
+        take: listQuery.take,
+      },
+      _count: { select: { ${field}: { where } } },
+    },
+  });
+  if (!${parent.resourceName}) {
+    throw new NotFoundError('${parentModel.name} not found');
+  }
+
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(${parent.resourceName}.${field}, ${parent.resourceName}._count.${field}, listQuery);
+
+  return { ${field}: items, ...pagination };
+};
+
+/**
+ * Service function to connect ${field} to a ${parent.resourceName}${manyToMany ? '' : `, moving them from the ${parent.resourceName} they belonged to`}.
+ *
+ * @param id - The ID of the ${parent.resourceName}.
+ * @param ids - The IDs of the ${field} to connect.
+ * @returns {Promise<{ id: ${parentMeta.idType}; ${field}: { id: ${childMeta.idType} }[] }>} - The ${parent.resourceName} with the IDs of its ${field}.
+ * @throws - If no ${parent.resourceName}, or no ${child.resourceName} with one of the given IDs, exists (handled as 404).
+ */
+const connect${relationName} = async (id: ${parentMeta.idType}, ids: ${childMeta.idType}[]) => {
+  return prismaClient.${parent.resourceName}.update({
+    where: { id },
+    data: { ${field}: { connect: ids.map((${childIdName}) => (${childConnectWhere})) } },
+    select: { id: true, ${field}: { select: { id: true } } },
+  });
+};
+${canDisconnect ? `
+/**
+ * Service function to disconnect ${field} from a ${parent.resourceName}${manyToMany ? '' : `, leaving them without a ${parent.resourceName}`}.
+ *
+ * @param id - The ID of the ${parent.resourceName}.
+ * @param ids - The IDs of the ${field} to disconnect.
+ * @returns {Promise<{ id: ${parentMeta.idType}; ${field}: { id: ${childMeta.idType} }[] }>} - The ${parent.resourceName} with the IDs of its remaining ${field}.
+ * @throws - If no ${parent.resourceName} exists with the given ID (handled as 404).
+ */
+const disconnect${relationName} = async (id: ${parentMeta.idType}, ids: ${childMeta.idType}[]) => {
+  return prismaClient.${parent.resourceName}.update({
+    where: { id },
+    data: { ${field}: { disconnect: ids.map((${childIdName}) => ({ id: ${childIdName} })) } },
+    select: { id: true, ${field}: { select: { id: true } } },
+  });
+};
+` : ''}
+export const ${servicesName} = {
+  get${relationName},
+  connect${relationName},${canDisconnect ? `
+  disconnect${relationName},` : ''}
+};
+`;
+
+      const files = [
+        [controllerFilePath, controllerContent],
+        [routeFilePath, routeContent],
+        [serviceFilePath, serviceContent],
+      ];
+      // Existing files are overwritten with --force, kept with --yes, and an error otherwise
+      const existingFiles = files.filter(([filePath]) => fs.existsSync(filePath));
+      if (existingFiles.length && !options.force) {
+        existingFiles.forEach(([filePath]) => logChange('SKIP', filePath));
+        if (!options.yes || existingFiles.length === files.length) {
+          console.log(
+            `${RED}${relationName} relation already exists.${RESET} Use --force to overwrite its files.`
+          );
+        }
+        if (!options.yes) {
+          process.exit(1);
         }
-      })();
+      }
+
+      files
+        .filter((file) => options.force || !existingFiles.includes(file))
+        .forEach(([filePath, content]) => writeFile(filePath, content.trim(), options));
+
+      if (!canDisconnect) {
+        console.log(
+          `${BLUE}${relationField.type}.${backField.name} is required, so ${field} can be connected to another ${parent.moduleName} but not disconnected.${RESET}`
+        );
+      }
+      if (options.dryRun) {
+        console.log(`${BLUE}Dry run: no files were written.${RESET}`);
+      }
+    });
+
+  // Parse the arguments following the command
+  program.parse([...process.argv.slice(0, 2), ...args]);
+} else if (command === 'openapi') {
+  // Command-line options setup
+  program
+    .version('1.0.0') // Version of the CLI tool
+    .description('Write the OpenAPI document of the loaded routes to a file') // Description of the tool
+    .argument('[output]', 'Output file (defaults to openapi.json)') // Argument for output file
+    .action(() => {
+      const outputPath = path.resolve(process.cwd(), args[0] || 'openapi.json');
+
+      // Compile the TypeScript sources on the fly and load the routes without starting the server
+      require('ts-node').register({ transpileOnly: true });
+      const { routes } = require(path.join(__dirname, '..', 'src', 'app'));
+      const { buildOpenApiDocument } = require(
+        path.join(__dirname, '..', 'src', 'helpers', 'openapi', 'openapi-document')
+      );
+
+      const content = JSON.stringify(buildOpenApiDocument(routes), null, 2);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, content);
+      console.log(
+        `${GREEN}CREATE ${RESET}${path.relative(process.cwd(), outputPath)} ${BLUE}(${Buffer.byteLength(content, 'utf8')} bytes)${RESET}`
+      );
     });
 
   program.parse(process.argv);
+} else if (command === 'seed' || command === 'seed:reset') {
+  const reset = command === 'seed:reset';
+
+  // Command-line options setup
+  program
+    .version('1.0.0') // Version of the CLI tool
+    .description(
+      reset
+        ? 'Empty every table of the database, then run a seed set'
+        : 'Run a seed set, keeping the records already seeded'
+    ) // Description of the tool
+    .argument('[set]', 'Seed set: dev, demo or e2e (defaults to dev, or to none with --bootstrap)') // Argument for seed set
+    .option('--bootstrap', 'Create the initial SuperAdmin from SEED_SUPER_ADMIN_EMAIL and SEED_SUPER_ADMIN_PASSWORD')
+    .option('--force', 'Allow resetting or seeding the production database')
+    .action(async (set, options) => {
+      // Compile the TypeScript sources on the fly and load the seeds without starting the server
+      require('ts-node').register({ transpileOnly: true });
+      const { runSeed, seedSets } = require(
+        path.join(__dirname, '..', 'src', 'helpers', 'seed', 'seed-sets')
+      );
+      const { basePrismaClient } = require(
+        path.join(__dirname, '..', 'src', 'helpers', 'prisma', 'prisma-client')
+      );
+
+      const setName = set || (options.bootstrap ? undefined : 'dev');
+      if (setName && !seedSets[setName]) {
+        console.log(
+          `${RED}Unknown seed set ${setName}, expected one of: ${Object.keys(seedSets).join(', ')}.${RESET}`
+        );
+        process.exit(1);
+      }
+
+      try {
+        const { tables, superAdmin, records } = await runSeed({
+          set: setName,
+          reset,
+          bootstrap: options.bootstrap,
+          force: options.force,
+        });
+
+        if (tables) {
+          console.log(`${GREEN}RESET ${RESET}${tables.length} tables`);
+        }
+        if (superAdmin) {
+          console.log(
+            superAdmin.created
+              ? `${GREEN}CREATE ${RESET}SuperAdmin ${superAdmin.email}`
+              : `${BLUE}SKIP ${RESET}SuperAdmin ${superAdmin.email} already exists`
+          );
+        }
+        if (records) {
+          const counts = Object.entries(records).map(([model, count]) => `${count} ${model}`);
+          console.log(`${GREEN}SEED ${RESET}${setName} ${BLUE}(${counts.join(', ')})${RESET}`);
+        }
+      } catch (error) {
+        console.log(`${RED}${error.message}${RESET}`);
+        process.exitCode = 1;
+      } finally {
+        await basePrismaClient.$disconnect();
+      }
+    });
+
+  // Parse the arguments following the command
+  program.parse([...process.argv.slice(0, 2), ...args]);
 } else {
   console.error(`Unknown command: ${command}`);
   process.exit(1);
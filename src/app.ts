@@ -1,62 +1,63 @@
-import express, { Application, Request, Response } from 'express';
+import { PrismaClient } from '@prisma/client';
+import express, { Application, Request, RequestHandler, Response, Router } from 'express';
+import { Transporter } from 'nodemailer';
 import path from 'path';
+import swaggerUi from 'swagger-ui-express';
 import config from './config/config';
+import globalErrorHandler from './handlers/global-error-handler';
+import { liveness, readiness } from './helpers/health/health';
+import { metricsHandler, metricsMiddleware } from './helpers/metrics/metrics';
+import { buildOpenApiDocument } from './helpers/openapi/openapi-document';
+import { setPrismaClient } from './helpers/prisma/prisma-client';
+import { EventBus, setEventBus } from './helpers/realtime/event-bus';
+import PathNotFound from './helpers/responses/path-not-found';
 
 // Security and Middleware imports
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import fileUpload from 'express-fileupload';
 import mongoSanitize from 'express-mongo-sanitize';
-import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import hpp from 'hpp';
 import morgan from 'morgan';
-import { loggerStream } from './utils/logger/logger';
-
-// Express app initialization
-const app: Application = express();
+import rateLimitPolicy from './middlewares/rate-limit';
+import requestContext from './middlewares/request-context';
+import { Clock, setClock } from './utils/clock/clock';
+import { setMailTransporter } from './utils/email/mail-transport';
+import logger, { loggerStream } from './utils/logger/logger';
+
+/**
+ * Dependencies of the application, replacing the defaults of every module. They are shared by the
+ * whole process (the services use module-level clients), so a process runs one set at a time.
+ */
+export interface AppDependencies {
+  /** Prisma Client without the extensions, e.g. of a test database, instead of `DATABASE_URL`. */
+  prismaClient?: PrismaClient;
+  /** Transporter of the mails, instead of the one selected by `MAIL_TRANSPORT`. */
+  mailTransporter?: Transporter;
+  /** Clock of the application, instead of the system clock. */
+  clock?: Clock;
+  /** Bus of the realtime events, instead of the one selected by `REALTIME_BUS`. */
+  eventBus?: EventBus;
+}
 
 // Define the path to the public directory
 const publicDirPath = path.join(__dirname, '..', 'public');
 
-// Middleware setup
-app.use(express.json({ limit: config.MAX_JSON_SIZE }));
-app.use(express.urlencoded({ extended: config.URL_ENCODED }));
-app.use(cookieParser());
-app.use(fileUpload(config.EXPRESS_FILE_UPLOAD_CONFIG));
-
-// Security middleware initialization
-app.use(cors());
-app.use(helmet());
-app.use(mongoSanitize());
-app.use(hpp());
-app.use(morgan('dev'));
-
-// Use Morgan with the custom logger
-app.use(morgan('combined', { stream: loggerStream }));
-
-// Request Rate Limiting
-app.use(
-  rateLimit({
-    windowMs: config.REQUEST_LIMIT_TIME,
-    max: config.NODE_ENV !== 'production' ? Infinity : config.REQUEST_LIMIT_NUMBER,
-    standardHeaders: true,
-    legacyHeaders: false,
-  })
-);
-
-// Serve static files from the public directory
-app.use(
-  express.static(publicDirPath, {
-    setHeaders: (res) => {
-      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-    },
-  })
-);
+// Routes of the modules, collected once for logging and the OpenAPI document
+export const routes: {
+  module: string;
+  path: string;
+  method: string;
+  time: number;
+  file: string;
+  handlers: RequestHandler[];
+}[] = [];
 
-// Recursive function to load routes from nested folders
-export const routes: { module: string; path: string; method: string; time: number }[] = [];
+// Routers of the modules and the path they are mounted on, in the order they were loaded
+const routers: { baseRoute: string; router: Router }[] = [];
 
+// Recursive function to load routes from nested folders
 const loadRoutes = (basePath: string, baseRoute: string) => {
   const fs = require('fs'); // Load fs only here
   if (fs.existsSync(basePath)) {
@@ -69,44 +70,124 @@ const loadRoutes = (basePath: string, baseRoute: string) => {
         loadRoutes(itemPath, routePrefix);
       } else if (item.endsWith('.route.ts') || item.endsWith('.route.js')) {
         const routeModule = require(itemPath);
-        app.use(baseRoute, routeModule);
-
-        if (config.NODE_ENV !== 'production') {
-          const end = performance.now();
-          routeModule.stack.forEach((layer: any) => {
-            if (layer.route) {
-              Object.keys(layer.route.methods).forEach((method) => {
-                routes.push({
-                  module: item.split('.')[0],
-                  path: `${baseRoute}${layer.route.path}`,
-                  method: method.toUpperCase(),
-                  time: end - start,
-                });
+        routers.push({ baseRoute, router: routeModule });
+
+        // Collect the routes for logging and the OpenAPI document
+        const end = performance.now();
+        routeModule.stack.forEach((layer: any) => {
+          if (layer.route) {
+            Object.keys(layer.route.methods).forEach((method) => {
+              routes.push({
+                module: item.split('.')[0],
+                path: `${baseRoute}${layer.route.path}`,
+                method: method.toUpperCase(),
+                time: end - start,
+                file: itemPath,
+                handlers: layer.route.stack.map((routeLayer: any) => routeLayer.handle),
               });
-            }
-          });
-        }
+            });
+          }
+        });
       }
     });
   }
 };
 
 // Load routes starting from the 'modules' directory
-const routesPath = path.join(__dirname, 'modules');
-loadRoutes(routesPath, '/api/v1');
-
-// Serve an image file on the root route
-app.get('/', (req: Request, res: Response) => {
-  res.sendFile(path.join(publicDirPath, 'images', 'index.png'), (err) => {
-    if (err) {
-      console.error(`Failed to send image file: ${err.message}`);
-      res.status(500).send('Failed to send image.');
-    }
+loadRoutes(path.join(__dirname, 'modules'), '/api/v1');
+
+/**
+ * Creates the Express application, after replacing the default dependencies with the given ones.
+ * Creating the application neither connects to the database nor listens: the server is started
+ * by `index.ts`, while the tests send their requests to the application directly.
+ *
+ * @example const app = createApp({ prismaClient: createPrismaClient(testDatabaseUrl) });
+ *
+ * @param dependencies - The dependencies replacing the defaults.
+ * @returns {Application} - The Express application.
+ */
+const createApp = (dependencies: AppDependencies = {}): Application => {
+  if (dependencies.prismaClient) setPrismaClient(dependencies.prismaClient);
+  if (dependencies.mailTransporter) setMailTransporter(dependencies.mailTransporter);
+  if (dependencies.clock) setClock(dependencies.clock);
+  if (dependencies.eventBus) setEventBus(dependencies.eventBus);
+
+  // Express app initialization
+  const app: Application = express();
+
+  // Request count and latency per route, measured from the start of the request
+  app.use(metricsMiddleware);
+
+  // Middleware setup
+  app.use(express.json({ limit: config.MAX_JSON_SIZE }));
+  app.use(express.urlencoded({ extended: config.URL_ENCODED }));
+  app.use(cookieParser());
+  app.use(fileUpload(config.EXPRESS_FILE_UPLOAD_CONFIG));
+
+  // Request context (request ID and user) for services and Prisma extensions, after the body parsers
+  app.use(requestContext);
+
+  // Security middleware initialization
+  app.use(cors());
+  app.use(helmet());
+  app.use(mongoSanitize());
+  app.use(hpp());
+
+  // Health checks and metrics, neither logged nor rate limited as they are polled continuously
+  app.get('/health/live', liveness);
+  app.get('/health/ready', readiness);
+  app.get('/metrics', metricsHandler);
+
+  // Log every request through the application logger
+  app.use(morgan('combined', { stream: loggerStream }));
+
+  // Request rate limiting of every route, routes may add stricter policies
+  app.use(rateLimitPolicy('default'));
+
+  // Uploaded files stored in the public directory are only served through signed download URLs
+  const uploadDirPath = path.relative(publicDirPath, path.resolve(config.UPLOAD_DIR));
+  if (uploadDirPath && !uploadDirPath.startsWith('..') && !path.isAbsolute(uploadDirPath)) {
+    app.use(`/${uploadDirPath.split(path.sep).join('/')}`, PathNotFound);
+  }
+
+  // Serve static files from the public directory
+  app.use(
+    express.static(publicDirPath, {
+      setHeaders: (res) => {
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      },
+    })
+  );
+
+  // Mount the routers of the modules
+  routers.forEach(({ baseRoute, router }) => app.use(baseRoute, router));
+
+  // Serve the OpenAPI document and Swagger UI in any mode except production
+  if (config.NODE_ENV !== 'production') {
+    const openApiDocument = buildOpenApiDocument(routes);
+    app.get('/api/v1/docs/openapi.json', (req: Request, res: Response) => {
+      res.json(openApiDocument);
+    });
+    app.use('/api/v1/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
+  }
+
+  // Serve an image file on the root route
+  app.get('/', (req: Request, res: Response) => {
+    res.sendFile(path.join(publicDirPath, 'images', 'index.png'), (err) => {
+      if (err) {
+        logger.error('Failed to send image file', { error: err });
+        res.status(500).send('Failed to send image.');
+      }
+    });
   });
-});
 
-// Path not found handler
-import PathNotFound from './helpers/responses/path-not-found';
-app.use(PathNotFound);
+  // Path not found handler
+  app.use(PathNotFound);
+
+  // Global error handler (must be registered last)
+  app.use(globalErrorHandler);
+
+  return app;
+};
 
-export default app;
+export default createApp;
@@ -1,53 +1,265 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { supportedMimeTypes } from '../helpers/storage/file-signature';
+import { parseByteSize, parseDuration } from './units';
 
-dotenv.config();
-
-interface Config {
-  BASE_URL: string;
-  PORT: number;
-  DB_CONNECTION_URI: string;
-  NODE_ENV: string;
-  SALT_ROUNDS: number;
-  JWT_SECRET: string;
-  JWT_EXPIRATION_TIME: number;
-  EMAIL_HOST: string;
-  EMAIL_PORT: number;
-  EMAIL_USER: string;
-  EMAIL_PASSWORD: string;
-  MAX_JSON_SIZE: string;
-  MAX_FILE_SIZE: number;
-  URL_ENCODED: boolean;
-  REQUEST_LIMIT_TIME: number;
-  REQUEST_LIMIT_NUMBER: number;
-  WEB_CACHE: boolean;
-  EXPRESS_FILE_UPLOAD_CONFIG: object;
+/**
+ * Reads the variables of an env file, if it exists.
+ *
+ * @param file - The name of the file, relative to the working directory.
+ * @returns {Record<string, string>} - The variables of the file.
+ */
+const readEnvFile = (file: string): Record<string, string> => {
+  const filePath = path.resolve(process.cwd(), file);
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+};
+
+// Variables are read from the process environment first, then `.env.<NODE_ENV>`, then `.env`
+const baseEnv = readEnvFile('.env');
+const nodeEnv = process.env.NODE_ENV || baseEnv.NODE_ENV || 'development';
+const envFiles = ['.env', `.env.${nodeEnv}`].filter((file) => fs.existsSync(file));
+const fileEnv = { ...baseEnv, ...readEnvFile(`.env.${nodeEnv}`) };
+
+// Expose the file variables to the libraries reading `process.env` (e.g. Prisma reads DATABASE_URL)
+for (const [key, value] of Object.entries(fileEnv)) {
+  if (process.env[key] === undefined) {
+    process.env[key] = value;
+  }
+}
+
+/**
+ * Zod schema of a duration such as `30d`, `15m` or `3600`, converted to `unit`.
+ *
+ * @param unit - The unit of the parsed value (and of numbers without a unit).
+ * @returns The Zod schema.
+ */
+const duration = (unit: 'ms' | 's') =>
+  z.string().transform((value, ctx) => {
+    const parsed = parseDuration(value, unit);
+    if (parsed === undefined) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Must be a duration such as 30d, 12h, 15m, 30s or a number of ${unit === 's' ? 'seconds' : 'milliseconds'}`,
+      });
+      return z.NEVER;
+    }
+    return parsed;
+  });
+
+/**
+ * Zod schema of a byte size such as `50mb` or `1048576`, converted to bytes.
+ */
+const byteSize = z.string().transform((value, ctx) => {
+  const parsed = parseByteSize(value);
+  if (parsed === undefined) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Must be a size such as 50mb, 512kb or a number of bytes',
+    });
+    return z.NEVER;
+  }
+  return parsed;
+});
+
+/**
+ * Zod schema of a boolean written as `true` or `false`.
+ */
+const boolean = z
+  .enum(['true', 'false'], { errorMap: () => ({ message: 'Must be true or false' }) })
+  .transform((value) => value === 'true');
+
+/**
+ * Zod schema of an integer.
+ */
+const integer = z.coerce
+  .number({ invalid_type_error: 'Must be a number' })
+  .int('Must be an integer');
+
+// Secret shipped in `.env.example`, refused in production
+const exampleJwtSecret = '5EC7CEFA1BE7C9354A639369A2AA8';
+
+/**
+ * Zod schema of the environment variables. Empty variables are treated as unset.
+ */
+const envSchema = z
+  .object({
+    NODE_ENV: z.enum(['development', 'test', 'production']).default('development'),
+    BASE_URL: z.string().url('Must be a URL').default('http://localhost'),
+    PORT: integer.min(0).max(65535).default(5000),
+    DATABASE_URL: z.string({ required_error: 'Required' }),
+    SALT_ROUNDS: integer.min(4).max(31).default(10),
+    SEED_SUPER_ADMIN_EMAIL: z.string().email('Must be an email address').optional(),
+    SEED_SUPER_ADMIN_PASSWORD: z.string().min(8, 'Must be at least 8 characters long').optional(),
+    SEED_SUPER_ADMIN_PHONE: z.string().default(''),
+    JWT_SECRET: z.string({ required_error: 'Required' }),
+    JWT_EXPIRATION_TIME: duration('s').default('30d'),
+    REFRESH_TOKEN_EXPIRATION_TIME: duration('s').default('7d'),
+    EMAIL_VERIFICATION_EXPIRATION_TIME: duration('s').default('24h'),
+    PASSWORD_RESET_EXPIRATION_TIME: duration('s').default('1h'),
+    AUTH_EMAIL_LIMIT_TIME: duration('ms').default('1h'),
+    AUTH_EMAIL_LIMIT_NUMBER: integer.min(1).default(3),
+    CLIENT_URL: z.string().url('Must be a URL').optional(),
+    EMAIL_HOST: z.string().default(''),
+    EMAIL_PORT: integer.min(0).max(65535).default(587),
+    EMAIL_USER: z.string().default(''),
+    EMAIL_PASSWORD: z.string().default(''),
+    EMAIL_SECURE: boolean.default('false'),
+    EMAIL_TLS_REJECT_UNAUTHORIZED: boolean.default('true'),
+    MAIL_TRANSPORT: z.enum(['smtp', 'file']).default('smtp'),
+    MAIL_FROM: z.string().optional(),
+    MAIL_FILE_DIR: z.string().default('storage/mail'),
+    MAIL_MAX_ATTEMPTS: integer.min(1).default(5),
+    MAIL_RETRY_DELAY: duration('ms').default('1m'),
+    MAIL_QUEUE_INTERVAL: duration('ms').default('10s'),
+    MAIL_ENCRYPTION_SECRET: z.string().optional(),
+    MAX_JSON_SIZE: byteSize.default('50mb'),
+    MAX_FILE_SIZE: byteSize.default('50mb'),
+    UPLOAD_ALLOWED_TYPES: z
+      .string()
+      .default('image/jpeg,image/png,image/gif,image/webp,application/pdf')
+      .transform((value) => value.split(',').map((type) => type.trim().toLowerCase()))
+      .refine((types) => types.every((type) => supportedMimeTypes.includes(type)), {
+        message: `Must be a comma separated list of ${supportedMimeTypes.join(', ')}`,
+      }),
+    STORAGE_DRIVER: z.enum(['local', 's3']).default('local'),
+    UPLOAD_DIR: z.string().default('public/uploads'),
+    S3_ENDPOINT: z.string().url('Must be a URL').optional(),
+    S3_REGION: z.string().default('us-east-1'),
+    S3_BUCKET: z.string().optional(),
+    S3_ACCESS_KEY_ID: z.string().optional(),
+    S3_SECRET_ACCESS_KEY: z.string().optional(),
+    S3_FORCE_PATH_STYLE: boolean.default('false'),
+    DOWNLOAD_URL_EXPIRATION_TIME: duration('s').default('15m'),
+    DOWNLOAD_URL_SECRET: z.string().optional(),
+    URL_ENCODED: boolean.default('true'),
+    REQUEST_LIMIT_TIME: duration('ms').default('15m'),
+    REQUEST_LIMIT_NUMBER: integer.min(1).default(3000),
+    AUTH_LIMIT_TIME: duration('ms').default('15m'),
+    AUTH_LIMIT_NUMBER: integer.min(1).default(10),
+    READ_LIMIT_TIME: duration('ms').default('15m'),
+    READ_LIMIT_NUMBER: integer.min(1).default(1500),
+    WRITE_LIMIT_TIME: duration('ms').default('15m'),
+    WRITE_LIMIT_NUMBER: integer.min(1).default(300),
+    RATE_LIMIT_ENABLED: boolean.optional(),
+    RATE_LIMIT_STORE: z.enum(['memory', 'prisma', 'redis']).default('memory'),
+    REDIS_URL: z.string().url('Must be a URL').optional(),
+    WEB_CACHE: boolean.default('false'),
+    WEB_CACHE_STORE: z.enum(['memory', 'redis']).default('memory'),
+    WEB_CACHE_TTL: duration('ms').default('1m'),
+    WEB_CACHE_MAX_ENTRIES: integer.min(1).default(1000),
+    REALTIME_BUS: z.enum(['memory', 'redis']).default('memory'),
+    REALTIME_HEARTBEAT_INTERVAL: duration('ms').default('30s'),
+    LOG_LEVEL: z.enum(['fatal', 'error', 'warn', 'info', 'http', 'debug']).optional(),
+    LOG_FORMAT: z.enum(['json', 'pretty']).optional(),
+    LOG_DIR: z.string().default('logs'),
+    LOG_MAX_SIZE: byteSize.default('20mb'),
+    LOG_MAX_AGE: duration('ms').default('14d'),
+    SLOW_QUERY_THRESHOLD: duration('ms').default('500ms'),
+    METRICS_TOKEN: z.string().optional(),
+    IDEMPOTENCY_STORE: z.enum(['prisma', 'memory']).default('prisma'),
+    IDEMPOTENCY_TTL: duration('ms').default('24h'),
+    IDEMPOTENCY_LOCK_TIMEOUT: duration('ms').default('1m'),
+    SHUTDOWN_TIMEOUT: duration('ms').default('10s'),
+    CLUSTER_WORKERS: z.union([z.literal('auto'), integer.min(0)]).default(0),
+    CLUSTER_RESTART_DELAY: duration('ms').default('1s'),
+  })
+  .superRefine((env, ctx) => {
+    const issue = (path: string, message: string) =>
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [path], message });
+
+    if (env.STORAGE_DRIVER === 's3' && !env.S3_BUCKET) {
+      issue('S3_BUCKET', 'Required when STORAGE_DRIVER is s3');
+    }
+    if (env.RATE_LIMIT_STORE === 'redis' && !env.REDIS_URL) {
+      issue('REDIS_URL', 'Required when RATE_LIMIT_STORE is redis');
+    }
+    if (env.WEB_CACHE && env.WEB_CACHE_STORE === 'redis' && !env.REDIS_URL) {
+      issue('REDIS_URL', 'Required when WEB_CACHE_STORE is redis');
+    }
+    if (env.REALTIME_BUS === 'redis' && !env.REDIS_URL) {
+      issue('REDIS_URL', 'Required when REALTIME_BUS is redis');
+    }
+
+    // Secrets must be real values in production
+    if (env.NODE_ENV !== 'production') return;
+
+    if (env.JWT_SECRET.length < 32 || env.JWT_SECRET === exampleJwtSecret) {
+      issue('JWT_SECRET', 'Must be a random secret of at least 32 characters in production');
+    }
+    if (/<[^>]+>/.test(env.DATABASE_URL)) {
+      issue('DATABASE_URL', 'Still contains placeholders such as <password>');
+    }
+    if (env.MAIL_TRANSPORT === 'smtp') {
+      for (const key of ['EMAIL_HOST', 'EMAIL_USER', 'EMAIL_PASSWORD'] as const) {
+        if (!env[key]) issue(key, 'Required in production when MAIL_TRANSPORT is smtp');
+      }
+    }
+    if (!env.METRICS_TOKEN) {
+      issue('METRICS_TOKEN', 'Required in production, where /metrics must not be public');
+    }
+  });
+
+const parseResult = envSchema.safeParse(
+  Object.fromEntries(Object.entries(process.env).filter(([, value]) => value !== ''))
+);
+
+// Fail fast with every invalid variable listed
+if (!parseResult.success) {
+  const report = parseResult.error.issues
+    .map((issue) => `  - ${issue.path.join('.')}: ${issue.message}`)
+    .join('\n');
+  throw new Error(
+    `Invalid configuration (NODE_ENV=${nodeEnv}, files: ${envFiles.join(', ') || 'none'}):\n${report}`
+  );
 }
 
-const config: Config = {
-  BASE_URL: process.env.BASE_URL as string,
-  PORT: parseInt(process.env.PORT as string, 10),
-  DB_CONNECTION_URI: process.env.DB_CONNECTION_URI as string,
-  NODE_ENV: process.env.NODE_ENV as string,
-  SALT_ROUNDS: parseInt(process.env.SALT_ROUNDS as string, 10),
-  JWT_SECRET: process.env.JWT_SECRET as string,
-  JWT_EXPIRATION_TIME: parseInt(process.env.JWT_EXPIRATION_TIME as string, 10),
-  EMAIL_HOST: process.env.EMAIL_HOST as string,
-  EMAIL_PORT: parseInt(process.env.EMAIL_PORT as string, 10),
-  EMAIL_USER: process.env.EMAIL_USER as string,
-  EMAIL_PASSWORD: process.env.EMAIL_PASSWORD as string,
-  MAX_JSON_SIZE: process.env.MAX_JSON_SIZE as string,
-  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE as string, 10),
-  URL_ENCODED: process.env.URL_ENCODED === 'true' ? true : false,
-  REQUEST_LIMIT_TIME: parseInt(process.env.REQUEST_LIMIT_TIME as string, 10),
-  REQUEST_LIMIT_NUMBER: parseInt(process.env.REQUEST_LIMIT_NUMBER as string, 10),
-  WEB_CACHE: process.env.WEB_CACHE === 'true' ? true : false,
+const env = parseResult.data;
+
+/**
+ * Recursively freezes an object.
+ *
+ * @param object - The object to freeze.
+ * @returns {Readonly<T>} - The frozen object.
+ */
+const deepFreeze = <T extends object>(object: T): Readonly<T> => {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+};
+
+/**
+ * Validated application configuration. Durations are in seconds for the token lifetimes and in
+ * milliseconds otherwise, sizes are in bytes.
+ */
+const config = deepFreeze({
+  ...env,
+  MAIL_FROM: env.MAIL_FROM ?? env.EMAIL_USER,
+  // Links sent by email point to the API host unless a client application is configured
+  CLIENT_URL: env.CLIENT_URL ?? env.BASE_URL,
+  // Download links are signed with the JWT secret unless a dedicated secret is configured
+  DOWNLOAD_URL_SECRET: env.DOWNLOAD_URL_SECRET ?? env.JWT_SECRET,
+  // Links of the queued mails are encrypted with the JWT secret unless a dedicated secret is configured
+  MAIL_ENCRYPTION_SECRET: env.MAIL_ENCRYPTION_SECRET ?? env.JWT_SECRET,
+  // Limits are enforced in development too, so that they can be tried, but not in tests
+  RATE_LIMIT_ENABLED: env.RATE_LIMIT_ENABLED ?? env.NODE_ENV !== 'test',
+  // Everything in development, warnings in tests, requests and above in production
+  LOG_LEVEL:
+    env.LOG_LEVEL ??
+    ({ development: 'debug', test: 'warn', production: 'http' } as const)[env.NODE_ENV],
+  // JSON lines in production, readable lines otherwise
+  LOG_FORMAT: env.LOG_FORMAT ?? (env.NODE_ENV === 'production' ? 'json' : 'pretty'),
   EXPRESS_FILE_UPLOAD_CONFIG: {
     createParentPath: true,
     preserveExtension: true,
     limits: {
-      fileSize: parseInt(process.env.MAX_FILE_SIZE as string, 10),
+      fileSize: env.MAX_FILE_SIZE,
     },
   },
-};
+});
+
+export type Config = typeof config;
 
 export default config;
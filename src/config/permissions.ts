@@ -0,0 +1,85 @@
+import { UserRole } from '@prisma/client';
+
+/**
+ * Actions a permission can grant on a resource.
+ */
+export type PermissionAction = 'create' | 'read' | 'update' | 'delete';
+
+/**
+ * Permissions guarding a specific operation of a resource rather than one of the actions above.
+ * They have no `*` default: only the roles listed in the permission matrix hold them.
+ */
+export const dedicatedPermissions = ['user:role'] as const;
+
+/**
+ * A permission in the form `<resource>:<action>`, e.g. `user:delete`, or a dedicated permission.
+ * The resource `*` matches every resource and is used for the default rules.
+ */
+export type Permission = `${string}:${PermissionAction}` | (typeof dedicatedPermissions)[number];
+
+/**
+ * Declarative permission matrix mapping each permission to the roles that hold it.
+ *
+ * Resource specific entries take precedence over the `*` defaults, so a generated
+ * module is usable right away and can be locked down by adding its own entries here.
+ */
+export const permissionMatrix: Record<Permission, UserRole[]> = {
+  // Defaults applied to every resource
+  '*:create': [UserRole.Admin, UserRole.SuperAdmin],
+  '*:read': [UserRole.Admin, UserRole.SuperAdmin],
+  '*:update': [UserRole.Admin, UserRole.SuperAdmin],
+  '*:delete': [UserRole.SuperAdmin],
+
+  // User module
+  'user:create': [UserRole.SuperAdmin],
+  'user:delete': [UserRole.SuperAdmin],
+  'user:role': [UserRole.SuperAdmin], // Changing the role of a user, which decides every permission
+
+  // Audit log module
+  'audit-log:read': [UserRole.SuperAdmin],
+};
+
+/**
+ * Checks if the given value is a role of the `UserRole` enum.
+ * @param value - The value to be checked.
+ * @returns `true` if the value is a role; otherwise `false`.
+ */
+export const isUserRole = (value: string): value is UserRole => {
+  return (Object.values(UserRole) as string[]).includes(value);
+};
+
+/**
+ * Checks if the given value is a permission in the form `<resource>:<action>`, or a dedicated permission.
+ * @param value - The value to be checked.
+ * @returns `true` if the value is a permission; otherwise `false`.
+ */
+export const isPermission = (value: string): value is Permission => {
+  return (
+    /^([\w-]+|\*):(create|read|update|delete)$/.test(value) ||
+    (dedicatedPermissions as readonly string[]).includes(value)
+  );
+};
+
+/**
+ * Checks if a role holds a permission according to the permission matrix.
+ * @param role - The role to check.
+ * @param permission - The permission to check for.
+ * @returns `true` if the role holds the permission; otherwise `false`.
+ */
+export const hasPermission = (role: UserRole, permission: Permission): boolean => {
+  const action = permission.slice(permission.lastIndexOf(':') + 1) as PermissionAction;
+  const roles = permissionMatrix[permission] ?? permissionMatrix[`*:${action}`] ?? [];
+  return roles.includes(role);
+};
+
+/**
+ * Checks if the scopes of an API key grant a permission. The scope `*:<action>` grants the
+ * action on every resource.
+ * @param scopes - The scopes of the API key.
+ * @param permission - The permission to check for.
+ * @returns `true` if the scopes grant the permission; otherwise `false`.
+ */
+export const hasScope = (scopes: readonly Permission[], permission: Permission): boolean => {
+  const action = permission.slice(permission.lastIndexOf(':') + 1) as PermissionAction;
+  return scopes.includes(permission) || scopes.includes(`*:${action}`);
+};
@@ -0,0 +1,81 @@
+// Milliseconds in each duration unit
+const durationUnits: Record<string, number> = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Bytes in each size unit
+const byteUnits: Record<string, number> = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parses a duration such as `30d`, `15m`, `500ms` or `3600` into a number of `unit`.
+ * Numbers without a unit are already expressed in `unit`.
+ *
+ * @example parseDuration('30d', 's'); // 2592000
+ *
+ * @param value - The duration.
+ * @param unit - The unit of the result (and of numbers without a unit).
+ * @returns {number | undefined} - The duration in `unit`, or `undefined` if the value is not a duration.
+ */
+export const parseDuration = (value: string, unit: 'ms' | 's'): number | undefined => {
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!match) return undefined;
+
+  const [, amount, valueUnit] = match;
+  const milliseconds = Number(amount) * durationUnits[(valueUnit ?? unit).toLowerCase()];
+  return Math.round(milliseconds / durationUnits[unit]);
+};
+
+/**
+ * Parses a byte size such as `50mb`, `512kb` or `1048576` into a number of bytes.
+ * Units are binary (`1kb` is 1024 bytes) and numbers without a unit are bytes.
+ *
+ * @example parseByteSize('50mb'); // 52428800
+ *
+ * @param value - The byte size.
+ * @returns {number | undefined} - The size in bytes, or `undefined` if the value is not a byte size.
+ */
+export const parseByteSize = (value: string): number | undefined => {
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) return undefined;
+
+  const [, amount, valueUnit] = match;
+  return Math.round(Number(amount) * byteUnits[(valueUnit ?? 'b').toLowerCase()]);
+};
+
+// Units used to describe a duration to users, from the largest
+const readableDurationUnits = [
+  ['week', durationUnits.w],
+  ['day', durationUnits.d],
+  ['hour', durationUnits.h],
+  ['minute', durationUnits.m],
+  ['second', durationUnits.s],
+] as const;
+
+/**
+ * Describes a duration in the largest unit it is a whole number of, e.g. in emails.
+ *
+ * @example formatDuration(86400, 's'); // '1 day'
+ * @example formatDuration(90 * 60 * 1000, 'ms'); // '90 minutes'
+ *
+ * @param value - The duration.
+ * @param unit - The unit of the duration.
+ * @returns {string} - The readable duration.
+ */
+export const formatDuration = (value: number, unit: 'ms' | 's'): string => {
+  const milliseconds = value * durationUnits[unit];
+  const [name, size] =
+    readableDurationUnits.find(([, size]) => milliseconds >= size && milliseconds % size === 0) ??
+    readableDurationUnits[readableDurationUnits.length - 1];
+  const amount = Math.round(milliseconds / size);
+  return `${amount} ${name}${amount === 1 ? '' : 's'}`;
+};
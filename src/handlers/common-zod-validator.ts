@@ -1,93 +1,114 @@
+import { Prisma } from '@prisma/client';
 import { NextFunction, Request, Response } from 'express';
-import { isMongoId } from 'validator';
 import { z } from 'zod';
+import { bulkModes } from '../helpers/bulk/bulk-operation';
+import { describeId, getIdSchema } from '../helpers/prisma/id-strategy';
+import { registerRequestSchemas } from '../helpers/openapi/request-schema';
 import zodErrorHandler from './zod-error-handler';
 
 /**
- * Zod schema for validating id and ids.
+ * Creates the middlewares validating the IDs of a model according to its ID strategy in
+ * `schema.prisma` (UUID, CUID, integer, ObjectId): `validateId` for the `id` URL parameter and
+ * `validateIds` for the `ids` of bulk request bodies, whose integer IDs are coerced to numbers.
+ * @example const { validateId, validateIds } = createIdValidators('User');
+ * @param model - The name of the model.
+ * @returns The `validateId` and `validateIds` middlewares of the model.
  */
-const zodIdSchema = z
-  .object({
-    id: z
-      .string({
-        required_error: 'Id is required',
-        invalid_type_error: 'Please provide a valid id',
-      })
-      .refine((id: string) => isMongoId(id), {
-        message: 'Please provide a valid id',
-      }),
-    ids: z
-      .array(
-        z.string().refine((id: string) => isMongoId(id), {
-          message: 'Each ID must be a valid MongoDB ObjectId',
+export const createIdValidators = (model: Prisma.ModelName) => {
+  const zodIdSchema = z.object({ id: getIdSchema(model) }).strict();
+  const zodIdsSchema = z
+    .object({
+      ids: z
+        .array(getIdSchema(model, `Each ID must be a valid ${describeId(model)}`), {
+          required_error: 'At least one ID must be provided',
+          invalid_type_error: 'IDs must be an array',
         })
-      )
-      .min(1, {
-        message: 'At least one ID must be provided',
-      }),
-  })
-  .strict();
+        .min(1, {
+          message: 'At least one ID must be provided',
+        }),
+    })
+    .strict();
 
-/**
- * Middleware function to validate id using Zod schema.
- * @param {object} req - The request object.
- * @param {object} res - The response object.
- * @param {function} next - The next middleware function.
- * @returns {void}
- */
-export const validateId = (req: Request, res: Response, next: NextFunction) => {
-  // Validate request params
-  const { error, success } = zodIdSchema.pick({ id: true }).safeParse({ id: req.params.id });
+  /**
+   * Middleware function to validate id using Zod schema.
+   * @param {object} req - The request object.
+   * @param {object} res - The response object.
+   * @param {function} next - The next middleware function.
+   * @returns {void}
+   */
+  const validateId = (req: Request, res: Response, next: NextFunction) => {
+    // Validate request params
+    const { error, success } = zodIdSchema.safeParse({ id: req.params.id });
 
-  // Check if validation was successful
-  if (!success) {
-    // If validation failed, use the Zod error handler to send an error response
-    return zodErrorHandler(req, res, error);
-  }
+    // Check if validation was successful
+    if (!success) {
+      // If validation failed, use the Zod error handler to send an error response
+      return zodErrorHandler(req, res, error);
+    }
 
-  // If validation passed, proceed to the next middleware function
-  return next();
-};
+    // If validation passed, proceed to the next middleware function
+    return next();
+  };
 
-/**
- * Middleware function to validate ids using Zod schema.
- * @param {object} req - The request object.
- * @param {object} res - The response object.
- * @param {function} next - The next middleware function.
- * @returns {void}
- */
-export const validateIds = (req: Request, res: Response, next: NextFunction) => {
-  // Validate request body
-  const { success, error } = zodIdSchema.pick({ ids: true }).safeParse({ ids: req.body.ids });
+  registerRequestSchemas(validateId, { params: zodIdSchema });
 
-  // Check if validation was successful
-  if (!success) {
-    // If validation failed, use the Zod error handler to send an error response
-    return zodErrorHandler(req, res, error);
-  }
+  /**
+   * Middleware function to validate ids using Zod schema.
+   * @param {object} req - The request object.
+   * @param {object} res - The response object.
+   * @param {function} next - The next middleware function.
+   * @returns {void}
+   */
+  const validateIds = (req: Request, res: Response, next: NextFunction) => {
+    // Validate request body
+    const parseResult = zodIdsSchema.safeParse({ ids: req.body.ids });
 
-  // If validation passed, proceed to the next middleware function
-  return next();
+    // Check if validation was successful
+    if (!parseResult.success) {
+      // If validation failed, use the Zod error handler to send an error response
+      return zodErrorHandler(req, res, parseResult.error);
+    }
+
+    // Replace the IDs with the parsed ones (integer IDs sent as strings become numbers)
+    req.body.ids = parseResult.data.ids;
+
+    // If validation passed, proceed to the next middleware function
+    return next();
+  };
+
+  registerRequestSchemas(validateIds, { body: zodIdsSchema });
+
+  return { validateId, validateIds };
 };
 
 /**
  * Zod schema for validating request search query.
+ * Only checks the shape of the parameters; the fields used in `filter`, `sort` and `fields`
+ * are validated against each module's whitelist by `parseListQuery`.
  */
 const zodRequestSearchQuerySchema = z
   .object({
-    searchKey: z.string({ required_error: 'Please specify the search key.' }).optional(),
+    searchKey: z.string({ invalid_type_error: 'Search key must be a string.' }).optional(),
     showPerPage: z
-      .string({ required_error: 'Please specify the number of items to show per page.' })
-      .transform((val) => (val ? parseInt(val, 10) : undefined))
-      .refine((val) => val !== undefined && val > 0, {
+      .string({ invalid_type_error: 'Show per page must be a number.' })
+      .refine((val) => parseInt(val, 10) > 0, {
         message: 'Show per page must be a positive number.',
-      }),
+      })
+      .optional(),
     pageNo: z
-      .string({ required_error: 'Please specify the page number.' })
-      .transform((val) => (val ? parseInt(val, 10) : undefined))
-      .refine((val) => val !== undefined && val > 0, {
+      .string({ invalid_type_error: 'Page number must be a number.' })
+      .refine((val) => parseInt(val, 10) > 0, {
         message: 'Page number must be a positive number.',
-      }),
+      })
+      .optional(),
+    filter: z
+      .record(z.unknown(), {
+        invalid_type_error: 'Filters must use the filter[field]=value syntax.',
+      })
+      .optional(),
+    sort: z.string({ invalid_type_error: 'Sort must be a comma separated list.' }).optional(),
+    fields: z.string({ invalid_type_error: 'Fields must be a comma separated list.' }).optional(),
+    cursor: z.string({ invalid_type_error: 'Cursor must be a string.' }).optional(),
   })
   .strict();
 
@@ -111,3 +132,44 @@ export const validateSearchQueries = (req: Request, res: Response, next: NextFun
   // If validation passed, proceed to the next middleware function
   return next();
 };
+
+registerRequestSchemas(validateSearchQueries, { query: zodRequestSearchQuerySchema });
+
+/**
+ * Zod schema for validating the mode of bulk operations (`atomic` by default).
+ */
+const zodBulkModeQuerySchema = z
+  .object({
+    mode: z
+      .enum(bulkModes, {
+        errorMap: () => ({ message: `Mode must be one of: ${bulkModes.join(', ')}.` }),
+      })
+      .default('atomic'),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate the mode of bulk operations using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateBulkMode = (req: Request, res: Response, next: NextFunction) => {
+  // Validate request query
+  const parseResult = zodBulkModeQuerySchema.safeParse(req.query);
+
+  // Check if validation was successful
+  if (!parseResult.success) {
+    // If validation failed, use the Zod error handler to send an error response
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // Replace the query with the parsed data (applies the default mode)
+  req.query = parseResult.data;
+
+  // If validation passed, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateBulkMode, { query: zodBulkModeQuerySchema });
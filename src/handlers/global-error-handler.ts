@@ -0,0 +1,167 @@
+import { Prisma } from '@prisma/client';
+import { NextFunction, Request, Response } from 'express';
+import config from '../config/config';
+import { AppError } from '../helpers/errors/app-error';
+import ServerResponse from '../helpers/responses/custom-response';
+import logger from '../utils/logger/logger';
+
+/**
+ * Normalized error information rendered by the global error handler.
+ */
+export interface NormalizedError {
+  statusCode: number;
+  code: string;
+  message: string;
+  details?: any[];
+}
+
+/**
+ * Maps a Prisma known request error to an HTTP status, a stable error code and a client safe message.
+ * @see https://www.prisma.io/docs/orm/reference/error-reference#prisma-client-query-engine
+ *
+ * @param err - The Prisma known request error.
+ * @returns {NormalizedError} - The normalized error.
+ */
+const mapPrismaKnownError = (err: Prisma.PrismaClientKnownRequestError): NormalizedError => {
+  // The target is a list of fields or the name of the violated index, depending on the database
+  const target = err.meta?.target;
+  const fields = Array.isArray(target) ? target.join(', ') : (target as string | undefined);
+
+  switch (err.code) {
+    case 'P2002':
+      return {
+        statusCode: 409,
+        code: 'UNIQUE_CONSTRAINT_VIOLATION',
+        message: fields
+          ? `A record with the same ${fields} already exists`
+          : 'A record with the same unique value already exists',
+      };
+    case 'P2003':
+      return {
+        statusCode: 409,
+        code: 'FOREIGN_KEY_CONSTRAINT_VIOLATION',
+        message: 'The operation violates a relation to another record',
+      };
+    case 'P2014':
+      return {
+        statusCode: 409,
+        code: 'RELATION_VIOLATION',
+        message: 'The change would violate a required relation',
+      };
+    case 'P2025':
+    case 'P2001':
+    case 'P2015':
+    case 'P2018':
+      return { statusCode: 404, code: 'RECORD_NOT_FOUND', message: 'Record not found' };
+    case 'P2000':
+      return {
+        statusCode: 400,
+        code: 'VALUE_TOO_LONG',
+        message: 'A provided value is too long for its field',
+      };
+    case 'P2005':
+    case 'P2006':
+    case 'P2007':
+    case 'P2023':
+      return { statusCode: 400, code: 'INVALID_VALUE', message: 'A provided value is invalid' };
+    case 'P2011':
+    case 'P2012':
+      return {
+        statusCode: 400,
+        code: 'MISSING_REQUIRED_VALUE',
+        message: 'A required value is missing',
+      };
+    default:
+      return {
+        statusCode: 500,
+        code: 'DATABASE_ERROR',
+        message: 'An unexpected database error occurred',
+      };
+  }
+};
+
+/**
+ * Converts any thrown value into a normalized error.
+ * Also used to report the errors of the items of bulk operations.
+ *
+ * @param err - The error passed to `next()`.
+ * @returns {NormalizedError} - The normalized error.
+ */
+export const normalizeError = (err: any): NormalizedError => {
+  // Operational errors thrown by the application
+  if (err instanceof AppError) {
+    return {
+      statusCode: err.statusCode,
+      code: err.code,
+      message: err.message,
+      details: err.details,
+    };
+  }
+
+  // Errors reported by the Prisma query engine
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    return mapPrismaKnownError(err);
+  }
+
+  // Queries built from invalid input (e.g. wrong field types)
+  if (err instanceof Prisma.PrismaClientValidationError) {
+    return { statusCode: 400, code: 'INVALID_QUERY', message: 'Invalid request data' };
+  }
+
+  // Errors raised by body parsers and other http-errors based middlewares
+  if (err?.type === 'entity.parse.failed') {
+    return { statusCode: 400, code: 'INVALID_JSON', message: 'Malformed JSON in request body' };
+  }
+  if (err?.type === 'entity.too.large') {
+    return { statusCode: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+  if (err?.expose && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+    return { statusCode: err.status, code: 'BAD_REQUEST', message: err.message };
+  }
+
+  // Anything else is a bug: hide the details from the client
+  return {
+    statusCode: 500,
+    code: 'INTERNAL_SERVER_ERROR',
+    message: 'An unexpected error occurred',
+  };
+};
+
+/**
+ * Global error handling middleware. Must be registered after all routes and `PathNotFound`.
+ * Renders every error forwarded with `next(err)` through `ServerResponse`, and includes the
+ * stack trace only in development.
+ *
+ * @param err - The error passed to `next()`.
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ * @returns {void}
+ */
+const globalErrorHandler = (err: any, req: Request, res: Response, next: NextFunction) => {
+  // Delegate to the default Express handler if the response has already started
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { statusCode, code, message, details } = normalizeError(err);
+  const isDevelopment = config.NODE_ENV === 'development';
+
+  // Log server errors for debugging purposes
+  if (statusCode >= 500) {
+    logger.error(`${req.method} ${req.originalUrl} failed`, { error: err });
+  }
+
+  // Send the error response using the global response helper
+  return ServerResponse(
+    res,
+    false,
+    statusCode,
+    isDevelopment && code === 'INTERNAL_SERVER_ERROR' && err?.message ? err.message : message,
+    null,
+    details,
+    { code, ...(isDevelopment && err?.stack && { stack: err.stack }) }
+  );
+};
+
+export default globalErrorHandler;
@@ -1,7 +1,7 @@
 import { Request, Response } from 'express';
 import { ZodError } from 'zod';
-import config from '../config/config';
 import ServerResponse from '../helpers/responses/custom-response';
+import logger from '../utils/logger/logger';
 
 /**
  * Handles errors generated by Zod schema validation.
@@ -18,10 +18,8 @@ const zodErrorHandler = (req: Request, res: Response, zodErr: ZodError): Respons
     message: err?.message,
   }));
 
-  // Log errors only in development environment
-  if (config.NODE_ENV === 'development') {
-    console.log(errors);
-  }
+  // Log the validation errors for debugging purposes
+  logger.debug('Validation error', { errors });
 
   // Send error response using the global response helper
   return ServerResponse(res, false, 400, 'Validation error', null, errors);
@@ -0,0 +1,187 @@
+import { Response } from 'express';
+import { normalizeError } from '../../handlers/global-error-handler';
+import { prismaClient, runTransaction, TransactionClient } from '../prisma/prisma-client';
+import ServerResponse from '../responses/custom-response';
+
+/**
+ * Modes of a bulk operation:
+ * - `atomic`: all the items are applied in a single transaction, or none of them.
+ * - `partial`: every item is applied on its own, the failing ones are reported and skipped.
+ */
+export const bulkModes = ['atomic', 'partial'] as const;
+
+export type BulkMode = (typeof bulkModes)[number];
+
+/**
+ * Outcome of one item of a bulk operation:
+ * - `succeeded`: the item was applied.
+ * - `failed`: the item could not be applied, see `error`.
+ * - `rolled_back`: the item was applied, then reverted because another item failed (atomic mode).
+ * - `skipped`: the item was not attempted because another item failed (atomic mode).
+ */
+export type BulkItemStatus = 'succeeded' | 'failed' | 'rolled_back' | 'skipped';
+
+/**
+ * Result of one item of a bulk operation, in the order of the request.
+ */
+export interface BulkItemResult<T> {
+  index: number;
+  id: string | number | null;
+  status: BulkItemStatus;
+  data?: T;
+  error?: { statusCode: number; code: string; message: string; details?: any[] };
+}
+
+/**
+ * Result of a bulk operation.
+ */
+export interface BulkResult<T> {
+  mode: BulkMode;
+  succeeded: number;
+  failed: number;
+  results: BulkItemResult<T>[];
+}
+
+// Maximum time an atomic bulk operation may hold its transaction open
+const transactionTimeout = 30000;
+
+/**
+ * Runs an operation on every item of a bulk request, one item after another.
+ *
+ * In `atomic` mode the items run in a single interactive transaction, rolled back on the first
+ * failure. In `partial` mode each item runs on its own and failures do not stop the others.
+ * Errors are reported per item, normalized like the errors rendered by the global error handler.
+ *
+ * @example runBulk(ids, 'atomic', (id, db) => db.user.delete({ where: { id } }), (id) => id);
+ *
+ * @param items - The items of the request.
+ * @param mode - The bulk mode.
+ * @param operation - The operation applied to each item, using the given client.
+ * @param getId - Returns the ID of an item, or of the record it produced.
+ * @returns {Promise<BulkResult<R>>} - The result of every item.
+ * @throws If the transaction fails for a reason other than one of its items (e.g. a timeout).
+ */
+export const runBulk = async <I, R>(
+  items: I[],
+  mode: BulkMode,
+  operation: (item: I, db: TransactionClient) => Promise<R>,
+  getId: (item: I, data?: R) => string | number | null
+): Promise<BulkResult<R>> => {
+  const results: BulkItemResult<R>[] = [];
+
+  // Applies one item, recording its result, and returns whether it succeeded
+  const applyItem = async (item: I, index: number, db: TransactionClient) => {
+    try {
+      const data = await operation(item, db);
+      results.push({ index, id: getId(item, data), status: 'succeeded', data });
+      return true;
+    } catch (error) {
+      const { statusCode, code, message, details } = normalizeError(error);
+      results.push({
+        index,
+        id: getId(item),
+        status: 'failed',
+        error: { statusCode, code, message, ...(details && { details }) },
+      });
+      return false;
+    }
+  };
+
+  if (mode === 'partial') {
+    for (const [index, item] of items.entries()) {
+      await applyItem(item, index, prismaClient);
+    }
+  } else {
+    // Thrown to roll back the transaction once an item has failed
+    const rollback = new Error('Bulk operation rolled back');
+    try {
+      await runTransaction(
+        async (tx) => {
+          for (const [index, item] of items.entries()) {
+            if (!(await applyItem(item, index, tx))) throw rollback;
+          }
+        },
+        { timeout: transactionTimeout }
+      );
+    } catch (error) {
+      if (error !== rollback) throw error;
+
+      // Nothing was applied: report the items before the failure as rolled back, and the rest as skipped
+      for (const result of results) {
+        if (result.status === 'succeeded') {
+          result.status = 'rolled_back';
+          delete result.data;
+        }
+      }
+      for (let index = results.length; index < items.length; index++) {
+        results.push({ index, id: getId(items[index]), status: 'skipped' });
+      }
+    }
+  }
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  return {
+    mode,
+    succeeded: results.filter((result) => result.status === 'succeeded').length,
+    failed,
+    results,
+  };
+};
+
+/**
+ * Sends the result of a bulk operation:
+ * - every item succeeded: `statusCode` with the results as data.
+ * - an atomic operation failed: the status of the failing item, with the results as errors.
+ * - some items of a partial operation failed: 207 Multi-Status, with the results as data.
+ * - every item of a partial operation failed: the status shared by the failures (422 if they
+ *   differ), with the results as errors.
+ *
+ * @param res - The response object.
+ * @param result - The result of the bulk operation.
+ * @param statusCode - The HTTP status code when every item succeeded.
+ * @param message - The message when every item succeeded.
+ * @returns {Response} - The response.
+ */
+export const sendBulkResponse = <T>(
+  res: Response,
+  result: BulkResult<T>,
+  statusCode: number,
+  message: string
+): Response => {
+  if (result.failed === 0) {
+    return ServerResponse(res, true, statusCode, message, result);
+  }
+
+  if (result.mode === 'atomic') {
+    const failedItem = result.results.find((item) => item.status === 'failed');
+    return ServerResponse(
+      res,
+      false,
+      failedItem?.error?.statusCode ?? 400,
+      `Item ${failedItem?.index} failed: ${failedItem?.error?.message}. No changes were applied.`,
+      null,
+      result.results
+    );
+  }
+
+  if (result.succeeded === 0) {
+    const statusCodes = new Set(result.results.map((item) => item.error?.statusCode));
+    const [sharedStatusCode] = statusCodes;
+    return ServerResponse(
+      res,
+      false,
+      statusCodes.size === 1 && sharedStatusCode ? sharedStatusCode : 422,
+      `None of the ${result.results.length} items succeeded`,
+      null,
+      result.results
+    );
+  }
+
+  return ServerResponse(
+    res,
+    true,
+    207,
+    `${result.succeeded} of ${result.results.length} items succeeded`,
+    result
+  );
+};
@@ -0,0 +1,87 @@
+/**
+ * Base class for operational errors that are safe to report to API clients.
+ * Thrown anywhere in the request pipeline and rendered by the global error handler.
+ */
+export class AppError extends Error {
+  /** The HTTP status code of the response. */
+  public readonly statusCode: number;
+  /** A stable, machine readable error code (e.g. `NOT_FOUND`). */
+  public readonly code: string;
+  /** Optional list of error details, rendered as `errors` in the response. */
+  public readonly details?: any[];
+
+  /**
+   * Creates a new application error.
+   * @param message - A message describing the error.
+   * @param statusCode - The HTTP status code (defaults to 500).
+   * @param code - A stable error code (defaults to `INTERNAL_SERVER_ERROR`).
+   * @param details - Optional list of error details.
+   */
+  constructor(
+    message: string,
+    statusCode: number = 500,
+    code: string = 'INTERNAL_SERVER_ERROR',
+    details?: any[]
+  ) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
+
+/**
+ * Error for malformed or invalid requests (400).
+ */
+export class BadRequestError extends AppError {
+  constructor(message: string = 'Bad request', details?: any[], code: string = 'BAD_REQUEST') {
+    super(message, 400, code, details);
+  }
+}
+
+/**
+ * Error for requests that failed validation (400).
+ */
+export class ValidationError extends AppError {
+  constructor(message: string = 'Validation error', details?: any[]) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+/**
+ * Error for requests without valid authentication (401).
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message: string = 'Unauthorized', code: string = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+/**
+ * Error for authenticated requests that lack the required role or permission (403).
+ */
+export class ForbiddenError extends AppError {
+  constructor(message: string = 'Forbidden', code: string = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+/**
+ * Error for resources that do not exist (404).
+ */
+export class NotFoundError extends AppError {
+  constructor(message: string = 'Resource not found', code: string = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+/**
+ * Error for requests that conflict with the current state of a resource (409).
+ */
+export class ConflictError extends AppError {
+  constructor(message: string = 'Conflict', code: string = 'CONFLICT') {
+    super(message, 409, code);
+  }
+}
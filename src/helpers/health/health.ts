@@ -0,0 +1,82 @@
+import { Request, Response } from 'express';
+import fs from 'fs';
+import path from 'path';
+import { prismaClient } from '../prisma/prisma-client';
+import logger from '../../utils/logger/logger';
+import ServerResponse from '../responses/custom-response';
+
+// Migrations created by `prisma migrate dev`, one directory each
+const migrationsDir = path.join(__dirname, '..', '..', '..', 'prisma', 'migrations');
+
+const healthLogger = logger.child({ scope: 'Health' });
+
+/**
+ * Lists the migrations of `prisma/migrations` that are not applied to the database. Returns an
+ * empty list when the project has no migrations directory (e.g. the schema is applied with
+ * `prisma db push`).
+ *
+ * @returns {Promise<string[]>} - The names of the pending migrations.
+ */
+const getPendingMigrations = async (): Promise<string[]> => {
+  if (!fs.existsSync(migrationsDir)) return [];
+
+  const migrations = fs
+    .readdirSync(migrationsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+  if (migrations.length === 0) return [];
+
+  const applied = await prismaClient.$queryRaw<{ migration_name: string }[]>`
+    SELECT migration_name FROM _prisma_migrations
+    WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+  `;
+  const appliedNames = new Set(applied.map((migration) => migration.migration_name));
+
+  return migrations.filter((migration) => !appliedNames.has(migration));
+};
+
+/**
+ * Handler of `GET /health/live`: the process is up and serving requests.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @returns {Response}
+ */
+export const liveness = (req: Request, res: Response) =>
+  ServerResponse(res, true, 200, 'Alive', { uptime: process.uptime() });
+
+/**
+ * Handler of `GET /health/ready`: the database is reachable and every migration is applied.
+ * Responds with 503 and the failed checks otherwise, so that load balancers stop routing
+ * traffic to the instance.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @returns {Promise<Response>}
+ */
+export const readiness = async (req: Request, res: Response) => {
+  try {
+    await prismaClient.$queryRaw`SELECT 1`;
+  } catch (error) {
+    healthLogger.warn('Database check failed', { error });
+    return ServerResponse(res, false, 503, 'Not ready', null, [
+      { field: 'database', message: 'The database is unreachable' },
+    ]);
+  }
+
+  try {
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+      return ServerResponse(res, false, 503, 'Not ready', null, [
+        { field: 'migrations', message: `Pending migrations: ${pending.join(', ')}` },
+      ]);
+    }
+  } catch (error) {
+    healthLogger.warn('Migrations check failed', { error });
+    return ServerResponse(res, false, 503, 'Not ready', null, [
+      { field: 'migrations', message: 'The applied migrations could not be read' },
+    ]);
+  }
+
+  return ServerResponse(res, true, 200, 'Ready', { database: 'up', migrations: 'applied' });
+};
@@ -0,0 +1,199 @@
+import { Prisma } from '@prisma/client';
+import config from '../../config/config';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../prisma/prisma-client';
+
+/**
+ * Response stored for an idempotency key and replayed to the retries.
+ */
+export interface StoredResponse {
+  statusCode: number;
+  body: unknown;
+}
+
+/**
+ * Outcome of claiming an idempotency key:
+ * - `acquired`: first request with this key (or its previous attempt failed), process it;
+ * - `replay`: the request was already processed, send the stored response;
+ * - `in_progress`: the same request is being processed by another call;
+ * - `mismatch`: the key was used for a different request.
+ */
+export type IdempotencyClaim =
+  | { status: 'acquired' }
+  | { status: 'replay'; response: StoredResponse }
+  | { status: 'in_progress' }
+  | { status: 'mismatch' };
+
+/**
+ * Storage of the idempotency keys. Implementations must make `acquire` atomic, so that only one
+ * of several concurrent requests with the same key acquires it.
+ */
+export interface IdempotencyStore {
+  /** Claims a key for a request, locking it for `IDEMPOTENCY_LOCK_TIMEOUT` if acquired. */
+  acquire(scope: string, key: string, fingerprint: string): Promise<IdempotencyClaim>;
+  /** Stores the response of an acquired key, kept for `IDEMPOTENCY_TTL`. */
+  complete(scope: string, key: string, response: StoredResponse): Promise<void>;
+  /** Releases an acquired key without a response, so that the request can be retried. */
+  release(scope: string, key: string): Promise<void>;
+}
+
+/**
+ * Store keeping the idempotency keys in the `IdempotencyKey` table, shared by every instance.
+ *
+ * @returns {IdempotencyStore} - The store.
+ */
+export const createPrismaIdempotencyStore = (): IdempotencyStore => {
+  let lastPurge = 0;
+
+  // Delete the expired keys, at most once per lock timeout
+  const purgeExpired = async () => {
+    if (Date.now() - lastPurge < config.IDEMPOTENCY_LOCK_TIMEOUT) return;
+    lastPurge = Date.now();
+    await prismaClient.idempotencyKey.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  };
+
+  const acquire = async (
+    scope: string,
+    key: string,
+    fingerprint: string,
+    retried = false
+  ): Promise<IdempotencyClaim> => {
+    await purgeExpired();
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + config.IDEMPOTENCY_LOCK_TIMEOUT);
+
+    try {
+      await prismaClient.idempotencyKey.create({
+        data: {
+          scope,
+          key,
+          fingerprint,
+          lockedUntil,
+          expiresAt: new Date(now.getTime() + config.IDEMPOTENCY_TTL),
+        },
+      });
+      return { status: 'acquired' };
+    } catch (error) {
+      // Anything but a duplicate key is a real failure
+      if (!(error instanceof Prisma.PrismaClientKnownRequestError) || error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await prismaClient.idempotencyKey.findUnique({
+      where: { scope_key: { scope, key } },
+    });
+
+    // Deleted in the meantime (expired or released), claim it again
+    if (!existing || existing.expiresAt <= now) {
+      if (existing) await prismaClient.idempotencyKey.deleteMany({ where: { id: existing.id } });
+      return retried ? { status: 'in_progress' } : acquire(scope, key, fingerprint, true);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return { status: 'mismatch' };
+    }
+    if (existing.statusCode !== null) {
+      return {
+        status: 'replay',
+        response: { statusCode: existing.statusCode, body: existing.response },
+      };
+    }
+    if (existing.lockedUntil && existing.lockedUntil > now) {
+      return { status: 'in_progress' };
+    }
+
+    // The request holding the lock never completed (e.g. the process crashed), take it over
+    const { count } = await prismaClient.idempotencyKey.updateMany({
+      where: { id: existing.id, statusCode: null, lockedUntil: existing.lockedUntil },
+      data: { lockedUntil },
+    });
+    return count === 1 ? { status: 'acquired' } : { status: 'in_progress' };
+  };
+
+  return {
+    acquire: (scope, key, fingerprint) => acquire(scope, key, fingerprint),
+    complete: async (scope, key, response) => {
+      await prismaClient.idempotencyKey.update({
+        where: { scope_key: { scope, key } },
+        data: {
+          statusCode: response.statusCode,
+          response: response.body as Prisma.InputJsonValue,
+          lockedUntil: null,
+        },
+      });
+    },
+    release: async (scope, key) => {
+      await prismaClient.idempotencyKey.deleteMany({ where: { scope, key, statusCode: null } });
+    },
+  };
+};
+
+/**
+ * Store keeping the idempotency keys in memory, for tests and single-process deployments.
+ *
+ * @returns {IdempotencyStore} - The store.
+ */
+export const createMemoryIdempotencyStore = (): IdempotencyStore => {
+  const entries = new Map<
+    string,
+    { fingerprint: string; response?: StoredResponse; lockedUntil: number; expiresAt: number }
+  >();
+  let lastPurge = 0;
+
+  return {
+    acquire: async (scope, key, fingerprint) => {
+      const id = `${scope}:${key}`;
+      const now = Date.now();
+
+      // Delete the expired keys, at most once per lock timeout
+      if (now - lastPurge >= config.IDEMPOTENCY_LOCK_TIMEOUT) {
+        lastPurge = now;
+        for (const [entryId, entry] of entries) {
+          if (entry.expiresAt <= now) entries.delete(entryId);
+        }
+      }
+
+      const existing = entries.get(id);
+
+      if (existing && existing.expiresAt > now) {
+        if (existing.fingerprint !== fingerprint) return { status: 'mismatch' };
+        if (existing.response) return { status: 'replay', response: existing.response };
+        if (existing.lockedUntil > now) return { status: 'in_progress' };
+      }
+
+      entries.set(id, {
+        fingerprint,
+        lockedUntil: now + config.IDEMPOTENCY_LOCK_TIMEOUT,
+        expiresAt: now + config.IDEMPOTENCY_TTL,
+      });
+      return { status: 'acquired' };
+    },
+    complete: async (scope, key, response) => {
+      const entry = entries.get(`${scope}:${key}`);
+      if (entry) entry.response = response;
+    },
+    release: async (scope, key) => {
+      entries.delete(`${scope}:${key}`);
+    },
+  };
+};
+
+// Store created on first use
+let store: IdempotencyStore | undefined;
+
+/**
+ * Returns the store selected by `IDEMPOTENCY_STORE`.
+ *
+ * @returns {IdempotencyStore} - The shared store.
+ */
+export const getIdempotencyStore = (): IdempotencyStore => {
+  if (!store) {
+    store =
+      config.IDEMPOTENCY_STORE === 'memory'
+        ? createMemoryIdempotencyStore()
+        : createPrismaIdempotencyStore();
+  }
+  return store;
+};
@@ -0,0 +1,231 @@
+import cluster from 'cluster';
+import { Application } from 'express';
+import { Server } from 'http';
+import os from 'os';
+import config from '../../config/config';
+import logger from '../../utils/logger/logger';
+
+type LifecycleHook = () => unknown | Promise<unknown>;
+
+// Hooks in the order they were registered
+const startupHooks: { name: string; hook: LifecycleHook }[] = [];
+const shutdownHooks: { name: string; hook: LifecycleHook }[] = [];
+const serverCloseHooks: { name: string; hook: LifecycleHook }[] = [];
+
+const lifecycleLogger = logger.child({ scope: 'Lifecycle' });
+
+let server: Server | undefined;
+let shutdownPromise: Promise<void> | undefined;
+
+/**
+ * Registers a hook run before the server starts listening, after the hooks registered before it.
+ * The server does not start if a hook throws.
+ *
+ * @param name - The name of the hook, for the logs.
+ * @param hook - The hook.
+ * @returns {void}
+ *
+ * @example onStartup('database', () => prismaClient.$connect());
+ */
+export const onStartup = (name: string, hook: LifecycleHook) => {
+  startupHooks.push({ name, hook });
+};
+
+/**
+ * Registers a hook run on shutdown once the in-flight requests are drained, after the hooks
+ * registered before it. A failing hook is logged and does not prevent the next ones from running.
+ *
+ * @param name - The name of the hook, for the logs.
+ * @param hook - The hook.
+ * @returns {void}
+ *
+ * @example onShutdown('database', () => prismaClient.$disconnect());
+ */
+export const onShutdown = (name: string, hook: LifecycleHook) => {
+  shutdownHooks.push({ name, hook });
+};
+
+/**
+ * Registers a hook run on shutdown as soon as the server stops accepting connections, before the
+ * in-flight requests are drained, e.g. to end the long-lived connections (WebSocket, SSE) that
+ * would otherwise hold the server open until `SHUTDOWN_TIMEOUT`. A failing hook is logged.
+ *
+ * @param name - The name of the hook, for the logs.
+ * @param hook - The hook.
+ * @returns {void}
+ *
+ * @example onServerClose('realtime', closeRealtimeConnections);
+ */
+export const onServerClose = (name: string, hook: LifecycleHook) => {
+  serverCloseHooks.push({ name, hook });
+};
+
+/**
+ * Runs the startup hooks, then starts listening on `PORT`.
+ *
+ * @param app - The Express application.
+ * @returns {Promise<Server>} - The listening server.
+ */
+export const startServer = async (app: Application): Promise<Server> => {
+  for (const { name, hook } of startupHooks) {
+    await hook();
+    lifecycleLogger.debug(`Startup hook "${name}" done`);
+  }
+
+  return new Promise((resolve, reject) => {
+    server = app.listen(config.PORT, () => resolve(server as Server));
+    server.once('error', reject);
+  });
+};
+
+/**
+ * Stops the server gracefully: stops accepting connections, waits up to `SHUTDOWN_TIMEOUT` for
+ * the in-flight requests (closing the remaining connections after it), runs the shutdown hooks
+ * and exits. Calling it again while shutting down waits for the same shutdown.
+ *
+ * @param reason - Why the server stops (e.g. the signal), for the logs.
+ * @param exitCode - The exit code of the process.
+ * @returns {Promise<void>}
+ */
+export const shutdown = (reason: string, exitCode = 0): Promise<void> => {
+  if (!shutdownPromise) {
+    shutdownPromise = (async () => {
+      lifecycleLogger.info(`Shutting down (${reason})...`);
+      await closeServer();
+
+      for (const { name, hook } of shutdownHooks) {
+        try {
+          await hook();
+          lifecycleLogger.debug(`Shutdown hook "${name}" done`);
+        } catch (error) {
+          lifecycleLogger.error(`Shutdown hook "${name}" failed`, { error });
+        }
+      }
+
+      lifecycleLogger.info('Shutdown complete');
+      process.exit(exitCode);
+    })();
+  }
+  return shutdownPromise;
+};
+
+/**
+ * Closes the server, waiting for the in-flight requests for up to `SHUTDOWN_TIMEOUT`.
+ *
+ * @returns {Promise<void>}
+ */
+const closeServer = () =>
+  new Promise<void>((resolve) => {
+    if (!server?.listening) return resolve();
+
+    const timeout = setTimeout(() => {
+      lifecycleLogger.warn('Requests still in flight after SHUTDOWN_TIMEOUT, closing them');
+      server?.closeAllConnections();
+    }, config.SHUTDOWN_TIMEOUT);
+    timeout.unref();
+
+    // Keep-alive connections would otherwise hold the server open once their request is done
+    const closeIdle = setInterval(() => server?.closeIdleConnections(), 100);
+
+    server.close(() => {
+      clearTimeout(timeout);
+      clearInterval(closeIdle);
+      resolve();
+    });
+    server.closeIdleConnections();
+
+    for (const { name, hook } of serverCloseHooks) {
+      Promise.resolve()
+        .then(hook)
+        .then(() => lifecycleLogger.debug(`Server close hook "${name}" done`))
+        .catch((error) => lifecycleLogger.error(`Server close hook "${name}" failed`, { error }));
+    }
+  });
+
+/**
+ * Shuts down gracefully on SIGTERM and SIGINT, and after an uncaught exception or an unhandled
+ * rejection (exiting with 1).
+ *
+ * @returns {void}
+ */
+export const handleProcessSignals = () => {
+  for (const signal of ['SIGTERM', 'SIGINT'] as const) {
+    // Shutting down is idempotent: signals repeated while draining (e.g. Ctrl-C forwarded by the
+    // cluster primary) do not kill the process
+    process.on(signal, () => shutdown(signal));
+  }
+
+  process.on('uncaughtException', (error: Error) => {
+    lifecycleLogger.fatal('Uncaught exception', { error });
+    shutdown('uncaught exception', 1);
+  });
+  process.on('unhandledRejection', (error: Error) => {
+    lifecycleLogger.fatal('Unhandled rejection', { error });
+    shutdown('unhandled rejection', 1);
+  });
+};
+
+/**
+ * Number of worker processes to fork: `CLUSTER_WORKERS`, or one per CPU when it is `auto`.
+ *
+ * @returns {number} - The number of workers, 0 to run in a single process.
+ */
+const getWorkerCount = () =>
+  config.CLUSTER_WORKERS === 'auto' ? os.availableParallelism() : config.CLUSTER_WORKERS;
+
+/**
+ * Runs `start` in the current process, or, in cluster mode (`CLUSTER_WORKERS`), forks the worker
+ * processes running it and sharing the port. Workers exiting unexpectedly are restarted after
+ * `CLUSTER_RESTART_DELAY`. On SIGTERM and SIGINT, the primary forwards the signal to the workers,
+ * which shut down gracefully, and exits once they have all exited.
+ *
+ * @param start - The function starting the server.
+ * @returns {void}
+ */
+export const runClustered = (start: () => unknown) => {
+  const workerCount = getWorkerCount();
+  if (workerCount === 0 || !cluster.isPrimary) {
+    start();
+    return;
+  }
+
+  const clusterLogger = logger.child({ scope: 'Cluster' });
+  let stopping = false;
+
+  const fork = () => {
+    if (stopping) return;
+    const worker = cluster.fork();
+    clusterLogger.info(`Worker ${worker.process.pid} started`);
+  };
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (stopping) {
+      if (Object.keys(cluster.workers ?? {}).length === 0) {
+        clusterLogger.info('All workers exited');
+        process.exit(0);
+      }
+      return;
+    }
+
+    clusterLogger.error(
+      `Worker ${worker.process.pid} exited (${signal ?? code}), restarting it in ${config.CLUSTER_RESTART_DELAY} ms`
+    );
+    setTimeout(fork, config.CLUSTER_RESTART_DELAY);
+  });
+
+  for (const signal of ['SIGTERM', 'SIGINT'] as const) {
+    process.on(signal, () => {
+      if (stopping) return;
+      stopping = true;
+      clusterLogger.info(`Stopping the workers (${signal})...`);
+      const workers = Object.values(cluster.workers ?? {});
+      if (workers.length === 0) process.exit(0);
+      for (const worker of workers) {
+        worker?.process.kill(signal);
+      }
+    });
+  }
+
+  clusterLogger.info(`Starting ${workerCount} workers`);
+  for (let i = 0; i < workerCount; i++) fork();
+};
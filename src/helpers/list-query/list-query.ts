@@ -0,0 +1,339 @@
+import { ValidationError } from '../errors/app-error';
+
+/**
+ * Type of a whitelisted field, used to coerce query string values.
+ * An array of strings declares an enum field with its allowed values.
+ */
+export type ListQueryFieldType = 'string' | 'number' | 'boolean' | 'date' | readonly string[];
+
+/**
+ * Per-module whitelist of the fields that can be used in list queries.
+ */
+export interface ListQueryOptions {
+  /** Fields that can be used in `filter[...]`, with their types. */
+  filterable: Record<string, ListQueryFieldType>;
+  /** Fields that can be used in `sort`. */
+  sortable: string[];
+  /** Fields that can be requested with `fields`. Also the default selection. */
+  selectable: string[];
+  /** String fields matched by `searchKey`. */
+  searchable?: string[];
+  /** Sort order used when `sort` is not provided (e.g. `-createdAt`). */
+  defaultSort?: string;
+  /** Unique field used for cursor pagination (defaults to `id`). */
+  cursorField?: string;
+  /** Maximum value accepted for `showPerPage` (defaults to 100). */
+  maxPerPage?: number;
+}
+
+/**
+ * A parsed and validated list query, ready to be passed to Prisma.
+ */
+export interface ListQuery {
+  where: Record<string, any>;
+  orderBy: Record<string, 'asc' | 'desc'>[];
+  select: Record<string, true>;
+  cursor?: Record<string, string | number>;
+  skip: number;
+  /** Rows to fetch: one more than `showPerPage`, telling whether a next page exists. */
+  take: number;
+  pageNo: number;
+  showPerPage: number;
+  cursorField: string;
+}
+
+/**
+ * Result of a paginated list query.
+ */
+export interface ListQueryPage<T> {
+  items: T[];
+  totalData: number;
+  totalPages: number;
+  nextCursor: string | null;
+}
+
+// Supported filter operators and the Prisma operator each one maps to
+const operators: Record<string, string> = {
+  eq: 'equals',
+  ne: 'not',
+  in: 'in',
+  nin: 'notIn',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  contains: 'contains',
+  startsWith: 'startsWith',
+  endsWith: 'endsWith',
+};
+
+// Operators that only make sense for string fields
+const stringOperators = ['contains', 'startsWith', 'endsWith'];
+
+// Operators that take a comma separated list of values
+const listOperators = ['in', 'nin'];
+
+const DEFAULT_SHOW_PER_PAGE = 10;
+const DEFAULT_MAX_PER_PAGE = 100;
+
+/**
+ * Encodes a cursor value into an opaque, URL safe string.
+ * @param value - The value of the cursor field.
+ * @returns The encoded cursor.
+ */
+export const encodeCursor = (value: string | number): string => {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor created by `encodeCursor`.
+ * @param cursor - The encoded cursor.
+ * @returns The cursor value, or `undefined` if the cursor is malformed.
+ */
+const decodeCursor = (cursor: string): string | number | undefined => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof value === 'string' || typeof value === 'number' ? value : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Coerces a raw query string value to the type of a whitelisted field.
+ * @param raw - The raw value from the query string.
+ * @param type - The type of the field.
+ * @returns The coerced value, or `undefined` if the value is invalid for the type.
+ */
+const coerceValue = (raw: unknown, type: ListQueryFieldType): unknown => {
+  if (typeof raw !== 'string') return undefined;
+
+  if (Array.isArray(type)) {
+    return type.includes(raw) ? raw : undefined;
+  }
+
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(value) ? value : undefined;
+    }
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : undefined;
+    case 'date': {
+      const value = new Date(raw);
+      return isNaN(value.getTime()) ? undefined : value;
+    }
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Describes the values accepted by a field type, for error messages.
+ * @param type - The type of the field.
+ * @returns A human readable description of the type.
+ */
+const describeType = (type: ListQueryFieldType): string => {
+  return Array.isArray(type) ? `one of ${type.join(', ')}` : `a valid ${type}`;
+};
+
+/**
+ * Splits a comma separated query string value into its trimmed, non-empty parts.
+ * @param value - The raw query string value.
+ * @returns The list of parts.
+ */
+const splitList = (value: unknown): string[] => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((item): item is string => typeof item === 'string')
+    .flatMap((item) => item.split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parses a list query string into a validated Prisma `where`, `orderBy`, `select` and `cursor`.
+ *
+ * Supported parameters:
+ * - `filter[field]=value` or `filter[field][op]=value` where `op` is one of
+ *   `eq`, `ne`, `in`, `nin`, `gt`, `gte`, `lt`, `lte`, `contains`, `startsWith`, `endsWith`
+ *   (`in` and `nin` take comma separated values)
+ * - `sort=-createdAt,email` (a leading `-` sorts descending)
+ * - `fields=id,email`
+ * - `searchKey=...` (matched against the searchable fields)
+ * - `showPerPage` and `pageNo` for offset pagination, or `cursor` for cursor pagination
+ *
+ * Only the fields whitelisted in the options can be used.
+ *
+ * @param query - The request query object (as parsed by Express).
+ * @param options - The per-module whitelist.
+ * @returns {ListQuery} - The parsed list query.
+ * @throws {ValidationError} - If any parameter is invalid or uses a field that is not whitelisted.
+ */
+export const parseListQuery = (
+  query: Record<string, any>,
+  options: ListQueryOptions
+): ListQuery => {
+  const errors: { field: string; message: string }[] = [];
+  const cursorField = options.cursorField ?? 'id';
+  const maxPerPage = options.maxPerPage ?? DEFAULT_MAX_PER_PAGE;
+
+  // Pagination
+  const showPerPage = query.showPerPage ? Number(query.showPerPage) : DEFAULT_SHOW_PER_PAGE;
+  const pageNo = query.pageNo ? Number(query.pageNo) : 1;
+
+  if (!Number.isInteger(showPerPage) || showPerPage < 1 || showPerPage > maxPerPage) {
+    errors.push({
+      field: 'showPerPage',
+      message: `Show per page must be a number between 1 and ${maxPerPage}.`,
+    });
+  }
+  if (!Number.isInteger(pageNo) || pageNo < 1) {
+    errors.push({ field: 'pageNo', message: 'Page number must be a positive number.' });
+  }
+
+  // Filters
+  const where: Record<string, any> = {};
+  const filter = query.filter ?? {};
+
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push({ field: 'filter', message: 'Filters must use the filter[field]=value syntax.' });
+  } else {
+    for (const [field, condition] of Object.entries(filter)) {
+      const type = options.filterable[field];
+      if (!type) {
+        errors.push({ field: `filter.${field}`, message: `Filtering by ${field} is not allowed.` });
+        continue;
+      }
+
+      // A plain value (or repeated values) is an equality (or `in`) filter
+      const conditions: Record<string, unknown> =
+        condition && typeof condition === 'object' && !Array.isArray(condition)
+          ? (condition as Record<string, unknown>)
+          : Array.isArray(condition)
+            ? { in: condition.join(',') }
+            : { eq: condition };
+
+      const fieldWhere: Record<string, unknown> = {};
+      for (const [operator, raw] of Object.entries(conditions)) {
+        const path = `filter.${field}.${operator}`;
+        const prismaOperator = operators[operator];
+
+        if (!prismaOperator) {
+          errors.push({ field: path, message: `Unknown filter operator ${operator}.` });
+          continue;
+        }
+        if (stringOperators.includes(operator) && type !== 'string') {
+          errors.push({ field: path, message: `Operator ${operator} requires a string field.` });
+          continue;
+        }
+
+        if (listOperators.includes(operator)) {
+          const values = splitList(raw).map((item) => coerceValue(item, type));
+          if (values.length === 0 || values.some((value) => value === undefined)) {
+            errors.push({ field: path, message: `Each value must be ${describeType(type)}.` });
+            continue;
+          }
+          fieldWhere[prismaOperator] = values;
+        } else {
+          const value = coerceValue(raw, type);
+          if (value === undefined) {
+            errors.push({ field: path, message: `Value must be ${describeType(type)}.` });
+            continue;
+          }
+          fieldWhere[prismaOperator] = value;
+        }
+      }
+
+      where[field] = fieldWhere;
+    }
+  }
+
+  // Full text search on the searchable fields
+  if (typeof query.searchKey === 'string' && query.searchKey && options.searchable?.length) {
+    where.OR = options.searchable.map((field) => ({ [field]: { contains: query.searchKey } }));
+  }
+
+  // Sorting
+  const orderBy: Record<string, 'asc' | 'desc'>[] = [];
+  for (const item of splitList(query.sort ?? options.defaultSort)) {
+    const field = item.replace(/^[-+]/, '');
+    if (!options.sortable.includes(field)) {
+      errors.push({ field: 'sort', message: `Sorting by ${field} is not allowed.` });
+      continue;
+    }
+    orderBy.push({ [field]: item.startsWith('-') ? 'desc' : 'asc' });
+  }
+  // Always sort by the cursor field last so that pages are stable
+  if (!orderBy.some((item) => cursorField in item)) {
+    orderBy.push({ [cursorField]: 'asc' });
+  }
+
+  // Field selection
+  const requestedFields = query.fields !== undefined ? splitList(query.fields) : options.selectable;
+  const select: Record<string, true> = {};
+  for (const field of requestedFields) {
+    if (!options.selectable.includes(field)) {
+      errors.push({ field: 'fields', message: `Selecting ${field} is not allowed.` });
+      continue;
+    }
+    select[field] = true;
+  }
+  // The cursor field is always needed to build the next cursor
+  select[cursorField] = true;
+
+  // Cursor pagination
+  let cursor: Record<string, string | number> | undefined;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    const value = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : undefined;
+    if (value === undefined) {
+      errors.push({ field: 'cursor', message: 'Cursor is invalid.' });
+    } else {
+      cursor = { [cursorField]: value };
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid query parameters', errors);
+  }
+
+  return {
+    where,
+    orderBy,
+    select,
+    cursor,
+    // With a cursor, skip the cursor row itself; otherwise use offset pagination
+    skip: cursor ? 1 : (pageNo - 1) * showPerPage,
+    // One extra row tells `toListQueryPage` whether a next page exists
+    take: showPerPage + 1,
+    pageNo,
+    showPerPage,
+    cursorField,
+  };
+};
+
+/**
+ * Builds the pagination metadata for a page of results. The extra row fetched by the list query
+ * is dropped: it only tells whether a next page exists, so that no cursor leads to an empty page.
+ *
+ * @param items - The rows fetched with the list query.
+ * @param totalData - The total number of matching items.
+ * @param listQuery - The parsed list query used to fetch the page.
+ * @returns {ListQueryPage<T>} - The items with the pagination metadata.
+ */
+export const toListQueryPage = <T extends Record<string, any>>(
+  items: T[],
+  totalData: number,
+  listQuery: ListQuery
+): ListQueryPage<T> => {
+  const hasMore = items.length > listQuery.showPerPage;
+  const pageItems = hasMore ? items.slice(0, listQuery.showPerPage) : items;
+  const lastItem = pageItems[pageItems.length - 1];
+
+  return {
+    items: pageItems,
+    totalData,
+    totalPages: Math.ceil(totalData / listQuery.showPerPage),
+    nextCursor: hasMore && lastItem ? encodeCursor(lastItem[listQuery.cursorField]) : null,
+  };
+};
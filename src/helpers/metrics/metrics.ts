@@ -0,0 +1,91 @@
+import { NextFunction, Request, Response } from 'express';
+import client from 'prom-client';
+import config from '../../config/config';
+import { basePrismaClient } from '../prisma/prisma-client';
+import logger from '../../utils/logger/logger';
+import ServerResponse from '../responses/custom-response';
+
+/**
+ * Registry of the application metrics.
+ */
+export const metricsRegistry = new client.Registry();
+
+// Process stats: CPU, memory, event loop lag, garbage collection, open handles, ...
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests, by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status'] as const,
+  registers: [metricsRegistry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds, by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status'] as const,
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [metricsRegistry],
+});
+
+/**
+ * Middleware recording the count and duration of every request, labelled with the pattern of
+ * the matched route as listed in `routes` (e.g. `/api/v1/user/get-user/:id`). Requests matching
+ * no route are labelled `unmatched`, so that unknown URLs do not create new series.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ * @returns {void}
+ */
+export const metricsMiddleware = (req: Request, res: Response, next: NextFunction) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  // Express resets `req.baseUrl` when a request leaves a router with an error, so the full
+  // pattern is captured when the route is matched rather than when the response is sent
+  let route: Request['route'];
+  let pattern = 'unmatched';
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value: Request['route']) => {
+      route = value;
+      pattern = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: pattern, status: String(res.statusCode) };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+/**
+ * Handler of `GET /metrics`: the application metrics and the Prisma connection pool metrics in
+ * the Prometheus text format. Requires `Authorization: Bearer <METRICS_TOKEN>` when
+ * `METRICS_TOKEN` is set.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @returns {Promise<void>}
+ */
+export const metricsHandler = async (req: Request, res: Response) => {
+  if (config.METRICS_TOKEN && req.get('authorization') !== `Bearer ${config.METRICS_TOKEN}`) {
+    return ServerResponse(res, false, 401, 'Unauthorized');
+  }
+
+  const metrics = [await metricsRegistry.metrics()];
+  try {
+    metrics.push(await basePrismaClient.$metrics.prometheus());
+  } catch (error) {
+    // The application metrics are still useful when the engine cannot report its own
+    logger.warn('Failed to collect the Prisma metrics', { scope: 'Metrics', error });
+  }
+
+  res.setHeader('Content-Type', metricsRegistry.contentType);
+  res.send(metrics.join('\n'));
+};
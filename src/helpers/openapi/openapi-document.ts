@@ -0,0 +1,342 @@
+import { RequestHandler } from 'express';
+import fs from 'fs';
+import path from 'path';
+import { ZodTypeAny } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import config from '../../config/config';
+import idempotency from '../../middlewares/idempotency';
+import isAuthorized from '../../middlewares/is-authorized';
+import isAuthorizedOrApiKey from '../../middlewares/is-authorized-or-api-key';
+import { getRequestSchemas } from './request-schema';
+
+/**
+ * A route loaded by `app.ts`, as documented in the OpenAPI document.
+ */
+export interface OpenApiRoute {
+  module: string;
+  path: string;
+  method: string;
+  file: string;
+  handlers: RequestHandler[];
+}
+
+/**
+ * Information read from the JSDoc block of a route definition.
+ */
+interface RouteDoc {
+  method: string;
+  path: string;
+  description?: string;
+  access?: string;
+  middlewares: string[];
+}
+
+type JsonSchema = Record<string, any>;
+
+/**
+ * Properties shared by every response rendered by `ServerResponse`.
+ */
+const responseEnvelope: JsonSchema = {
+  message: { type: 'string' },
+  status: { type: 'boolean' },
+  statusCode: { type: 'integer' },
+  path: { type: 'string' },
+  method: { type: 'string' },
+  timestamp: { type: 'string', format: 'date-time' },
+};
+
+/**
+ * Reusable components of the document (response envelopes and authentication schemes).
+ */
+const components = {
+  schemas: {
+    ErrorDetail: {
+      type: 'object',
+      properties: {
+        field: { type: 'string' },
+        message: { type: 'string' },
+      },
+    },
+    SuccessResponse: {
+      type: 'object',
+      required: Object.keys(responseEnvelope),
+      properties: {
+        ...responseEnvelope,
+        status: { type: 'boolean', const: true },
+        requestId: { type: 'string' },
+        data: {},
+      },
+    },
+    ErrorResponse: {
+      type: 'object',
+      required: Object.keys(responseEnvelope),
+      properties: {
+        ...responseEnvelope,
+        status: { type: 'boolean', const: false },
+        requestId: { type: 'string' },
+        errors: { type: 'array', items: { $ref: '#/components/schemas/ErrorDetail' } },
+        error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            stack: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' },
+    apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  },
+};
+
+// Error responses documented for each route, depending on what the route does
+const errorResponses: Record<string, string> = {
+  '400': 'Validation error',
+  '401': 'Missing or invalid access token or API key',
+  '403': 'Insufficient permissions',
+  '404': 'Resource not found',
+  '409': 'A request with the same Idempotency-Key is in progress',
+  '422': 'The Idempotency-Key was already used for a different request',
+  '500': 'Unexpected server error',
+};
+
+/**
+ * Converts a Zod schema into a JSON schema describing the accepted input.
+ *
+ * @param schema - The Zod schema.
+ * @returns {JsonSchema} - The JSON schema.
+ */
+const toJsonSchema = (schema: ZodTypeAny): JsonSchema => {
+  const jsonSchema = zodToJsonSchema(schema, {
+    target: 'jsonSchema2019-09',
+    $refStrategy: 'none',
+    effectStrategy: 'input',
+    pipeStrategy: 'input',
+    dateStrategy: 'format:date-time',
+  }) as JsonSchema;
+  // Embedded schemas use the JSON Schema dialect of the OpenAPI document
+  delete jsonSchema.$schema;
+  return jsonSchema;
+};
+
+/**
+ * Reads the JSDoc blocks preceding the `router.<method>(...)` calls of a route file.
+ *
+ * @param file - The path of the route file.
+ * @returns {RouteDoc[]} - The documented routes of the file.
+ */
+const readRouteDocs = (file: string): RouteDoc[] => {
+  if (!fs.existsSync(file)) return [];
+
+  const source = fs.readFileSync(file, 'utf8');
+  const routeRegex = /\/\*\*([\s\S]*?)\*\/\s*router\.(\w+)\(\s*(['"`])(.*?)\3/g;
+  const docs: RouteDoc[] = [];
+
+  let match;
+  while ((match = routeRegex.exec(source))) {
+    const [, comment, method, , routePath] = match;
+    const tag = (name: string) => comment.match(new RegExp(`@${name}\\s+(.*)`))?.[1].trim();
+    const middlewares = comment.match(/@param\s+\{function\}\s+middleware\s+-\s+\[(.*)\]/)?.[1];
+
+    docs.push({
+      method: method.toUpperCase(),
+      path: routePath,
+      description: tag('description'),
+      access: tag('access'),
+      middlewares: middlewares
+        ? middlewares.split(',').map((name) => name.trim().replace(/'/g, ''))
+        : [],
+    });
+  }
+
+  return docs;
+};
+
+/**
+ * Builds a readable, unique operation ID from the method and path of a route.
+ * e.g. `GET /api/v1/user/get-user/:id` becomes `getUserGetUserById`.
+ *
+ * @param method - The HTTP method.
+ * @param routePath - The Express path of the route.
+ * @returns {string} - The operation ID.
+ */
+const toOperationId = (method: string, routePath: string): string => {
+  const words = routePath
+    .replace(/^\/api\/v\d+/, '')
+    .split('/')
+    .filter(Boolean)
+    .flatMap((segment) =>
+      segment.startsWith(':') ? ['by', segment.slice(1)] : segment.split(/[^a-zA-Z0-9]+/)
+    )
+    .filter(Boolean);
+
+  const capitalizedWords = words.map((word) => word[0].toUpperCase() + word.slice(1));
+  return [method.toLowerCase(), ...capitalizedWords].join('');
+};
+
+/**
+ * Builds the OpenAPI 3.1 document of the loaded routes. Request bodies, path parameters and
+ * query parameters are derived from the Zod schemas registered with `registerRequestSchemas`,
+ * and summaries and access rules from the JSDoc blocks of the route files.
+ *
+ * @param routes - The routes loaded by `app.ts`.
+ * @returns The OpenAPI document.
+ */
+export const buildOpenApiDocument = (routes: OpenApiRoute[]) => {
+  const packagePath = path.join(__dirname, '..', '..', '..', 'package.json');
+  const packageInfo = fs.existsSync(packagePath)
+    ? JSON.parse(fs.readFileSync(packagePath, 'utf8'))
+    : {};
+
+  const routeDocs = new Map<string, RouteDoc[]>();
+  const paths: Record<string, Record<string, JsonSchema>> = {};
+
+  for (const route of routes) {
+    if (!routeDocs.has(route.file)) {
+      routeDocs.set(route.file, readRouteDocs(route.file));
+    }
+
+    // Find the JSDoc block of the route (the longest matching path wins)
+    const doc = routeDocs
+      .get(route.file)!
+      .filter((item) => item.method === route.method && route.path.endsWith(item.path))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+
+    // Collect the schemas validated by the middlewares of the route
+    const pathParams = [...route.path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+    const bodySchemas: JsonSchema[] = [];
+    const parameters: JsonSchema[] = [];
+    for (const handler of route.handlers) {
+      const schemas = getRequestSchemas(handler);
+      if (!schemas) continue;
+
+      if (schemas.body) {
+        bodySchemas.push(toJsonSchema(schemas.body));
+      }
+      for (const location of ['params', 'query'] as const) {
+        const schema = schemas[location] && toJsonSchema(schemas[location]);
+        for (const [name, property] of Object.entries<JsonSchema>(schema?.properties ?? {})) {
+          // Params schemas shared by several routes may declare params missing from this path
+          if (location === 'params' && !pathParams.includes(name)) continue;
+          parameters.push({
+            name,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || (schema?.required ?? []).includes(name),
+            schema: property,
+            // Objects such as `filter[field][op]=value` use the bracket syntax
+            ...(property.type === 'object' && { style: 'deepObject', explode: true }),
+          });
+        }
+      }
+    }
+
+    // Document the path parameters that are not validated by a schema
+    for (const name of pathParams) {
+      if (!parameters.some((parameter) => parameter.in === 'path' && parameter.name === name)) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+      }
+    }
+
+    // Routes honoring the Idempotency-Key header
+    const isIdempotent = route.handlers.includes(idempotency);
+    if (isIdempotent) {
+      parameters.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Unique key of the request; retries with the same key replay the response',
+        schema: { type: 'string', minLength: 1, maxLength: 255 },
+      });
+    }
+
+    const acceptsApiKey = route.handlers.includes(isAuthorizedOrApiKey);
+    const isPrivate = route.handlers.includes(isAuthorized) || acceptsApiKey;
+    const responseCodes = [
+      bodySchemas.length > 0 || parameters.length > 0 ? '400' : undefined,
+      isPrivate ? '401' : undefined,
+      doc?.middlewares.includes('authorize') ? '403' : undefined,
+      pathParams.length > 0 ? '404' : undefined,
+      isIdempotent ? '409' : undefined,
+      isIdempotent ? '422' : undefined,
+      '500',
+    ].filter((code): code is string => Boolean(code));
+
+    // Successful GET responses carry an ETag when WEB_CACHE is enabled
+    const sendsEtag = config.WEB_CACHE && route.method === 'GET';
+    if (sendsEtag) {
+      parameters.push({
+        name: 'If-None-Match',
+        in: 'header',
+        required: false,
+        description: 'ETag of a previous response; 304 is returned if the response is unchanged',
+        schema: { type: 'string' },
+      });
+    }
+
+    // Routes creating resources respond with 201, every other route with 200
+    const successCode =
+      route.method === 'POST' && /create|register/.test(route.path) ? '201' : '200';
+
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] ?? {};
+    paths[openApiPath][route.method.toLowerCase()] = {
+      tags: [route.module],
+      operationId: toOperationId(route.method, route.path),
+      ...(doc?.description && { summary: doc.description }),
+      ...(doc?.access && { description: `Access: ${doc.access}` }),
+      ...(isPrivate && {
+        security: [
+          { bearerAuth: [] },
+          { cookieAuth: [] },
+          ...(acceptsApiKey ? [{ apiKeyAuth: [] }] : []),
+        ],
+      }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(bodySchemas.length > 0 && {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: bodySchemas.length === 1 ? bodySchemas[0] : { allOf: bodySchemas },
+            },
+          },
+        },
+      }),
+      responses: {
+        [successCode]: {
+          description: 'Successful response',
+          content: {
+            'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } },
+          },
+        },
+        ...(sendsEtag && { '304': { description: 'Not modified since the given ETag' } }),
+        ...Object.fromEntries(
+          responseCodes.map((code) => [
+            code,
+            {
+              description: errorResponses[code],
+              content: {
+                'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } },
+              },
+            },
+          ])
+        ),
+      },
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: packageInfo.name ?? 'API',
+      version: packageInfo.version ?? '1.0.0',
+      ...(packageInfo.description && { description: packageInfo.description }),
+    },
+    tags: [...new Set(routes.map((route) => route.module))].map((name) => ({ name })),
+    paths,
+    components,
+  };
+};
@@ -0,0 +1,42 @@
+import { RequestHandler } from 'express';
+import { ZodTypeAny } from 'zod';
+
+/**
+ * Zod schemas validated by a middleware, per part of the request.
+ */
+export interface RequestSchemas {
+  body?: ZodTypeAny;
+  params?: ZodTypeAny;
+  query?: ZodTypeAny;
+}
+
+// Schemas of every registered validation middleware, keyed by the middleware itself
+const registry = new WeakMap<RequestHandler, RequestSchemas>();
+
+/**
+ * Registers the Zod schemas validated by a middleware so that they are documented in the
+ * OpenAPI document of every route using the middleware.
+ *
+ * @example registerRequestSchemas(validateCreateUser, { body: zodCreateUserSchema });
+ *
+ * @param middleware - The validation middleware.
+ * @param schemas - The schemas validated by the middleware.
+ * @returns The middleware, unchanged.
+ */
+export const registerRequestSchemas = <T extends RequestHandler>(
+  middleware: T,
+  schemas: RequestSchemas
+): T => {
+  registry.set(middleware, { ...registry.get(middleware), ...schemas });
+  return middleware;
+};
+
+/**
+ * Returns the Zod schemas registered for a middleware.
+ *
+ * @param middleware - The middleware of a route.
+ * @returns The registered schemas, or `undefined` if the middleware does not validate the request.
+ */
+export const getRequestSchemas = (middleware: RequestHandler): RequestSchemas | undefined => {
+  return registry.get(middleware);
+};
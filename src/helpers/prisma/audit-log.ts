@@ -0,0 +1,193 @@
+import { AuditAction, Prisma } from '@prisma/client';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getRequestContext } from '../../middlewares/request-context';
+import logger from '../../utils/logger/logger';
+import { getTransactionClient } from './transaction-context';
+
+type Row = Record<string, any>;
+
+/**
+ * Models whose changes are not audited: the audit log itself, token, idempotency and rate limit
+ * bookkeeping and the mail queue.
+ */
+export const auditExcludedModels = new Set([
+  'AuditLog',
+  'RefreshToken',
+  'AuthToken',
+  'IdempotencyKey',
+  'RateLimit',
+  'MailJob',
+]);
+
+// Operations recorded in the audit log
+const auditedOperations = [
+  'create',
+  'createMany',
+  'update',
+  'updateMany',
+  'upsert',
+  'delete',
+  'deleteMany',
+];
+
+// Set while an audited change runs, so that the writes it triggers (e.g. a soft delete
+// converted to an update) are not audited a second time
+const auditInProgress = new AsyncLocalStorage<boolean>();
+
+// Fields whose values are never written to the audit log
+const sensitiveFieldRegex = /password|secret|token|hash|salt/i;
+
+// Primary key field of every model
+const idFields: Record<string, string> = Object.fromEntries(
+  Prisma.dmmf.datamodel.models.map((model) => [
+    model.name,
+    model.fields.find((field) => field.isId)?.name ?? 'id',
+  ])
+);
+
+/**
+ * Converts a row into plain JSON with its sensitive fields redacted.
+ * @param row - The row to convert.
+ * @returns The JSON value.
+ */
+const toAuditValue = (row: Row): Prisma.InputJsonObject => {
+  const json = JSON.parse(
+    JSON.stringify(row, (_key, value) => (typeof value === 'bigint' ? value.toString() : value))
+  );
+  for (const key of Object.keys(json)) {
+    if (sensitiveFieldRegex.test(key)) {
+      json[key] = '[REDACTED]';
+    }
+  }
+  return json;
+};
+
+/**
+ * Keeps only the fields that differ between two snapshots of a row.
+ * @param before - The row before the change.
+ * @param after - The row after the change.
+ * @returns The changed fields of both snapshots.
+ */
+const diffRows = (before: Row, after: Row) => {
+  const beforeJson = toAuditValue(before);
+  const afterJson = toAuditValue(after);
+  const changed = Object.keys({ ...beforeJson, ...afterJson }).filter(
+    (key) =>
+      JSON.stringify(beforeJson[key]) !== JSON.stringify(afterJson[key]) ||
+      // Changes to redacted fields are still recorded, without their values
+      (sensitiveFieldRegex.test(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+  );
+
+  return {
+    before: Object.fromEntries(changed.map((key) => [key, beforeJson[key] ?? null])),
+    after: Object.fromEntries(changed.map((key) => [key, afterJson[key] ?? null])),
+  };
+};
+
+/**
+ * Prisma client extension recording every create, update and delete in the `AuditLog` table,
+ * with the actor, IP address and request ID of the current request (see `requestContext`).
+ *
+ * Updates store only the changed fields, creates store the new row and deletes the removed row.
+ * Sensitive fields (passwords, tokens, ...) are redacted. Entries are written after the change,
+ * in the interactive transaction started with `runWithTransactionClient` if any, and a failure
+ * to write them does not fail the change.
+ */
+export const auditLogExtension = Prisma.defineExtension((client) => {
+  return client.$extends({
+    name: 'auditLog',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          if (
+            !auditedOperations.includes(operation) ||
+            auditExcludedModels.has(model) ||
+            auditInProgress.getStore()
+          ) {
+            return query(args);
+          }
+
+          const db = (getTransactionClient() ?? client) as any;
+          const delegate = db[model.charAt(0).toLowerCase() + model.slice(1)];
+          const idField = idFields[model];
+          const queryArgs = (args ?? {}) as Record<string, any>;
+          const isSingle = ['create', 'update', 'upsert', 'delete'].includes(operation);
+
+          // Snapshot the affected rows before the change
+          let beforeRows: Row[] = [];
+          if (['update', 'upsert', 'delete'].includes(operation)) {
+            const row = await delegate.findUnique({ where: queryArgs.where });
+            beforeRows = row ? [row] : [];
+          } else if (operation === 'updateMany' || operation === 'deleteMany') {
+            beforeRows = await delegate.findMany({ where: queryArgs.where });
+          }
+
+          const result = await auditInProgress.run(true, () => query(args));
+
+          try {
+            // Snapshot the affected rows after the change (deleted rows are not found anymore)
+            let afterRows: Row[] = [];
+            if (operation === 'createMany') {
+              afterRows = [queryArgs.data].flat();
+            } else if (operation !== 'delete' && operation !== 'deleteMany') {
+              const ids = (
+                isSingle
+                  ? [(result as Row)?.[idField] ?? beforeRows[0]?.[idField]]
+                  : beforeRows.map((row) => row[idField])
+              ).filter((id) => id !== undefined);
+              afterRows = ids.length
+                ? await delegate.findMany({ where: { [idField]: { in: ids } } })
+                : [result as Row];
+            }
+
+            const context = getRequestContext();
+            const entryBase = {
+              actorId: context?.req.user?.id,
+              model,
+              ip: context?.req.ip,
+              requestId: context?.requestId,
+            };
+
+            const entries: Prisma.AuditLogCreateManyInput[] = [];
+            const afterById = new Map(afterRows.map((row) => [String(row[idField]), row]));
+            const beforeIds = new Set(beforeRows.map((row) => String(row[idField])));
+
+            for (const row of beforeRows) {
+              const recordId = String(row[idField]);
+              const after = afterById.get(recordId);
+              entries.push(
+                after
+                  ? { ...entryBase, action: AuditAction.Update, recordId, ...diffRows(row, after) }
+                  : {
+                      ...entryBase,
+                      action: AuditAction.Delete,
+                      recordId,
+                      before: toAuditValue(row),
+                    }
+              );
+            }
+            for (const row of afterRows) {
+              const recordId = row[idField] !== undefined ? String(row[idField]) : undefined;
+              if (recordId === undefined || !beforeIds.has(recordId)) {
+                entries.push({
+                  ...entryBase,
+                  action: AuditAction.Create,
+                  recordId,
+                  after: toAuditValue(row),
+                });
+              }
+            }
+
+            if (entries.length > 0) {
+              await db.auditLog.createMany({ data: entries });
+            }
+          } catch (error) {
+            logger.error(`Failed to record ${operation} on ${model}`, { scope: 'AuditLog', error });
+          }
+
+          return result;
+        },
+      },
+    },
+  });
+});
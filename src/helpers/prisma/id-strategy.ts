@@ -0,0 +1,118 @@
+import { Prisma } from '@prisma/client';
+import { isMongoId } from 'validator';
+import { z } from 'zod';
+
+/**
+ * How the IDs of a model are generated, which determines the IDs the API accepts:
+ * - `uuid`: `@default(uuid())`;
+ * - `cuid` and `cuid2`: `@default(cuid())` and `@default(cuid(2))`;
+ * - `int`: `Int` or `BigInt` IDs, usually `@default(autoincrement())`;
+ * - `objectId`: MongoDB ObjectIds (`@default(auto())`);
+ * - `string`: any other string ID, e.g. chosen by the client.
+ */
+export type IdStrategy = 'uuid' | 'cuid' | 'cuid2' | 'int' | 'objectId' | 'string';
+
+type ModelField = (typeof Prisma.dmmf.datamodel.models)[number]['fields'][number];
+
+// Description of the IDs of each strategy, used in the validation messages
+const idDescriptions: Record<IdStrategy, string> = {
+  uuid: 'UUID',
+  cuid: 'CUID',
+  cuid2: 'CUID2',
+  int: 'positive integer',
+  objectId: 'MongoDB ObjectId',
+  string: 'non-empty string',
+};
+
+/**
+ * Derives the ID strategy of a model from its ID field in `schema.prisma`.
+ * @param field - The `@id` field of the model, if it has a single field ID.
+ * @returns {IdStrategy} - The strategy, `string` for models without a single field ID.
+ */
+const toIdStrategy = (field: ModelField | undefined): IdStrategy => {
+  if (!field) return 'string';
+  if (field.type === 'Int' || field.type === 'BigInt') return 'int';
+
+  // Default functions, named with their version in recent Prisma versions, e.g. `uuid(4)`
+  const generator =
+    field.default && typeof field.default === 'object' && 'name' in field.default
+      ? field.default
+      : undefined;
+  const [, name, version] = generator?.name.match(/^(\w+)(?:\((\d+)\))?$/) ?? [];
+  switch (name) {
+    case 'uuid':
+      return 'uuid';
+    case 'cuid':
+      return (version ?? String(generator?.args[0])) === '2' ? 'cuid2' : 'cuid';
+    case 'auto':
+      return 'objectId';
+    default:
+      return 'string';
+  }
+};
+
+/**
+ * The ID strategy of every model, read from `schema.prisma`.
+ */
+export const modelIdStrategies = Object.fromEntries(
+  Prisma.dmmf.datamodel.models.map((model) => [
+    model.name,
+    toIdStrategy(model.fields.find((field) => field.isId)),
+  ])
+) as Record<Prisma.ModelName, IdStrategy>;
+
+/**
+ * Creates the Zod schema of the IDs of a strategy. Integer IDs are also accepted as strings,
+ * as in URL parameters, and coerced to numbers.
+ * @param strategy - The ID strategy.
+ * @param message - The message of the validation errors.
+ * @returns The Zod schema.
+ */
+export const createIdSchema = (
+  strategy: IdStrategy,
+  message = `Please provide a valid id (${idDescriptions[strategy]})`
+): z.ZodType<string | number, z.ZodTypeDef, unknown> => {
+  const string = z.string({ required_error: 'Id is required', invalid_type_error: message });
+
+  switch (strategy) {
+    case 'uuid':
+      return string.uuid(message);
+    case 'cuid':
+      return string.cuid(message);
+    case 'cuid2':
+      return string.cuid2(message);
+    case 'objectId':
+      return string.refine((id) => isMongoId(id), { message });
+    case 'int':
+      return z.preprocess(
+        (id) => (typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id),
+        z
+          .number({ required_error: 'Id is required', invalid_type_error: message })
+          .int(message)
+          .positive(message)
+          .max(Number.MAX_SAFE_INTEGER, message)
+      );
+    default:
+      return string.min(1, message);
+  }
+};
+
+/**
+ * Returns the Zod schema of the IDs of a model, according to its ID strategy.
+ * @example z.object({ id: getIdSchema('User'), updates: zodUpdateUserSchema })
+ * @param model - The name of the model.
+ * @param message - The message of the validation errors.
+ * @returns The Zod schema.
+ */
+export const getIdSchema = (model: Prisma.ModelName, message?: string) => {
+  return createIdSchema(modelIdStrategies[model], message);
+};
+
+/**
+ * Returns the description of the IDs of a model, e.g. `UUID`.
+ * @param model - The name of the model.
+ * @returns {string} - The description.
+ */
+export const describeId = (model: Prisma.ModelName): string => {
+  return idDescriptions[modelIdStrategies[model]];
+};
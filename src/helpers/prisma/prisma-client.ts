@@ -0,0 +1,112 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { ITXClientDenyList } from '@prisma/client/runtime/library';
+import config from '../../config/config';
+import logger from '../../utils/logger/logger';
+import { auditLogExtension } from './audit-log';
+import { realtimeEventsExtension } from './realtime-events';
+import { responseCacheInvalidationExtension } from './response-cache-invalidation';
+import { softDeleteExtension } from './soft-delete';
+import { runWithTransactionClient } from './transaction-context';
+
+const prismaLogger = logger.child({ scope: 'Prisma' });
+
+/**
+ * Creates a Prisma Client without the extensions, whose logs are written by the application
+ * logger: queries at the debug level, and slow queries (`SLOW_QUERY_THRESHOLD`) as warnings.
+ *
+ * @param datasourceUrl - The URL of the database, `DATABASE_URL` by default.
+ * @returns {PrismaClient} - The client, connected on its first query.
+ */
+export const createPrismaClient = (datasourceUrl?: string): PrismaClient => {
+  const client = new PrismaClient({
+    datasourceUrl,
+    // Emit the Prisma logs as events, written by the application logger below
+    log: [
+      { emit: 'event', level: 'query' },
+      { emit: 'event', level: 'info' },
+      { emit: 'event', level: 'warn' },
+      { emit: 'event', level: 'error' },
+    ],
+  });
+
+  client.$on('query', (event) => {
+    const meta = { query: event.query, params: event.params, duration: event.duration };
+    if (event.duration >= config.SLOW_QUERY_THRESHOLD) {
+      prismaLogger.warn(`Slow query (${event.duration} ms)`, meta);
+    } else {
+      prismaLogger.debug('Query', meta);
+    }
+  });
+  client.$on('info', (event) => prismaLogger.info(event.message, { target: event.target }));
+  client.$on('warn', (event) => prismaLogger.warn(event.message, { target: event.target }));
+  client.$on('error', (event) => prismaLogger.error(event.message, { target: event.target }));
+
+  return client;
+};
+
+/**
+ * Adds the extensions of the application to a Prisma Client.
+ *
+ * @param client - The client without the extensions.
+ * @returns The extended client.
+ */
+const extendPrismaClient = (client: PrismaClient) =>
+  client
+    .$extends(softDeleteExtension) // Soft delete for models with a `deletedAt` column
+    .$extends(auditLogExtension) // Audit trail of every create, update and delete
+    .$extends(responseCacheInvalidationExtension) // Cached responses of a module dropped on change
+    .$extends(realtimeEventsExtension); // Changes published to the realtime connections
+
+export type ExtendedPrismaClient = ReturnType<typeof extendPrismaClient>;
+
+// Client passed to the callback of an interactive transaction of `prismaClient`
+export type TransactionClient = Omit<ExtendedPrismaClient, ITXClientDenyList>;
+
+// Prisma Client without the extensions, which also exposes the `$metrics` of the engine
+export let basePrismaClient: PrismaClient = createPrismaClient();
+
+// Prisma Client with the extensions, used by the services
+export let prismaClient: ExtendedPrismaClient = extendPrismaClient(basePrismaClient);
+
+/**
+ * Replaces the Prisma Client used by the application, e.g. with a client of a test database.
+ * The modules read `prismaClient` and `basePrismaClient` on every use, so the replacement applies
+ * to the next queries; the previous client is not disconnected.
+ *
+ * @param client - The client without the extensions.
+ * @returns {void}
+ */
+export const setPrismaClient = (client: PrismaClient) => {
+  basePrismaClient = client;
+  prismaClient = extendPrismaClient(client);
+};
+
+/**
+ * Runs a function in an interactive transaction of `prismaClient`. Unlike `$transaction`, the
+ * queries issued by the extensions (soft delete, audit log) join the transaction, and the changes
+ * are notified (response cache, realtime events) once it is committed, never if it is rolled back.
+ *
+ * @example await runTransaction(async (tx) => { await tx.user.update(...); await tx.file.delete(...); });
+ *
+ * @param fn - The function, run with the transaction client.
+ * @param options - The options of the transaction (`maxWait`, `timeout`, `isolationLevel`).
+ * @returns {Promise<T>} - The result of the function.
+ * @throws The error of the function, after rolling the transaction back.
+ */
+export const runTransaction = async <T>(
+  fn: (tx: TransactionClient) => Promise<T>,
+  options?: {
+    maxWait?: number;
+    timeout?: number;
+    isolationLevel?: Prisma.TransactionIsolationLevel;
+  }
+): Promise<T> => {
+  const afterCommit: (() => unknown)[] = [];
+  const result = await prismaClient.$transaction(
+    (tx) => runWithTransactionClient(tx, () => fn(tx), afterCommit),
+    options
+  );
+
+  await Promise.all(afterCommit.map((callback) => callback()));
+  return result;
+};
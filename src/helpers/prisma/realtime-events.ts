@@ -0,0 +1,177 @@
+import { Prisma } from '@prisma/client';
+import { now } from '../../utils/clock/clock';
+import logger from '../../utils/logger/logger';
+import {
+  getEventBus,
+  ResourceEvent,
+  ResourceEventAction,
+  toEventChannel,
+} from '../realtime/event-bus';
+import { auditExcludedModels } from './audit-log';
+import { afterTransactionCommit } from './transaction-context';
+
+type Row = Record<string, any>;
+
+// Action of the events published by each operation changing rows
+const eventActions: Record<string, ResourceEventAction> = {
+  create: 'created',
+  createMany: 'created',
+  update: 'updated',
+  updateMany: 'updated',
+  upsert: 'updated',
+  delete: 'deleted',
+  deleteMany: 'deleted',
+};
+
+/**
+ * Owner field of the models whose records only their owner may see, as their services filter
+ * them by owner (e.g. `ownerId` for `File`). Their events carry the ID of the owner, and are only
+ * delivered to the connections of the owner.
+ */
+export const realtimeOwnerFields: Record<string, string> = {
+  ApiKey: 'userId',
+  File: 'ownerId',
+};
+
+// Primary key field of every model
+const idFields: Record<string, string> = Object.fromEntries(
+  Prisma.dmmf.datamodel.models.map((model) => [
+    model.name,
+    model.fields.find((field) => field.isId)?.name ?? 'id',
+  ])
+);
+
+/**
+ * Returns the IDs of the rows changed by an operation, when the operation tells them: the
+ * result of single changes, the data of `createMany`, or a where clause of `updateMany` and
+ * `deleteMany` selecting the rows by ID (as the bulk routes do).
+ * @param operation - The operation.
+ * @param args - The arguments of the operation.
+ * @param result - The result of the operation.
+ * @param idField - The primary key field of the model.
+ * @returns The IDs, or `undefined` if they are unknown.
+ */
+const getChangedIds = (
+  operation: string,
+  args: Row,
+  result: unknown,
+  idField: string
+): unknown[] | undefined => {
+  if (operation === 'createMany') {
+    const ids = [args.data].flat().map((row: Row) => row[idField]);
+    return ids.every((id) => id !== undefined) ? ids : undefined;
+  }
+  if (operation === 'updateMany' || operation === 'deleteMany') {
+    const where = args.where?.[idField];
+    if (where === undefined) return undefined;
+    return typeof where === 'object' ? where?.in : [where];
+  }
+
+  const id = (result as Row | null)?.[idField] ?? args.where?.[idField];
+  return id === undefined || typeof id === 'object' ? undefined : [id];
+};
+
+/**
+ * Returns the owner of a record changed by an operation: the owner field of the result, or of
+ * the data or where clause of the operation (the row of `createMany` at the given index).
+ * @param operation - The operation.
+ * @param args - The arguments of the operation.
+ * @param result - The result of the operation.
+ * @param ownerField - The owner field of the model.
+ * @param index - The index of the record among the changed ones.
+ * @returns The ID of the owner, or `undefined` if it is unknown.
+ */
+const getOwnerId = (
+  operation: string,
+  args: Row,
+  result: unknown,
+  ownerField: string,
+  index: number
+): string | undefined => {
+  const owner =
+    operation === 'createMany'
+      ? [args.data].flat()[index]?.[ownerField]
+      : ((result as Row | null)?.[ownerField] ??
+        args.data?.[ownerField] ??
+        args.create?.[ownerField] ??
+        args.where?.[ownerField]);
+  return typeof owner === 'string' ? owner : undefined;
+};
+
+/**
+ * Prisma client extension publishing a `created`, `updated` or `deleted` event on the event bus
+ * (see `REALTIME_BUS`) once a change of a model succeeds, whichever service runs it. Soft deletes
+ * are `deleted` events, restores `updated` events and upserts `updated` events. The bookkeeping
+ * models left out of the audit log publish nothing.
+ *
+ * Events carry the model and the ID of the record, never its data: clients fetch the records
+ * through the API, with their permissions. A change made in a transaction of `runTransaction` is
+ * published once the transaction is committed, and never if it is rolled back.
+ */
+export const realtimeEventsExtension = Prisma.defineExtension({
+  name: 'realtimeEvents',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const action = eventActions[operation];
+        const ownerField = action ? realtimeOwnerFields[model] : undefined;
+        const queryArgs = (args ?? {}) as Row;
+
+        // Select the owner of a single changed record along with the requested fields
+        const selectOwner = Boolean(
+          ownerField &&
+            !operation.endsWith('Many') &&
+            queryArgs.select &&
+            !queryArgs.select[ownerField]
+        );
+        const result = await query(
+          selectOwner
+            ? ({
+                ...queryArgs,
+                select: { ...queryArgs.select, [ownerField!]: true },
+              } as typeof args)
+            : args
+        );
+
+        if (!action || auditExcludedModels.has(model)) return result;
+        // Bulk changes matching no row changed nothing
+        if (operation.endsWith('Many') && (result as { count: number }).count === 0) return result;
+
+        const base: ResourceEvent = {
+          channel: toEventChannel(model),
+          model,
+          action,
+          at: now().toISOString(),
+        };
+        const ids = getChangedIds(operation, queryArgs, result, idFields[model]);
+        const events = (ids ?? [undefined]).map((id, index) => ({
+          ...base,
+          ...(id !== undefined && {
+            id: typeof id === 'bigint' ? id.toString() : (id as string | number),
+          }),
+          ...(ownerField && {
+            ownerId: getOwnerId(operation, queryArgs, result, ownerField, index),
+          }),
+        }));
+        // The owner is returned only if it was requested
+        if (selectOwner && result) {
+          delete (result as Row)[ownerField!];
+        }
+
+        // Published in the background once committed, so that a slow or unreachable bus does not
+        // delay the change
+        await afterTransactionCommit(() => {
+          const bus = getEventBus();
+          Promise.all(events.map((event) => bus.publish(event))).catch((error) =>
+            logger.error(`Failed to publish the ${action} events of ${model}`, {
+              scope: 'Realtime',
+              error,
+            })
+          );
+        });
+
+        return result;
+      },
+    },
+  },
+});
@@ -0,0 +1,62 @@
+import { Prisma } from '@prisma/client';
+import config from '../../config/config';
+import logger from '../../utils/logger/logger';
+import { getResponseCacheStore } from '../response-cache/response-cache-store';
+import { afterTransactionCommit } from './transaction-context';
+
+// Operations changing rows
+const writeOperations = [
+  'create',
+  'createMany',
+  'update',
+  'updateMany',
+  'upsert',
+  'delete',
+  'deleteMany',
+];
+
+/**
+ * Returns the tag of the cached responses of a model: the name of its module, e.g. `api-key` for
+ * the `ApiKey` model.
+ *
+ * @param model - The name of the model.
+ * @returns {string} - The tag.
+ */
+export const toResponseCacheTag = (model: string): string => {
+  return model.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+};
+
+/**
+ * Prisma client extension invalidating the cached responses of a module once a create, update
+ * or delete of its model succeeds (soft deletes included), whichever service runs it. Nothing is
+ * done when `WEB_CACHE` is disabled.
+ *
+ * A change made in a transaction of `runTransaction` is invalidated once the transaction is
+ * committed, so that a response read by another request before the commit is dropped too.
+ */
+export const responseCacheInvalidationExtension = Prisma.defineExtension({
+  name: 'responseCacheInvalidation',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const result = await query(args);
+
+        if (config.WEB_CACHE && writeOperations.includes(operation)) {
+          const tag = toResponseCacheTag(model);
+          await afterTransactionCommit(() =>
+            getResponseCacheStore()
+              .invalidate(tag)
+              .catch((error) =>
+                logger.error(`Failed to invalidate the cached ${tag} responses`, {
+                  scope: 'ResponseCache',
+                  error,
+                })
+              )
+          );
+        }
+
+        return result;
+      },
+    },
+  },
+});
@@ -0,0 +1,85 @@
+import { Prisma } from '@prisma/client';
+import { now } from '../../utils/clock/clock';
+import { getTransactionClient } from './transaction-context';
+
+/**
+ * Models opted in to soft delete, i.e. models with a nullable `deletedAt` column.
+ */
+export const softDeleteModels = new Set(
+  Prisma.dmmf.datamodel.models
+    .filter((model) =>
+      model.fields.some((field) => field.name === 'deletedAt' && !field.isRequired)
+    )
+    .map((model) => model.name)
+);
+
+// Operations that ignore trashed rows
+const filteredOperations = [
+  'findUnique',
+  'findUniqueOrThrow',
+  'findFirst',
+  'findFirstOrThrow',
+  'findMany',
+  'count',
+  'aggregate',
+  'groupBy',
+  'update',
+  'updateMany',
+];
+
+/**
+ * Checks if a where clause already filters on `deletedAt`, in which case the query is left
+ * untouched. This is how trash listing, restore and purge queries opt out of the extension.
+ * @param where - The where clause of the query.
+ * @returns `true` if the where clause mentions `deletedAt`; otherwise `false`.
+ */
+const mentionsDeletedAt = (where: Record<string, any> | undefined): boolean => {
+  return where !== undefined && where.deletedAt !== undefined;
+};
+
+/**
+ * Prisma client extension implementing soft delete for the models with a `deletedAt` column:
+ * - `delete` and `deleteMany` set `deletedAt` instead of removing the rows.
+ * - Find, count, aggregate and update queries exclude trashed rows.
+ *
+ * Queries whose where clause filters on `deletedAt` are not changed, e.g.
+ * `findMany({ where: { deletedAt: { not: null } } })` lists the trash and
+ * `delete({ where: { id, deletedAt: { not: null } } })` permanently deletes a trashed row.
+ *
+ * Relations loaded with `include` are not filtered. Deletes converted to updates join the
+ * interactive transaction started with `runWithTransactionClient`, if any.
+ */
+export const softDeleteExtension = Prisma.defineExtension((client) => {
+  return client.$extends({
+    name: 'softDelete',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const queryArgs = (args ?? {}) as Record<string, any>;
+          if (!softDeleteModels.has(model) || mentionsDeletedAt(queryArgs.where)) {
+            return query(args);
+          }
+
+          const where = { ...queryArgs.where, deletedAt: null };
+
+          // Turn deletes into updates of `deletedAt`, using the client without this extension
+          // unless a transaction is running (the where clause then skips this extension)
+          if (operation === 'delete' || operation === 'deleteMany') {
+            const db = (getTransactionClient() ?? client) as any;
+            const delegate = db[model.charAt(0).toLowerCase() + model.slice(1)];
+            const data = { deletedAt: now() };
+            return operation === 'delete'
+              ? delegate.update({ ...queryArgs, where, data })
+              : delegate.updateMany({ ...queryArgs, where, data });
+          }
+
+          if (filteredOperations.includes(operation)) {
+            return query({ ...queryArgs, where });
+          }
+
+          return query(args);
+        },
+      },
+    },
+  });
+});
@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Interactive transaction being run, as seen by the Prisma client extensions.
+ */
+interface TransactionContext {
+  /** Client passed to the `$transaction` callback. */
+  client: unknown;
+  /** Callbacks to run once the transaction is committed. */
+  afterCommit: (() => unknown)[];
+}
+
+// Storage holding the interactive transaction being run
+const storage = new AsyncLocalStorage<TransactionContext>();
+
+/**
+ * Runs a function with a transaction client made available to the Prisma client extensions,
+ * so that the extra queries they issue (soft delete, audit log) join the transaction. The
+ * callbacks registered with `afterTransactionCommit` meanwhile are added to `afterCommit`, for
+ * the caller to run once the transaction is committed: prefer `runTransaction`, which does it.
+ *
+ * @example prismaClient.$transaction((tx) => runWithTransactionClient(tx, () => work(tx), afterCommit));
+ *
+ * @param tx - The client passed to the `$transaction` callback.
+ * @param fn - The function to run.
+ * @param afterCommit - The list receiving the callbacks to run after the commit.
+ * @returns The result of the function.
+ */
+export const runWithTransactionClient = <T>(
+  tx: unknown,
+  fn: () => Promise<T>,
+  afterCommit: TransactionContext['afterCommit'] = []
+): Promise<T> => {
+  return storage.run({ client: tx, afterCommit }, fn);
+};
+
+/**
+ * Returns the client of the interactive transaction being run, if any.
+ *
+ * @returns The transaction client, or `undefined` outside of `runWithTransactionClient`.
+ */
+export const getTransactionClient = (): unknown => {
+  return storage.getStore()?.client;
+};
+
+/**
+ * Runs a callback once the interactive transaction being run is committed, or right away outside
+ * of a transaction. The callback is dropped if the transaction is rolled back. Used by the Prisma
+ * client extensions notifying changes (response cache, realtime events), which must not announce
+ * changes that may still be rolled back.
+ *
+ * @param callback - The callback, which must handle its own errors.
+ * @returns {Promise<void>} - Resolves once the callback has run, or has been queued.
+ */
+export const afterTransactionCommit = async (callback: () => unknown) => {
+  const context = storage.getStore();
+  if (context) {
+    context.afterCommit.push(callback);
+    return;
+  }
+  await callback();
+};
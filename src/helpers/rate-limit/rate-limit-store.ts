@@ -0,0 +1,147 @@
+import { MemoryStore, Options, Store } from 'express-rate-limit';
+import config from '../../config/config';
+import { getRedisClient } from '../../utils/redis/redis-client';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../prisma/prisma-client';
+
+/**
+ * Store counting the requests in the `RateLimit` table, shared by every instance.
+ *
+ * @param prefix - The prefix of the keys of the store (e.g. the policy name).
+ * @returns {Store} - The store.
+ */
+export const createPrismaRateLimitStore = (prefix: string): Store => {
+  let windowMs = 0;
+  let lastPurge = 0;
+
+  // Delete the counters of the ended windows, at most once per window
+  const purgeExpired = async () => {
+    if (Date.now() - lastPurge < windowMs) return;
+    lastPurge = Date.now();
+    await prismaClient.rateLimit.deleteMany({ where: { resetAt: { lt: new Date() } } });
+  };
+
+  return {
+    prefix,
+    localKeys: false,
+    init: (options: Options) => {
+      windowMs = options.windowMs;
+    },
+    get: async (key) => {
+      const counter = await prismaClient.rateLimit.findUnique({ where: { key: prefix + key } });
+      return counter && counter.resetAt > new Date()
+        ? { totalHits: counter.hits, resetTime: counter.resetAt }
+        : undefined;
+    },
+    increment: async (key) => {
+      await purgeExpired();
+      const now = new Date();
+      const resetAt = new Date(now.getTime() + windowMs);
+
+      // Count the hit, or start a new window if the current one has ended, in a single statement.
+      // MySQL applies the assignments in order, so `reset_at` is still the old value in both.
+      const [, counters] = await prismaClient.$transaction([
+        prismaClient.$executeRaw`
+          INSERT INTO RateLimit (\`key\`, hits, reset_at) VALUES (${prefix + key}, 1, ${resetAt})
+          ON DUPLICATE KEY UPDATE
+            hits = IF(reset_at <= ${now}, 1, hits + 1),
+            reset_at = IF(reset_at <= ${now}, ${resetAt}, reset_at)`,
+        prismaClient.$queryRaw<{ hits: number; resetAt: Date }[]>`
+          SELECT hits, reset_at AS resetAt FROM RateLimit WHERE \`key\` = ${prefix + key}`,
+      ]);
+      return { totalHits: Number(counters[0].hits), resetTime: counters[0].resetAt };
+    },
+    decrement: async (key) => {
+      await prismaClient.rateLimit.updateMany({
+        where: { key: prefix + key, hits: { gt: 0 } },
+        data: { hits: { decrement: 1 } },
+      });
+    },
+    resetKey: async (key) => {
+      await prismaClient.rateLimit.deleteMany({ where: { key: prefix + key } });
+    },
+  };
+};
+
+// Counts a hit and starts the window on the first one, returning the hits and the window left
+const redisIncrementScript = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }`;
+
+// Removes a hit, unless the window has ended in the meantime
+const redisDecrementScript = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0`;
+
+/**
+ * Store counting the requests on the Redis-compatible server at `REDIS_URL`, shared by every
+ * instance. Each counter is a key expiring at the end of its window.
+ *
+ * @param prefix - The prefix of the keys of the store (e.g. the policy name).
+ * @returns {Store} - The store.
+ */
+export const createRedisRateLimitStore = (prefix: string): Store => {
+  const redis = getRedisClient();
+  const redisKey = (key: string) => `rate-limit:${prefix}${key}`;
+  let windowMs = 0;
+
+  return {
+    prefix,
+    localKeys: false,
+    init: (options: Options) => {
+      windowMs = options.windowMs;
+    },
+    get: async (key) => {
+      const [[, hits], [, ttl]] = (await redis
+        .multi()
+        .get(redisKey(key))
+        .pttl(redisKey(key))
+        .exec()) as [[null, string | null], [null, number]];
+      return hits === null || ttl < 0
+        ? undefined
+        : { totalHits: Number(hits), resetTime: new Date(Date.now() + ttl) };
+    },
+    increment: async (key) => {
+      const [totalHits, ttl] = (await redis.eval(
+        redisIncrementScript,
+        1,
+        redisKey(key),
+        windowMs
+      )) as [number, number];
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    },
+    decrement: async (key) => {
+      await redis.eval(redisDecrementScript, 1, redisKey(key));
+    },
+    resetKey: async (key) => {
+      await redis.del(redisKey(key));
+    },
+  };
+};
+
+/**
+ * Creates a store of the kind selected by `RATE_LIMIT_STORE`. Each rate limiter needs its own
+ * store.
+ *
+ * @param prefix - The prefix of the keys of the store (e.g. the policy name).
+ * @returns {Store} - The store.
+ */
+export const createRateLimitStore = (prefix: string): Store => {
+  switch (config.RATE_LIMIT_STORE) {
+    case 'prisma':
+      return createPrismaRateLimitStore(prefix);
+    case 'redis':
+      return createRedisRateLimitStore(prefix);
+    default:
+      // Counters of a single process, not shared by the cluster workers
+      return Object.assign(new MemoryStore(), { prefix });
+  }
+};
@@ -0,0 +1,169 @@
+import Redis from 'ioredis';
+import config from '../../config/config';
+import logger from '../../utils/logger/logger';
+import { getRedisClient } from '../../utils/redis/redis-client';
+
+const realtimeLogger = logger.child({ scope: 'Realtime' });
+
+// Redis channel carrying the events of every instance
+const redisChannel = 'realtime-events';
+
+/**
+ * Action of a resource event.
+ */
+export type ResourceEventAction = 'created' | 'updated' | 'deleted';
+
+/**
+ * Event published once a record of a model is created, updated or deleted.
+ */
+export interface ResourceEvent {
+  /** Channel of the event: the module of the model, e.g. `api-key` for the `ApiKey` model. */
+  channel: string;
+  model: string;
+  action: ResourceEventAction;
+  /** ID of the record, absent when a bulk change selected its rows by other fields. */
+  id?: string | number;
+  /** ID of the owner of the record, for the models of `realtimeOwnerFields` only. */
+  ownerId?: string;
+  /** Time of the change, as an ISO 8601 string. */
+  at: string;
+}
+
+/**
+ * Function called with the events published on the bus.
+ */
+export type ResourceEventListener = (event: ResourceEvent) => void;
+
+/**
+ * Bus carrying the resource events from the services to the realtime connections.
+ */
+export interface EventBus {
+  /** Sends an event to the listeners of every instance sharing the bus. */
+  publish(event: ResourceEvent): Promise<void>;
+  /** Calls a listener with every event published, until the returned function is called. */
+  subscribe(listener: ResourceEventListener): () => void;
+  /** Removes the listeners and closes the connections of the bus. */
+  close(): Promise<void>;
+}
+
+/**
+ * Returns the channel of the events of a model: the name of its module, e.g. `api-key` for the
+ * `ApiKey` model, which is also the resource of its permissions.
+ *
+ * @param model - The name of the model.
+ * @returns {string} - The channel.
+ */
+export const toEventChannel = (model: string): string => {
+  return model.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+};
+
+/**
+ * Bus delivering the events to the listeners of the process. Each process only receives its own
+ * events, which suits a single instance.
+ *
+ * @returns {EventBus} - The bus.
+ */
+export const createMemoryEventBus = (): EventBus => {
+  const listeners = new Set<ResourceEventListener>();
+
+  return {
+    publish: async (event) => {
+      listeners.forEach((listener) => listener(event));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    close: async () => {
+      listeners.clear();
+    },
+  };
+};
+
+/**
+ * Bus publishing the events on the Redis-compatible server at `REDIS_URL`, which broadcasts them
+ * to every instance (cluster workers included). Listening uses a second connection, opened by
+ * the first subscription.
+ *
+ * @returns {EventBus} - The bus.
+ */
+export const createRedisEventBus = (): EventBus => {
+  const redis = getRedisClient();
+  const listeners = new Set<ResourceEventListener>();
+  let subscriber: Redis | undefined;
+
+  const listen = () => {
+    subscriber = redis.duplicate();
+    // The connection reconnects and subscribes again by itself
+    subscriber.on('error', (error) =>
+      realtimeLogger.error('Event bus connection error', { error })
+    );
+    subscriber.on('message', (_channel: string, message: string) => {
+      const event = JSON.parse(message) as ResourceEvent;
+      listeners.forEach((listener) => listener(event));
+    });
+    subscriber
+      .subscribe(redisChannel)
+      .catch((error) => realtimeLogger.error('Failed to subscribe to the event bus', { error }));
+  };
+
+  return {
+    publish: async (event) => {
+      await redis.publish(redisChannel, JSON.stringify(event));
+    },
+    subscribe: (listener) => {
+      if (!subscriber) listen();
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    close: async () => {
+      listeners.clear();
+      if (!subscriber) return;
+      const closing = subscriber;
+      subscriber = undefined;
+      await closing.quit();
+    },
+  };
+};
+
+// Bus created on first use
+let bus: EventBus | undefined;
+
+/**
+ * Returns the bus selected by `REALTIME_BUS`.
+ *
+ * @returns {EventBus} - The shared bus.
+ */
+export const getEventBus = (): EventBus => {
+  if (!bus) {
+    bus = config.REALTIME_BUS === 'redis' ? createRedisEventBus() : createMemoryEventBus();
+  }
+  return bus;
+};
+
+/**
+ * Replaces the bus, e.g. with a bus of the tests. Must be called before the first realtime
+ * connection, which subscribes the connections to the bus.
+ *
+ * @param replacement - The bus to use from now on.
+ * @returns {void}
+ */
+export const setEventBus = (replacement: EventBus) => {
+  bus = replacement;
+};
+
+/**
+ * Closes the bus, once the realtime connections are closed.
+ *
+ * @returns {Promise<void>}
+ */
+export const closeEventBus = async () => {
+  if (!bus) return;
+  const closing = bus;
+  bus = undefined;
+  await closing.close();
+};
@@ -0,0 +1,238 @@
+import { Prisma, UserRole } from '@prisma/client';
+import { hasPermission } from '../../config/permissions';
+import { now } from '../../utils/clock/clock';
+import logger from '../../utils/logger/logger';
+import { auditExcludedModels } from '../prisma/audit-log';
+import { realtimeOwnerFields } from '../prisma/realtime-events';
+import { getEventBus, ResourceEvent, toEventChannel } from './event-bus';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../prisma/prisma-client';
+
+/**
+ * User of a realtime connection, with the role its channels are authorized for.
+ */
+export interface RealtimeUser {
+  id: string;
+  email: string;
+  role: UserRole;
+}
+
+/**
+ * Connection receiving the events of its channels, over WebSocket or Server-Sent Events.
+ */
+export interface RealtimeSubscriber {
+  user: RealtimeUser;
+  /** Channels the connection is subscribed to. */
+  channels: Set<string>;
+  /** Sends an event to the client. */
+  send(event: ResourceEvent): void;
+  /** Ends the connection, with the reason given to the client when its access was revoked. */
+  close(revokedReason?: string): void;
+}
+
+/**
+ * Channels of the models publishing events (see `realtimeEventsExtension`), e.g. `user`.
+ */
+export const realtimeChannels = new Set(
+  Prisma.dmmf.datamodel.models
+    .filter((model) => !auditExcludedModels.has(model.name))
+    .map((model) => toEventChannel(model.name))
+);
+
+// Channels whose events are only delivered to the owner of the record, e.g. `file`
+const ownerScopedChannels = new Set(Object.keys(realtimeOwnerFields).map(toEventChannel));
+
+const realtimeLogger = logger.child({ scope: 'Realtime' });
+
+// Channel of the events of the users, which may change the access of their connections
+const userChannel = toEventChannel('User');
+
+// Open connections of the process, with the time they were opened
+const subscribers = new Map<RealtimeSubscriber, Date>();
+
+// Checks of the access of connections being run: their events wait for the check to end
+const pendingChecks = new Map<RealtimeSubscriber, Promise<void>>();
+
+// Set while the hub listens to the event bus
+let unsubscribeFromBus: (() => void) | undefined;
+
+/**
+ * Loads the role of the user of a verified access token, as `authorize` does.
+ *
+ * @param user - The user of the access token.
+ * @returns {Promise<RealtimeUser | undefined>} - The user with their role, or `undefined` if the user no longer exists.
+ */
+export const loadRealtimeUser = async (user: {
+  id: string;
+  email: string;
+}): Promise<RealtimeUser | undefined> => {
+  const found = await prismaClient.user.findUnique({
+    where: { id: user.id },
+    select: { role: true },
+  });
+  return found ? { ...user, role: found.role } : undefined;
+};
+
+/**
+ * Parses a comma separated list of channels, e.g. `user,file`.
+ *
+ * @param value - The list.
+ * @returns {string[]} - The channels, without duplicates.
+ */
+export const parseChannels = (value: string): string[] => {
+  return [
+    ...new Set(
+      value
+        .split(',')
+        .map((channel) => channel.trim())
+        .filter(Boolean)
+    ),
+  ];
+};
+
+/**
+ * Splits channels into those a role can subscribe to, whose module it may read (e.g. `user:read`
+ * for `user`), and the unknown or forbidden ones. The owner-scoped channels (e.g. `file`) only
+ * deliver the events of the records of the user.
+ *
+ * @param role - The role of the user.
+ * @param channels - The requested channels.
+ * @returns {{ allowed: string[]; denied: string[] }} - The allowed and denied channels.
+ */
+export const authorizeChannels = (role: UserRole, channels: string[]) => {
+  const allowed = channels.filter(
+    (channel) => realtimeChannels.has(channel) && hasPermission(role, `${channel}:read`)
+  );
+  return { allowed, denied: channels.filter((channel) => !allowed.includes(channel)) };
+};
+
+/**
+ * Removes a connection from the hub and ends it, telling the client why.
+ *
+ * @param subscriber - The connection.
+ * @param reason - The reason.
+ * @returns {void}
+ */
+const revokeSubscriber = (subscriber: RealtimeSubscriber, reason: string) => {
+  subscribers.delete(subscriber);
+  subscriber.close(reason);
+};
+
+/**
+ * Checks the access of a connection again, once its user changed: the connection is ended when
+ * the user was deleted, reset their password since it was opened, or may no longer read one of
+ * the subscribed channels (e.g. after a change of role). Otherwise the new role applies to the
+ * next subscriptions.
+ *
+ * @param subscriber - The connection.
+ * @returns {Promise<void>}
+ */
+const checkSubscriber = async (subscriber: RealtimeSubscriber) => {
+  const connectedAt = subscribers.get(subscriber);
+  if (!connectedAt) return;
+
+  const user = await prismaClient.user.findUnique({
+    where: { id: subscriber.user.id },
+    select: { role: true, passwordChangedAt: true },
+  });
+  if (!user || (user.passwordChangedAt && user.passwordChangedAt > connectedAt)) {
+    return revokeSubscriber(subscriber, 'Session revoked');
+  }
+
+  const { denied } = authorizeChannels(user.role, [...subscriber.channels]);
+  if (denied.length) {
+    return revokeSubscriber(subscriber, 'Access revoked');
+  }
+  subscriber.user.role = user.role;
+};
+
+/**
+ * Queues a check of the access of a connection after the pending one, if any.
+ *
+ * @param subscriber - The connection.
+ * @returns {void}
+ */
+const queueCheck = (subscriber: RealtimeSubscriber) => {
+  const check = (pendingChecks.get(subscriber) ?? Promise.resolve())
+    .then(() => checkSubscriber(subscriber))
+    .catch((error) => {
+      // Events are not sent to a connection whose access is unknown
+      realtimeLogger.error('Failed to check the access of a realtime connection', { error });
+      revokeSubscriber(subscriber, 'Access check failed');
+    })
+    .finally(() => {
+      if (pendingChecks.get(subscriber) === check) pendingChecks.delete(subscriber);
+    });
+  pendingChecks.set(subscriber, check);
+};
+
+/**
+ * Sends an event to a connection subscribed to its channel, or only to the owner of the record
+ * for the owner-scoped channels (events of an unknown owner are not sent).
+ *
+ * @param subscriber - The connection.
+ * @param event - The event.
+ * @returns {void}
+ */
+const deliver = (subscriber: RealtimeSubscriber, event: ResourceEvent) => {
+  if (!subscribers.has(subscriber) || !subscriber.channels.has(event.channel)) return;
+  if (ownerScopedChannels.has(event.channel) && event.ownerId !== subscriber.user.id) return;
+  subscriber.send(event);
+};
+
+/**
+ * Sends an event to the connections. The events of a user (a change of role, a password reset,
+ * a deletion) first check the access of their connections again: until the check ends, the
+ * events of these connections are held, so that none is sent once the access is revoked.
+ *
+ * @param event - The event received from the bus.
+ * @returns {void}
+ */
+const dispatch = (event: ResourceEvent) => {
+  for (const subscriber of subscribers.keys()) {
+    // Events without an ID may concern any user
+    if (
+      event.channel === userChannel &&
+      (event.id === undefined || event.id === subscriber.user.id)
+    ) {
+      queueCheck(subscriber);
+    }
+    const pendingCheck = pendingChecks.get(subscriber);
+    if (pendingCheck) {
+      pendingCheck.then(() => deliver(subscriber, event));
+    } else {
+      deliver(subscriber, event);
+    }
+  }
+};
+
+/**
+ * Adds a connection to the hub. The first one subscribes the hub to the event bus.
+ *
+ * @param subscriber - The connection.
+ * @returns {() => void} - A function removing the connection, once closed by the client.
+ */
+export const addSubscriber = (subscriber: RealtimeSubscriber) => {
+  if (!unsubscribeFromBus) {
+    unsubscribeFromBus = getEventBus().subscribe(dispatch);
+  }
+  subscribers.set(subscriber, now());
+
+  return () => {
+    subscribers.delete(subscriber);
+  };
+};
+
+/**
+ * Ends every realtime connection of the process, and stops listening to the event bus.
+ *
+ * @returns {void}
+ */
+export const closeRealtimeConnections = () => {
+  subscribers.forEach((_connectedAt, subscriber) => subscriber.close());
+  subscribers.clear();
+  pendingChecks.clear();
+  unsubscribeFromBus?.();
+  unsubscribeFromBus = undefined;
+};
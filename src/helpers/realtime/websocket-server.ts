@@ -0,0 +1,185 @@
+import cookieParser from 'cookie-parser';
+import { Request, Response } from 'express';
+import { IncomingMessage, Server } from 'http';
+import { Duplex } from 'stream';
+import { RawData, WebSocket, WebSocketServer } from 'ws';
+import { z } from 'zod';
+import config from '../../config/config';
+import { getBearerToken, verifyAccessToken } from '../../middlewares/is-authorized';
+import logger from '../../utils/logger/logger';
+import {
+  addSubscriber,
+  authorizeChannels,
+  loadRealtimeUser,
+  parseChannels,
+  RealtimeSubscriber,
+  RealtimeUser,
+} from './realtime-hub';
+
+const realtimeLogger = logger.child({ scope: 'Realtime' });
+
+/**
+ * Path of the WebSocket endpoint.
+ */
+export const realtimeWebSocketPath = '/api/v1/realtime';
+
+// Messages sent by the clients to change their subscriptions
+const zodClientMessageSchema = z
+  .object({
+    type: z.enum(['subscribe', 'unsubscribe']),
+    channels: z.array(z.string()).min(1),
+  })
+  .strict();
+
+// Parses the `token` cookie of the upgrade requests, which skip the Express middlewares
+const parseCookies = cookieParser();
+
+/**
+ * Authenticates an upgrade request with the access token of its Authorization header or `token`
+ * cookie, as `isAuthorized` does.
+ *
+ * @param req - The upgrade request.
+ * @returns {Promise<RealtimeUser | undefined>} - The user, or `undefined` if the token is missing or invalid.
+ */
+const authenticateUpgrade = async (req: IncomingMessage): Promise<RealtimeUser | undefined> => {
+  parseCookies(req as Request, {} as Response, () => undefined);
+  const token = getBearerToken(req as Request);
+  const user = token ? await verifyAccessToken(token) : undefined;
+  return user ? loadRealtimeUser(user) : undefined;
+};
+
+/**
+ * Rejects an upgrade request with an HTTP error, before the WebSocket handshake.
+ *
+ * @param socket - The socket of the request.
+ * @param status - The status line, e.g. `401 Unauthorized`.
+ * @returns {void}
+ */
+const rejectUpgrade = (socket: Duplex, status: string) => {
+  socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+/**
+ * Sends a message to a WebSocket client.
+ *
+ * @param ws - The WebSocket.
+ * @param message - The message, sent as JSON.
+ * @returns {void}
+ */
+const sendMessage = (ws: WebSocket, message: object) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Applies a subscription change sent by a client.
+ *
+ * @param ws - The WebSocket.
+ * @param subscriber - The connection in the hub.
+ * @param data - The message.
+ * @returns {void}
+ */
+const handleMessage = (ws: WebSocket, subscriber: RealtimeSubscriber, data: RawData) => {
+  let message: z.infer<typeof zodClientMessageSchema>;
+  try {
+    message = zodClientMessageSchema.parse(JSON.parse(data.toString()));
+  } catch {
+    return sendMessage(ws, {
+      type: 'error',
+      message: 'Messages must be {"type": "subscribe" | "unsubscribe", "channels": [...]}',
+    });
+  }
+
+  if (message.type === 'unsubscribe') {
+    message.channels.forEach((channel) => subscriber.channels.delete(channel));
+    return sendMessage(ws, { type: 'unsubscribed', channels: message.channels });
+  }
+
+  const { allowed, denied } = authorizeChannels(subscriber.user.role, message.channels);
+  allowed.forEach((channel) => subscriber.channels.add(channel));
+  sendMessage(ws, { type: 'subscribed', channels: allowed, denied });
+};
+
+/**
+ * Serves the realtime events over WebSocket at `/api/v1/realtime` on the HTTP server. Clients
+ * authenticate with the access token of `isAuthorized`, and subscribe to channels with the
+ * `channels` query parameter (e.g. `?channels=user,file`) or `subscribe` messages. Unresponsive
+ * clients are dropped after `REALTIME_HEARTBEAT_INTERVAL`.
+ *
+ * @example attachWebSocketServer(await startServer(createApp()));
+ *
+ * @param server - The HTTP server.
+ * @returns {WebSocketServer} - The WebSocket server.
+ */
+export const attachWebSocketServer = (server: Server): WebSocketServer => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  server.on('upgrade', (req: IncomingMessage, socket: Duplex, head: Buffer) => {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    if (url.pathname !== realtimeWebSocketPath) {
+      return rejectUpgrade(socket, '404 Not Found');
+    }
+
+    authenticateUpgrade(req)
+      .then((user) => {
+        if (!user) {
+          return rejectUpgrade(socket, '401 Unauthorized');
+        }
+        wss.handleUpgrade(req, socket, head, (ws) =>
+          handleConnection(ws, user, url.searchParams.get('channels') ?? '')
+        );
+      })
+      .catch((error) => {
+        realtimeLogger.error('Failed to authenticate a WebSocket connection', { error });
+        rejectUpgrade(socket, '500 Internal Server Error');
+      });
+  });
+
+  return wss;
+};
+
+/**
+ * Registers an authenticated WebSocket connection in the hub.
+ *
+ * @param ws - The WebSocket.
+ * @param user - The authenticated user.
+ * @param channels - The channels requested in the query, comma separated.
+ * @returns {void}
+ */
+const handleConnection = (ws: WebSocket, user: RealtimeUser, channels: string) => {
+  const subscriber: RealtimeSubscriber = {
+    user,
+    channels: new Set(),
+    send: (event) => sendMessage(ws, { type: 'event', event }),
+    // 1008 (policy violation) when the access of the user was revoked
+    close: (revokedReason) =>
+      revokedReason ? ws.close(1008, revokedReason) : ws.close(1001, 'Server shutting down'),
+  };
+  const removeSubscriber = addSubscriber(subscriber);
+
+  const requested = parseChannels(channels);
+  if (requested.length) {
+    const { allowed, denied } = authorizeChannels(user.role, requested);
+    allowed.forEach((channel) => subscriber.channels.add(channel));
+    sendMessage(ws, { type: 'subscribed', channels: allowed, denied });
+  }
+
+  // Clients that did not answer the previous ping are gone
+  let alive = true;
+  ws.on('pong', () => {
+    alive = true;
+  });
+  const heartbeat = setInterval(() => {
+    if (!alive) return ws.terminate();
+    alive = false;
+    ws.ping();
+  }, config.REALTIME_HEARTBEAT_INTERVAL);
+
+  ws.on('message', (data) => handleMessage(ws, subscriber, data));
+  ws.on('error', (error) => realtimeLogger.debug('WebSocket error', { error }));
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    removeSubscriber();
+  });
+};
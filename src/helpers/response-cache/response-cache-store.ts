@@ -0,0 +1,106 @@
+import config from '../../config/config';
+import { getRedisClient } from '../../utils/redis/redis-client';
+
+/**
+ * Response stored in the cache and replayed to the next identical requests.
+ */
+export interface CachedResponse {
+  statusCode: number;
+  message: string;
+  data: unknown;
+}
+
+/**
+ * Storage of the cached responses. Entries are never deleted on a change: each tag (a module,
+ * e.g. `user`) has a version which is part of the keys, and invalidating the tag bumps its
+ * version so that the previous entries are not read anymore and expire by themselves.
+ */
+export interface ResponseCacheStore {
+  /** Returns the response stored for a key, if not expired. */
+  get(key: string): Promise<CachedResponse | undefined>;
+  /** Stores a response for `ttl` milliseconds. */
+  set(key: string, response: CachedResponse, ttl: number): Promise<void>;
+  /** Returns the current version of a tag. */
+  getVersion(tag: string): Promise<number>;
+  /** Bumps the version of a tag, invalidating the entries cached with the previous one. */
+  invalidate(tag: string): Promise<void>;
+}
+
+/**
+ * Store keeping the responses in memory, evicting the least recently used entries beyond
+ * `WEB_CACHE_MAX_ENTRIES`. Each process has its own cache, only invalidated by its own changes.
+ *
+ * @returns {ResponseCacheStore} - The store.
+ */
+export const createMemoryResponseCacheStore = (): ResponseCacheStore => {
+  // Maps iterate in insertion order, so the first entry is the least recently used
+  const entries = new Map<string, { response: CachedResponse; expiresAt: number }>();
+  const versions = new Map<string, number>();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.response;
+    },
+    set: async (key, response, ttl) => {
+      entries.delete(key);
+      entries.set(key, { response, expiresAt: Date.now() + ttl });
+      for (const oldestKey of entries.keys()) {
+        if (entries.size <= config.WEB_CACHE_MAX_ENTRIES) break;
+        entries.delete(oldestKey);
+      }
+    },
+    getVersion: async (tag) => versions.get(tag) ?? 0,
+    invalidate: async (tag) => {
+      versions.set(tag, (versions.get(tag) ?? 0) + 1);
+    },
+  };
+};
+
+/**
+ * Store keeping the responses on the Redis-compatible server at `REDIS_URL`, shared by every
+ * instance. Entries are keys expiring after their TTL, the server evicts them under memory
+ * pressure according to its `maxmemory-policy`.
+ *
+ * @returns {ResponseCacheStore} - The store.
+ */
+export const createRedisResponseCacheStore = (): ResponseCacheStore => {
+  const redis = getRedisClient();
+
+  return {
+    get: async (key) => {
+      const value = await redis.get(`response-cache:${key}`);
+      return value === null ? undefined : (JSON.parse(value) as CachedResponse);
+    },
+    set: async (key, response, ttl) => {
+      await redis.set(`response-cache:${key}`, JSON.stringify(response), 'PX', ttl);
+    },
+    getVersion: async (tag) => Number(await redis.get(`response-cache-version:${tag}`)),
+    invalidate: async (tag) => {
+      await redis.incr(`response-cache-version:${tag}`);
+    },
+  };
+};
+
+// Store created on first use
+let store: ResponseCacheStore | undefined;
+
+/**
+ * Returns the store selected by `WEB_CACHE_STORE`.
+ *
+ * @returns {ResponseCacheStore} - The shared store.
+ */
+export const getResponseCacheStore = (): ResponseCacheStore => {
+  if (!store) {
+    store =
+      config.WEB_CACHE_STORE === 'redis'
+        ? createRedisResponseCacheStore()
+        : createMemoryResponseCacheStore();
+  }
+  return store;
+};
@@ -1,7 +1,14 @@
+import crypto from 'crypto';
 import { Response } from 'express';
+import config from '../../config/config';
+import { getRequestContext } from '../../middlewares/request-context';
 
 /**
  * Generates a consistent JSON response structure for API responses.
+ * The ID of the request is included to correlate the response with the logs.
+ * When `WEB_CACHE` is enabled, successful GET responses get a strong ETag computed from their
+ * content (not from the timestamp and request ID), and Express answers 304 Not Modified when it
+ * matches the `If-None-Match` header of the request.
  * @param res - The response object.
  * @param success - Indicates if the response is successful.
  * @param statusCode - The HTTP status code.
@@ -19,6 +26,16 @@ const ServerResponse = (
   errors?: any[] | null,
   error?: any
 ): Response => {
+  if (config.WEB_CACHE && success && ['GET', 'HEAD'].includes(res.req.method)) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([statusCode, message, data]))
+      .digest('base64url');
+    res.setHeader('ETag', `"${hash}"`);
+    // Responses may depend on the user, and must be revalidated before being reused
+    if (!res.get('Cache-Control')) res.setHeader('Cache-Control', 'private, no-cache');
+  }
+
   return res.status(statusCode).json({
     message,
     status: success,
@@ -26,6 +43,7 @@ const ServerResponse = (
     path: res.req.originalUrl,
     method: res.req.method,
     timestamp: new Date().toISOString(),
+    requestId: getRequestContext()?.requestId, // Also sent in the X-Request-Id header
     ...(success && { data }), // Include data only if success is true
     ...(errors && { errors }), // Always include errors if they exist
     ...(error && { error }), // Always include error if it exists
@@ -1,4 +1,5 @@
-import { NextFunction, Request, Response } from 'express';
+import { Request, Response } from 'express';
+import { getRequestContext } from '../../middlewares/request-context';
 
 /**
  * Middleware function to handle requests to undefined routes.
@@ -6,10 +7,9 @@ import { NextFunction, Request, Response } from 'express';
  *
  * @param req - The request object.
  * @param res - The response object.
- * @param next - The next middleware function (not used here).
  * @returns {void}
  */
-const PathNotFound = (req: Request, res: Response, next: NextFunction): void => {
+const PathNotFound = (req: Request, res: Response): void => {
   res.status(404).json({
     message: 'Path not found',
     status: false,
@@ -17,6 +17,7 @@ const PathNotFound = (req: Request, res: Response, next: NextFunction): void =>
     path: req.originalUrl,
     method: req.method,
     timestamp: new Date().toISOString(),
+    requestId: getRequestContext()?.requestId,
   });
 };
 
@@ -0,0 +1,292 @@
+import {
+  ApiKey,
+  AuditAction,
+  AuditLog,
+  AuthToken,
+  AuthTokenType,
+  File,
+  IdempotencyKey,
+  MailJob,
+  MailJobStatus,
+  Prisma,
+  RateLimit,
+  RefreshToken,
+  User,
+  UserRole,
+} from '@prisma/client';
+import crypto from 'crypto';
+import config from '../../config/config';
+import HashInfo from '../../utils/bcrypt/hash-info';
+import { now } from '../../utils/clock/clock';
+import GenerateToken from '../../utils/crypto/generate-token';
+import HashToken from '../../utils/crypto/hash-token';
+import { defineFactory } from './factory';
+
+/**
+ * Password of the users built without one.
+ */
+export const defaultSeedPassword = 'Password123!';
+
+/**
+ * Factory of the users: verified admins with unique emails and the default password. The given
+ * password is hashed with `HashInfo`, so overrides take plain passwords.
+ *
+ * @example await userFactory.create({ role: UserRole.SuperAdmin, password: 'secret-password' });
+ */
+export const userFactory = defineFactory<Prisma.UserCreateInput, User>({
+  build: async (sequence, { password = defaultSeedPassword, ...overrides }) => ({
+    email: `user-${sequence}-${GenerateToken(4)}@example.com`,
+    phone: `+1555${String(sequence).padStart(7, '0')}`,
+    role: UserRole.Admin,
+    emailVerifiedAt: new Date(),
+    ...overrides,
+    password: password === null ? null : await HashInfo(password),
+  }),
+  create: (data, db) => db.user.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.user.upsert({ where: { email: data.email }, create: data, update: overwrite ? data : {} }),
+});
+
+/**
+ * Factory of the API keys, with every scope by default. The plain key is returned with the
+ * created key, and can be given (e.g. `ak_e2e00000_…`) to seed a key known by the tests.
+ *
+ * @example const { key } = await apiKeyFactory.create({ userId: user.id, scopes: ['user:read'] });
+ */
+export const apiKeyFactory = defineFactory<
+  Prisma.ApiKeyUncheckedCreateInput & { key?: string },
+  ApiKey & { key: string }
+>({
+  build: (sequence, overrides) => {
+    if (!overrides.userId) {
+      throw new Error('API keys need the userId of their owner');
+    }
+    const key = overrides.key ?? `ak_${GenerateToken(4)}_${GenerateToken(32)}`;
+    return {
+      userId: overrides.userId,
+      name: `Key ${sequence}`,
+      scopes: ['*:create', '*:read', '*:update', '*:delete'],
+      ...overrides,
+      key,
+      prefix: key.split('_').slice(0, 2).join('_'),
+      keyHash: HashToken(key),
+    };
+  },
+  create: async ({ key, ...data }, db) => ({ ...(await db.apiKey.create({ data })), key: key! }),
+  upsert: async ({ key, ...data }, db, overwrite) => ({
+    ...(await db.apiKey.upsert({
+      where: { keyHash: data.keyHash },
+      create: data,
+      update: overwrite ? data : {},
+    })),
+    key: key!,
+  }),
+});
+
+/**
+ * Returns a date the given number of seconds after the time of the application clock, so that
+ * the expirations follow the clock of the tests.
+ *
+ * @param seconds - The number of seconds.
+ * @returns {Date} - The date.
+ */
+const secondsFromNow = (seconds: number) => new Date(now().getTime() + seconds * 1000);
+
+/**
+ * Returns the ID of the owner of a record to build, which has no default.
+ *
+ * @param model - The name of the model, for the error message.
+ * @param userId - The ID given in the overrides.
+ * @returns {string} - The ID.
+ * @throws If no ID is given.
+ */
+const requireUserId = (model: string, userId: string | undefined) => {
+  if (!userId) {
+    throw new Error(`${model} records need the ID of their user`);
+  }
+  return userId;
+};
+
+/**
+ * Factory of the refresh tokens, valid for `REFRESH_TOKEN_EXPIRATION_TIME` by default. The plain
+ * token is returned with the created record, to be presented to `POST /api/v1/auth/refresh-token`.
+ *
+ * @example const { token } = await refreshTokenFactory.create({ userId: user.id });
+ */
+export const refreshTokenFactory = defineFactory<
+  Prisma.RefreshTokenUncheckedCreateInput & { token?: string },
+  RefreshToken & { token: string }
+>({
+  build: (_sequence, overrides) => {
+    const token = overrides.token ?? GenerateToken();
+    return {
+      userId: requireUserId('Refresh token', overrides.userId),
+      expiresAt: secondsFromNow(config.REFRESH_TOKEN_EXPIRATION_TIME),
+      ...overrides,
+      token,
+      tokenHash: HashToken(token),
+    };
+  },
+  create: async ({ token, ...data }, db) => ({
+    ...(await db.refreshToken.create({ data })),
+    token: token!,
+  }),
+  upsert: async ({ token, ...data }, db, overwrite) => ({
+    ...(await db.refreshToken.upsert({
+      where: { tokenHash: data.tokenHash },
+      create: data,
+      update: overwrite ? data : {},
+    })),
+    token: token!,
+  }),
+});
+
+/**
+ * Factory of the tokens sent by email, email verification tokens valid for one hour by default.
+ * The plain token is returned with the created record, to be posted to the route consuming it.
+ *
+ * @example const { token } = await authTokenFactory.create({ userId: user.id, type: AuthTokenType.PasswordReset });
+ */
+export const authTokenFactory = defineFactory<
+  Prisma.AuthTokenUncheckedCreateInput & { token?: string },
+  AuthToken & { token: string }
+>({
+  build: (_sequence, overrides) => {
+    const token = overrides.token ?? GenerateToken(32);
+    return {
+      userId: requireUserId('Auth token', overrides.userId),
+      type: AuthTokenType.EmailVerification,
+      expiresAt: secondsFromNow(60 * 60),
+      ...overrides,
+      token,
+      tokenHash: HashToken(token),
+    };
+  },
+  create: async ({ token, ...data }, db) => ({
+    ...(await db.authToken.create({ data })),
+    token: token!,
+  }),
+  upsert: async ({ token, ...data }, db, overwrite) => ({
+    ...(await db.authToken.upsert({
+      where: { tokenHash: data.tokenHash },
+      create: data,
+      update: overwrite ? data : {},
+    })),
+    token: token!,
+  }),
+});
+
+/**
+ * Factory of the files: records of small text files stored by the `local` storage. Only the rows
+ * are inserted: the contents must be written to the storage by the tests downloading them.
+ *
+ * @example await fileFactory.create({ ownerId: user.id, mimeType: 'image/png' });
+ */
+export const fileFactory = defineFactory<Prisma.FileUncheckedCreateInput, File>({
+  build: (sequence, overrides) => {
+    const hash = crypto.createHash('sha256').update(`file-${sequence}`).digest('hex');
+    return {
+      id: crypto.randomUUID(),
+      ownerId: requireUserId('File', overrides.ownerId),
+      originalName: `file-${sequence}.txt`,
+      mimeType: 'text/plain',
+      size: 1024,
+      hash,
+      storage: 'local',
+      storageKey: `${hash.slice(0, 2)}/${hash}.txt`,
+      ...overrides,
+    };
+  },
+  create: (data, db) => db.file.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.file.upsert({ where: { id: data.id }, create: data, update: overwrite ? data : {} }),
+});
+
+/**
+ * Factory of the audit log entries: creations of users by scripts (without an actor) by default.
+ *
+ * @example await auditLogFactory.create({ actorId: admin.id, action: AuditAction.Delete, recordId: user.id });
+ */
+export const auditLogFactory = defineFactory<Prisma.AuditLogUncheckedCreateInput, AuditLog>({
+  build: (_sequence, overrides) => ({
+    id: crypto.randomUUID(),
+    action: AuditAction.Create,
+    model: 'User',
+    recordId: crypto.randomUUID(),
+    ...overrides,
+  }),
+  create: (data, db) => db.auditLog.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.auditLog.upsert({ where: { id: data.id }, create: data, update: overwrite ? data : {} }),
+});
+
+/**
+ * Factory of the idempotency keys of anonymous requests, completed with a 201 response and kept
+ * for `IDEMPOTENCY_TTL` by default. A key being processed is built with `lockedUntil` set and
+ * without a response.
+ *
+ * @example await idempotencyKeyFactory.create({ scope: user.id, key: 'retried-key' });
+ */
+export const idempotencyKeyFactory = defineFactory<
+  Prisma.IdempotencyKeyCreateInput,
+  IdempotencyKey
+>({
+  build: (sequence, overrides) => ({
+    scope: 'anonymous',
+    key: `key-${sequence}-${GenerateToken(4)}`,
+    fingerprint: crypto.createHash('sha256').update(`request-${sequence}`).digest('hex'),
+    statusCode: 201,
+    response: { status: true },
+    expiresAt: new Date(now().getTime() + config.IDEMPOTENCY_TTL),
+    ...overrides,
+  }),
+  create: (data, db) => db.idempotencyKey.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.idempotencyKey.upsert({
+      where: { scope_key: { scope: data.scope, key: data.key } },
+      create: data,
+      update: overwrite ? data : {},
+    }),
+});
+
+/**
+ * Factory of the rate limit counters of the `prisma` store: one hit of a client in a window of
+ * one minute by default. Keys are made of the policy and the client, e.g. `auth:ip:127.0.0.1`.
+ *
+ * @example await rateLimitFactory.create({ key: 'auth:ip:127.0.0.1', hits: 10 });
+ */
+export const rateLimitFactory = defineFactory<Prisma.RateLimitCreateInput, RateLimit>({
+  build: (sequence, overrides) => ({
+    key: `default:ip:10.0.0.${sequence}`,
+    hits: 1,
+    resetAt: secondsFromNow(60),
+    ...overrides,
+  }),
+  create: (data, db) => db.rateLimit.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.rateLimit.upsert({ where: { key: data.key }, create: data, update: overwrite ? data : {} }),
+});
+
+/**
+ * Factory of the mail jobs: verification mails already sent by default, whose variables were
+ * cleared. Mails to send are queued with `enqueueMail` instead, which encrypts their secret
+ * variables.
+ *
+ * @example await mailJobFactory.createMany(3, { status: MailJobStatus.Dead, lastError: 'Connection refused' });
+ */
+export const mailJobFactory = defineFactory<Prisma.MailJobCreateInput, MailJob>({
+  build: (sequence, overrides) => ({
+    id: crypto.randomUUID(),
+    to: `recipient-${sequence}@example.com`,
+    template: 'verification',
+    variables: {},
+    status: MailJobStatus.Sent,
+    attempts: 1,
+    maxAttempts: config.MAIL_MAX_ATTEMPTS,
+    sentAt: now(),
+    ...overrides,
+  }),
+  create: (data, db) => db.mailJob.create({ data }),
+  upsert: (data, db, overwrite) =>
+    db.mailJob.upsert({ where: { id: data.id }, create: data, update: overwrite ? data : {} }),
+});
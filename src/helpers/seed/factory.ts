@@ -0,0 +1,74 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+
+// Import the Prisma Client instance without the extensions, so that seeded rows are not audited
+import { basePrismaClient } from '../prisma/prisma-client';
+
+/**
+ * Client used by the factories: the base client or one of its transactions.
+ */
+export type SeedClient = PrismaClient | Prisma.TransactionClient;
+
+/**
+ * Definition of the factory of a model.
+ */
+export interface FactoryDefinition<Input, Model> {
+  /** Builds the data of a record from its sequence number (1, 2, …) and the given overrides. */
+  build: (sequence: number, overrides: Partial<Input>) => Input | Promise<Input>;
+  /** Inserts a record. */
+  create: (data: Input, db: SeedClient) => Promise<Model>;
+  /** Inserts a record unless it exists (by a unique field), in which case it is returned or overwritten. */
+  upsert: (data: Input, db: SeedClient, overwrite: boolean) => Promise<Model>;
+}
+
+/**
+ * Factory of a model, building and inserting records with default values.
+ */
+export interface Factory<Input, Model> {
+  /** Builds the data of a record without inserting it. */
+  build(overrides?: Partial<Input>): Promise<Input>;
+  /** Inserts a record. */
+  create(overrides?: Partial<Input>, db?: SeedClient): Promise<Model>;
+  /** Inserts several records. */
+  createMany(count: number, overrides?: Partial<Input>, db?: SeedClient): Promise<Model[]>;
+  /**
+   * Inserts a record unless it exists, which makes seeds idempotent. An existing record is left
+   * as it is, unless `overwrite` is set (e.g. to reset the password of a fixture account).
+   */
+  upsert(
+    overrides?: Partial<Input>,
+    options?: { overwrite?: boolean; db?: SeedClient }
+  ): Promise<Model>;
+}
+
+/**
+ * Defines the factory of a model.
+ *
+ * @example const post = await postFactory.create({ title: 'Hello' });
+ *
+ * @param definition - How the records are built and inserted.
+ * @returns {Factory<Input, Model>} - The factory.
+ */
+export const defineFactory = <Input, Model>(
+  definition: FactoryDefinition<Input, Model>
+): Factory<Input, Model> => {
+  let sequence = 0;
+
+  const factory: Factory<Input, Model> = {
+    build: async (overrides = {}) => definition.build(++sequence, overrides),
+    create: async (overrides = {}, db = basePrismaClient) => {
+      return definition.create(await factory.build(overrides), db);
+    },
+    createMany: async (count, overrides = {}, db = basePrismaClient) => {
+      const records: Model[] = [];
+      for (let index = 0; index < count; index++) {
+        records.push(await factory.create(overrides, db));
+      }
+      return records;
+    },
+    upsert: async (overrides = {}, { overwrite = false, db = basePrismaClient } = {}) => {
+      return definition.upsert(await factory.build(overrides), db, overwrite);
+    },
+  };
+
+  return factory;
+};
@@ -0,0 +1,144 @@
+import { Prisma, UserRole } from '@prisma/client';
+import config from '../../config/config';
+import { apiKeyFactory, userFactory } from './factories';
+
+// Import the Prisma Client instance without the extensions, so that seeded rows are not audited
+import { basePrismaClient } from '../prisma/prisma-client';
+
+/**
+ * Number of records ensured by a seed set, per model.
+ */
+export type SeedResult = Record<string, number>;
+
+/**
+ * Accounts and API key of the `e2e` seed set, known by the end-to-end tests.
+ */
+export const e2eFixtures = {
+  superAdmin: { email: 'e2e.superadmin@example.com', password: 'E2e-SuperAdmin-Password' },
+  admin: { email: 'e2e.admin@example.com', password: 'E2e-Admin-Password' },
+  unverified: { email: 'e2e.unverified@example.com', password: 'E2e-Unverified-Password' },
+  // API key of the admin with every scope
+  apiKey: `ak_e2e00000_${'0'.repeat(64)}`,
+};
+
+/**
+ * Named seed sets. Every set is idempotent: records are matched by a unique field (e.g. the
+ * email of the users), so running a set again only adds the missing records.
+ * - `dev`: a SuperAdmin and an admin to log in with locally, with the default password;
+ * - `demo`: the `dev` accounts and 25 demo users, some unverified and some in the trash;
+ * - `e2e`: the accounts and API key of `e2eFixtures`, reset to their fixture values on each run.
+ */
+export const seedSets = {
+  dev: async (): Promise<SeedResult> => {
+    await userFactory.upsert({ email: 'superadmin@example.com', role: UserRole.SuperAdmin });
+    await userFactory.upsert({ email: 'admin@example.com' });
+    return { User: 2 };
+  },
+  demo: async (): Promise<SeedResult> => {
+    const { User } = await seedSets.dev();
+    for (let number = 1; number <= 25; number++) {
+      await userFactory.upsert({
+        email: `demo.user${number}@example.com`,
+        emailVerifiedAt: number % 5 === 0 ? null : new Date(),
+        deletedAt: number % 10 === 0 ? new Date() : null,
+      });
+    }
+    return { User: User + 25 };
+  },
+  e2e: async (): Promise<SeedResult> => {
+    const { superAdmin, admin, unverified, apiKey } = e2eFixtures;
+    const overwrite = { overwrite: true };
+
+    await userFactory.upsert({ ...superAdmin, role: UserRole.SuperAdmin }, overwrite);
+    const adminUser = await userFactory.upsert(admin, overwrite);
+    await userFactory.upsert({ ...unverified, emailVerifiedAt: null }, overwrite);
+    await apiKeyFactory.upsert({ userId: adminUser.id, name: 'E2E', key: apiKey }, overwrite);
+    return { User: 3, ApiKey: 1 };
+  },
+} satisfies Record<string, () => Promise<SeedResult>>;
+
+export type SeedSetName = keyof typeof seedSets;
+
+/**
+ * Creates the initial SuperAdmin from `SEED_SUPER_ADMIN_EMAIL`, `SEED_SUPER_ADMIN_PASSWORD` and
+ * `SEED_SUPER_ADMIN_PHONE`, unless a SuperAdmin already exists.
+ *
+ * @returns {Promise<{ created: boolean; email: string }>} - Whether the SuperAdmin was created, and the email of the SuperAdmin.
+ * @throws {Error} If the variables are not set, or the email belongs to another user.
+ */
+export const bootstrapSuperAdmin = async () => {
+  const email = config.SEED_SUPER_ADMIN_EMAIL;
+  const password = config.SEED_SUPER_ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new Error(
+      'Set SEED_SUPER_ADMIN_EMAIL and SEED_SUPER_ADMIN_PASSWORD to bootstrap the SuperAdmin'
+    );
+  }
+
+  const existing = await basePrismaClient.user.findFirst({
+    where: { role: UserRole.SuperAdmin, deletedAt: null },
+  });
+  if (existing) {
+    return { created: false, email: existing.email };
+  }
+  if (await basePrismaClient.user.findUnique({ where: { email } })) {
+    throw new Error(`A user with the email ${email} already exists`);
+  }
+
+  await userFactory.create({
+    email,
+    password,
+    phone: config.SEED_SUPER_ADMIN_PHONE,
+    role: UserRole.SuperAdmin,
+  });
+  return { created: true, email };
+};
+
+/**
+ * Empties every table of the Prisma schema.
+ *
+ * @returns {Promise<string[]>} - The emptied tables.
+ */
+export const resetDatabase = async () => {
+  const tables = Prisma.dmmf.datamodel.models.map((model) => model.dbName ?? model.name);
+
+  // The foreign key checks are disabled for the connection of the transaction only
+  await basePrismaClient.$transaction(
+    async (tx) => {
+      await tx.$executeRawUnsafe('SET FOREIGN_KEY_CHECKS = 0');
+      for (const table of tables) {
+        await tx.$executeRawUnsafe(`TRUNCATE TABLE \`${table}\``);
+      }
+      await tx.$executeRawUnsafe('SET FOREIGN_KEY_CHECKS = 1');
+    },
+    { timeout: 60000 }
+  );
+
+  return tables;
+};
+
+/**
+ * Runs the seed steps in order: the reset of the database, the bootstrap of the SuperAdmin,
+ * then a seed set. Seeding production requires `force`, except for the bootstrap alone.
+ *
+ * @param options - The steps to run.
+ * @returns {Promise<{ tables?: string[]; superAdmin?: { created: boolean; email: string }; records?: SeedResult }>} - The outcome of each step.
+ * @throws {Error} If run in production without `force`, or if a step fails.
+ */
+export const runSeed = async (options: {
+  set?: SeedSetName;
+  reset?: boolean;
+  bootstrap?: boolean;
+  force?: boolean;
+}) => {
+  if (config.NODE_ENV === 'production' && (options.set || options.reset) && !options.force) {
+    // Seed sets create accounts with known passwords, and the reset deletes everything
+    throw new Error('Use --force to reset or seed the production database');
+  }
+
+  const tables = options.reset ? await resetDatabase() : undefined;
+  const superAdmin = options.bootstrap ? await bootstrapSuperAdmin() : undefined;
+  const records = options.set ? await seedSets[options.set]() : undefined;
+
+  return { tables, superAdmin, records };
+};
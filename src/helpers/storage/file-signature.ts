@@ -0,0 +1,51 @@
+/**
+ * File type recognized from the first bytes (the "magic bytes") of a file.
+ */
+interface FileSignature {
+  mimeType: string;
+  extensions: string[];
+  // Bytes expected at `offset`, `null` matching any byte
+  bytes: (number | null)[];
+  offset?: number;
+}
+
+/**
+ * Signatures of the file types that can be uploaded. A type must be listed here to be allowed in
+ * `UPLOAD_ALLOWED_TYPES`, since uploads are only accepted when their content matches their type.
+ */
+const fileSignatures: FileSignature[] = [
+  { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'], bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: 'image/png',
+    extensions: ['png'],
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: 'image/gif', extensions: ['gif'], bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  {
+    mimeType: 'image/webp',
+    extensions: ['webp'],
+    // RIFF....WEBP
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+  { mimeType: 'application/pdf', extensions: ['pdf'], bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  // Also the signature of docx, xlsx, ... which are ZIP archives
+  { mimeType: 'application/zip', extensions: ['zip'], bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+/**
+ * MIME types whose content can be recognized.
+ */
+export const supportedMimeTypes = fileSignatures.map((signature) => signature.mimeType);
+
+/**
+ * Detects the type of a file from its content, regardless of its name or declared type.
+ *
+ * @param data - The content of the file.
+ * @returns {{ mimeType: string; extensions: string[] } | undefined} - The detected type and its extensions, or `undefined` if the type is not recognized.
+ */
+export const detectFileType = (data: Buffer) => {
+  const signature = fileSignatures.find(({ bytes, offset = 0 }) =>
+    bytes.every((byte, index) => byte === null || data[offset + index] === byte)
+  );
+  return signature && { mimeType: signature.mimeType, extensions: signature.extensions };
+};
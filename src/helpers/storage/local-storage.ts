@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import type { StorageAdapter } from './storage-adapter';
+
+/**
+ * Creates an adapter storing the files on the local disk.
+ *
+ * @param dir - The directory the files are stored in, relative to the working directory.
+ * @returns {StorageAdapter} - The adapter.
+ */
+export const createLocalStorage = (dir: string): StorageAdapter => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the application, but never let one escape the directory
+  const resolveKey = (key: string) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    driver: 'local',
+    put: async (key, data) => {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+    get: async (key) => {
+      const file = resolveKey(key);
+      // Fail now rather than when the stream is read
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,48 @@
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from '@aws-sdk/client-s3';
+import { Readable } from 'stream';
+import config from '../../config/config';
+import type { StorageAdapter } from './storage-adapter';
+
+/**
+ * Creates an adapter storing the files in the `S3_BUCKET` bucket of an S3-compatible service:
+ * AWS S3, or any other service at `S3_ENDPOINT` such as MinIO (with `S3_FORCE_PATH_STYLE=true`).
+ *
+ * @returns {StorageAdapter} - The adapter.
+ */
+export const createS3Storage = (): StorageAdapter => {
+  const client = new S3Client({
+    region: config.S3_REGION,
+    endpoint: config.S3_ENDPOINT,
+    forcePathStyle: config.S3_FORCE_PATH_STYLE,
+    // Without keys, the default AWS credential chain (environment, instance role, ...) is used
+    credentials:
+      config.S3_ACCESS_KEY_ID && config.S3_SECRET_ACCESS_KEY
+        ? {
+            accessKeyId: config.S3_ACCESS_KEY_ID,
+            secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+  });
+  const bucket = config.S3_BUCKET as string;
+
+  return {
+    driver: 's3',
+    put: async (key, data, contentType) => {
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: key, Body: data, ContentType: contentType })
+      );
+    },
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body as Readable;
+    },
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
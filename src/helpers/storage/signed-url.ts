@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import config from '../../config/config';
+import { now } from '../../utils/clock/clock';
+
+/**
+ * Computes the signature of a download link.
+ *
+ * @param fileId - The ID of the file.
+ * @param expires - The expiration time of the link, in seconds since the epoch.
+ * @returns {string} - The hex encoded HMAC-SHA256 signature.
+ */
+const sign = (fileId: string, expires: number) =>
+  crypto
+    .createHmac('sha256', config.DOWNLOAD_URL_SECRET)
+    .update(`${fileId}:${expires}`)
+    .digest('hex');
+
+/**
+ * Creates a download URL of a file, valid for `DOWNLOAD_URL_EXPIRATION_TIME` without
+ * authentication.
+ *
+ * @param fileId - The ID of the file.
+ * @returns {{ url: string; expiresAt: Date }} - The signed URL and its expiration date.
+ */
+export const createSignedDownloadUrl = (fileId: string) => {
+  const expires = Math.floor(now().getTime() / 1000) + config.DOWNLOAD_URL_EXPIRATION_TIME;
+  const baseUrl =
+    config.NODE_ENV !== 'production' ? `${config.BASE_URL}:${config.PORT}` : config.BASE_URL;
+  const query = new URLSearchParams({ expires: String(expires), signature: sign(fileId, expires) });
+
+  return {
+    url: `${baseUrl}/api/v1/file/download/${fileId}?${query}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Checks the signature and the expiration of a download URL.
+ *
+ * @param fileId - The ID of the file.
+ * @param expires - The `expires` query parameter, in seconds since the epoch.
+ * @param signature - The `signature` query parameter.
+ * @returns {boolean} - Whether the URL is authentic and not expired.
+ */
+export const verifySignedDownloadUrl = (fileId: string, expires: number, signature: string) => {
+  if (expires * 1000 <= now().getTime()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(fileId, expires), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  // Constant time comparison, so that the signature cannot be guessed byte by byte
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
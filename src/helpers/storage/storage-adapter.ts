@@ -0,0 +1,41 @@
+import { Readable } from 'stream';
+import config from '../../config/config';
+import { createLocalStorage } from './local-storage';
+import { createS3Storage } from './s3-storage';
+
+/**
+ * Name of a storage backend, stored with each file so that it is read back from where it was
+ * written even after `STORAGE_DRIVER` changes.
+ */
+export type StorageDriver = 'local' | 's3';
+
+/**
+ * Backend storing the content of the uploaded files under keys chosen by the application.
+ */
+export interface StorageAdapter {
+  readonly driver: StorageDriver;
+  /** Writes (or overwrites) the object stored under `key`. */
+  put(key: string, data: Buffer, contentType: string): Promise<void>;
+  /** Reads the object stored under `key`, throwing if it does not exist. */
+  get(key: string): Promise<Readable>;
+  /** Deletes the object stored under `key`, if it exists. */
+  delete(key: string): Promise<void>;
+}
+
+// Adapters created on first use
+const adapters = new Map<StorageDriver, StorageAdapter>();
+
+/**
+ * Returns the adapter of a storage backend.
+ *
+ * @param driver - The backend, `STORAGE_DRIVER` by default.
+ * @returns {StorageAdapter} - The shared adapter of the backend.
+ */
+export const getStorage = (driver: StorageDriver = config.STORAGE_DRIVER): StorageAdapter => {
+  let adapter = adapters.get(driver);
+  if (!adapter) {
+    adapter = driver === 's3' ? createS3Storage() : createLocalStorage(config.UPLOAD_DIR);
+    adapters.set(driver, adapter);
+  }
+  return adapter;
+};
@@ -1,122 +1,76 @@
-import { PrismaClient } from '@prisma/client';
-import { Server } from 'http';
-import app, { routes } from './app';
+import createApp, { routes } from './app';
 import config from './config/config';
+import {
+  handleProcessSignals,
+  onShutdown,
+  onServerClose,
+  onStartup,
+  runClustered,
+  shutdown,
+  startServer,
+} from './helpers/lifecycle/lifecycle';
+import { prismaClient } from './helpers/prisma/prisma-client';
+import { closeEventBus } from './helpers/realtime/event-bus';
+import { closeRealtimeConnections } from './helpers/realtime/realtime-hub';
+import { attachWebSocketServer } from './helpers/realtime/websocket-server';
+import { startMailWorker, stopMailWorker } from './utils/email/mail-queue';
+import { closeMailTransporter } from './utils/email/mail-transport';
+import logger from './utils/logger/logger';
+import { closeRedisClient } from './utils/redis/redis-client';
 
-// Initialize server and PrismaClient
-let server: Server;
-export const prismaClient = new PrismaClient({
-  log: ['query', 'info', 'warn', 'error'], // Enable logging for these levels
-});
+// Logger of the server lifecycle
+const serverLogger = logger.child({ scope: 'Server' });
 
-// Define color codes for console output
-const GREEN = '\x1b[32m'; // Green color
-const BLUE = '\x1b[34m'; // Blue color
-const YELLOW = '\x1b[33m'; // Yellow color
-const WHITE = '\x1b[37m'; // White color
-const RESET = '\x1b[0m'; // Reset color
+// Connect to the database before accepting requests
+onStartup('database', async () => {
+  await prismaClient.$connect();
+  serverLogger.info('Database connected successfully');
+});
 
-// Helper function to format the current date as a simple string
-const getFormattedDate = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-};
+// Start sending the queued mails
+onStartup('mail worker', startMailWorker);
 
-// Helper function to format the current time as a simple string
-const getFormattedTime = () => {
-  const now = new Date();
-  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
-};
+// Once the in-flight requests are drained, finish sending the mails, then disconnect
+onShutdown('mail worker', async () => {
+  await stopMailWorker();
+  closeMailTransporter();
+});
+onShutdown('database', () => prismaClient.$disconnect());
 
-// Function to log routes for each module with the specified format
-const logModuleRoutes = (moduleName: string, moduleRoutes: any[]) => {
-  console.log(
-    `${WHITE}======================= Start: ${moduleName} ======================${RESET}
-`
-  );
-  moduleRoutes.forEach((route) => {
-    const routeInfo = `${GREEN}${route.method} ${route.path} - ${YELLOW}${route.time.toFixed(2)} ms${RESET}`;
-    console.log(
-      `${GREEN}[Express] ${WHITE}${getFormattedDate()} ${getFormattedTime()} ${GREEN}LOG ${YELLOW}[RouterExplorer] ${routeInfo}`
-    );
-  });
-  console.log(
-    `
-    ${WHITE}======================= End: ${moduleName} ========================${RESET}
-  
-  `
-  );
-};
+// End the realtime connections as soon as the server stops accepting new ones, then the event bus
+onServerClose('realtime', closeRealtimeConnections);
+onShutdown('event bus', closeEventBus);
+onShutdown('redis', closeRedisClient);
 
 // Main function to start the server and connect to the database
 async function main() {
-  try {
-    // Start the server
-    server = app.listen(config.PORT, () => {
-      if (config.NODE_ENV !== 'production') {
-        console.log(
-          `${GREEN}[Express] ${BLUE}[Server] ${RESET}Server running at ${YELLOW}${config.BASE_URL}:${config.PORT}${RESET}`
-        );
-      } else {
-        console.log(
-          `${GREEN}[Express] ${BLUE}[Server] ${RESET}Server running at ${YELLOW}${config.BASE_URL}${RESET}`
-        );
-      }
-    });
+  handleProcessSignals();
 
-    // Test Prisma Client connection
-    await prismaClient.$connect();
-    console.log(`${GREEN}[Express] ${BLUE}[Database] ${RESET}Database connected successfully
-`);
+  try {
+    const server = await startServer(createApp());
+    // Realtime events over WebSocket, on the same port as the API
+    attachWebSocketServer(server);
+    const url =
+      config.NODE_ENV !== 'production' ? `${config.BASE_URL}:${config.PORT}` : config.BASE_URL;
+    serverLogger.info(`Server running at ${url}`);
 
     // Log routes in any mode except production
     if (config.NODE_ENV !== 'production') {
-      const modulesGroupedRoutes: { [key: string]: any[] } = {};
-
-      // Group routes by module for organized logging
       routes.forEach((route) => {
-        const moduleName = route.module;
-        if (!modulesGroupedRoutes[moduleName]) {
-          modulesGroupedRoutes[moduleName] = [];
-        }
-        modulesGroupedRoutes[moduleName].push(route);
-      });
-
-      // Log each module's routes
-      Object.keys(modulesGroupedRoutes).forEach((moduleName) => {
-        logModuleRoutes(moduleName, modulesGroupedRoutes[moduleName]);
+        serverLogger.debug(`Mapped ${route.method} ${route.path}`, {
+          module: route.module,
+          loadTime: Number(route.time.toFixed(2)),
+        });
       });
     }
   } catch (error) {
-    console.error(`${GREEN}[Express] ${BLUE}[Error] ${RESET}Error during server startup:`, error);
-    process.exit(1); // Exit process if initialization fails
+    serverLogger.fatal('Error during server startup', { error });
+    shutdown('startup failure', 1); // Exit process if initialization fails
   }
 }
 
-// Run the main function
-main();
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (error: Error) => {
-  console.error(`${GREEN}[Express] ${BLUE}[Error] ${RESET}Unhandled Rejection:`, error);
-  if (server) {
-    server.close(() => {
-      process.exit(1);
-    });
-  } else {
-    process.exit(1);
-  }
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error: Error) => {
-  console.error(`${GREEN}[Express] ${BLUE}[Error] ${RESET}Uncaught Exception:`, error);
-  process.exit(1);
-});
-
-// Close Prisma Client connection when the process exits
-process.on('SIGINT', async () => {
-  console.log(`${GREEN}[Express] ${BLUE}[Shutdown] ${RESET}Gracefully shutting down...`);
-  await prismaClient.$disconnect();
-  process.exit(0);
-});
+// Run the main function when started directly (not when imported, e.g. by the CLI tools), in
+// every worker process in cluster mode
+if (require.main === module) {
+  runClustered(main);
+}
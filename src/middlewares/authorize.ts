@@ -0,0 +1,78 @@
+import { UserRole } from '@prisma/client';
+import { NextFunction, Response } from 'express';
+import { hasPermission, hasScope, isUserRole, Permission } from '../config/permissions';
+import { ForbiddenError, UnauthorizedError } from '../helpers/errors/app-error';
+import catchAsync from '../utils/catch-async/catch-async';
+import { AuthenticatedRequest } from './is-authorized';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../helpers/prisma/prisma-client';
+
+/**
+ * Middleware factory to authorize requests by role and/or permission.
+ * Must be used after `isAuthorized`, which attaches the authenticated user.
+ *
+ * The user's role is loaded from the database. When roles are given the user must have one
+ * of them, and when permissions are given the user's role must hold all of them. Requests
+ * authenticated with an API key also need every permission in the scopes of the key, and are
+ * rejected by the routes requiring roles only, which no scope grants.
+ *
+ * @example router.delete('/delete-user/:id', isAuthorized, authorize('user:delete'), deleteUser);
+ * @example router.get('/stats', isAuthorized, authorize(UserRole.SuperAdmin), getStats);
+ *
+ * @param requirements - The roles and permissions required to access the route.
+ * @returns The authorization middleware.
+ */
+const authorize = (...requirements: (UserRole | Permission)[]) => {
+  const roles = requirements.filter(isUserRole);
+  const permissions = requirements.filter(
+    (requirement) => !isUserRole(requirement)
+  ) as Permission[];
+
+  return catchAsync(async (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+    // Authorization requires an authenticated user
+    if (!req.user) {
+      throw new UnauthorizedError();
+    }
+
+    // Load the current role of the user
+    const user = await prismaClient.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true },
+    });
+
+    // The user behind the token no longer exists
+    if (!user) {
+      throw new UnauthorizedError();
+    }
+
+    // Attach the role to the request for downstream handlers
+    req.user.role = user.role;
+
+    // Check the role and permission requirements
+    const hasRole = roles.length === 0 || roles.includes(user.role);
+    const hasPermissions = permissions.every((permission) => hasPermission(user.role, permission));
+
+    if (!hasRole || !hasPermissions) {
+      throw new ForbiddenError('You do not have permission to perform this action');
+    }
+
+    // API keys act on behalf of their owner, within the scopes they were granted
+    const { apiKey } = req;
+    if (
+      apiKey &&
+      (permissions.length === 0 ||
+        !permissions.every((permission) => hasScope(apiKey.scopes, permission)))
+    ) {
+      throw new ForbiddenError(
+        'The API key does not have the scope to perform this action',
+        'INSUFFICIENT_SCOPE'
+      );
+    }
+
+    // Proceed to the next middleware or route handler
+    next();
+  });
+};
+
+export default authorize;
@@ -0,0 +1,30 @@
+import rateLimit from 'express-rate-limit';
+import config from '../config/config';
+import { createRateLimitStore } from '../helpers/rate-limit/rate-limit-store';
+import ServerResponse from '../helpers/responses/custom-response';
+
+/**
+ * Rate limiter of the routes sending an email to the address in the body (verification and
+ * password reset requests): at most `AUTH_EMAIL_LIMIT_NUMBER` requests per address per
+ * `AUTH_EMAIL_LIMIT_TIME`, whether or not the address is registered.
+ *
+ * Must be used after the validation of the body, which guarantees `req.body.email` is an email.
+ */
+const emailRateLimit = rateLimit({
+  windowMs: config.AUTH_EMAIL_LIMIT_TIME,
+  limit: config.AUTH_EMAIL_LIMIT_NUMBER,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRateLimitStore('email:'),
+  keyGenerator: (req) => String(req.body.email).trim().toLowerCase(),
+  skip: () => !config.RATE_LIMIT_ENABLED,
+  handler: (req, res) =>
+    ServerResponse(
+      res,
+      false,
+      429,
+      'Too many emails requested for this address, please try again later'
+    ),
+});
+
+export default emailRateLimit;
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { NextFunction, Response } from 'express';
+import { getIdempotencyStore, IdempotencyStore } from '../helpers/idempotency/idempotency-store';
+import ServerResponse from '../helpers/responses/custom-response';
+import catchAsync from '../utils/catch-async/catch-async';
+import logger from '../utils/logger/logger';
+import { AuthenticatedRequest } from './is-authorized';
+
+const idempotencyLogger = logger.child({ scope: 'Idempotency' });
+
+/**
+ * Returns a copy of a JSON value with the keys of its objects sorted, so that requests differing
+ * only by the order of their keys serialize the same way.
+ *
+ * @param value - The value, e.g. the parsed body of a request.
+ * @returns {unknown} - The value with sorted keys.
+ */
+const canonicalize = (value: unknown): unknown => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, item]) => [key, canonicalize(item)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Creates a middleware honoring the `Idempotency-Key` header with the given store.
+ *
+ * @param store - The store of the idempotency keys.
+ * @returns The idempotency middleware.
+ */
+export const createIdempotencyMiddleware = (store: IdempotencyStore) =>
+  catchAsync(async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    const key = req.get('idempotency-key');
+
+    // Requests without a key are processed as usual
+    if (key === undefined) {
+      return next();
+    }
+    if (key.length === 0 || key.length > 255) {
+      return ServerResponse(res, false, 400, 'Validation error', null, [
+        { field: 'Idempotency-Key', message: 'Must be between 1 and 255 characters long.' },
+      ]);
+    }
+
+    // Keys are scoped to the user, and bound to the exact request they were first used for,
+    // whatever the order of the query parameters and of the keys of the body
+    const scope = req.user?.id ?? 'anonymous';
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify(canonicalize([req.method, req.baseUrl + req.path, req.query, req.body]))
+      )
+      .digest('hex');
+
+    const claim = await store.acquire(scope, key, fingerprint);
+
+    if (claim.status === 'mismatch') {
+      return ServerResponse(
+        res,
+        false,
+        422,
+        'This Idempotency-Key was already used for a different request'
+      );
+    }
+    if (claim.status === 'in_progress') {
+      res.setHeader('Retry-After', '1');
+      return ServerResponse(res, false, 409, 'A request with this Idempotency-Key is in progress');
+    }
+    if (claim.status === 'replay') {
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(claim.response.statusCode).json(claim.response.body);
+    }
+
+    // Store the response once the handler sends it, unless it is a server error the client
+    // should retry. A client disconnecting meanwhile does not release the key: the handler still
+    // runs, and a retry must replay its response rather than run it again.
+    let settled = false;
+    const settle = (body: unknown) => {
+      if (settled) return;
+      settled = true;
+      const done =
+        res.statusCode < 500 && body !== undefined
+          ? store.complete(scope, key, {
+              statusCode: res.statusCode,
+              body: JSON.parse(JSON.stringify(body)),
+            })
+          : store.release(scope, key);
+      done.catch((error) => idempotencyLogger.error('Failed to save the key', { key, error }));
+    };
+
+    // Capture the response body sent by `ServerResponse`, and by the error handler if the
+    // handler throws
+    const json = res.json.bind(res);
+    res.json = (payload: unknown) => {
+      settle(payload);
+      return json(payload);
+    };
+
+    // Responses sent otherwise cannot be replayed, and release the key
+    res.on('finish', () => settle(undefined));
+
+    next();
+  });
+
+/**
+ * Middleware honoring the `Idempotency-Key` header of POST and PATCH requests, using the store
+ * selected by `IDEMPOTENCY_STORE`. Must be used after `isAuthorized`, if the route has it.
+ *
+ * The first request with a key is processed and its response is stored for `IDEMPOTENCY_TTL`.
+ * Retries with the same key replay the stored response (with the `Idempotent-Replayed` header),
+ * the same key with a different request is rejected with 422, and a retry while the first request
+ * is still processed is rejected with 409.
+ *
+ * @example router.post('/create-user', isAuthorized, authorize('user:create'), idempotency, validateCreateUser, createUser);
+ */
+const idempotency = createIdempotencyMiddleware(getIdempotencyStore());
+
+export default idempotency;
@@ -0,0 +1,114 @@
+import { NextFunction, Request, Response } from 'express';
+import { isPermission, Permission } from '../config/permissions';
+import { UnauthorizedError } from '../helpers/errors/app-error';
+import catchAsync from '../utils/catch-async/catch-async';
+import { now } from '../utils/clock/clock';
+import HashToken from '../utils/crypto/hash-token';
+import logger from '../utils/logger/logger';
+import isAuthorized, { AuthenticatedRequest } from './is-authorized';
+
+// Import the Prisma Client instances
+import { basePrismaClient, prismaClient } from '../helpers/prisma/prisma-client';
+
+/**
+ * An active API key and its owner.
+ */
+export interface ResolvedApiKey {
+  id: string;
+  scopes: Permission[];
+  user: { id: string; email: string };
+}
+
+// Minimum time between two updates of the last use of a key
+const lastUsedInterval = 60 * 1000;
+
+// Keys already verified for a request, so that the rate limiter and the authentication share
+// the lookup
+const resolvedApiKeys = new WeakMap<Request, Promise<ResolvedApiKey | null>>();
+
+/**
+ * Finds the active key matching a plain API key, and records its use.
+ *
+ * @param key - The plain API key.
+ * @returns {Promise<ResolvedApiKey | null>} - The key, or `null` if it is unknown, revoked, expired or its owner was deleted.
+ */
+const findApiKey = async (key: string): Promise<ResolvedApiKey | null> => {
+  const apiKey = await prismaClient.apiKey.findUnique({
+    where: { keyHash: HashToken(key) },
+    include: { user: { select: { id: true, email: true, deletedAt: true } } },
+  });
+
+  if (
+    !apiKey ||
+    apiKey.revokedAt ||
+    (apiKey.expiresAt && apiKey.expiresAt <= now()) ||
+    apiKey.user.deletedAt
+  ) {
+    return null;
+  }
+
+  // Record the use without waiting for it, nor adding it to the audit log
+  if (!apiKey.lastUsedAt || now().getTime() - apiKey.lastUsedAt.getTime() >= lastUsedInterval) {
+    basePrismaClient.apiKey
+      .update({ where: { id: apiKey.id }, data: { lastUsedAt: now() } })
+      .catch((error) => logger.warn('Failed to record the use of an API key', { error }));
+  }
+
+  return {
+    id: apiKey.id,
+    scopes: (apiKey.scopes as string[]).filter(isPermission),
+    user: { id: apiKey.user.id, email: apiKey.user.email },
+  };
+};
+
+/**
+ * Verifies the `X-API-Key` header of a request, at most once per request.
+ *
+ * @param req - The request object.
+ * @returns {Promise<ResolvedApiKey | null>} - The key, or `null` if the request has no valid API key.
+ */
+export const resolveApiKey = (req: Request): Promise<ResolvedApiKey | null> => {
+  const key = req.get('x-api-key');
+  if (!key) return Promise.resolve(null);
+
+  let resolved = resolvedApiKeys.get(req);
+  if (!resolved) {
+    resolved = findApiKey(key);
+    resolvedApiKeys.set(req, resolved);
+  }
+  return resolved;
+};
+
+/**
+ * Middleware to authenticate requests with either an API key in the `X-API-Key` header or a
+ * Bearer token (see `isAuthorized`). Requests with an API key act on behalf of its owner, and
+ * `authorize` limits them to the scopes of the key.
+ *
+ * @example router.get('/get-user/many', isAuthorizedOrApiKey, authorize('user:read'), getManyUser);
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ */
+const isAuthorizedOrApiKey = catchAsync(
+  async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    // Requests without an API key are authenticated with their Bearer token
+    if (req.get('x-api-key') === undefined) {
+      return isAuthorized(req, res, next);
+    }
+
+    const apiKey = await resolveApiKey(req);
+    if (!apiKey) {
+      throw new UnauthorizedError('Invalid API key', 'INVALID_API_KEY');
+    }
+
+    // Attach the owner and the scopes of the key to the request object
+    req.user = apiKey.user;
+    req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+
+    // Proceed to the next middleware or route handler
+    next();
+  }
+);
+
+export default isAuthorizedOrApiKey;
@@ -1,15 +1,88 @@
+import { UserRole } from '@prisma/client';
 import { NextFunction, Request, Response } from 'express';
+import { Permission } from '../config/permissions';
 import ServerResponse from '../helpers/responses/custom-response';
 import DecodeToken from '../utils/jwt/decode-token';
+import logger from '../utils/logger/logger';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../helpers/prisma/prisma-client';
 
 // Extend the Request interface to include a user property
-interface AuthenticatedRequest extends Request {
+export interface AuthenticatedRequest extends Request {
   user?: {
     email: string;
-    _id: string;
+    id: string;
+    role?: UserRole; // Loaded by the authorize middleware
+  };
+  // Set when the request is authenticated with an API key (see `isAuthorizedOrApiKey`)
+  apiKey?: {
+    id: string;
+    scopes: Permission[];
   };
 }
 
+/**
+ * Returns the Bearer token of the request, from the Authorization header or the `token` cookie.
+ *
+ * @param req - The request object.
+ * @returns {string | undefined} - The token, or `undefined` if the request has none.
+ */
+export const getBearerToken = (req: Request): string | undefined => {
+  // Retrieve the Authorization header from the request or token from cookies
+  const authHeader: string | undefined = req.headers['authorization'] || req.cookies?.token;
+
+  // Check if the Authorization header is present and starts with 'Bearer '
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return undefined;
+  }
+
+  // Extract the token from the Authorization header
+  return authHeader.split(' ')[1];
+};
+
+/**
+ * Verifies an access token issued by `EncodeToken`. Besides the signature, the user must still
+ * exist outside of the trash, and the token must not predate the last password reset of the user
+ * (tokens issued within the same second are accepted, `iat` having a precision of one second).
+ *
+ * @param token - The access token.
+ * @returns {Promise<{ email: string; id: string } | undefined>} - The user of the token, or `undefined` if the token is invalid, expired or revoked.
+ */
+export const verifyAccessToken = async (
+  token: string
+): Promise<{ email: string; id: string } | undefined> => {
+  // Decode the token
+  const decoded = await DecodeToken(token);
+
+  // If token decoding fails, the token is invalid
+  if (!decoded) {
+    return undefined;
+  }
+
+  // Extract user information from the decoded token (signed by EncodeToken)
+  const { email, user_id, iat } = decoded as { email: string; user_id: string; iat: number };
+
+  // Reject tokens that do not carry a user ID
+  if (!user_id) {
+    return undefined;
+  }
+
+  // Reject the tokens of deleted users, and those issued before the last password reset
+  const user = await prismaClient.user.findUnique({
+    where: { id: user_id },
+    select: { passwordChangedAt: true },
+  });
+  if (
+    !user ||
+    (user.passwordChangedAt && iat < Math.floor(user.passwordChangedAt.getTime() / 1000))
+  ) {
+    return undefined;
+  }
+
+  return { email, id: user_id };
+};
+
 /**
  * Middleware to authenticate requests using Bearer tokens.
  *
@@ -23,35 +96,26 @@ const isAuthorized = async (
   next: NextFunction
 ): Promise<Response | void> => {
   try {
-    // Retrieve the Authorization header from the request or token from cookies
-    const authHeader: string | undefined = req.headers['authorization'] || req.cookies?.token;
-
-    // Check if the Authorization header is present and starts with 'Bearer '
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const token = getBearerToken(req);
+    if (!token) {
       return ServerResponse(res, false, 401, 'Unauthorized');
     }
 
-    // Extract the token from the Authorization header
-    const token = authHeader.split(' ')[1];
-
-    // Decode the token
-    const decoded = await DecodeToken(token);
+    // Verify the token
+    const user = await verifyAccessToken(token);
 
-    // If token decoding fails, respond with unauthorized
-    if (!decoded) {
+    // If token verification fails, respond with unauthorized
+    if (!user) {
       return ServerResponse(res, false, 401, 'Unauthorized');
     }
 
-    // Extract user information from the decoded token
-    const { email, _id } = decoded as { email: string; _id: string };
-
     // Attach user information to the request object
-    req.user = { email, _id };
+    req.user = user;
 
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    logger.debug('Authentication failed', { error });
 
     // Handle any unexpected errors
     return ServerResponse(res, false, 401, 'Unauthorized');
@@ -0,0 +1,117 @@
+import rateLimit, { RateLimitRequestHandler } from 'express-rate-limit';
+import config from '../config/config';
+import { createRateLimitStore } from '../helpers/rate-limit/rate-limit-store';
+import ServerResponse from '../helpers/responses/custom-response';
+import DecodeToken from '../utils/jwt/decode-token';
+import { AuthenticatedRequest, getBearerToken } from './is-authorized';
+import { resolveApiKey } from './is-authorized-or-api-key';
+
+/**
+ * A rate limit policy: at most `limit` requests per client per `windowMs`.
+ */
+export interface RateLimitPolicy {
+  windowMs: number;
+  limit: number;
+  message: string;
+}
+
+/**
+ * Named rate limit policies:
+ * - `default`: every request, applied to the whole application;
+ * - `auth`: login, registration, token refresh and password reset attempts;
+ * - `read`: list requests;
+ * - `write`: create, update and delete requests.
+ */
+export const rateLimitPolicies = {
+  default: {
+    windowMs: config.REQUEST_LIMIT_TIME,
+    limit: config.REQUEST_LIMIT_NUMBER,
+    message: 'Too many requests, please try again later',
+  },
+  auth: {
+    windowMs: config.AUTH_LIMIT_TIME,
+    limit: config.AUTH_LIMIT_NUMBER,
+    message: 'Too many attempts, please try again later',
+  },
+  read: {
+    windowMs: config.READ_LIMIT_TIME,
+    limit: config.READ_LIMIT_NUMBER,
+    message: 'Too many requests, please try again later',
+  },
+  write: {
+    windowMs: config.WRITE_LIMIT_TIME,
+    limit: config.WRITE_LIMIT_NUMBER,
+    message: 'Too many changes, please try again later',
+  },
+} satisfies Record<string, RateLimitPolicy>;
+
+export type RateLimitPolicyName = keyof typeof rateLimitPolicies;
+
+/**
+ * Identifies the client of a request: the API key, the authenticated user, or the IP address.
+ *
+ * @param req - The request object.
+ * @returns {Promise<string>} - The key of the client.
+ */
+const rateLimitKey = async (req: AuthenticatedRequest): Promise<string> => {
+  // Set when the policy is used after `isAuthorized` or `isAuthorizedOrApiKey`
+  if (req.apiKey) {
+    return `api-key:${req.apiKey.id}`;
+  }
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  // Policies used before authentication (e.g. `default`) verify the credentials themselves, so
+  // that made up keys and tokens cannot be used to get a new counter
+  const apiKey = await resolveApiKey(req);
+  if (apiKey) {
+    return `api-key:${apiKey.id}`;
+  }
+
+  const token = getBearerToken(req);
+  const decoded = token ? await DecodeToken(token) : null;
+  if (decoded && typeof decoded === 'object' && typeof decoded.user_id === 'string') {
+    return `user:${decoded.user_id}`;
+  }
+
+  return `ip:${req.ip}`;
+};
+
+// Rate limiters created on first use, one per policy
+const limiters = new Map<RateLimitPolicyName, RateLimitRequestHandler>();
+
+/**
+ * Returns the rate limiter of a policy, counting the requests per API key or authenticated user,
+ * or per IP address for anonymous requests, in the store selected by `RATE_LIMIT_STORE`. The
+ * routes using the same policy share its counters, and a request must pass every policy it goes
+ * through. Limits are not enforced when `RATE_LIMIT_ENABLED` is false.
+ *
+ * @example router.post('/login', rateLimitPolicy('auth'), validateLogin, login);
+ * @example router.get('/get-user/many', isAuthorized, rateLimitPolicy('read'), authorize('user:read'), getManyUser);
+ *
+ * @param name - The name of the policy.
+ * @returns {RateLimitRequestHandler} - The rate limiting middleware.
+ */
+const rateLimitPolicy = (name: RateLimitPolicyName): RateLimitRequestHandler => {
+  let limiter = limiters.get(name);
+
+  if (!limiter) {
+    const policy: RateLimitPolicy = rateLimitPolicies[name];
+    limiter = rateLimit({
+      windowMs: policy.windowMs,
+      limit: policy.limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: createRateLimitStore(`${name}:`),
+      keyGenerator: rateLimitKey,
+      skip: () => !config.RATE_LIMIT_ENABLED,
+      handler: (req, res) => ServerResponse(res, false, 429, policy.message),
+    });
+    limiters.set(name, limiter);
+  }
+
+  return limiter;
+};
+
+export default rateLimitPolicy;
@@ -0,0 +1,50 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import { AuthenticatedRequest } from './is-authorized';
+
+/**
+ * Information about the request being handled, available anywhere down the call chain
+ * (services, Prisma extensions, loggers) without passing the request around.
+ */
+export interface RequestContext {
+  requestId: string;
+  req: AuthenticatedRequest;
+}
+
+// Storage holding the context of the current request
+const storage = new AsyncLocalStorage<RequestContext>();
+
+// Incoming request IDs are reused only if they are reasonably short and safe to log
+const requestIdRegex = /^[\w-]{1,128}$/;
+
+/**
+ * Returns the context of the request being handled.
+ *
+ * @returns {RequestContext | undefined} - The context, or `undefined` outside of a request (e.g. in scripts).
+ */
+export const getRequestContext = (): RequestContext | undefined => {
+  return storage.getStore();
+};
+
+/**
+ * Middleware to run the rest of the request inside a request context.
+ * The request ID is taken from the `X-Request-Id` header when provided, generated otherwise,
+ * and sent back in the `X-Request-Id` response header.
+ *
+ * Must be registered after the body parsers, which do not preserve the context.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ * @returns {void}
+ */
+const requestContext = (req: Request, res: Response, next: NextFunction) => {
+  const incomingId = req.get('x-request-id');
+  const requestId = incomingId && requestIdRegex.test(incomingId) ? incomingId : randomUUID();
+
+  res.setHeader('X-Request-Id', requestId);
+  storage.run({ requestId, req }, next);
+};
+
+export default requestContext;
@@ -0,0 +1,45 @@
+import { NextFunction, Response } from 'express';
+import { ForbiddenError, UnauthorizedError } from '../helpers/errors/app-error';
+import catchAsync from '../utils/catch-async/catch-async';
+import { AuthenticatedRequest } from './is-authorized';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../helpers/prisma/prisma-client';
+
+/**
+ * Middleware rejecting users who have not verified their email address.
+ * Must be used after `isAuthorized`, which attaches the authenticated user.
+ *
+ * @example router.post('/create-post', isAuthorized, requireVerifiedEmail, createPost);
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ */
+const requireVerifiedEmail = catchAsync(
+  async (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+    // Verification requires an authenticated user
+    if (!req.user) {
+      throw new UnauthorizedError();
+    }
+
+    const user = await prismaClient.user.findUnique({
+      where: { id: req.user.id },
+      select: { emailVerifiedAt: true },
+    });
+
+    // The user behind the token no longer exists
+    if (!user) {
+      throw new UnauthorizedError();
+    }
+
+    if (!user.emailVerifiedAt) {
+      throw new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED');
+    }
+
+    // Proceed to the next middleware or route handler
+    next();
+  }
+);
+
+export default requireVerifiedEmail;
@@ -0,0 +1,103 @@
+import { NextFunction, RequestHandler, Response } from 'express';
+import config from '../config/config';
+import {
+  CachedResponse,
+  getResponseCacheStore,
+  ResponseCacheStore,
+} from '../helpers/response-cache/response-cache-store';
+import ServerResponse from '../helpers/responses/custom-response';
+import catchAsync from '../utils/catch-async/catch-async';
+import logger from '../utils/logger/logger';
+import { AuthenticatedRequest } from './is-authorized';
+
+const responseCacheLogger = logger.child({ scope: 'ResponseCache' });
+
+/**
+ * Options of a cached route.
+ */
+export interface CacheResponseOptions {
+  /** Lifetime of the cached responses in milliseconds, `WEB_CACHE_TTL` by default. */
+  ttl?: number;
+  /** Shares the cached responses between the users, for routes returning the same data to all. */
+  shared?: boolean;
+  /** Other modules whose changes invalidate the cached responses, e.g. when they embed their data. */
+  tags?: string[];
+}
+
+/**
+ * Creates a middleware caching the successful responses of a GET route with the given store.
+ *
+ * @param store - The store of the cached responses.
+ * @param options - The options of the route.
+ * @returns {RequestHandler} - The response cache middleware.
+ */
+export const createResponseCacheMiddleware = (
+  store: ResponseCacheStore,
+  options: CacheResponseOptions = {}
+): RequestHandler =>
+  catchAsync(async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    if (!config.WEB_CACHE || !['GET', 'HEAD'].includes(req.method)) {
+      return next();
+    }
+
+    // The module of the route (e.g. `user` for /api/v1/user), invalidated by changes to its model
+    const tags = [req.baseUrl.split('/').pop() ?? '', ...(options.tags ?? [])];
+    // Versions read before the controller runs, so that a change made meanwhile is not hidden
+    const versions = await Promise.all(tags.map((tag) => store.getVersion(tag)));
+    const scope = options.shared ? 'shared' : (req.user?.id ?? 'anonymous');
+    const key = [
+      ...tags.map((tag, index) => `${tag}@${versions[index]}`),
+      scope,
+      req.originalUrl,
+    ].join(':');
+
+    const cached = await store.get(key);
+    if (cached) {
+      res.setHeader('X-Cache', 'HIT');
+      return ServerResponse(res, true, cached.statusCode, cached.message, cached.data as object);
+    }
+    res.setHeader('X-Cache', 'MISS');
+
+    // Capture the response body sent by `ServerResponse`
+    let body: { status?: boolean } & Partial<CachedResponse> = {};
+    const json = res.json.bind(res);
+    res.json = (payload: typeof body) => {
+      body = payload;
+      return json(payload);
+    };
+
+    // Once sent, store the successful responses (304 Not Modified is sent for a 200 OK body)
+    res.on('finish', () => {
+      if (body.status !== true || body.statusCode !== 200) return;
+      const response = JSON.parse(
+        JSON.stringify({ statusCode: body.statusCode, message: body.message, data: body.data })
+      );
+      store
+        .set(key, response, options.ttl ?? config.WEB_CACHE_TTL)
+        .catch((error) =>
+          responseCacheLogger.error('Failed to cache the response', { key, error })
+        );
+    });
+
+    next();
+  });
+
+/**
+ * Middleware caching the successful responses of a GET route in the store selected by
+ * `WEB_CACHE_STORE`, when `WEB_CACHE` is enabled. Must be used after `isAuthorized` and
+ * `authorize`, so that only allowed requests are answered from the cache, and after the
+ * validation of the request.
+ *
+ * Responses are cached per user (unless `shared`) and per URL, query included, and sent with the
+ * `X-Cache` header (`HIT` or `MISS`). Every create, update or delete of the model of the module
+ * (e.g. `User` for the `user` module) invalidates them, through the Prisma client extension.
+ *
+ * @example router.get('/get-user/many', isAuthorized, rateLimitPolicy('read'), authorize('user:read'), validateSearchQueries, cacheResponse(), getManyUser);
+ *
+ * @param options - The options of the route.
+ * @returns {RequestHandler} - The response cache middleware.
+ */
+const cacheResponse = (options: CacheResponseOptions = {}): RequestHandler =>
+  createResponseCacheMiddleware(getResponseCacheStore(), options);
+
+export default cacheResponse;
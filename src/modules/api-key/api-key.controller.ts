@@ -0,0 +1,73 @@
+import { Response } from 'express';
+import { apiKeyServices } from './api-key.service';
+import { apiKeyListQueryOptions } from './api-key.validation';
+import { parseListQuery } from '../../helpers/list-query/list-query';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle the creation of an API key for the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the name, scopes and expiration date in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const createApiKey = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to create the key
+  const result = await apiKeyServices.createApiKey(req.user!.id, req.body);
+  // Send a success response with the created key, the only time the plain key is returned
+  ServerResponse(res, true, 201, 'API key created successfully, store it now', result);
+});
+
+/**
+ * Controller function to handle the retrieval of the API keys of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getManyApiKey = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Parse the query parameters against the API key whitelist
+  const listQuery = parseListQuery(req.query, apiKeyListQueryOptions);
+  // Call the service method to get the keys of the user based on the list query
+  const { apiKeys, totalData, totalPages, nextCursor } = await apiKeyServices.getManyApiKey(
+    listQuery,
+    req.user!.id
+  );
+  // Send a success response with the retrieved keys data
+  ServerResponse(res, true, 200, 'API keys retrieved successfully', {
+    apiKeys,
+    totalData,
+    totalPages,
+    nextCursor,
+  });
+});
+
+/**
+ * Controller function to handle the rotation of an API key of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the key in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const rotateApiKey = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to replace the key
+  const result = await apiKeyServices.rotateApiKey(req.params.id, req.user!.id);
+  // Send a success response with the new key, the only time the plain key is returned
+  ServerResponse(res, true, 200, 'API key rotated successfully, store it now', result);
+});
+
+/**
+ * Controller function to handle the revocation of an API key of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the key in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const revokeApiKey = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to revoke the key
+  const result = await apiKeyServices.revokeApiKey(req.params.id, req.user!.id);
+  // Send a success response with the revoked key data
+  ServerResponse(res, true, 200, 'API key revoked successfully', result);
+});
@@ -0,0 +1,89 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { createApiKey, getManyApiKey, rotateApiKey, revokeApiKey } from './api-key.controller';
+
+//Import validation from corresponding module
+import { validateCreateApiKey } from './api-key.validation';
+import { createIdValidators, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication and rate limiting middlewares
+import isAuthorized from '../../middlewares/is-authorized';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+
+// Initialize router
+const router = Router();
+
+// Validators of the API key IDs, according to the ID strategy of the model
+const { validateId } = createIdValidators('ApiKey');
+
+// Define route handlers, reserved to Bearer tokens so that API keys cannot manage keys
+/**
+ * @route POST /api/v1/api-key/create-api-key
+ * @description Create an API key for the authenticated user (the plain key is only returned once)
+ * @access Private
+ * @param {function} controller - ['createApiKey']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateCreateApiKey']
+ */
+router.post(
+  '/create-api-key',
+  isAuthorized,
+  rateLimitPolicy('write'),
+  validateCreateApiKey,
+  createApiKey
+);
+
+/**
+ * @route GET /api/v1/api-key/get-api-key/many
+ * @description Get the API keys of the authenticated user with filtering, sorting, field selection and pagination
+ * @access Private
+ * @param {function} controller - ['getManyApiKey']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateSearchQueries']
+ */
+router.get(
+  '/get-api-key/many',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  validateSearchQueries,
+  getManyApiKey
+);
+
+/**
+ * @route POST /api/v1/api-key/rotate-api-key/:id
+ * @description Replace an API key of the authenticated user with a new one (the previous key stops working)
+ * @param {string} id - The ID of the API key to rotate
+ * @access Private
+ * @param {function} controller - ['rotateApiKey']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateId']
+ */
+router.post(
+  '/rotate-api-key/:id',
+  isAuthorized,
+  rateLimitPolicy('write'),
+  validateId,
+  rotateApiKey
+);
+
+/**
+ * @route PATCH /api/v1/api-key/revoke-api-key/:id
+ * @description Revoke an API key of the authenticated user
+ * @param {string} id - The ID of the API key to revoke
+ * @access Private
+ * @param {function} controller - ['revokeApiKey']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateId']
+ */
+router.patch(
+  '/revoke-api-key/:id',
+  isAuthorized,
+  rateLimitPolicy('write'),
+  validateId,
+  revokeApiKey
+);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,183 @@
+import { Prisma } from '@prisma/client';
+import { hasPermission, Permission } from '../../config/permissions';
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
+import { now } from '../../utils/clock/clock';
+import GenerateToken from '../../utils/crypto/generate-token';
+import HashToken from '../../utils/crypto/hash-token';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+
+/**
+ * Fields of an API key returned by the API (the key hash is omitted).
+ */
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  updatedAt: true,
+} satisfies Prisma.ApiKeySelect;
+
+/**
+ * Generates a new API key, e.g. `ak_1f2e3d4c_9a8b…`. The prefix identifies the key in lists.
+ *
+ * @returns {{ key: string; prefix: string; keyHash: string }} - The plain key (returned to the user once), its prefix and its hash.
+ */
+const generateApiKey = () => {
+  const prefix = `ak_${GenerateToken(4)}`;
+  const key = `${prefix}_${GenerateToken(32)}`;
+  return { key, prefix, keyHash: HashToken(key) };
+};
+
+/**
+ * Service function to create an API key for a user. A key can only be granted the permissions
+ * held by the role of its owner.
+ *
+ * @param userId - The ID of the user owning the key.
+ * @param data - The name, the scopes and the optional expiration date of the key.
+ * @returns {Promise<Partial<ApiKey> & { key: string }>} - The created key, with the plain key (shown only once).
+ * @throws {ForbiddenError} If a scope is not held by the role of the user.
+ */
+const createApiKey = async (
+  userId: string,
+  data: { name: string; scopes?: Permission[]; expiresAt?: string | Date }
+) => {
+  const user = await prismaClient.user.findUnique({
+    where: { id: userId },
+    select: { role: true },
+  });
+  if (!user) {
+    throw new UnauthorizedError();
+  }
+
+  const scopes = [...new Set(data.scopes ?? [])];
+  const notHeld = scopes.filter((scope) => !hasPermission(user.role, scope));
+  if (notHeld.length > 0) {
+    throw new ForbiddenError(
+      `You cannot grant scopes you do not hold: ${notHeld.join(', ')}`,
+      'SCOPE_NOT_HELD'
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await prismaClient.apiKey.create({
+    data: {
+      userId,
+      name: data.name.trim(),
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+    },
+    select: apiKeySelect,
+  });
+
+  return { ...apiKey, key };
+};
+
+/**
+ * Service function to retrieve the API keys of a user based on a parsed list query.
+ *
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @param userId - The ID of the user owning the keys.
+ * @returns {Promise<{ apiKeys: Partial<ApiKey>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved keys, total count, total pages and the cursor of the next page.
+ */
+const getManyApiKey = async (listQuery: ListQuery, userId: string) => {
+  const where = { ...listQuery.where, userId } as Prisma.ApiKeyWhereInput;
+
+  // Find the total count of matching keys
+  const totalData = await prismaClient.apiKey.count({ where });
+
+  // Find keys based on the list query with pagination
+  const apiKeys = await prismaClient.apiKey.findMany({
+    where,
+    orderBy: listQuery.orderBy as Prisma.ApiKeyOrderByWithRelationInput[],
+    select: listQuery.select as Prisma.ApiKeySelect,
+    cursor: listQuery.cursor as Prisma.ApiKeyWhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
+  });
+
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(apiKeys, totalData, listQuery);
+
+  return { apiKeys: items, ...pagination };
+};
+
+/**
+ * Service function to rotate an API key of a user: the key is replaced by a new one with the same
+ * name, scopes and expiration date, and the previous key stops working immediately.
+ *
+ * @param id - The ID of the key.
+ * @param userId - The ID of the user owning the key.
+ * @returns {Promise<Partial<ApiKey> & { key: string }>} - The rotated key, with the new plain key (shown only once).
+ * @throws {NotFoundError} If the user has no key with that ID.
+ * @throws {BadRequestError} If the key is revoked or expired.
+ */
+const rotateApiKey = async (id: string, userId: string) => {
+  const existing = await prismaClient.apiKey.findFirst({ where: { id, userId } });
+  if (!existing) {
+    throw new NotFoundError('API key not found');
+  }
+  if (existing.revokedAt || (existing.expiresAt && existing.expiresAt <= now())) {
+    throw new BadRequestError(
+      'Revoked or expired API keys cannot be rotated',
+      undefined,
+      'API_KEY_INACTIVE'
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await prismaClient.apiKey.update({
+    where: { id },
+    data: { prefix, keyHash, lastUsedAt: null },
+    select: apiKeySelect,
+  });
+
+  return { ...apiKey, key };
+};
+
+/**
+ * Service function to revoke an API key of a user. Revoking a revoked key has no effect.
+ *
+ * @param id - The ID of the key.
+ * @param userId - The ID of the user owning the key.
+ * @returns {Promise<Partial<ApiKey>>} - The revoked key.
+ * @throws {NotFoundError} If the user has no key with that ID.
+ */
+const revokeApiKey = async (id: string, userId: string) => {
+  const existing = await prismaClient.apiKey.findFirst({
+    where: { id, userId },
+    select: apiKeySelect,
+  });
+  if (!existing) {
+    throw new NotFoundError('API key not found');
+  }
+  if (existing.revokedAt) {
+    return existing;
+  }
+
+  return prismaClient.apiKey.update({
+    where: { id },
+    data: { revokedAt: now() },
+    select: apiKeySelect,
+  });
+};
+
+export const apiKeyServices = {
+  createApiKey,
+  getManyApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
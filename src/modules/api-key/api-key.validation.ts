@@ -0,0 +1,84 @@
+import { NextFunction, Request, Response } from 'express';
+import { z } from 'zod';
+import { isPermission } from '../../config/permissions';
+import zodErrorHandler from '../../handlers/zod-error-handler';
+import { ListQueryOptions } from '../../helpers/list-query/list-query';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+import { now } from '../../utils/clock/clock';
+
+/**
+ * Zod schema for validating the data of a new API key.
+ */
+const zodCreateApiKeySchema = z
+  .object({
+    name: z
+      .string({ required_error: 'Please provide a name.' })
+      .trim()
+      .min(1, "Can't be empty.")
+      .max(100, 'Name must be at most 100 characters long.'),
+    scopes: z
+      .array(
+        z.string().refine(isPermission, {
+          message: 'Each scope must be a permission such as user:read or *:read.',
+        })
+      )
+      .max(100, 'At most 100 scopes can be granted.')
+      .default([]),
+    expiresAt: z.coerce
+      .date({ invalid_type_error: 'Please provide a valid date.' })
+      .refine((date) => date > now(), { message: 'Expiration date must be in the future.' })
+      .optional(),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate the data of a new API key using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateCreateApiKey = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body for creating a new API key
+  const parseResult = zodCreateApiKeySchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateCreateApiKey, { body: zodCreateApiKeySchema });
+
+/**
+ * Whitelist of the API key fields that can be used to filter, search, sort and select in list
+ * queries. The key hash is deliberately left out of every list.
+ */
+export const apiKeyListQueryOptions: ListQueryOptions = {
+  filterable: {
+    id: 'string',
+    name: 'string',
+    prefix: 'string',
+    expiresAt: 'date',
+    lastUsedAt: 'date',
+    revokedAt: 'date',
+    createdAt: 'date',
+  },
+  sortable: ['id', 'name', 'expiresAt', 'lastUsedAt', 'revokedAt', 'createdAt'],
+  selectable: [
+    'id',
+    'name',
+    'prefix',
+    'scopes',
+    'expiresAt',
+    'lastUsedAt',
+    'revokedAt',
+    'createdAt',
+    'updatedAt',
+  ],
+  searchable: ['name'],
+  defaultSort: '-createdAt',
+};
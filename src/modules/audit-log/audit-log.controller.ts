@@ -0,0 +1,51 @@
+import { Request, Response } from 'express';
+import { auditLogServices } from './audit-log.service';
+import { auditLogListQueryOptions } from './audit-log.validation';
+import { parseListQuery } from '../../helpers/list-query/list-query';
+import ServerResponse from '../../helpers/responses/custom-response';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle the retrieval of a single audit log entry by ID.
+ *
+ * @param {Request} req - The request object containing the ID of the entry to retrieve in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getAuditLogById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to get the audit log entry by ID and get the result
+  const result = await auditLogServices.getAuditLogById(id);
+  // Send a success response with the retrieved audit log entry
+  ServerResponse(res, true, 200, 'Audit log entry retrieved successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of audit log entries.
+ * The entries can be scoped by the `model`, `recordId` and `actorId` URL parameters.
+ *
+ * @param {Request} req - The request object containing the optional scope in URL parameters and query parameters for filtering, sorting, field selection and pagination.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getManyAuditLog = catchAsync(async (req: Request, res: Response) => {
+  const { model, recordId, actorId } = req.params;
+  // Parse the query parameters against the audit log whitelist
+  const listQuery = parseListQuery(req.query, auditLogListQueryOptions);
+  // Call the service method to get the audit log entries in the requested scope and get the result
+  const { auditLogs, totalData, totalPages, nextCursor } = await auditLogServices.getManyAuditLog(
+    listQuery,
+    {
+      ...(model && { model }),
+      ...(recordId && { recordId }),
+      ...(actorId && { actorId }),
+    }
+  );
+  // Send a success response with the retrieved audit log entries
+  ServerResponse(res, true, 200, 'Audit log entries retrieved successfully', {
+    auditLogs,
+    totalData,
+    totalPages,
+    nextCursor,
+  });
+});
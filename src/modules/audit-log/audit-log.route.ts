@@ -0,0 +1,117 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { getAuditLogById, getManyAuditLog } from './audit-log.controller';
+
+//Import validation from corresponding module
+import { validateAuditLogParams } from './audit-log.validation';
+import { createIdValidators, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication and authorization middlewares
+import isAuthorized from '../../middlewares/is-authorized';
+import authorize from '../../middlewares/authorize';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+
+// Initialize router
+const router = Router();
+
+// Validators of the audit log IDs, according to the ID strategy of the model
+const { validateId } = createIdValidators('AuditLog');
+
+// Define route handlers
+/**
+ * @route GET /api/v1/audit-log/get-audit-log/many
+ * @description Get audit log entries of every model
+ * @access Private - ['audit-log:read']
+ * @param {function} controller - ['getManyAuditLog']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateSearchQueries']
+ */
+router.get(
+  '/get-audit-log/many',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  authorize('audit-log:read'),
+  validateSearchQueries,
+  getManyAuditLog
+);
+
+/**
+ * @route GET /api/v1/audit-log/get-audit-log/model/:model
+ * @description Get audit log entries of a model (e.g. User)
+ * @param {string} model - The name of the Prisma model
+ * @access Private - ['audit-log:read']
+ * @param {function} controller - ['getManyAuditLog']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateAuditLogParams', 'validateSearchQueries']
+ */
+router.get(
+  '/get-audit-log/model/:model',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  authorize('audit-log:read'),
+  validateAuditLogParams,
+  validateSearchQueries,
+  getManyAuditLog
+);
+
+/**
+ * @route GET /api/v1/audit-log/get-audit-log/model/:model/:recordId
+ * @description Get the change history of a single record
+ * @param {string} model - The name of the Prisma model
+ * @param {string} recordId - The ID of the record
+ * @access Private - ['audit-log:read']
+ * @param {function} controller - ['getManyAuditLog']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateAuditLogParams', 'validateSearchQueries']
+ */
+router.get(
+  '/get-audit-log/model/:model/:recordId',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  authorize('audit-log:read'),
+  validateAuditLogParams,
+  validateSearchQueries,
+  getManyAuditLog
+);
+
+/**
+ * @route GET /api/v1/audit-log/get-audit-log/actor/:actorId
+ * @description Get the changes made by a user
+ * @param {string} actorId - The ID of the user who made the changes
+ * @access Private - ['audit-log:read']
+ * @param {function} controller - ['getManyAuditLog']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateAuditLogParams', 'validateSearchQueries']
+ */
+router.get(
+  '/get-audit-log/actor/:actorId',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  authorize('audit-log:read'),
+  validateAuditLogParams,
+  validateSearchQueries,
+  getManyAuditLog
+);
+
+/**
+ * @route GET /api/v1/audit-log/get-audit-log/:id
+ * @description Get an audit log entry by ID
+ * @param {string} id - The ID of the audit log entry to retrieve
+ * @access Private - ['audit-log:read']
+ * @param {function} controller - ['getAuditLogById']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId']
+ */
+router.get(
+  '/get-audit-log/:id',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  authorize('audit-log:read'),
+  validateId,
+  getAuditLogById
+);
+
+// Export the router
+module.exports = router;
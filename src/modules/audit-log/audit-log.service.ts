@@ -0,0 +1,57 @@
+import { Prisma } from '@prisma/client';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
+
+// Import the Prisma Client instance
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+
+/**
+ * Service function to retrieve a single audit log entry by ID.
+ *
+ * @param id - The ID of the audit log entry to retrieve.
+ * @returns {Promise<AuditLog>} - The retrieved audit log entry.
+ * @throws {NotFoundError} - If no audit log entry exists with the given ID.
+ */
+const getAuditLogById = async (id: string) => {
+  const auditLog = await prismaClient.auditLog.findUnique({
+    where: { id },
+  });
+  if (!auditLog) {
+    throw new NotFoundError('Audit log entry not found');
+  }
+  return auditLog;
+};
+
+/**
+ * Service function to retrieve audit log entries based on a parsed list query.
+ *
+ * @param listQuery - The parsed list query (filters, sorting, field selection and pagination).
+ * @param scope - Conditions applied on top of the list query filters (e.g. a model and record).
+ * @returns {Promise<{ auditLogs: Partial<AuditLog>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved entries, total count, total pages and the cursor of the next page.
+ */
+const getManyAuditLog = async (listQuery: ListQuery, scope: Prisma.AuditLogWhereInput = {}) => {
+  const where = { ...listQuery.where, ...scope } as Prisma.AuditLogWhereInput;
+
+  // Find the total count of matching audit log entries
+  const totalData = await prismaClient.auditLog.count({ where });
+
+  // Find audit log entries based on the list query with pagination
+  const auditLogs = await prismaClient.auditLog.findMany({
+    where,
+    orderBy: listQuery.orderBy as Prisma.AuditLogOrderByWithRelationInput[],
+    select: listQuery.select as Prisma.AuditLogSelect,
+    cursor: listQuery.cursor as Prisma.AuditLogWhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
+  });
+
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(auditLogs, totalData, listQuery);
+
+  return { auditLogs: items, ...pagination };
+};
+
+export const auditLogServices = {
+  getAuditLogById,
+  getManyAuditLog,
+};
@@ -0,0 +1,79 @@
+import { AuditAction, Prisma } from '@prisma/client';
+import { NextFunction, Request, Response } from 'express';
+import { z } from 'zod';
+import zodErrorHandler from '../../handlers/zod-error-handler';
+import { ListQueryOptions } from '../../helpers/list-query/list-query';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+import { auditExcludedModels } from '../../helpers/prisma/audit-log';
+
+// Names of the models recorded in the audit log
+const auditedModelNames = Prisma.dmmf.datamodel.models
+  .map((model) => model.name)
+  .filter((name) => !auditExcludedModels.has(name)) as [string, ...string[]];
+
+/**
+ * Zod schema for validating the route params used to browse the audit log.
+ */
+const zodAuditLogParamsSchema = z
+  .object({
+    model: z
+      .enum(auditedModelNames, {
+        errorMap: () => ({ message: `Model must be one of: ${auditedModelNames.join(', ')}.` }),
+      })
+      .optional(),
+    recordId: z.string().min(1, "Can't be empty.").optional(),
+    actorId: z.string().min(1, "Can't be empty.").optional(),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate the audit log route params using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateAuditLogParams = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the route params (model, record and actor)
+  const parseResult = zodAuditLogParamsSchema.safeParse(req.params);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateAuditLogParams, { params: zodAuditLogParamsSchema });
+
+/**
+ * Whitelist of the audit log fields that can be used to filter, sort and select in list queries.
+ */
+export const auditLogListQueryOptions: ListQueryOptions = {
+  filterable: {
+    id: 'string',
+    actorId: 'string',
+    action: Object.values(AuditAction),
+    model: 'string',
+    recordId: 'string',
+    ip: 'string',
+    requestId: 'string',
+    createdAt: 'date',
+  },
+  sortable: ['id', 'actorId', 'action', 'model', 'recordId', 'createdAt'],
+  selectable: [
+    'id',
+    'actorId',
+    'action',
+    'model',
+    'recordId',
+    'before',
+    'after',
+    'ip',
+    'requestId',
+    'createdAt',
+  ],
+  defaultSort: '-createdAt',
+};
@@ -0,0 +1,198 @@
+import { CookieOptions, Request, Response } from 'express';
+import { authServices } from './auth.service';
+import config from '../../config/config';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+import logger from '../../utils/logger/logger';
+
+/**
+ * Options for the access token cookie read by the `isAuthorized` middleware.
+ */
+const tokenCookieOptions: CookieOptions = {
+  httpOnly: true,
+  secure: config.NODE_ENV === 'production',
+  sameSite: 'strict',
+};
+
+/**
+ * Controller function to handle the registration of a new user.
+ *
+ * @param {Request} req - The request object containing the registration data in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const register = catchAsync(async (req: Request, res: Response) => {
+  // Reject the registration if the email is already taken
+  const existingUser = await authServices.findUserByEmail(req.body.email);
+  if (existingUser) {
+    throw new ConflictError('Email is already registered', 'EMAIL_ALREADY_REGISTERED');
+  }
+  // Call the service method to register the user and get the result
+  const result = await authServices.registerUser(req.body);
+  // Send the email verification link
+  await authServices.sendEmailVerification(result);
+  // Send a success response with the registered user data
+  ServerResponse(res, true, 201, 'User registered successfully', result);
+});
+
+/**
+ * Controller function to handle user login.
+ *
+ * @param {Request} req - The request object containing the credentials in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const login = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to verify the credentials and issue tokens
+  const result = await authServices.loginUser(req.body.email, req.body.password);
+  if (!result) {
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+  }
+  // Store the access token in a cookie for browser clients
+  res.cookie('token', `Bearer ${result.tokens.accessToken}`, {
+    ...tokenCookieOptions,
+    maxAge: config.JWT_EXPIRATION_TIME * 1000,
+  });
+  // Send a success response with the user and the issued tokens
+  ServerResponse(res, true, 200, 'Logged in successfully', result);
+});
+
+/**
+ * Controller function to handle refresh token rotation.
+ *
+ * @param {Request} req - The request object containing the refresh token in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const refreshToken = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to rotate the refresh token
+  const tokens = await authServices.rotateRefreshToken(req.body.refreshToken);
+  if (!tokens) {
+    throw new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  // Store the new access token in a cookie for browser clients
+  res.cookie('token', `Bearer ${tokens.accessToken}`, {
+    ...tokenCookieOptions,
+    maxAge: config.JWT_EXPIRATION_TIME * 1000,
+  });
+  // Send a success response with the new tokens
+  ServerResponse(res, true, 200, 'Token refreshed successfully', tokens);
+});
+
+/**
+ * Controller function to handle user logout.
+ *
+ * @param {Request} req - The request object containing the refresh token in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const logout = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to revoke the refresh token
+  await authServices.revokeRefreshToken(req.body.refreshToken);
+  // Remove the access token cookie
+  res.clearCookie('token', tokenCookieOptions);
+  // Send a success response confirming the logout
+  ServerResponse(res, true, 200, 'Logged out successfully');
+});
+
+/**
+ * Controller function to handle a request for a new email verification link.
+ * The response is the same whether or not the email is registered, to avoid user enumeration,
+ * and is sent before the link, so that its time does not reveal it either.
+ *
+ * @param {Request} req - The request object containing the email in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const requestEmailVerification = catchAsync(async (req: Request, res: Response) => {
+  // Send the verification link in the background, if the email needs one
+  authServices
+    .requestEmailVerification(req.body.email)
+    .catch((error) => logger.error('Failed to send an email verification link', { error }));
+  // Send a success response without revealing whether the email is registered
+  ServerResponse(
+    res,
+    true,
+    200,
+    'If the email is registered and not yet verified, a verification link has been sent'
+  );
+});
+
+/**
+ * Controller function to handle the verification of an email with a token.
+ *
+ * @param {Request} req - The request object containing the verification token in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const verifyEmail = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to consume the token and verify the email
+  const verified = await authServices.verifyEmail(req.body.token);
+  if (!verified) {
+    throw new BadRequestError('Invalid or expired token', undefined, 'INVALID_TOKEN');
+  }
+  // Send a success response confirming the verification
+  ServerResponse(res, true, 200, 'Email verified successfully');
+});
+
+/**
+ * Controller function to handle a request for a password reset link.
+ * The response is the same whether or not the email is registered, to avoid user enumeration,
+ * and is sent before the link, so that its time does not reveal it either.
+ *
+ * @param {Request} req - The request object containing the email in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const forgotPassword = catchAsync(async (req: Request, res: Response) => {
+  // Send the reset link in the background, if the email is registered
+  authServices
+    .requestPasswordReset(req.body.email)
+    .catch((error) => logger.error('Failed to send a password reset link', { error }));
+  // Send a success response without revealing whether the email is registered
+  ServerResponse(res, true, 200, 'If the email is registered, a password reset link has been sent');
+});
+
+/**
+ * Controller function to handle a password reset with a token.
+ * Every session of the user is revoked.
+ *
+ * @param {Request} req - The request object containing the reset token and the new password in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const resetPassword = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to consume the token and set the new password
+  const reset = await authServices.resetPassword(req.body.token, req.body.password);
+  if (!reset) {
+    throw new BadRequestError('Invalid or expired token', undefined, 'INVALID_TOKEN');
+  }
+  // Remove the access token cookie of this browser, the other sessions are revoked
+  res.clearCookie('token', tokenCookieOptions);
+  // Send a success response asking the user to log in again
+  ServerResponse(res, true, 200, 'Password reset successfully, please log in again');
+});
+
+/**
+ * Controller function to handle the retrieval of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object with the authenticated user attached.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getMe = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to get the authenticated user
+  const result = await authServices.getMe(req.user!.id);
+  if (!result) {
+    throw new NotFoundError('User not found');
+  }
+  // Send a success response with the authenticated user data
+  ServerResponse(res, true, 200, 'User retrieved successfully', result);
+});
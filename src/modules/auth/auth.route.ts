@@ -0,0 +1,135 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import {
+  register,
+  login,
+  refreshToken,
+  logout,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  getMe,
+} from './auth.controller';
+
+//Import validation from corresponding module
+import {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateEmail,
+  validateVerifyEmail,
+  validateResetPassword,
+} from './auth.validation';
+import emailRateLimit from '../../middlewares/email-rate-limit';
+import isAuthorizedOrApiKey from '../../middlewares/is-authorized-or-api-key';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+
+// Initialize router
+const router = Router();
+
+// Define route handlers
+/**
+ * @route POST /api/v1/auth/register
+ * @description Register a new user
+ * @access Public
+ * @param {function} controller - ['register']
+ * @param {function} middleware - ['rateLimitPolicy']
+ * @param {function} validation - ['validateRegister']
+ */
+router.post('/register', rateLimitPolicy('auth'), validateRegister, register);
+
+/**
+ * @route POST /api/v1/auth/login
+ * @description Log in with email and password and receive an access and a refresh token
+ * @access Public
+ * @param {function} controller - ['login']
+ * @param {function} middleware - ['rateLimitPolicy']
+ * @param {function} validation - ['validateLogin']
+ */
+router.post('/login', rateLimitPolicy('auth'), validateLogin, login);
+
+/**
+ * @route POST /api/v1/auth/refresh-token
+ * @description Rotate a refresh token and receive a new token pair
+ * @access Public
+ * @param {function} controller - ['refreshToken']
+ * @param {function} middleware - ['rateLimitPolicy']
+ * @param {function} validation - ['validateRefreshToken']
+ */
+router.post('/refresh-token', rateLimitPolicy('auth'), validateRefreshToken, refreshToken);
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @description Revoke a refresh token and clear the access token cookie
+ * @access Public
+ * @param {function} controller - ['logout']
+ * @param {function} validation - ['validateRefreshToken']
+ */
+router.post('/logout', validateRefreshToken, logout);
+
+/**
+ * @route POST /api/v1/auth/request-email-verification
+ * @description Send a new email verification link (same response whether or not the email is registered)
+ * @access Public
+ * @param {function} controller - ['requestEmailVerification']
+ * @param {function} middleware - ['rateLimitPolicy', 'emailRateLimit']
+ * @param {function} validation - ['validateEmail']
+ */
+router.post(
+  '/request-email-verification',
+  rateLimitPolicy('auth'),
+  validateEmail,
+  emailRateLimit,
+  requestEmailVerification
+);
+
+/**
+ * @route POST /api/v1/auth/verify-email
+ * @description Verify an email address with the token sent by email
+ * @access Public
+ * @param {function} controller - ['verifyEmail']
+ * @param {function} middleware - ['rateLimitPolicy']
+ * @param {function} validation - ['validateVerifyEmail']
+ */
+router.post('/verify-email', rateLimitPolicy('auth'), validateVerifyEmail, verifyEmail);
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @description Send a password reset link (same response whether or not the email is registered)
+ * @access Public
+ * @param {function} controller - ['forgotPassword']
+ * @param {function} middleware - ['rateLimitPolicy', 'emailRateLimit']
+ * @param {function} validation - ['validateEmail']
+ */
+router.post(
+  '/forgot-password',
+  rateLimitPolicy('auth'),
+  validateEmail,
+  emailRateLimit,
+  forgotPassword
+);
+
+/**
+ * @route POST /api/v1/auth/reset-password
+ * @description Set a new password with the token sent by email and revoke every session
+ * @access Public
+ * @param {function} controller - ['resetPassword']
+ * @param {function} middleware - ['rateLimitPolicy']
+ * @param {function} validation - ['validateResetPassword']
+ */
+router.post('/reset-password', rateLimitPolicy('auth'), validateResetPassword, resetPassword);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @description Get the authenticated user (or the owner of the API key)
+ * @access Private
+ * @param {function} controller - ['getMe']
+ * @param {function} middleware - ['isAuthorizedOrApiKey']
+ */
+router.get('/me', isAuthorizedOrApiKey, getMe);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,430 @@
+import { AuthTokenType, Prisma, User } from '@prisma/client';
+import config from '../../config/config';
+import { formatDuration } from '../../config/units';
+import CompareInfo from '../../utils/bcrypt/compare-info';
+import HashInfo from '../../utils/bcrypt/hash-info';
+import { now } from '../../utils/clock/clock';
+import GenerateToken from '../../utils/crypto/generate-token';
+import HashToken from '../../utils/crypto/hash-token';
+import { enqueueMail } from '../../utils/email/mail-queue';
+import EncodeToken from '../../utils/jwt/encode-token';
+
+// Import the Prisma Client instance
+import {
+  prismaClient,
+  runTransaction,
+  TransactionClient,
+} from '../../helpers/prisma/prisma-client';
+
+/**
+ * Fields of a user that are safe to expose in API responses (never the password hash).
+ */
+const safeUserSelect = {
+  id: true,
+  phone: true,
+  email: true,
+  role: true,
+  emailVerifiedAt: true,
+  createdAt: true,
+  updatedAt: true,
+} satisfies Prisma.UserSelect;
+
+/**
+ * Shape of the token pair issued on login and refresh.
+ */
+export interface AuthTokens {
+  accessToken: string;
+  refreshToken: string;
+  expiresIn: number;
+}
+
+/**
+ * Issues a new access token and a new refresh token for a user.
+ * Only the SHA-256 hash of the refresh token is persisted.
+ *
+ * @param user - The user to issue the tokens for.
+ * @param tx - Optional transaction client to persist the refresh token with.
+ * @returns {Promise<{ tokens: AuthTokens; refreshTokenId: string }>} - The issued tokens and the stored refresh token ID.
+ */
+const issueTokens = async (
+  user: Pick<User, 'id' | 'email'>,
+  tx: TransactionClient = prismaClient
+) => {
+  const accessToken = await EncodeToken(user.email, user.id);
+  const refreshToken = GenerateToken();
+
+  const stored = await tx.refreshToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: HashToken(refreshToken),
+      expiresAt: new Date(now().getTime() + config.REFRESH_TOKEN_EXPIRATION_TIME * 1000),
+    },
+  });
+
+  const tokens: AuthTokens = {
+    accessToken,
+    refreshToken,
+    expiresIn: config.JWT_EXPIRATION_TIME,
+  };
+
+  return { tokens, refreshTokenId: stored.id };
+};
+
+/**
+ * Service function to find a user by email.
+ *
+ * @param email - The email of the user to find.
+ * @returns {Promise<User | null>} - The user or null if no user has that email.
+ */
+const findUserByEmail = async (email: string) => {
+  return await prismaClient.user.findUnique({
+    where: { email },
+  });
+};
+
+/**
+ * Service function to register a new user with a hashed password.
+ *
+ * @param data - The registration data.
+ * @returns {Promise<Partial<User>>} - The created user without the password hash.
+ */
+const registerUser = async (data: { email: string; phone: string; password: string }) => {
+  return await prismaClient.user.create({
+    data: { ...data, password: await HashInfo(data.password) },
+    select: safeUserSelect,
+  });
+};
+
+// Hash compared when no password can match, so that the response time does not reveal whether
+// an email is registered
+let dummyPasswordHash: Promise<string> | undefined;
+
+/**
+ * Service function to log a user in with email and password.
+ *
+ * @param email - The user's email.
+ * @param password - The user's plain password.
+ * @returns {Promise<{ user: Partial<User>; tokens: AuthTokens } | null>} - The user and issued tokens, or null if the credentials are invalid.
+ */
+const loginUser = async (email: string, password: string) => {
+  const user = await prismaClient.user.findUnique({
+    where: { email },
+    select: { ...safeUserSelect, password: true },
+  });
+
+  // Users without a password (e.g. created by an admin) cannot log in with credentials
+  if (!user || !user.password) {
+    dummyPasswordHash ??= HashInfo(GenerateToken());
+    await CompareInfo(password, await dummyPasswordHash);
+    return null;
+  }
+
+  const { password: passwordHash, ...safeUser } = user;
+  if (!(await CompareInfo(password, passwordHash))) {
+    return null;
+  }
+
+  const { tokens } = await issueTokens(user);
+
+  return { user: safeUser, tokens };
+};
+
+/**
+ * Service function to rotate a refresh token.
+ *
+ * The presented token is revoked and replaced by a new one. Presenting a token that was
+ * already revoked is treated as token theft, and every active session of the user is revoked.
+ *
+ * @param refreshToken - The plain refresh token presented by the client.
+ * @returns {Promise<AuthTokens | null>} - The new token pair, or null if the token is invalid.
+ */
+const rotateRefreshToken = async (refreshToken: string) => {
+  const stored = await prismaClient.refreshToken.findUnique({
+    where: { tokenHash: HashToken(refreshToken) },
+    include: { user: { select: { id: true, email: true, deletedAt: true } } },
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  // Included relations are not filtered by the soft delete extension: users in the trash are
+  // signed out like deleted users
+  if (stored.user.deletedAt) {
+    return null;
+  }
+
+  // Reuse of a rotated token: revoke the whole session family of the user
+  if (stored.revokedAt) {
+    await revokeAllUserTokens(stored.userId);
+    return null;
+  }
+
+  if (stored.expiresAt <= now()) {
+    return null;
+  }
+
+  return await runTransaction(async (tx) => {
+    // Claim the token first so that concurrent refreshes cannot both rotate it
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: now() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const { tokens, refreshTokenId } = await issueTokens(stored.user, tx);
+
+    // Link the revoked token to its replacement
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replacedById: refreshTokenId },
+    });
+
+    return tokens;
+  });
+};
+
+/**
+ * Service function to revoke a single refresh token (logout).
+ *
+ * @param refreshToken - The plain refresh token to revoke.
+ * @returns {Promise<number>} - The number of revoked tokens.
+ */
+const revokeRefreshToken = async (refreshToken: string) => {
+  const { count } = await prismaClient.refreshToken.updateMany({
+    where: { tokenHash: HashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: now() },
+  });
+  return count;
+};
+
+/**
+ * Service function to revoke every active refresh token of a user.
+ *
+ * @param userId - The ID of the user whose sessions should be revoked.
+ * @returns {Promise<number>} - The number of revoked tokens.
+ */
+const revokeAllUserTokens = async (userId: string) => {
+  const { count } = await prismaClient.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: now() },
+  });
+  return count;
+};
+
+/**
+ * Issues a single-use token sent by email, replacing the unused tokens of the same type of the
+ * user. Only the SHA-256 hash of the token is persisted.
+ *
+ * @param userId - The ID of the user to issue the token for.
+ * @param type - The purpose of the token.
+ * @param lifetime - The lifetime of the token in seconds.
+ * @returns {Promise<string>} - The plain token, to send to the user.
+ */
+const issueAuthToken = async (userId: string, type: AuthTokenType, lifetime: number) => {
+  const token = GenerateToken(32);
+
+  await prismaClient.$transaction([
+    prismaClient.authToken.deleteMany({ where: { userId, type, usedAt: null } }),
+    prismaClient.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: HashToken(token),
+        expiresAt: new Date(now().getTime() + lifetime * 1000),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Marks a token sent by email as used, if it is valid: of the given type, unused and not expired.
+ * The token is claimed atomically, so that it can only be used once even by concurrent requests.
+ *
+ * @param tx - The transaction client the token is claimed with.
+ * @param token - The plain token presented by the client.
+ * @param type - The expected purpose of the token.
+ * @returns {Promise<string | null>} - The ID of the user the token was issued for, or null if the token is invalid.
+ */
+const consumeAuthToken = async (tx: TransactionClient, token: string, type: AuthTokenType) => {
+  const tokenHash = HashToken(token);
+
+  const { count } = await tx.authToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: now() } },
+    data: { usedAt: now() },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const { userId } = await tx.authToken.findUniqueOrThrow({
+    where: { tokenHash },
+    select: { userId: true },
+  });
+  return userId;
+};
+
+/**
+ * Service function to send an email verification link to a user.
+ *
+ * @param user - The user to verify.
+ * @returns {Promise<void>}
+ */
+const sendEmailVerification = async (user: Pick<User, 'id' | 'email'>) => {
+  const token = await issueAuthToken(
+    user.id,
+    AuthTokenType.EmailVerification,
+    config.EMAIL_VERIFICATION_EXPIRATION_TIME
+  );
+
+  await enqueueMail({
+    to: user.email,
+    template: 'verification',
+    variables: {
+      name: user.email,
+      verificationUrl: `${config.CLIENT_URL}/verify-email?token=${token}`,
+      expiresIn: formatDuration(config.EMAIL_VERIFICATION_EXPIRATION_TIME, 's'),
+    },
+  });
+};
+
+/**
+ * Service function to send a new email verification link to the user with the given email.
+ * Nothing is sent if no user has that email or if it is already verified.
+ *
+ * @param email - The email to verify.
+ * @returns {Promise<void>}
+ */
+const requestEmailVerification = async (email: string) => {
+  const user = await findUserByEmail(email);
+  if (user && !user.emailVerifiedAt) {
+    await sendEmailVerification(user);
+  }
+};
+
+/**
+ * Service function to verify the email of a user with a token sent by email.
+ *
+ * @param token - The plain verification token.
+ * @returns {Promise<boolean>} - Whether the token was valid.
+ */
+const verifyEmail = async (token: string) => {
+  return await runTransaction(async (tx) => {
+    const userId = await consumeAuthToken(tx, token, AuthTokenType.EmailVerification);
+    if (!userId) {
+      return false;
+    }
+
+    await tx.user.updateMany({
+      where: { id: userId, emailVerifiedAt: null },
+      data: { emailVerifiedAt: now() },
+    });
+    return true;
+  });
+};
+
+/**
+ * Service function to send a password reset link to the user with the given email.
+ * Nothing is sent if no user has that email.
+ *
+ * @param email - The email of the user.
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email: string) => {
+  const user = await findUserByEmail(email);
+  if (!user) {
+    return;
+  }
+
+  const token = await issueAuthToken(
+    user.id,
+    AuthTokenType.PasswordReset,
+    config.PASSWORD_RESET_EXPIRATION_TIME
+  );
+
+  await enqueueMail({
+    to: user.email,
+    template: 'passwordReset',
+    variables: {
+      name: user.email,
+      resetUrl: `${config.CLIENT_URL}/reset-password?token=${token}`,
+      expiresIn: formatDuration(config.PASSWORD_RESET_EXPIRATION_TIME, 's'),
+    },
+  });
+};
+
+/**
+ * Service function to set a new password with a token sent by email.
+ *
+ * Every session of the user is revoked, and since the link was received by email, the address
+ * is marked as verified.
+ *
+ * @param token - The plain password reset token.
+ * @param password - The new plain password.
+ * @returns {Promise<boolean>} - Whether the token was valid.
+ */
+const resetPassword = async (token: string, password: string) => {
+  const passwordHash = await HashInfo(password);
+
+  return await runTransaction(async (tx) => {
+    const userId = await consumeAuthToken(tx, token, AuthTokenType.PasswordReset);
+    if (!userId) {
+      return false;
+    }
+
+    const user = await tx.user.findUniqueOrThrow({
+      where: { id: userId },
+      select: { emailVerifiedAt: true },
+    });
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        password: passwordHash,
+        emailVerifiedAt: user.emailVerifiedAt ?? now(),
+        passwordChangedAt: now(),
+      },
+    });
+
+    // Log out everywhere: the refresh tokens are revoked, and the access tokens issued before
+    // `passwordChangedAt` are rejected by `verifyAccessToken`
+    await tx.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now() },
+    });
+    return true;
+  });
+};
+
+/**
+ * Service function to retrieve the authenticated user's profile.
+ *
+ * @param id - The ID of the authenticated user.
+ * @returns {Promise<Partial<User> | null>} - The user without the password hash.
+ */
+const getMe = async (id: string) => {
+  return await prismaClient.user.findUnique({
+    where: { id },
+    select: safeUserSelect,
+  });
+};
+
+export const authServices = {
+  findUserByEmail,
+  registerUser,
+  loginUser,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  sendEmailVerification,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  getMe,
+};
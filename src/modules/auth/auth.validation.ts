@@ -0,0 +1,206 @@
+import { NextFunction, Request, Response } from 'express';
+import { z } from 'zod';
+import zodErrorHandler from '../../handlers/zod-error-handler';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+
+/**
+ * Zod schema for validating registration data.
+ */
+const zodRegisterSchema = z
+  .object({
+    email: z
+      .string({ required_error: 'Please provide an email.' })
+      .email('Please provide a valid email.'),
+    phone: z.string({ required_error: 'Please provide a phone number.' }).min(1, "Can't be empty."),
+    password: z
+      .string({ required_error: 'Please provide a password.' })
+      .min(8, 'Password must be at least 8 characters long.'),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate registration data using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateRegister = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body for registering a new user
+  const parseResult = zodRegisterSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateRegister, { body: zodRegisterSchema });
+
+/**
+ * Zod schema for validating login credentials.
+ */
+const zodLoginSchema = z
+  .object({
+    email: z
+      .string({ required_error: 'Please provide an email.' })
+      .email('Please provide a valid email.'),
+    password: z.string({ required_error: 'Please provide a password.' }).min(1, "Can't be empty."),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate login credentials using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateLogin = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body for logging in
+  const parseResult = zodLoginSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateLogin, { body: zodLoginSchema });
+
+/**
+ * Zod schema for validating a refresh token payload.
+ */
+const zodRefreshTokenSchema = z
+  .object({
+    refreshToken: z
+      .string({ required_error: 'Please provide a refresh token.' })
+      .min(1, "Can't be empty."),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate a refresh token payload using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateRefreshToken = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body containing the refresh token
+  const parseResult = zodRefreshTokenSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateRefreshToken, { body: zodRefreshTokenSchema });
+
+/**
+ * Zod schema for validating a request to send an email (verification or password reset).
+ */
+const zodEmailSchema = z
+  .object({
+    email: z
+      .string({ required_error: 'Please provide an email.' })
+      .email('Please provide a valid email.'),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate a request to send an email using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateEmail = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body containing the email
+  const parseResult = zodEmailSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateEmail, { body: zodEmailSchema });
+
+/**
+ * Zod schema for validating an email verification token.
+ */
+const zodVerifyEmailSchema = z
+  .object({
+    token: z.string({ required_error: 'Please provide a token.' }).min(1, "Can't be empty."),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate an email verification token using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateVerifyEmail = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body containing the verification token
+  const parseResult = zodVerifyEmailSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateVerifyEmail, { body: zodVerifyEmailSchema });
+
+/**
+ * Zod schema for validating a password reset.
+ */
+const zodResetPasswordSchema = z
+  .object({
+    token: z.string({ required_error: 'Please provide a token.' }).min(1, "Can't be empty."),
+    password: z
+      .string({ required_error: 'Please provide a password.' })
+      .min(8, 'Password must be at least 8 characters long.'),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate a password reset using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateResetPassword = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the request body containing the reset token and the new password
+  const parseResult = zodResetPasswordSchema.safeParse(req.body);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateResetPassword, { body: zodResetPasswordSchema });
@@ -0,0 +1,108 @@
+import { Response } from 'express';
+import { UploadedFile } from 'express-fileupload';
+import { pipeline } from 'stream/promises';
+import { fileServices } from './file.service';
+import { fileListQueryOptions } from './file.validation';
+import { ForbiddenError } from '../../helpers/errors/app-error';
+import { parseListQuery } from '../../helpers/list-query/list-query';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { verifySignedDownloadUrl } from '../../helpers/storage/signed-url';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+import logger from '../../utils/logger/logger';
+
+/**
+ * Controller function to handle the upload of a file.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the file in the multipart field `file`.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const uploadFile = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to store the file of the authenticated user
+  const result = await fileServices.uploadFile(req.user!.id, req.files!.file as UploadedFile);
+  // Send a success response with the stored file and its download URL
+  ServerResponse(res, true, 201, 'File uploaded successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of a file of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the file in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getFileById = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to get the file and a new download URL
+  const result = await fileServices.getFileById(req.params.id, req.user!.id);
+  // Send a success response with the retrieved file data
+  ServerResponse(res, true, 200, 'File retrieved successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of the files of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getManyFile = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Parse the query parameters against the file whitelist
+  const listQuery = parseListQuery(req.query, fileListQueryOptions);
+  // Call the service method to get the files of the user based on the list query
+  const { files, totalData, totalPages, nextCursor } = await fileServices.getManyFile(
+    listQuery,
+    req.user!.id
+  );
+  // Send a success response with the retrieved files data
+  ServerResponse(res, true, 200, 'Files retrieved successfully', {
+    files,
+    totalData,
+    totalPages,
+    nextCursor,
+  });
+});
+
+/**
+ * Controller function to handle the deletion of a file of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the file in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const deleteFile = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to delete the file
+  const result = await fileServices.deleteFile(req.params.id, req.user!.id);
+  // Send a success response with the deleted file data
+  ServerResponse(res, true, 200, 'File deleted successfully', result);
+});
+
+/**
+ * Controller function to handle the download of a file through a signed URL.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the file in URL parameters and the signature in the query.
+ * @param {Response} res - The response object the content is streamed to.
+ * @returns {void}
+ */
+export const downloadFile = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  const { id } = req.params;
+  // Reject forged and expired links
+  if (!verifySignedDownloadUrl(id, Number(req.query.expires), String(req.query.signature))) {
+    throw new ForbiddenError('Invalid or expired download link', 'INVALID_DOWNLOAD_LINK');
+  }
+
+  // Call the service method to open the content of the file
+  const { file, content } = await fileServices.openFile(id);
+
+  // Stream the content as an attachment, so that it is never rendered by the browser
+  res.attachment(file.originalName);
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Length', file.size);
+  try {
+    await pipeline(content, res);
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    // The client went away or the storage failed mid-stream, the response cannot be changed
+    logger.debug('Download interrupted', { scope: 'File', fileId: id, error });
+  }
+});
@@ -0,0 +1,81 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { uploadFile, getFileById, getManyFile, deleteFile, downloadFile } from './file.controller';
+
+//Import validation from corresponding module
+import { validateUploadFile, validateDownloadQuery } from './file.validation';
+import { createIdValidators, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication and rate limiting middlewares
+import isAuthorized from '../../middlewares/is-authorized';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+
+// Initialize router
+const router = Router();
+
+// Validators of the file IDs, according to the ID strategy of the model
+const { validateId } = createIdValidators('File');
+
+// Define route handlers
+/**
+ * @route POST /api/v1/file/upload-file
+ * @description Upload a file (multipart field `file`) and receive a signed download URL
+ * @access Private
+ * @param {function} controller - ['uploadFile']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateUploadFile']
+ */
+router.post('/upload-file', isAuthorized, rateLimitPolicy('write'), validateUploadFile, uploadFile);
+
+/**
+ * @route GET /api/v1/file/get-file/many
+ * @description Get the files of the authenticated user with filtering, sorting, field selection and pagination
+ * @access Private
+ * @param {function} controller - ['getManyFile']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateSearchQueries']
+ */
+router.get(
+  '/get-file/many',
+  isAuthorized,
+  rateLimitPolicy('read'),
+  validateSearchQueries,
+  getManyFile
+);
+
+/**
+ * @route GET /api/v1/file/get-file/:id
+ * @description Get a file of the authenticated user with a new signed download URL
+ * @param {string} id - The ID of the file to retrieve
+ * @access Private
+ * @param {function} controller - ['getFileById']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateId']
+ */
+router.get('/get-file/:id', isAuthorized, rateLimitPolicy('read'), validateId, getFileById);
+
+/**
+ * @route DELETE /api/v1/file/delete-file/:id
+ * @description Delete a file of the authenticated user
+ * @param {string} id - The ID of the file to delete
+ * @access Private
+ * @param {function} controller - ['deleteFile']
+ * @param {function} middleware - ['isAuthorized', 'rateLimitPolicy']
+ * @param {function} validation - ['validateId']
+ */
+router.delete('/delete-file/:id', isAuthorized, rateLimitPolicy('write'), validateId, deleteFile);
+
+/**
+ * @route GET /api/v1/file/download/:id
+ * @description Download a file through a signed URL (see `download.url` of the file)
+ * @param {string} id - The ID of the file to download
+ * @access Public - signed URL
+ * @param {function} controller - ['downloadFile']
+ * @param {function} validation - ['validateId', 'validateDownloadQuery']
+ */
+router.get('/download/:id', validateId, validateDownloadQuery, downloadFile);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,208 @@
+import { Prisma } from '@prisma/client';
+import crypto from 'crypto';
+import { UploadedFile } from 'express-fileupload';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
+import { detectFileType } from '../../helpers/storage/file-signature';
+import { createSignedDownloadUrl } from '../../helpers/storage/signed-url';
+import { getStorage, StorageDriver } from '../../helpers/storage/storage-adapter';
+
+// Import the Prisma Client instance
+import {
+  prismaClient,
+  runTransaction,
+  TransactionClient,
+} from '../../helpers/prisma/prisma-client';
+
+/**
+ * Fields of a file returned by the API (the storage location is omitted).
+ */
+const fileSelect = {
+  id: true,
+  originalName: true,
+  mimeType: true,
+  size: true,
+  hash: true,
+  createdAt: true,
+  updatedAt: true,
+} satisfies Prisma.FileSelect;
+
+// Time in seconds an upload or a deletion waits for the lock of a content
+const contentLockTimeout = 30;
+
+/**
+ * Runs a function in a transaction holding a lock on a stored content, so that an upload and a
+ * deletion of the same content run one after the other. Otherwise a deletion could remove the
+ * object after an upload wrote it again but before its file was created.
+ *
+ * @param storage - The storage driver of the content.
+ * @param storageKey - The key of the content.
+ * @param fn - The function, run with the transaction client.
+ * @returns {Promise<T>} - The result of the function.
+ * @throws If the lock cannot be acquired within `contentLockTimeout`.
+ */
+const withContentLock = async <T>(
+  storage: string,
+  storageKey: string,
+  fn: (tx: TransactionClient) => Promise<T>
+): Promise<T> => {
+  // Named locks belong to the connection of the transaction, and their names are limited to 64 characters
+  const lockName = `file:${crypto.createHash('sha1').update(`${storage}:${storageKey}`).digest('hex')}`;
+
+  return await runTransaction(
+    async (tx) => {
+      const [{ acquired }] = await tx.$queryRaw<{ acquired: number | bigint | null }[]>`
+        SELECT GET_LOCK(${lockName}, ${contentLockTimeout}) AS acquired`;
+      if (Number(acquired) !== 1) {
+        throw new Error(`Timed out waiting for the lock of the content ${storageKey}`);
+      }
+
+      try {
+        return await fn(tx);
+      } finally {
+        await tx.$queryRaw`SELECT RELEASE_LOCK(${lockName})`;
+      }
+    },
+    { maxWait: contentLockTimeout * 1000, timeout: contentLockTimeout * 2 * 1000 }
+  );
+};
+
+/**
+ * Service function to store an uploaded file of a user.
+ *
+ * The content is stored under its SHA-256 hash, so identical uploads share the same object.
+ * The file must have been checked by `validateUploadFile`.
+ *
+ * @param ownerId - The ID of the user uploading the file.
+ * @param upload - The uploaded file.
+ * @returns {Promise<Partial<File> & { download: { url: string; expiresAt: Date } }>} - The stored file and a signed download URL.
+ */
+const uploadFile = async (ownerId: string, upload: UploadedFile) => {
+  const { mimeType, extensions } = detectFileType(upload.data)!;
+  const hash = crypto.createHash('sha256').update(upload.data).digest('hex');
+  // Sharded by the first characters of the hash to keep directories small
+  const storageKey = `${hash.slice(0, 2)}/${hash}.${extensions[0]}`;
+
+  const storage = getStorage();
+  const file = await withContentLock(storage.driver, storageKey, async (tx) => {
+    await storage.put(storageKey, upload.data, mimeType);
+
+    return await tx.file.create({
+      data: {
+        ownerId,
+        originalName: upload.name,
+        mimeType,
+        size: upload.data.length,
+        hash,
+        storage: storage.driver,
+        storageKey,
+      },
+      select: fileSelect,
+    });
+  });
+
+  return { ...file, download: createSignedDownloadUrl(file.id) };
+};
+
+/**
+ * Service function to retrieve a file of a user by ID.
+ *
+ * @param id - The ID of the file.
+ * @param ownerId - The ID of the user owning the file.
+ * @returns {Promise<Partial<File> & { download: { url: string; expiresAt: Date } }>} - The file and a signed download URL.
+ * @throws {NotFoundError} If the user has no file with that ID.
+ */
+const getFileById = async (id: string, ownerId: string) => {
+  const file = await prismaClient.file.findFirst({
+    where: { id, ownerId },
+    select: fileSelect,
+  });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+  return { ...file, download: createSignedDownloadUrl(file.id) };
+};
+
+/**
+ * Service function to retrieve the files of a user based on a parsed list query.
+ *
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @param ownerId - The ID of the user owning the files.
+ * @returns {Promise<{ files: Partial<File>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved files, total count, total pages and the cursor of the next page.
+ */
+const getManyFile = async (listQuery: ListQuery, ownerId: string) => {
+  const where = { ...listQuery.where, ownerId } as Prisma.FileWhereInput;
+
+  // Find the total count of matching files
+  const totalData = await prismaClient.file.count({ where });
+
+  // Find files based on the list query with pagination
+  const files = await prismaClient.file.findMany({
+    where,
+    orderBy: listQuery.orderBy as Prisma.FileOrderByWithRelationInput[],
+    select: listQuery.select as Prisma.FileSelect,
+    cursor: listQuery.cursor as Prisma.FileWhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
+  });
+
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(files, totalData, listQuery);
+
+  return { files: items, ...pagination };
+};
+
+/**
+ * Service function to delete a file of a user. The stored content is deleted once no other file
+ * shares it, under the lock of the content: an upload of the same content waits for the deletion,
+ * and the file is kept if the content cannot be deleted.
+ *
+ * @param id - The ID of the file.
+ * @param ownerId - The ID of the user owning the file.
+ * @returns {Promise<Partial<File>>} - The deleted file.
+ * @throws {NotFoundError} If the user has no file with that ID.
+ */
+const deleteFile = async (id: string, ownerId: string) => {
+  const file = await prismaClient.file.findFirst({ where: { id, ownerId } });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  return await withContentLock(file.storage, file.storageKey, async (tx) => {
+    const deleted = await tx.file.delete({ where: { id }, select: fileSelect });
+
+    const sharedBy = await tx.file.count({
+      where: { storage: file.storage, storageKey: file.storageKey },
+    });
+    if (sharedBy === 0) {
+      await getStorage(file.storage as StorageDriver).delete(file.storageKey);
+    }
+
+    return deleted;
+  });
+};
+
+/**
+ * Service function to open the content of a file for download.
+ *
+ * @param id - The ID of the file.
+ * @returns {Promise<{ file: File; content: Readable }>} - The file and a stream of its content.
+ * @throws {NotFoundError} If no file has that ID.
+ */
+const openFile = async (id: string) => {
+  const file = await prismaClient.file.findUnique({ where: { id } });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  const content = await getStorage(file.storage as StorageDriver).get(file.storageKey);
+  return { file, content };
+};
+
+export const fileServices = {
+  uploadFile,
+  getFileById,
+  getManyFile,
+  deleteFile,
+  openFile,
+};
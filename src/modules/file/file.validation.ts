@@ -0,0 +1,122 @@
+import { NextFunction, Request, Response } from 'express';
+import { UploadedFile } from 'express-fileupload';
+import { z } from 'zod';
+import config from '../../config/config';
+import zodErrorHandler from '../../handlers/zod-error-handler';
+import { ListQueryOptions } from '../../helpers/list-query/list-query';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { detectFileType } from '../../helpers/storage/file-signature';
+import ValidationHelper from '../../helpers/validation-functions';
+
+/**
+ * Zod schema for validating an uploaded file: its content must be of an allowed type, and match
+ * its declared MIME type and its extension.
+ */
+const zodUploadFileSchema = z
+  .object({
+    file: z
+      .custom<UploadedFile>(
+        (value) =>
+          !!value && !Array.isArray(value) && Buffer.isBuffer((value as UploadedFile).data),
+        'Please provide a single file.'
+      )
+      .superRefine((file, ctx) => {
+        const issue = (message: string) => ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+
+        const detected = detectFileType(file.data);
+        if (!detected || !config.UPLOAD_ALLOWED_TYPES.includes(detected.mimeType)) {
+          return issue(`File type must be one of: ${config.UPLOAD_ALLOWED_TYPES.join(', ')}.`);
+        }
+        if (file.mimetype.toLowerCase() !== detected.mimeType) {
+          return issue(
+            `File content (${detected.mimeType}) does not match its type (${file.mimetype}).`
+          );
+        }
+        if (!ValidationHelper.isValidFileExtension(file.name, detected.extensions)) {
+          return issue(`File extension must be one of: ${detected.extensions.join(', ')}.`);
+        }
+      }),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate an uploaded file (multipart field `file`) using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateUploadFile = (req: Request, res: Response, next: NextFunction) => {
+  // Files over MAX_FILE_SIZE are truncated by express-fileupload
+  const file = req.files?.file;
+  if (file && !Array.isArray(file) && file.truncated) {
+    return ServerResponse(res, false, 413, `File must not exceed ${config.MAX_FILE_SIZE} bytes`);
+  }
+
+  // Validate the uploaded files
+  const parseResult = zodUploadFileSchema.safeParse(req.files ?? {});
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+/**
+ * Zod schema for validating the signature of a download URL.
+ */
+const zodDownloadQuerySchema = z
+  .object({
+    expires: z.coerce
+      .number({ invalid_type_error: 'Expires must be a timestamp.' })
+      .int('Expires must be a timestamp.'),
+    signature: z
+      .string({ required_error: 'Please provide a signature.' })
+      .regex(/^[0-9a-f]{64}$/, 'Invalid signature.'),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate the signature of a download URL using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateDownloadQuery = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the query parameters of the signed URL
+  const parseResult = zodDownloadQuerySchema.safeParse(req.query);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateDownloadQuery, { query: zodDownloadQuerySchema });
+
+/**
+ * Whitelist of the file fields that can be used to filter, search, sort and select in list queries.
+ * The storage location is deliberately left out of every list.
+ */
+export const fileListQueryOptions: ListQueryOptions = {
+  filterable: {
+    id: 'string',
+    originalName: 'string',
+    mimeType: 'string',
+    size: 'number',
+    hash: 'string',
+    createdAt: 'date',
+  },
+  sortable: ['id', 'originalName', 'mimeType', 'size', 'createdAt'],
+  selectable: ['id', 'originalName', 'mimeType', 'size', 'hash', 'createdAt', 'updatedAt'],
+  searchable: ['originalName'],
+  defaultSort: '-createdAt',
+};
@@ -0,0 +1,69 @@
+import { Response } from 'express';
+import config from '../../config/config';
+import { ForbiddenError, UnauthorizedError } from '../../helpers/errors/app-error';
+import {
+  addSubscriber,
+  authorizeChannels,
+  loadRealtimeUser,
+  parseChannels,
+  RealtimeSubscriber,
+} from '../../helpers/realtime/realtime-hub';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to stream the events of the requested channels as Server-Sent Events.
+ * Each event is named after its channel, and a comment keeps the connection open every
+ * `REALTIME_HEARTBEAT_INTERVAL`.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the channels in the query.
+ * @param {Response} res - The response object used to stream the events.
+ * @returns {void}
+ */
+export const streamEvents = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Load the role of the user, which decides the channels they may subscribe to
+  const user = await loadRealtimeUser(req.user!);
+  if (!user) {
+    throw new UnauthorizedError();
+  }
+
+  const { allowed, denied } = authorizeChannels(
+    user.role,
+    parseChannels(req.query.channels as string)
+  );
+  if (!allowed.length) {
+    throw new ForbiddenError(`You cannot subscribe to: ${denied.join(', ')}`);
+  }
+
+  // Open the event stream, unbuffered by reverse proxies such as nginx
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const write = (name: string, data: object) => {
+    res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  write('subscribed', { channels: allowed, denied });
+
+  const subscriber: RealtimeSubscriber = {
+    user,
+    channels: new Set(allowed),
+    send: (event) => write(event.channel, event),
+    close: (revokedReason) => {
+      if (revokedReason) write('revoked', { reason: revokedReason });
+      res.end();
+    },
+  };
+  const removeSubscriber = addSubscriber(subscriber);
+
+  const heartbeat = setInterval(
+    () => res.write(': keep-alive\n\n'),
+    config.REALTIME_HEARTBEAT_INTERVAL
+  );
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeSubscriber();
+  });
+});
@@ -0,0 +1,28 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { streamEvents } from './realtime.controller';
+
+//Import validation from corresponding module
+import { validateEventStreamQuery } from './realtime.validation';
+
+//Import authentication middleware
+import isAuthorized from '../../middlewares/is-authorized';
+
+// Initialize router
+const router = Router();
+
+// Define route handlers
+/**
+ * @route GET /api/v1/realtime/events
+ * @description Stream the created, updated and deleted events of the requested channels (Server-Sent Events), the fallback of the WebSocket endpoint /api/v1/realtime
+ * @access Private - ['<channel>:read'] for each channel
+ * @param {function} controller - ['streamEvents']
+ * @param {function} middleware - ['isAuthorized']
+ * @param {function} validation - ['validateEventStreamQuery']
+ */
+router.get('/events', isAuthorized, validateEventStreamQuery, streamEvents);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,41 @@
+import { NextFunction, Request, Response } from 'express';
+import { z } from 'zod';
+import zodErrorHandler from '../../handlers/zod-error-handler';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+
+/**
+ * Zod schema for validating the query of an event stream: the channels to subscribe to, comma
+ * separated (e.g. `user,file`).
+ */
+const zodEventStreamQuerySchema = z
+  .object({
+    channels: z
+      .string({ required_error: 'Please provide the channels to subscribe to, e.g. user,file.' })
+      .regex(
+        /^[\w-]+(,[\w-]+)*$/,
+        'Channels must be comma separated module names, e.g. user,file.'
+      ),
+  })
+  .strict();
+
+/**
+ * Middleware function to validate the query of an event stream using Zod schema.
+ * @param {Request} req - The request object.
+ * @param {Response} res - The response object.
+ * @param {NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+export const validateEventStreamQuery = (req: Request, res: Response, next: NextFunction) => {
+  // Validate the query parameters of the event stream
+  const parseResult = zodEventStreamQuerySchema.safeParse(req.query);
+
+  // If validation fails, send an error response using the Zod error handler
+  if (!parseResult.success) {
+    return zodErrorHandler(req, res, parseResult.error);
+  }
+
+  // If validation passes, proceed to the next middleware function
+  return next();
+};
+
+registerRequestSchemas(validateEventStreamQuery, { query: zodEventStreamQuerySchema });
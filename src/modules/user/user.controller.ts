@@ -1,6 +1,10 @@
 import { Request, Response } from 'express';
 import { userServices } from './user.service';
+import { userListQueryOptions } from './user.validation';
+import { BulkMode, sendBulkResponse } from '../../helpers/bulk/bulk-operation';
+import { parseListQuery } from '../../helpers/list-query/list-query';
 import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
 import catchAsync from '../../utils/catch-async/catch-async';
 
 /**
@@ -20,28 +24,31 @@ export const createUser = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the creation of multiple users.
  *
- * @param {Request} req - The request object containing an array of user data in the body.
+ * @param {Request} req - The request object containing an array of user data in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const createManyUser = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to create multiple users and get the result
-  const result = await userServices.createManyUser(req.body);
-  // Send a success response with the created users data
-  ServerResponse(res, true, 201, 'Users created successfully', result);
+  // Call the service method to create multiple users in the requested bulk mode and get the result
+  const result = await userServices.createManyUser(req.body, req.query.mode as BulkMode);
+  // Send the result of each creation
+  sendBulkResponse(res, result, 201, 'Users created successfully');
 });
 
 /**
  * Controller function to handle the update operation for a single user.
  *
- * @param {Request} req - The request object containing the ID of the user to update in URL parameters and the updated data in the body.
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the user to update in URL parameters and the updated data in the body.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
-export const updateUser = catchAsync(async (req: Request, res: Response) => {
+export const updateUser = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
   const { id } = req.params;
-  // Call the service method to update the user by ID and get the result
-  const result = await userServices.updateUser(id, req.body);
+  // Call the service method to update the user by ID on behalf of the authenticated user (role loaded by `authorize`)
+  const result = await userServices.updateUser(id, req.body, {
+    role: req.user!.role!,
+    scopes: req.apiKey?.scopes,
+  });
   // Send a success response with the updated user data
   ServerResponse(res, true, 200, 'User updated successfully', result);
 });
@@ -49,15 +56,18 @@ export const updateUser = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the update operation for multiple users.
  *
- * @param {Request} req - The request object containing an array of user data in the body.
+ * @param {AuthenticatedRequest} req - The request object containing an array of user IDs with their updates in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
-export const updateManyUser = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to update multiple users and get the result
-  const result = await userServices.updateManyUser(req.body);
-  // Send a success response with the updated users data
-  ServerResponse(res, true, 200, 'Users updated successfully', result);
+export const updateManyUser = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to update multiple users in the requested bulk mode on behalf of the authenticated user
+  const result = await userServices.updateManyUser(req.body, req.query.mode as BulkMode, {
+    role: req.user!.role!,
+    scopes: req.apiKey?.scopes,
+  });
+  // Send the result of each update
+  sendBulkResponse(res, result, 200, 'Users updated successfully');
 });
 
 /**
@@ -78,15 +88,59 @@ export const deleteUser = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the deletion of multiple users.
  *
- * @param {Request} req - The request object containing an array of IDs of user to delete in the body.
+ * @param {Request} req - The request object containing an array of IDs of user to delete in the body and the bulk mode in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const deleteManyUser = catchAsync(async (req: Request, res: Response) => {
-  // Call the service method to delete multiple users and get the result
-  await userServices.deleteManyUser(req.body);
-  // Send a success response confirming the deletions
-  ServerResponse(res, true, 200, 'Users deleted successfully');
+  // Call the service method to delete multiple users in the requested bulk mode and get the result
+  const result = await userServices.deleteManyUser(req.body.ids, req.query.mode as BulkMode);
+  // Send the result of each deletion
+  sendBulkResponse(res, result, 200, 'Users deleted successfully');
+});
+
+/**
+ * Controller function to handle the restoration of a single user from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the user to restore in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const restoreUser = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to restore the user by ID and get the result
+  const result = await userServices.restoreUser(id);
+  // Send a success response with the restored user data
+  ServerResponse(res, true, 200, 'User restored successfully', result);
+});
+
+/**
+ * Controller function to handle the restoration of multiple users from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of users to restore in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const restoreManyUser = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to restore multiple users and get the result
+  const result = await userServices.restoreManyUser(req.body.ids);
+  // Send a success response with the number of restored users
+  ServerResponse(res, true, 200, 'Users restored successfully', result);
+});
+
+/**
+ * Controller function to handle the permanent deletion of a single user from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the user to purge in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const purgeUser = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to permanently delete the user by ID
+  await userServices.purgeUser(id);
+  // Send a success response confirming the permanent deletion
+  ServerResponse(res, true, 200, 'User permanently deleted successfully');
 });
 
 /**
@@ -107,15 +161,31 @@ export const getUserById = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the retrieval of multiple users.
  *
- * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
  * @param {Response} res - The response object used to send the response.
  * @returns {void}
  */
 export const getManyUser = catchAsync(async (req: Request, res: Response) => {
-  // Type assertion for query parameters
-  const query = req.query as unknown as { searchKey?: string; showPerPage: number; pageNo: number };
-  // Call the service method to get multiple users based on query parameters and get the result
-  const {users, totalData, totalPages } = await userServices.getManyUser({},query.searchKey, query.showPerPage, query.pageNo);
+  // Parse the query parameters against the user whitelist
+  const listQuery = parseListQuery(req.query, userListQueryOptions);
+  // Call the service method to get multiple users based on the list query and get the result
+  const { users, totalData, totalPages, nextCursor } = await userServices.getManyUser(listQuery);
   // Send a success response with the retrieved users data
-  ServerResponse(res, true, 200, 'Users retrieved successfully', {users, totalData, totalPages});
-});
\ No newline at end of file
+  ServerResponse(res, true, 200, 'Users retrieved successfully', { users, totalData, totalPages, nextCursor });
+});
+
+/**
+ * Controller function to handle the retrieval of the users in the trash.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering, sorting, field selection and pagination.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {void}
+ */
+export const getTrashUser = catchAsync(async (req: Request, res: Response) => {
+  // Parse the query parameters against the user whitelist
+  const listQuery = parseListQuery(req.query, userListQueryOptions);
+  // Call the service method to get the trashed users based on the list query and get the result
+  const { users, totalData, totalPages, nextCursor } = await userServices.getTrashUser(listQuery);
+  // Send a success response with the trashed users data
+  ServerResponse(res, true, 200, 'Trashed users retrieved successfully', { users, totalData, totalPages, nextCursor });
+});
@@ -9,92 +9,156 @@ import {
   updateManyUser,
   deleteUser,
   deleteManyUser,
+  restoreUser,
+  restoreManyUser,
+  purgeUser,
   getUserById,
-  getManyUser
+  getManyUser,
+  getTrashUser
 } from './user.controller';
 
 //Import validation from corresponding module
 import { validateCreateUser, validateCreateManyUser, validateUpdateUser, validateUpdateManyUser} from './user.validation';
-import { validateId, validateIds, validateSearchQueries } from '../../handlers/common-zod-validator';
+import { createIdValidators, validateBulkMode, validateSearchQueries } from '../../handlers/common-zod-validator';
+
+//Import authentication (Bearer token or API key), rate limiting, authorization, idempotency and caching middlewares
+import isAuthorizedOrApiKey from '../../middlewares/is-authorized-or-api-key';
+import rateLimitPolicy from '../../middlewares/rate-limit';
+import authorize from '../../middlewares/authorize';
+import idempotency from '../../middlewares/idempotency';
+import cacheResponse from '../../middlewares/response-cache';
 
 // Initialize router
 const router = Router();
 
+// Validators of the user IDs, according to the ID strategy of the model
+const { validateId, validateIds } = createIdValidators('User');
+
 // Define route handlers
 /**
  * @route POST /api/v1/user/create-user
  * @description Create a new user
- * @access Public
+ * @access Private - ['user:create']
  * @param {function} controller - ['createUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'idempotency']
  * @param {function} validation - ['validateCreateUser']
  */
-router.post("/create-user", validateCreateUser, createUser);
+router.post("/create-user", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:create'), idempotency, validateCreateUser, createUser);
 
 /**
  * @route POST /api/v1/user/create-user/many
- * @description Create multiple users
- * @access Public
+ * @description Create multiple users, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['user:create']
  * @param {function} controller - ['createManyUser']
- * @param {function} validation - ['validateCreateManyUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'idempotency']
+ * @param {function} validation - ['validateBulkMode', 'validateCreateManyUser']
  */
-router.post("/create-user/many", validateCreateManyUser, createManyUser);
+router.post("/create-user/many", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:create'), idempotency, validateBulkMode, validateCreateManyUser, createManyUser);
 
 /**
  * @route PATCH /api/v1/user/update-user/many
- * @description Update multiple users information
- * @access Public
+ * @description Update multiple users information, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['user:update']
  * @param {function} controller - ['updateManyUser']
- * @param {function} validation - ['validateIds', 'validateUpdateManyUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'idempotency']
+ * @param {function} validation - ['validateBulkMode', 'validateUpdateManyUser']
  */
-router.patch("/update-user/many", validateIds, validateUpdateManyUser, updateManyUser);
+router.patch("/update-user/many", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:update'), idempotency, validateBulkMode, validateUpdateManyUser, updateManyUser);
 
 /**
  * @route PATCH /api/v1/user/update-user/:id
  * @description Update user information
  * @param {string} id - The ID of the user to update
- * @access Public
+ * @access Private - ['user:update']
  * @param {function} controller - ['updateUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'idempotency']
  * @param {function} validation - ['validateId', 'validateUpdateUser']
  */
-router.patch("/update-user/:id", validateId, validateUpdateUser, updateUser);
+router.patch("/update-user/:id", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:update'), idempotency, validateId, validateUpdateUser, updateUser);
 
 /**
  * @route DELETE /api/v1/user/delete-user/many
- * @description Delete multiple users
- * @access Public
+ * @description Delete multiple users, all or nothing (?mode=atomic, default) or item by item (?mode=partial)
+ * @access Private - ['user:delete']
  * @param {function} controller - ['deleteManyUser']
- * @param {function} validation - ['validateIds']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateBulkMode', 'validateIds']
  */
-router.delete("/delete-user/many", validateIds, deleteManyUser);
+router.delete("/delete-user/many", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:delete'), validateBulkMode, validateIds, deleteManyUser);
 
 /**
  * @route DELETE /api/v1/user/delete-user/:id
  * @description Delete a user
  * @param {string} id - The ID of the user to delete
- * @access Public
+ * @access Private - ['user:delete']
  * @param {function} controller - ['deleteUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize']
  * @param {function} validation - ['validateId']
  */
-router.delete("/delete-user/:id", validateId, deleteUser);
+router.delete("/delete-user/:id", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:delete'), validateId, deleteUser);
+
+/**
+ * @route PATCH /api/v1/user/restore-user/many
+ * @description Restore multiple users from the trash
+ * @access Private - ['user:delete']
+ * @param {function} controller - ['restoreManyUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateIds']
+ */
+router.patch("/restore-user/many", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:delete'), validateIds, restoreManyUser);
+
+/**
+ * @route PATCH /api/v1/user/restore-user/:id
+ * @description Restore a user from the trash
+ * @param {string} id - The ID of the user to restore
+ * @access Private - ['user:delete']
+ * @param {function} controller - ['restoreUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId']
+ */
+router.patch("/restore-user/:id", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:delete'), validateId, restoreUser);
+
+/**
+ * @route DELETE /api/v1/user/purge-user/:id
+ * @description Permanently delete a user from the trash
+ * @param {string} id - The ID of the user to purge
+ * @access Private - ['user:delete']
+ * @param {function} controller - ['purgeUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize']
+ * @param {function} validation - ['validateId']
+ */
+router.delete("/purge-user/:id", isAuthorizedOrApiKey, rateLimitPolicy('write'), authorize('user:delete'), validateId, purgeUser);
+
+/**
+ * @route GET /api/v1/user/get-user/trash
+ * @description Get the users in the trash
+ * @access Private - ['user:delete']
+ * @param {function} controller - ['getTrashUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'cacheResponse']
+ * @param {function} validation - ['validateSearchQueries']
+ */
+router.get("/get-user/trash", isAuthorizedOrApiKey, rateLimitPolicy('read'), authorize('user:delete'), validateSearchQueries, cacheResponse(), getTrashUser);
 
 /**
  * @route GETapi/v1/user/get-user/many
  * @description Get multiple users
- * @access Public
+ * @access Private - ['user:read']
  * @param {function} controller - ['getManyUser']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'cacheResponse']
  * @param {function} validation - ['validateSearchQueries']
  */
-router.get("/get-user/many", validateSearchQueries, getManyUser);
+router.get("/get-user/many", isAuthorizedOrApiKey, rateLimitPolicy('read'), authorize('user:read'), validateSearchQueries, cacheResponse(), getManyUser);
 
 /**
  * @route GET /api/v1/user/get-user/:id
  * @description Get a user by ID
  * @param {string} id - The ID of the user to retrieve
- * @access Public
+ * @access Private - ['user:read']
  * @param {function} controller - ['getUserById']
+ * @param {function} middleware - ['isAuthorizedOrApiKey', 'rateLimitPolicy', 'authorize', 'cacheResponse']
  * @param {function} validation - ['validateId']
  */
-router.get("/get-user/:id", validateId, getUserById);
+router.get("/get-user/:id", isAuthorizedOrApiKey, rateLimitPolicy('read'), authorize('user:read'), validateId, cacheResponse(), getUserById);
 
 // Export the router
 module.exports = router;
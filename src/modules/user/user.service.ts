@@ -1,7 +1,68 @@
-import { Prisma } from '@prisma/client';
+import { Prisma, UserRole } from '@prisma/client';
+import { hasPermission, hasScope, Permission } from '../../config/permissions';
+import { BulkMode, runBulk } from '../../helpers/bulk/bulk-operation';
+import { ForbiddenError, NotFoundError } from '../../helpers/errors/app-error';
+import { ListQuery, toListQueryPage } from '../../helpers/list-query/list-query';
+import HashInfo from '../../utils/bcrypt/hash-info';
 
 // Import the Prisma Client instance
-import { prismaClient } from '../../index';
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+
+/**
+ * Fields of a user returned by the API (sensitive fields are omitted).
+ */
+const userSelect = {
+  id: true,
+  phone: true,
+  email: true,
+  role: true,
+  emailVerifiedAt: true,
+  createdAt: true,
+  updatedAt: true,
+} satisfies Prisma.UserSelect;
+
+/**
+ * Hashes the password of the given user data, if one is provided.
+ *
+ * @param data - The user data to create or update.
+ * @returns {Promise<T>} - The user data with the password hashed.
+ */
+const hashPassword = async <
+  T extends { password?: string | null | Prisma.NullableStringFieldUpdateOperationsInput },
+>(
+  data: T
+): Promise<T> => {
+  if (typeof data.password !== 'string') {
+    return data;
+  }
+  return { ...data, password: await HashInfo(data.password) };
+};
+
+/**
+ * The user performing a change: their role and, for requests authenticated with an API key, the
+ * scopes of the key.
+ */
+type Actor = { role: UserRole; scopes?: Permission[] };
+
+/**
+ * Checks that the actor may change the role of users when an update sets one. The role decides
+ * every permission of a user, so changing it requires `user:role` on top of `user:update`.
+ *
+ * @param updates - The updated data of each user.
+ * @param actor - The user performing the updates.
+ * @throws {ForbiddenError} If an update sets a role and the actor does not hold `user:role`.
+ */
+const assertCanChangeRole = (updates: Prisma.UserUpdateInput[], actor: Actor) => {
+  if (updates.every((update) => update.role === undefined)) {
+    return;
+  }
+  if (
+    !hasPermission(actor.role, 'user:role') ||
+    (actor.scopes && !hasScope(actor.scopes, 'user:role'))
+  ) {
+    throw new ForbiddenError('You do not have permission to change the role of users');
+  }
+};
 
 /**
  * Service function to create a new user.
@@ -10,17 +71,23 @@ import { prismaClient } from '../../index';
  * @returns {Promise<User>} - The created user.
  */
 const createUser = async (data: Prisma.UserCreateInput) => {
-  return await prismaClient.user.create({ data });
+  return await prismaClient.user.create({ data: await hashPassword(data), select: userSelect });
 };
 
 /**
  * Service function to create multiple user.
  *
  * @param data - An array of data to create multiple user.
- * @returns {Promise<User[]>} - The created user.
+ * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).
+ * @returns {Promise<BulkResult<User>>} - The result of each creation, with the created user.
  */
-const createManyUser = async (data: Prisma.UserCreateManyInput[]) => {
-  return await prismaClient.user.createMany({ data });
+const createManyUser = async (data: Prisma.UserCreateInput[], mode: BulkMode) => {
+  return await runBulk(
+    data,
+    mode,
+    async (item, db) => db.user.create({ data: await hashPassword(item), select: userSelect }),
+    (_item, user) => user?.id ?? null
+  );
 };
 
 /**
@@ -28,33 +95,49 @@ const createManyUser = async (data: Prisma.UserCreateManyInput[]) => {
  *
  * @param id - The ID of the user to update.
  * @param data - The updated data for the user.
+ * @param actor - The user performing the update.
  * @returns {Promise<User>} - The updated user.
+ * @throws {ForbiddenError} If the update sets the role and the actor may not change roles.
  */
-const updateUser = async (id: string, data: Prisma.UserUpdateInput) => {
+const updateUser = async (id: string, data: Prisma.UserUpdateInput, actor: Actor) => {
+  assertCanChangeRole([data], actor);
   return await prismaClient.user.update({
     where: { id },
-    data,
+    data: await hashPassword(data),
+    select: userSelect,
   });
 };
 
 /**
  * Service function to update multiple user.
  *
- * @param data - An array of data to update multiple user.
- * @returns {Promise<User[]>} - The updated user.
- */
-const updateManyUser = async (data: { id: string; updates: Prisma.UserUpdateInput}[]) => {
-  const updatePromises = data.map(({ id, updates }) =>
-    prismaClient.user.update({
-      where: { id },
-      data: updates,
-    })
+ * @param data - An array of IDs of user with their updated data.
+ * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).
+ * @param actor - The user performing the updates.
+ * @returns {Promise<BulkResult<User>>} - The result of each update, with the updated user.
+ * @throws {ForbiddenError} If an update sets the role and the actor may not change roles.
+ */
+const updateManyUser = async (
+  data: { id: string; updates: Prisma.UserUpdateInput }[],
+  mode: BulkMode,
+  actor: Actor
+) => {
+  assertCanChangeRole(
+    data.map(({ updates }) => updates),
+    actor
+  );
+  return await runBulk(
+    data,
+    mode,
+    async ({ id, updates }, db) =>
+      db.user.update({ where: { id }, data: await hashPassword(updates), select: userSelect }),
+    ({ id }) => id
   );
-  return await Promise.all(updatePromises);
 };
 
 /**
  * Service function to delete a single user by ID.
+ * Users are soft deleted: the row is kept in the trash until it is purged.
  *
  * @param id - The ID of the user to delete.
  * @returns {Promise<User>} - The deleted user.
@@ -67,15 +150,58 @@ const deleteUser = async (id: string) => {
 
 /**
  * Service function to delete multiple user.
+ * Users are soft deleted: the rows are kept in the trash until they are purged.
  *
  * @param ids - An array of IDs of user to delete.
- * @returns {Promise<User[]>} - The deleted user.
+ * @param mode - The bulk mode: all-or-nothing (`atomic`) or per-item (`partial`).
+ * @returns {Promise<BulkResult<User>>} - The result of each deletion, with the deleted user.
  */
-const deleteManyUser = async (ids: string[]) => {
-  return await prismaClient.user.deleteMany({
-    where: {
-      id: { in: ids },
-    },
+const deleteManyUser = async (ids: string[], mode: BulkMode) => {
+  return await runBulk(
+    ids,
+    mode,
+    (id, db) => db.user.delete({ where: { id }, select: userSelect }),
+    (id) => id
+  );
+};
+
+/**
+ * Service function to restore a single user from the trash.
+ *
+ * @param id - The ID of the trashed user to restore.
+ * @returns {Promise<User>} - The restored user.
+ */
+const restoreUser = async (id: string) => {
+  return await prismaClient.user.update({
+    where: { id, deletedAt: { not: null } },
+    data: { deletedAt: null },
+    select: userSelect,
+  });
+};
+
+/**
+ * Service function to restore multiple users from the trash.
+ *
+ * @param ids - An array of IDs of trashed users to restore.
+ * @returns {Promise<{ count: number }>} - The number of restored users.
+ */
+const restoreManyUser = async (ids: string[]) => {
+  return await prismaClient.user.updateMany({
+    where: { id: { in: ids }, deletedAt: { not: null } },
+    data: { deletedAt: null },
+  });
+};
+
+/**
+ * Service function to permanently delete a single user from the trash.
+ *
+ * @param id - The ID of the trashed user to purge.
+ * @returns {Promise<User>} - The purged user.
+ */
+const purgeUser = async (id: string) => {
+  return await prismaClient.user.delete({
+    where: { id, deletedAt: { not: null } },
+    select: userSelect,
   });
 };
 
@@ -84,63 +210,73 @@ const deleteManyUser = async (ids: string[]) => {
  *
  * @param id - The ID of the user to retrieve.
  * @returns {Promise<User>} - The retrieved user.
+ * @throws {NotFoundError} - If no user exists with the given ID.
  */
 const getUserById = async (id: string) => {
-  return await prismaClient.user.findUnique({
+  const user = await prismaClient.user.findUnique({
     where: { id },
+    select: userSelect,
   });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
 };
 
 /**
- * Service function to retrieve multiple users based on query parameters.
+ * Service function to retrieve multiple users based on a parsed list query.
  *
- * @param query - The query parameters for filtering users.
- * @param {string | undefined} searchKey - The optional search key for filtering users by user fields.
- * @param {number} showPerPage - The number of items to show per page.
- * @param {number} pageNo - The page number for pagination.
- * @returns {Promise<{ Users: Prisma.User[], total: number, totalPages: number }>} - The retrieved users, total count, and total pages.
- */
-const getManyUser = async (
-  query: Prisma.UserWhereInput,
-  searchKey: string | undefined,
-  showPerPage: number,
-  pageNo: number
-): Promise<{ users: Prisma.User[]; totalData: number; totalPages: number }> => {
-  // Build the search filter based on the search key, if provided
-  const searchFilter: Prisma.UserWhereInput = {
-    ...query,
-    OR: searchKey
-      ? [
-          { filedName: { contains: searchKey, mode: 'insensitive' } },
-          // Add more fields as needed
-        ]
-      : undefined,
-  };
-
-  // Calculate the number of items to skip based on the page number
-  const skipItems = (pageNo - 1) * showPerPage;
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @returns {Promise<{ users: Partial<User>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The retrieved users, total count, total pages and the cursor of the next page.
+ */
+const getManyUser = async (listQuery: ListQuery) => {
+  const where = listQuery.where as Prisma.UserWhereInput;
 
   // Find the total count of matching users
-  const totalData = await prismaClient.user.count({
-    where: searchFilter,
+  const totalData = await prismaClient.user.count({ where });
+
+  // Find users based on the list query with pagination
+  const users = await prismaClient.user.findMany({
+    where,
+    orderBy: listQuery.orderBy as Prisma.UserOrderByWithRelationInput[],
+    select: listQuery.select as Prisma.UserSelect,
+    cursor: listQuery.cursor as Prisma.UserWhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
   });
 
-  // Find users based on the search filter with pagination
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(users, totalData, listQuery);
+
+  return { users: items, ...pagination };
+};
+
+/**
+ * Service function to retrieve the users in the trash based on a parsed list query.
+ *
+ * @param listQuery - The parsed list query (filters, search, sorting, field selection and pagination).
+ * @returns {Promise<{ users: Partial<User>[]; totalData: number; totalPages: number; nextCursor: string | null }>} - The trashed users, total count, total pages and the cursor of the next page.
+ */
+const getTrashUser = async (listQuery: ListQuery) => {
+  const where = { ...listQuery.where, deletedAt: { not: null } } as Prisma.UserWhereInput;
+
+  // Find the total count of matching trashed users
+  const totalData = await prismaClient.user.count({ where });
+
+  // Find trashed users based on the list query with pagination
   const users = await prismaClient.user.findMany({
-    where: searchFilter,
-    skip: skipItems,
-    take: showPerPage,
-    select: {
-      // filed: true,
-      // filed: false,
-      // Add other fields as needed, excluding sensitive ones
-    },
+    where,
+    orderBy: listQuery.orderBy as Prisma.UserOrderByWithRelationInput[],
+    select: { ...listQuery.select, deletedAt: true } as Prisma.UserSelect,
+    cursor: listQuery.cursor as Prisma.UserWhereUniqueInput | undefined,
+    skip: listQuery.skip,
+    take: listQuery.take,
   });
 
-  // Calculate the total number of pages
-  const totalPages = Math.ceil(totalData / showPerPage);
+  // Build the pagination metadata
+  const { items, ...pagination } = toListQueryPage(users, totalData, listQuery);
 
-  return { users, totalData, totalPages };
+  return { users: items, ...pagination };
 };
 
 export const userServices = {
@@ -150,6 +286,10 @@ export const userServices = {
   updateManyUser,
   deleteUser,
   deleteManyUser,
+  restoreUser,
+  restoreManyUser,
+  purgeUser,
   getUserById,
   getManyUser,
+  getTrashUser,
 };
\ No newline at end of file
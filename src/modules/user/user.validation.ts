@@ -1,14 +1,19 @@
+import { UserRole } from '@prisma/client';
 import { NextFunction, Request, Response } from 'express';
 import { z } from 'zod';
 import zodErrorHandler from '../../handlers/zod-error-handler';
+import { ListQueryOptions } from '../../helpers/list-query/list-query';
+import { registerRequestSchemas } from '../../helpers/openapi/request-schema';
+import { getIdSchema } from '../../helpers/prisma/id-strategy';
 
 /**
  * Zod schema for validating user data during creation.
  */
 const zodCreateUserSchema = z.object({
-  // Define fields required for creating a new user.
-  // Example:
-  // filedName: z.string({ required_error: 'Please provide a filedName.' }).min(1, "Can't be empty."),
+  phone: z.string({ required_error: 'Please provide a phone.', invalid_type_error: 'Phone must be a string.' }).min(1, "Can't be empty."),
+  email: z.string({ required_error: 'Please provide an email.', invalid_type_error: 'Email must be a string.' }).email('Please provide a valid email.'),
+  password: z.string({ required_error: 'Please provide a password.', invalid_type_error: 'Password must be a string.' }).min(8, 'Password must be at least 8 characters long.').nullable().optional(),
+  role: z.nativeEnum(UserRole, { errorMap: () => ({ message: 'Role must be one of: User, Admin, SuperAdmin.' }) }).default(UserRole.Admin),
 }).strict();
 
 /**
@@ -27,14 +32,19 @@ export const validateCreateUser = (req: Request, res: Response, next: NextFuncti
     return zodErrorHandler(req, res, parseResult.error);
   }
 
+  // Replace the body with the parsed data (applies defaults and coercions)
+  req.body = parseResult.data;
+
   // If validation passes, proceed to the next middleware function
   return next();
 };
 
+registerRequestSchemas(validateCreateUser, { body: zodCreateUserSchema });
+
 /**
  * Zod schema for validating multiple user data during creation.
  */
-const zodCreateManyUserSchema = z.array(zodCreateUserSchema);
+const zodCreateManyUserSchema = z.array(zodCreateUserSchema).min(1, 'At least one user must be provided.');
 
 /**
  * Middleware function to validate multiple user creation data using Zod schema.
@@ -48,16 +58,20 @@ export const validateCreateManyUser = (req: Request, res: Response, next: NextFu
   if (!parseResult.success) {
     return zodErrorHandler(req, res, parseResult.error);
   }
+  req.body = parseResult.data;
   return next();
 };
 
+registerRequestSchemas(validateCreateManyUser, { body: zodCreateManyUserSchema });
+
 /**
  * Zod schema for validating user data during updates.
  */
 const zodUpdateUserSchema = z.object({
-  // Define fields required for updating an existing user.
-  // Example:
-  // fieldName: z.string({ required_error: 'Please provide a filedName.' }).optional(), // Fields can be optional during updates
+  phone: z.string({ required_error: 'Please provide a phone.', invalid_type_error: 'Phone must be a string.' }).min(1, "Can't be empty.").optional(),
+  email: z.string({ required_error: 'Please provide an email.', invalid_type_error: 'Email must be a string.' }).email('Please provide a valid email.').optional(),
+  password: z.string({ required_error: 'Please provide a password.', invalid_type_error: 'Password must be a string.' }).min(8, 'Password must be at least 8 characters long.').nullable().optional(),
+  role: z.nativeEnum(UserRole, { errorMap: () => ({ message: 'Role must be one of: User, Admin, SuperAdmin.' }) }).optional(),
 }).strict();
 
 /**
@@ -76,14 +90,22 @@ export const validateUpdateUser = (req: Request, res: Response, next: NextFuncti
     return zodErrorHandler(req, res, parseResult.error);
   }
 
+  // Replace the body with the parsed data (applies defaults and coercions)
+  req.body = parseResult.data;
+
   // If validation passes, proceed to the next middleware function
   return next();
 };
 
+registerRequestSchemas(validateUpdateUser, { body: zodUpdateUserSchema });
+
 /**
- * Zod schema for validating multiple user data during updates.
+ * Zod schema for validating multiple user data during updates: the ID of each user with its updates.
  */
-const zodUpdateManyUserSchema = z.array(zodUpdateUserSchema);
+const zodUpdateManyUserSchema = z.array(z.object({
+  id: getIdSchema('User'),
+  updates: zodUpdateUserSchema,
+}).strict()).min(1, 'At least one user must be provided.');
 
 
 /**
@@ -98,5 +120,28 @@ export const validateUpdateManyUser = (req: Request, res: Response, next: NextFu
   if (!parseResult.success) {
     return zodErrorHandler(req, res, parseResult.error);
   }
+  req.body = parseResult.data;
   return next();
+};
+
+registerRequestSchemas(validateUpdateManyUser, { body: zodUpdateManyUserSchema });
+
+/**
+ * Whitelist of the user fields that can be used to filter, search, sort and select in list queries.
+ * The password hash is deliberately left out of every list.
+ */
+export const userListQueryOptions: ListQueryOptions = {
+  filterable: {
+    id: 'string',
+    phone: 'string',
+    email: 'string',
+    role: Object.values(UserRole),
+    emailVerifiedAt: 'date',
+    createdAt: 'date',
+    updatedAt: 'date',
+  },
+  sortable: ['id', 'phone', 'email', 'role', 'emailVerifiedAt', 'createdAt', 'updatedAt'],
+  selectable: ['id', 'phone', 'email', 'role', 'emailVerifiedAt', 'createdAt', 'updatedAt'],
+  searchable: ['phone', 'email'],
+  defaultSort: '-createdAt',
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Source of the current time, replaceable so that expirations can be tested without waiting.
+ */
+export interface Clock {
+  /** Returns the current date. */
+  now(): Date;
+}
+
+/**
+ * Clock reading the system time.
+ */
+export const systemClock: Clock = {
+  now: () => new Date(),
+};
+
+// Clock of the application, the system clock unless replaced
+let currentClock: Clock = systemClock;
+
+/**
+ * Replaces the clock of the application, e.g. with a clock set by a test.
+ *
+ * @param clock - The clock.
+ * @returns {void}
+ */
+export const setClock = (clock: Clock) => {
+  currentClock = clock;
+};
+
+/**
+ * Returns the current date of the application clock. Use it instead of `new Date()` and
+ * `Date.now()` for the dates stored or compared by the application (expirations, revocations, …).
+ *
+ * @returns {Date} - The current date.
+ */
+export const now = (): Date => currentClock.now();
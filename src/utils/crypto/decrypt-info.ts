@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+
+/**
+ * Decrypts data encrypted by `EncryptInfo`.
+ *
+ * @param {string} encrypted - The encrypted data.
+ * @param {string} secret - The secret the data was encrypted with.
+ * @returns {string} - The plain data.
+ * @throws If the data is malformed, was tampered with or was encrypted with another secret.
+ */
+const DecryptInfo = (encrypted: string, secret: string): string => {
+  const [iv, authTag, ciphertext] = encrypted
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  if (!iv || !authTag || !ciphertext) {
+    throw new Error('Malformed encrypted data');
+  }
+
+  // Derive the same key as the encryption, and check the authentication tag while decrypting
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+export default DecryptInfo;
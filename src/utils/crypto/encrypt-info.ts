@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+/**
+ * Encrypts the given data with AES-256-GCM so it can be stored at rest and read back later.
+ *
+ * Unlike `HashToken`, the data can be recovered with `DecryptInfo` and the same secret.
+ *
+ * @param {string} data - The plain data to encrypt.
+ * @param {string} secret - The secret the encryption key is derived from.
+ * @returns {string} - The IV, authentication tag and ciphertext, base64url encoded and joined by dots.
+ */
+const EncryptInfo = (data: string, secret: string): string => {
+  // Derive a 256-bit key from the secret, and use a random IV for every encryption
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+export default EncryptInfo;
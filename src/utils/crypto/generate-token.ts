@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+/**
+ * Generates a cryptographically secure random token.
+ *
+ * @param {number} size - The number of random bytes to generate (defaults to 48).
+ * @returns {string} - The random token encoded as a hex string.
+ */
+const GenerateToken = (size: number = 48): string => {
+  // Generate random bytes and encode them as hex
+  return crypto.randomBytes(size).toString('hex');
+};
+
+export default GenerateToken;
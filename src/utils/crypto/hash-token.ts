@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Hashes an opaque token using SHA-256 so it can be stored and looked up at rest.
+ *
+ * Unlike `HashInfo`, the result is deterministic, which allows finding a record by its token.
+ *
+ * @param {string} token - The plain token to hash.
+ * @returns {string} - The hex encoded SHA-256 digest of the token.
+ */
+const HashToken = (token: string): string => {
+  // Hash the token with SHA-256
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+export default HashToken;
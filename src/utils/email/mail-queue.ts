@@ -0,0 +1,262 @@
+import { MailJob, MailJobStatus, Prisma } from '@prisma/client';
+import config from '../../config/config';
+import { prismaClient } from '../../helpers/prisma/prisma-client';
+import {
+  mailTemplates,
+  MailTemplateName,
+  MailTemplateVariables,
+  renderMailTemplate,
+} from './mail-templates';
+import { now } from '../clock/clock';
+import DecryptInfo from '../crypto/decrypt-info';
+import EncryptInfo from '../crypto/encrypt-info';
+import logger from '../logger/logger';
+import SendEmail from './send-email';
+
+// Logger of the mail queue
+const mailLogger = logger.child({ scope: 'Mail' });
+
+// Number of jobs sent on each run of the worker
+const batchSize = 20;
+
+// Time a job stays locked while being sent, after which another run may pick it up again
+const lockDuration = 5 * 60 * 1000;
+
+/**
+ * Returns the variables of a template holding secrets, e.g. `resetUrl` for `passwordReset`.
+ *
+ * @param template - The name of the template.
+ * @returns {readonly string[]} - The names of the secret variables.
+ */
+const getSecretVariables = (template: string): readonly string[] => {
+  return (
+    (mailTemplates as Record<string, { secretVariables?: readonly string[] }>)[template]
+      ?.secretVariables ?? []
+  );
+};
+
+/**
+ * Encrypts or decrypts the secret variables of a mail, leaving the others as they are.
+ *
+ * @param template - The name of the template.
+ * @param variables - The values of the variables.
+ * @param transform - `EncryptInfo` or `DecryptInfo`.
+ * @returns {Record<string, string>} - The values with the secret ones transformed.
+ */
+const transformSecretVariables = (
+  template: string,
+  variables: Record<string, string>,
+  transform: (value: string, secret: string) => string
+): Record<string, string> => {
+  const secretVariables = getSecretVariables(template);
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, value]) => [
+      name,
+      secretVariables.includes(name) ? transform(value, config.MAIL_ENCRYPTION_SECRET) : value,
+    ])
+  );
+};
+
+/**
+ * Options of a queued mail.
+ */
+interface QueuedMailOptions<T extends MailTemplateName> {
+  to: string;
+  template: T;
+  variables: MailTemplateVariables<T>;
+}
+
+/**
+ * Queues a templated mail. The mail is sent by the mail worker, and retried with an exponential
+ * backoff (`MAIL_RETRY_DELAY`, doubled after each attempt) until `MAIL_MAX_ATTEMPTS` attempts
+ * have failed, after which the job is dead-lettered with the status `Dead`. The secret variables
+ * of the template (e.g. links with a token) are stored encrypted with `MAIL_ENCRYPTION_SECRET`,
+ * and discarded once the job is sent or dead-lettered.
+ *
+ * @example enqueueMail({ to: user.email, template: 'verification', variables: { name, verificationUrl, expiresIn } });
+ *
+ * @param options - The recipient, the name of the template and the values of its variables.
+ * @returns {Promise<MailJob>} - The queued job.
+ * @throws If the template does not exist or a variable is missing.
+ */
+export const enqueueMail = async <T extends MailTemplateName>({
+  to,
+  template,
+  variables,
+}: QueuedMailOptions<T>): Promise<MailJob> => {
+  // Render once to reject invalid mails now rather than in the worker
+  renderMailTemplate(template, variables);
+
+  return await prismaClient.mailJob.create({
+    data: {
+      to,
+      template,
+      variables: transformSecretVariables(template, variables, EncryptInfo),
+      maxAttempts: config.MAIL_MAX_ATTEMPTS,
+      nextAttemptAt: now(),
+    },
+  });
+};
+
+/**
+ * Sends a claimed job, then marks it as sent, schedules its next attempt or dead-letters it.
+ *
+ * @param job - The job to send.
+ * @returns {Promise<void>}
+ */
+const sendMailJob = async (job: MailJob) => {
+  const attempts = job.attempts + 1;
+
+  try {
+    const mail = renderMailTemplate(
+      job.template as MailTemplateName,
+      transformSecretVariables(
+        job.template,
+        job.variables as Record<string, string>,
+        DecryptInfo
+      ) as MailTemplateVariables<MailTemplateName>
+    );
+    await SendEmail({ to: job.to, ...mail });
+
+    // The variables may hold secrets (e.g. reset links), they are not kept once the mail is sent
+    await prismaClient.mailJob.update({
+      where: { id: job.id },
+      data: {
+        status: MailJobStatus.Sent,
+        attempts,
+        variables: {},
+        lastError: null,
+        sentAt: now(),
+      },
+    });
+  } catch (error) {
+    const isDead = attempts >= job.maxAttempts;
+    const retryDelay = config.MAIL_RETRY_DELAY * 2 ** (attempts - 1);
+
+    mailLogger.error(
+      `Attempt ${attempts}/${job.maxAttempts} of job ${job.id} (${job.template}) failed`,
+      {
+        error,
+      }
+    );
+    await prismaClient.mailJob.update({
+      where: { id: job.id },
+      data: {
+        status: isDead ? MailJobStatus.Dead : MailJobStatus.Pending,
+        attempts,
+        lastError: error instanceof Error ? error.message : String(error),
+        // Dead jobs keep their plain variables only, for inspection: the secrets are discarded
+        ...(isDead && {
+          variables: Object.fromEntries(
+            Object.entries(job.variables as Record<string, string>).filter(
+              ([name]) => !getSecretVariables(job.template).includes(name)
+            )
+          ),
+        }),
+        nextAttemptAt: new Date(now().getTime() + (isDead ? 0 : retryDelay)),
+      },
+    });
+  }
+};
+
+/**
+ * Sends the queued mails that are due: pending jobs whose next attempt time has passed, and jobs
+ * whose sending was interrupted (e.g. by a crash) once their lock has expired.
+ *
+ * @returns {Promise<number>} - The number of jobs processed.
+ */
+export const processMailQueue = async (): Promise<number> => {
+  const dueWhere: Prisma.MailJobWhereInput = {
+    status: { in: [MailJobStatus.Pending, MailJobStatus.Sending] },
+    nextAttemptAt: { lte: now() },
+  };
+
+  const jobs = await prismaClient.mailJob.findMany({
+    where: dueWhere,
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize,
+  });
+
+  let processed = 0;
+  for (const job of jobs) {
+    // Claim the job, unless another process claimed it in the meantime
+    const { count } = await prismaClient.mailJob.updateMany({
+      where: { ...dueWhere, id: job.id, attempts: job.attempts },
+      data: {
+        status: MailJobStatus.Sending,
+        nextAttemptAt: new Date(now().getTime() + lockDuration),
+      },
+    });
+    if (count === 0) continue;
+
+    await sendMailJob(job);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Requeues a dead-lettered job for a new series of attempts. Jobs of templates with secret
+ * variables cannot be requeued, their secrets having been discarded: a new mail must be sent
+ * (e.g. a new password reset link requested).
+ *
+ * @param id - The ID of the dead job.
+ * @returns {Promise<MailJob>} - The requeued job.
+ * @throws If no dead job that can be requeued has that ID.
+ */
+export const requeueDeadMail = async (id: string): Promise<MailJob> => {
+  const templatesWithSecrets = Object.keys(mailTemplates).filter(
+    (template) => getSecretVariables(template).length > 0
+  );
+
+  return await prismaClient.mailJob.update({
+    where: { id, status: MailJobStatus.Dead, template: { notIn: templatesWithSecrets } },
+    data: {
+      status: MailJobStatus.Pending,
+      maxAttempts: { increment: config.MAIL_MAX_ATTEMPTS },
+      nextAttemptAt: now(),
+    },
+  });
+};
+
+// Timer of the running worker, and its run in progress
+let workerTimer: NodeJS.Timeout | undefined;
+let currentRun: Promise<void> | undefined;
+
+/**
+ * Starts the worker sending the queued mails every `MAIL_QUEUE_INTERVAL` milliseconds.
+ *
+ * @returns {void}
+ */
+export const startMailWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    // Skip the run if the previous one is still sending
+    if (currentRun) return;
+    currentRun = (async () => {
+      try {
+        await processMailQueue();
+      } catch (error) {
+        mailLogger.error('Failed to process the mail queue', { error });
+      } finally {
+        currentRun = undefined;
+      }
+    })();
+  }, config.MAIL_QUEUE_INTERVAL);
+
+  // Do not keep the process alive just for the worker
+  workerTimer.unref();
+};
+
+/**
+ * Stops the mail worker, waiting for the mails being sent.
+ *
+ * @returns {Promise<void>}
+ */
+export const stopMailWorker = async () => {
+  clearInterval(workerTimer);
+  workerTimer = undefined;
+  await currentRun;
+};
@@ -0,0 +1,156 @@
+/**
+ * Definition of a mail template. `{{variable}}` placeholders in the subject, text and html are
+ * replaced with the values passed to `renderMailTemplate` (HTML-escaped in the html).
+ */
+interface MailTemplate {
+  variables: readonly string[];
+  /** Variables holding secrets (e.g. links with a token), encrypted while the mail is queued. */
+  secretVariables?: readonly string[];
+  subject: string;
+  text: string;
+  html: string;
+}
+
+/**
+ * A rendered mail, ready to be sent.
+ */
+export interface RenderedMail {
+  subject: string;
+  text: string;
+  html: string;
+}
+
+/**
+ * Wraps the body of a template in the HTML layout shared by every mail.
+ *
+ * @param body - The HTML body.
+ * @returns {string} - The full HTML document.
+ */
+const layout = (body: string) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,sans-serif;color:#18181b;">
+    <div style="max-width:560px;margin:0 auto;padding:24px;background:#ffffff;border-radius:8px;">
+${body}
+    </div>
+  </body>
+</html>`;
+
+/**
+ * Renders a call to action button.
+ *
+ * @param label - The label of the button.
+ * @param url - The placeholder of the URL opened by the button.
+ * @returns {string} - The HTML of the button.
+ */
+const button = (label: string, url: string) =>
+  `      <p><a href="${url}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${label}</a></p>`;
+
+/**
+ * Mail templates, by name.
+ */
+export const mailTemplates = {
+  verification: {
+    variables: ['name', 'verificationUrl', 'expiresIn'],
+    secretVariables: ['verificationUrl'],
+    subject: 'Verify your email address',
+    text: `Hi {{name}},
+
+Please verify your email address by opening the following link:
+{{verificationUrl}}
+
+The link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.`,
+    html: layout(`      <p>Hi {{name}},</p>
+      <p>Please verify your email address.</p>
+${button('Verify email', '{{verificationUrl}}')}
+      <p>The link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.</p>`),
+  },
+  passwordReset: {
+    variables: ['name', 'resetUrl', 'expiresIn'],
+    secretVariables: ['resetUrl'],
+    subject: 'Reset your password',
+    text: `Hi {{name}},
+
+We received a request to reset your password. Open the following link to choose a new one:
+{{resetUrl}}
+
+The link expires in {{expiresIn}}. If you did not request a password reset, you can ignore this email.`,
+    html: layout(`      <p>Hi {{name}},</p>
+      <p>We received a request to reset your password.</p>
+${button('Reset password', '{{resetUrl}}')}
+      <p>The link expires in {{expiresIn}}. If you did not request a password reset, you can ignore this email.</p>`),
+  },
+  invitation: {
+    variables: ['inviterName', 'invitationUrl', 'expiresIn'],
+    secretVariables: ['invitationUrl'],
+    subject: "You've been invited",
+    text: `Hi,
+
+{{inviterName}} invited you to join. Open the following link to accept the invitation:
+{{invitationUrl}}
+
+The invitation expires in {{expiresIn}}.`,
+    html: layout(`      <p>Hi,</p>
+      <p>{{inviterName}} invited you to join.</p>
+${button('Accept invitation', '{{invitationUrl}}')}
+      <p>The invitation expires in {{expiresIn}}.</p>`),
+  },
+} as const satisfies Record<string, MailTemplate>;
+
+export type MailTemplateName = keyof typeof mailTemplates;
+
+/**
+ * Values of the variables of a template, e.g. `{ name, verificationUrl, expiresIn }` for `verification`.
+ */
+export type MailTemplateVariables<T extends MailTemplateName> = Record<
+  (typeof mailTemplates)[T]['variables'][number],
+  string
+>;
+
+/**
+ * Escapes the characters with a special meaning in HTML.
+ *
+ * @param value - The value to escape.
+ * @returns {string} - The escaped value.
+ */
+const escapeHtml = (value: string) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Renders a mail template with the given variables.
+ *
+ * @example renderMailTemplate('passwordReset', { name, resetUrl, expiresIn: '1 hour' });
+ *
+ * @param name - The name of the template.
+ * @param variables - The values of the template variables.
+ * @returns {RenderedMail} - The subject, text and html of the mail.
+ * @throws If the template does not exist or a variable is missing.
+ */
+export const renderMailTemplate = <T extends MailTemplateName>(
+  name: T,
+  variables: MailTemplateVariables<T>
+): RenderedMail => {
+  const template: MailTemplate | undefined = mailTemplates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+
+  const values = variables as Record<string, string>;
+  const missing = template.variables.filter((variable) => typeof values[variable] !== 'string');
+  if (missing.length > 0) {
+    throw new Error(`Missing variables for mail template "${name}": ${missing.join(', ')}`);
+  }
+
+  const render = (source: string, escape: (value: string) => string) =>
+    source.replace(/\{\{(\w+)\}\}/g, (_match, variable: string) => escape(values[variable]));
+
+  return {
+    subject: render(template.subject, (value) => value),
+    text: render(template.text, (value) => value),
+    html: render(template.html, escapeHtml),
+  };
+};
@@ -0,0 +1,99 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import nodemailer, { Transport, Transporter } from 'nodemailer';
+import path from 'path';
+import config from '../../config/config';
+
+/**
+ * Information returned by the file transport for each message.
+ */
+interface FileSentMessageInfo {
+  envelope: { from: string | false; to: string[] };
+  messageId: string;
+  file: string;
+}
+
+/**
+ * Creates a nodemailer transport writing every message as a JSON file in a directory,
+ * so that outgoing mail can be inspected (or asserted on in tests) without an SMTP server.
+ *
+ * @param dir - The directory the messages are written to.
+ * @returns {Transport<FileSentMessageInfo>} - The transport.
+ */
+export const createFileTransport = (dir: string): Transport<FileSentMessageInfo> => ({
+  name: 'file',
+  version: '1.0.0',
+  send: (mail, callback) => {
+    mail.normalize(async (error, data) => {
+      if (error || !data) {
+        return callback(error ?? new Error('Failed to build the message'), undefined as never);
+      }
+
+      try {
+        const messageId = mail.message.messageId();
+        const envelope = mail.message.getEnvelope();
+        const file = path.join(dir, `${Date.now()}-${randomUUID()}.json`);
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(
+          file,
+          JSON.stringify({ messageId, envelope, ...data }, null, 2)
+        );
+        callback(null, { envelope, messageId, file });
+      } catch (writeError) {
+        callback(writeError as Error, undefined as never);
+      }
+    });
+  },
+});
+
+// Transporter shared by every message, created on first use
+let transporter: Transporter | undefined;
+
+/**
+ * Returns the transporter selected by `MAIL_TRANSPORT`: a pooled SMTP transporter reusing its
+ * connections between messages, or the file transport writing messages to `MAIL_FILE_DIR`.
+ *
+ * @returns {Transporter} - The shared transporter.
+ */
+export const getMailTransporter = (): Transporter => {
+  if (!transporter) {
+    transporter =
+      config.MAIL_TRANSPORT === 'file'
+        ? nodemailer.createTransport(createFileTransport(path.resolve(config.MAIL_FILE_DIR)))
+        : nodemailer.createTransport({
+            pool: true,
+            host: config.EMAIL_HOST,
+            port: config.EMAIL_PORT,
+            secure: config.EMAIL_SECURE,
+            auth: {
+              user: config.EMAIL_USER,
+              pass: config.EMAIL_PASSWORD,
+            },
+            tls: {
+              rejectUnauthorized: config.EMAIL_TLS_REJECT_UNAUTHORIZED,
+            },
+          });
+  }
+  return transporter;
+};
+
+/**
+ * Replaces the shared transporter, e.g. with a transporter capturing the messages of a test.
+ *
+ * @param replacement - The transporter the next messages are sent with.
+ * @returns {void}
+ */
+export const setMailTransporter = (replacement: Transporter) => {
+  transporter = replacement;
+};
+
+/**
+ * Closes the shared transporter and its pooled connections.
+ *
+ * @returns {void}
+ */
+export const closeMailTransporter = () => {
+  transporter?.close();
+  transporter = undefined;
+};
@@ -1,5 +1,5 @@
-import nodemailer, { Transporter } from 'nodemailer';
 import config from '../../config/config';
+import { getMailTransporter } from './mail-transport';
 
 // Define the function's parameter types
 interface EmailOptions {
@@ -10,43 +10,27 @@ interface EmailOptions {
 }
 
 /**
- * Sends an email using nodemailer.
+ * Sends an email immediately through the shared transporter (see `getMailTransporter`).
+ * Prefer `enqueueMail`, which renders a template and retries failed deliveries.
  *
  * @param to - The recipient's email address.
  * @param text - The plain text content of the email.
  * @param subject - The subject of the email.
  * @param html - The HTML content of the email.
- * @returns {Promise<boolean>} - A promise that resolves to true if the email is sent successfully, or false if an error occurs.
+ * @returns {Promise<string>} - A promise that resolves to the message ID of the sent email.
+ * @throws If the email cannot be sent.
  */
-const SendEmail = async ({ to, text, subject, html }: EmailOptions): Promise<boolean> => {
-  const transporter: Transporter = nodemailer.createTransport({
-    host: config.EMAIL_HOST,
-    port: config.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: config.EMAIL_USER,
-      pass: config.EMAIL_PASSWORD,
-    },
-    tls: {
-      rejectUnauthorized: false,
-    },
-  });
-
+const SendEmail = async ({ to, text, subject, html }: EmailOptions): Promise<string> => {
   const mailOptions = {
-    from: config.EMAIL_USER,
+    from: config.MAIL_FROM,
     to,
     subject,
     text,
     html,
   };
 
-  try {
-    await transporter.sendMail(mailOptions);
-    return true;
-  } catch (error) {
-    console.error('Failed to send email:', error);
-    return false;
-  }
+  const info = await getMailTransporter().sendMail(mailOptions);
+  return info.messageId;
 };
 
 export default SendEmail;
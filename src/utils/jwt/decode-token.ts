@@ -1,5 +1,6 @@
 import jwt, { JwtPayload } from 'jsonwebtoken';
 import config from '../../config/config';
+import { now } from '../clock/clock';
 
 /**
  * Verifies a JWT token using a secret key.
@@ -10,7 +11,8 @@ import config from '../../config/config';
 const DecodeToken = async (token: string): Promise<JwtPayload | string | null> => {
   try {
     const KEY: string = config.JWT_SECRET;
-    return jwt.verify(token, KEY);
+    // Expiration checked against the application clock
+    return jwt.verify(token, KEY, { clockTimestamp: Math.floor(now().getTime() / 1000) });
   } catch (error) {
     return null;
   }
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import config from '../../config/config';
+import { now } from '../clock/clock';
 
 /**
  * Generates a JWT token for a user based on their email and user ID.
@@ -11,7 +12,8 @@ import config from '../../config/config';
 const EncodeToken = async (email: string, userId: string): Promise<string> => {
   const KEY: string = config.JWT_SECRET;
   const EXPIRE: jwt.SignOptions = { expiresIn: config.JWT_EXPIRATION_TIME };
-  const PAYLOAD = { email, user_id: userId };
+  // Issued at the time of the application clock, from which the expiration is computed
+  const PAYLOAD = { email, user_id: userId, iat: Math.floor(now().getTime() / 1000) };
 
   return jwt.sign(PAYLOAD, KEY, EXPIRE);
 };
@@ -1,40 +1,141 @@
-import fs from 'fs';
-import os from 'os';
 import path from 'path';
+import winston from 'winston';
+import DailyRotateFile from 'winston-daily-rotate-file';
+import config from '../../config/config';
+import { getRequestContext } from '../../middlewares/request-context';
 
-// Define the path to the log directory
-const logDir = path.join(__dirname, '..', '..', '..', 'logs');
-
-// Ensure the logs directory exists
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir);
-}
-
-// Function to log messages and ensure log directories are properly created
-export const logMessage = (message: string) => {
-  const now = new Date();
-  const dateAndTime = now.toDateString() + ' | ' + now.toTimeString();
-  const dateString = now.toISOString().split('T')[0]; // Format: YYYY-MM-DD
-  const logDirForToday = path.join(logDir, dateString);
-  const logFileForToday = path.join(logDirForToday, 'access.log');
-
-  // Ensure the directory for today's logs exists
-  if (!fs.existsSync(logDirForToday)) {
-    fs.mkdirSync(logDirForToday, { recursive: true });
-  }
+/**
+ * Log levels, from the most to the least severe.
+ */
+export const logLevels = {
+  fatal: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  http: 4,
+  debug: 5,
+};
+
+export type LogLevel = keyof typeof logLevels;
+
+export type Logger = winston.Logger & Record<LogLevel, winston.LeveledLogMethod>;
 
-  // Log message format
-  const logMessage = `Host Name: ${os.hostname()} | ${dateAndTime} | [INFO]: ${message}\n`;
+// Colors of the levels in the pretty output
+winston.addColors({
+  fatal: 'bold red',
+  error: 'red',
+  warn: 'yellow',
+  info: 'green',
+  http: 'cyan',
+  debug: 'gray',
+});
 
-  // Write to log file
-  fs.appendFile(logFileForToday, logMessage, (err) => {
-    if (err) {
-      console.error('Failed to write to log file:', err.message);
+/**
+ * Adds the ID of the current request (see `requestContext`) to every entry logged while handling it.
+ */
+const requestId = winston.format((info) => {
+  const context = getRequestContext();
+  if (context && info.requestId === undefined) {
+    info.requestId = context.requestId;
+  }
+  return info;
+});
+
+/**
+ * Turns the errors passed as metadata (e.g. `logger.error('Failed', { error })`) into plain
+ * objects, which would otherwise be logged as `{}`.
+ */
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = { ...value, name: value.name, message: value.message, stack: value.stack };
     }
+  }
+  return info;
+});
+
+/**
+ * Readable single-line output for development, e.g.
+ * `2024-01-01 10:00:00 info [Mail] <request id> Message {"key":"value"}`.
+ */
+const prettyFormat = winston.format.printf((info) => {
+  const { timestamp, level, message, scope, requestId: id, ...meta } = info;
+  const error = (meta.error as { stack?: string } | undefined)?.stack;
+  delete meta.error;
+
+  return [
+    timestamp,
+    level,
+    scope && `[${scope}]`,
+    id && `<${id}>`,
+    message,
+    Object.keys(meta).length > 0 && JSON.stringify(meta),
+    error && `\n${error}`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+});
+
+// Formats shared by every output
+const baseFormat = winston.format.combine(
+  requestId(),
+  serializeErrors(),
+  winston.format.timestamp()
+);
+
+/**
+ * Creates a transport writing JSON lines to daily files of `LOG_DIR`, rotated when they reach
+ * `LOG_MAX_SIZE` and deleted after `LOG_MAX_AGE`.
+ *
+ * @param name - The prefix of the file names.
+ * @param level - The minimum level written to the files.
+ * @returns {DailyRotateFile} - The transport.
+ */
+const createFileTransport = (name: string, level: LogLevel) =>
+  new DailyRotateFile({
+    level,
+    dirname: path.resolve(config.LOG_DIR),
+    filename: `${name}-%DATE%.log`,
+    datePattern: 'YYYY-MM-DD',
+    maxSize: config.LOG_MAX_SIZE,
+    maxFiles: `${Math.max(1, Math.ceil(config.LOG_MAX_AGE / (24 * 60 * 60 * 1000)))}d`,
+    format: winston.format.json(),
   });
-};
 
-// Function to return a writable stream for Morgan
+/**
+ * Application logger. Entries at `LOG_LEVEL` and above are written to the console, as JSON lines
+ * in production and as readable lines otherwise, and (except in tests) to the rotated log files:
+ * `app-<date>.log` for every entry and `error-<date>.log` for errors.
+ *
+ * @example logger.info('User registered', { userId: user.id });
+ * @example logger.error('Failed to send mail', { error });
+ */
+const logger = winston.createLogger({
+  levels: logLevels,
+  level: config.LOG_LEVEL,
+  format: baseFormat,
+  transports: [
+    new winston.transports.Console({
+      format:
+        config.LOG_FORMAT === 'json'
+          ? winston.format.json()
+          : winston.format.combine(
+              winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+              winston.format.colorize(),
+              prettyFormat
+            ),
+    }),
+    ...(config.NODE_ENV !== 'test'
+      ? [createFileTransport('app', config.LOG_LEVEL), createFileTransport('error', 'error')]
+      : []),
+  ],
+}) as Logger;
+
+/**
+ * Writable stream for Morgan, logging each request line at the `http` level.
+ */
 export const loggerStream = {
-  write: (message: string) => logMessage(message.trim()),
+  write: (message: string) => logger.http(message.trim()),
 };
+
+export default logger;
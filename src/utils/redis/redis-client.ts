@@ -0,0 +1,45 @@
+import Redis from 'ioredis';
+import config from '../../config/config';
+import logger from '../logger/logger';
+
+const redisLogger = logger.child({ scope: 'Redis' });
+
+// Client created on first use
+let client: Redis | undefined;
+
+/**
+ * Returns the client of the Redis-compatible server at `REDIS_URL`, connecting on the first
+ * command so that importing the modules using it (e.g. in the CLI tools) opens no connection.
+ *
+ * @returns {Redis} - The shared client.
+ */
+export const getRedisClient = (): Redis => {
+  if (!config.REDIS_URL) {
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  if (!client) {
+    client = new Redis(config.REDIS_URL, { lazyConnect: true });
+    // Commands fail while disconnected, the client reconnects by itself
+    client.on('error', (error) => redisLogger.error('Redis connection error', { error }));
+  }
+  return client;
+};
+
+/**
+ * Closes the Redis connection, once the pending commands are answered.
+ *
+ * @returns {Promise<void>}
+ */
+export const closeRedisClient = async () => {
+  if (!client) return;
+  const closing = client;
+  client = undefined;
+
+  // Never connected, there is nothing to wait for
+  if (closing.status === 'wait') {
+    closing.disconnect();
+    return;
+  }
+  await closing.quit();
+};
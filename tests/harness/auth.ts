@@ -0,0 +1,62 @@
+import { User } from '@prisma/client';
+import { Application } from 'express';
+import { e2eFixtures } from '../../src/helpers/seed/seed-sets';
+import EncodeToken from '../../src/utils/jwt/encode-token';
+import { createTestClient, TestClient } from './request';
+
+/**
+ * Logs in through `POST /api/v1/auth/login`, and returns a client sending the access token.
+ *
+ * @param app - The application.
+ * @param credentials - The email and password of the user.
+ * @returns {Promise<TestClient>} - The authenticated client.
+ * @throws If the login fails.
+ */
+export const loginAs = async (
+  app: Application,
+  credentials: { email: string; password: string }
+): Promise<TestClient> => {
+  const response = await createTestClient(app).post('/auth/login').send(credentials).expect(200);
+  return createTestClient(app, { token: response.body.data.tokens.accessToken });
+};
+
+/**
+ * Returns a client sending an access token issued for a user, without logging in.
+ *
+ * @param app - The application.
+ * @param user - The user, e.g. created by `userFactory`.
+ * @returns {Promise<TestClient>} - The authenticated client.
+ */
+export const actingAs = async (
+  app: Application,
+  user: Pick<User, 'id' | 'email'>
+): Promise<TestClient> => {
+  return createTestClient(app, { token: await EncodeToken(user.email, user.id) });
+};
+
+/**
+ * Logs in as the SuperAdmin of the `e2e` seed set.
+ *
+ * @param app - The application.
+ * @returns {Promise<TestClient>} - The authenticated client.
+ */
+export const asSuperAdmin = (app: Application) => loginAs(app, e2eFixtures.superAdmin);
+
+/**
+ * Logs in as the admin of the `e2e` seed set.
+ *
+ * @param app - The application.
+ * @returns {Promise<TestClient>} - The authenticated client.
+ */
+export const asAdmin = (app: Application) => loginAs(app, e2eFixtures.admin);
+
+/**
+ * Returns a client authenticated with an API key, the key of the `e2e` seed set by default.
+ *
+ * @param app - The application.
+ * @param apiKey - The plain API key.
+ * @returns {TestClient} - The authenticated client.
+ */
+export const withApiKey = (app: Application, apiKey: string = e2eFixtures.apiKey) => {
+  return createTestClient(app, { apiKey });
+};
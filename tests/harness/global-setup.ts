@@ -0,0 +1,23 @@
+import config from '../../src/config/config';
+import { createTestDatabaseUrl, pushTestDatabase } from './test-database';
+
+/**
+ * Creates the database of the run on the server of `DATABASE_URL` (read from `.env.test`, then
+ * `.env`), and points the test workers to it through `DATABASE_URL`.
+ *
+ * @returns {Promise<void>}
+ */
+const globalSetup = async () => {
+  if (config.NODE_ENV !== 'test') {
+    throw new Error(`The tests must run with NODE_ENV=test, not ${config.NODE_ENV}`);
+  }
+
+  const url = createTestDatabaseUrl(config.DATABASE_URL);
+  pushTestDatabase(url);
+
+  // Inherited by the workers, whose configuration reads the process environment first
+  process.env.DATABASE_URL = url;
+  process.env.TEST_DATABASE_URL = url;
+};
+
+export default globalSetup;
@@ -0,0 +1,15 @@
+import { dropTestDatabase } from './test-database';
+
+/**
+ * Drops the database of the run, unless `KEEP_TEST_DATABASE` is set to inspect it.
+ *
+ * @returns {Promise<void>}
+ */
+const globalTeardown = async () => {
+  const url = process.env.TEST_DATABASE_URL;
+  if (!url || process.env.KEEP_TEST_DATABASE) return;
+
+  await dropTestDatabase(url);
+};
+
+export default globalTeardown;
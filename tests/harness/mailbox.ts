@@ -0,0 +1,68 @@
+import nodemailer, { Transport, Transporter } from 'nodemailer';
+
+/**
+ * Mail captured by the mailbox.
+ */
+export interface CapturedMail {
+  messageId: string;
+  to: string[];
+  subject: string;
+  text: string;
+  html: string;
+}
+
+/**
+ * Mailbox capturing the mails of the application instead of sending them.
+ */
+export interface Mailbox {
+  /** Transporter to inject in the application. */
+  transporter: Transporter;
+  /** Mails sent so far, in order. */
+  messages: CapturedMail[];
+  /** Returns the last mail sent to an address. */
+  lastTo(address: string): CapturedMail | undefined;
+  /** Empties the mailbox. */
+  clear(): void;
+}
+
+/**
+ * Creates a mailbox. Queued mails reach it once sent by the mail worker, which the tests run with
+ * `processMailQueue()`.
+ *
+ * @returns {Mailbox} - The mailbox.
+ */
+export const createMailbox = (): Mailbox => {
+  const messages: CapturedMail[] = [];
+
+  const transport: Transport<Pick<CapturedMail, 'messageId'>> = {
+    name: 'mailbox',
+    version: '1.0.0',
+    send: (mail, callback) => {
+      mail.normalize((error, data) => {
+        if (error || !data) {
+          return callback(error ?? new Error('Failed to build the message'), undefined as never);
+        }
+
+        const messageId = mail.message.messageId();
+        const envelope = mail.message.getEnvelope();
+        messages.push({
+          messageId,
+          to: envelope.to,
+          subject: String(data.subject ?? ''),
+          text: String(data.text ?? ''),
+          html: String(data.html ?? ''),
+        });
+        callback(null, { messageId });
+      });
+    },
+  };
+
+  return {
+    transporter: nodemailer.createTransport(transport),
+    messages,
+    lastTo: (address) => messages.filter((message) => message.to.includes(address)).pop(),
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
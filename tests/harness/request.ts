@@ -0,0 +1,46 @@
+import { Application } from 'express';
+import request, { Test } from 'supertest';
+
+/**
+ * Credentials sent with every request of a test client: an access token or an API key.
+ */
+export type TestCredentials = { token: string } | { apiKey: string };
+
+/**
+ * Client sending requests to the API routes (`/api/v1`) of an application, as supertest requests
+ * to chain assertions on.
+ */
+export interface TestClient {
+  get(path: string): Test;
+  post(path: string): Test;
+  put(path: string): Test;
+  patch(path: string): Test;
+  delete(path: string): Test;
+}
+
+/**
+ * Creates a test client, anonymous or authenticated with the given credentials.
+ *
+ * @example await client.get('/user/get-user/many').query({ showPerPage: 5 }).expect(200);
+ *
+ * @param app - The application.
+ * @param credentials - The credentials of the requests, none for anonymous requests.
+ * @returns {TestClient} - The client.
+ */
+export const createTestClient = (app: Application, credentials?: TestCredentials): TestClient => {
+  const send = (method: 'get' | 'post' | 'put' | 'patch' | 'delete') => (path: string) => {
+    const test = request(app)[method](`/api/v1${path}`);
+    if (!credentials) return test;
+    return 'token' in credentials
+      ? test.set('Authorization', `Bearer ${credentials.token}`)
+      : test.set('X-API-Key', credentials.apiKey);
+  };
+
+  return {
+    get: send('get'),
+    post: send('post'),
+    put: send('put'),
+    patch: send('patch'),
+    delete: send('delete'),
+  };
+};
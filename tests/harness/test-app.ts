@@ -0,0 +1,72 @@
+import { PrismaClient } from '@prisma/client';
+import { Application } from 'express';
+import createApp from '../../src/app';
+import { createPrismaClient } from '../../src/helpers/prisma/prisma-client';
+import { createMemoryEventBus, EventBus } from '../../src/helpers/realtime/event-bus';
+import { resetDatabase, seedSets, SeedSetName } from '../../src/helpers/seed/seed-sets';
+import { setClock, systemClock } from '../../src/utils/clock/clock';
+import { createMailbox, Mailbox } from './mailbox';
+import { createTestClient, TestClient } from './request';
+import { createTestClock, TestClock } from './test-clock';
+
+/**
+ * Application of a test file, with the dependencies it was created with.
+ */
+export interface TestApp {
+  app: Application;
+  /** Client of the test database, without the extensions. */
+  prismaClient: PrismaClient;
+  mailbox: Mailbox;
+  clock: TestClock;
+  /** Bus of the realtime events, in memory whatever `REALTIME_BUS` is. */
+  eventBus: EventBus;
+  /** Anonymous client of the application. */
+  client: TestClient;
+  /** Empties the test database, then runs a seed set (`e2e` by default). */
+  reset(set?: SeedSetName): Promise<void>;
+  /** Disconnects from the test database, and restores the system clock. */
+  close(): Promise<void>;
+}
+
+/**
+ * Creates the application with a client of the test database of the run (see `global-setup.ts`),
+ * a mailbox, a test clock and an event bus of its own.
+ *
+ * @example
+ * const testApp = createTestApp();
+ * beforeEach(() => testApp.reset());
+ * afterAll(() => testApp.close());
+ *
+ * @returns {TestApp} - The application and its dependencies.
+ */
+export const createTestApp = (): TestApp => {
+  const url = process.env.TEST_DATABASE_URL;
+  if (!url) {
+    throw new Error('TEST_DATABASE_URL is not set, run the tests with the Jest configuration');
+  }
+
+  const prismaClient = createPrismaClient(url);
+  const mailbox = createMailbox();
+  const clock = createTestClock();
+  const eventBus = createMemoryEventBus();
+  const app = createApp({ prismaClient, mailTransporter: mailbox.transporter, clock, eventBus });
+
+  return {
+    app,
+    prismaClient,
+    mailbox,
+    clock,
+    eventBus,
+    client: createTestClient(app),
+    reset: async (set = 'e2e') => {
+      await resetDatabase();
+      await seedSets[set]();
+      mailbox.clear();
+      clock.reset();
+    },
+    close: async () => {
+      setClock(systemClock);
+      await prismaClient.$disconnect();
+    },
+  };
+};
@@ -0,0 +1,32 @@
+import { Clock } from '../../src/utils/clock/clock';
+
+/**
+ * Clock following the system time with an offset, moved forward by the tests to reach expirations.
+ */
+export interface TestClock extends Clock {
+  /** Moves the clock forward (or backward, with a negative duration). */
+  advance(milliseconds: number): void;
+  /** Resets the clock to the system time. */
+  reset(): void;
+}
+
+/**
+ * Creates a test clock, set to the system time.
+ *
+ * @example clock.advance(config.JWT_EXPIRATION_TIME * 1000); // The access tokens are now expired
+ *
+ * @returns {TestClock} - The clock.
+ */
+export const createTestClock = (): TestClock => {
+  let offset = 0;
+
+  return {
+    now: () => new Date(Date.now() + offset),
+    advance: (milliseconds) => {
+      offset += milliseconds;
+    },
+    reset: () => {
+      offset = 0;
+    },
+  };
+};
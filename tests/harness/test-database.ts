@@ -0,0 +1,66 @@
+import { execFileSync } from 'child_process';
+import { randomBytes } from 'crypto';
+import { createPrismaClient } from '../../src/helpers/prisma/prisma-client';
+
+// Suffix of the names of the test databases, which are the only databases dropped by the harness
+const testDatabaseMarker = '_test_';
+
+/**
+ * Returns the URL of a new database on the server of the given URL, named after its database with
+ * a suffix unique to the run (e.g. `app_test_m2x1k9a3f0`), so that runs never share a database.
+ *
+ * @param baseUrl - The URL of the database of the environment, e.g. `DATABASE_URL`.
+ * @returns {string} - The URL of the test database.
+ * @throws {Error} If the URL is invalid, e.g. still contains placeholders.
+ */
+export const createTestDatabaseUrl = (baseUrl: string): string => {
+  let url: URL;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    throw new Error(
+      'Set DATABASE_URL to the URL of the MySQL server of the tests, e.g. in .env.test'
+    );
+  }
+
+  const database = url.pathname.slice(1) || 'app';
+  const runId = `${Date.now().toString(36)}${randomBytes(2).toString('hex')}`;
+  url.pathname = `/${database}${testDatabaseMarker}${runId}`;
+  return url.toString();
+};
+
+/**
+ * Creates the test database and its tables from `schema.prisma`, with `prisma db push`.
+ *
+ * @param url - The URL of the test database.
+ * @returns {void}
+ * @throws If the database server is unreachable or the schema cannot be applied.
+ */
+export const pushTestDatabase = (url: string) => {
+  execFileSync(
+    process.execPath,
+    [require.resolve('prisma/build/index.js'), 'db', 'push', '--skip-generate'],
+    { env: { ...process.env, DATABASE_URL: url }, stdio: ['ignore', 'ignore', 'inherit'] }
+  );
+};
+
+/**
+ * Drops a test database created by `createTestDatabaseUrl`.
+ *
+ * @param url - The URL of the test database.
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL is not the URL of a test database.
+ */
+export const dropTestDatabase = async (url: string) => {
+  const database = decodeURIComponent(new URL(url).pathname.slice(1));
+  if (!database.includes(testDatabaseMarker)) {
+    throw new Error(`Refusing to drop ${database}, which is not a test database`);
+  }
+
+  const client = createPrismaClient(url);
+  try {
+    await client.$executeRawUnsafe(`DROP DATABASE IF EXISTS \`${database}\``);
+  } finally {
+    await client.$disconnect();
+  }
+};
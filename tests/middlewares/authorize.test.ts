@@ -0,0 +1,67 @@
+import { UserRole } from '@prisma/client';
+import express from 'express';
+import globalErrorHandler from '../../src/handlers/global-error-handler';
+import { apiKeyFactory } from '../../src/helpers/seed/factories';
+import { e2eFixtures } from '../../src/helpers/seed/seed-sets';
+import authorize from '../../src/middlewares/authorize';
+import isAuthorizedOrApiKey from '../../src/middlewares/is-authorized-or-api-key';
+import { actingAs, withApiKey } from '../harness/auth';
+import { createTestApp } from '../harness/test-app';
+
+const testApp = createTestApp();
+
+// Application with a route gated by role only and a route gated by permission
+const app = express();
+app.get('/api/v1/role-only', isAuthorizedOrApiKey, authorize(UserRole.Admin), (_req, res) => {
+  res.json({ status: true });
+});
+app.get('/api/v1/user-read', isAuthorizedOrApiKey, authorize('user:read'), (_req, res) => {
+  res.json({ status: true });
+});
+app.use(globalErrorHandler);
+
+beforeEach(() => testApp.reset());
+
+afterAll(() => testApp.close());
+
+/**
+ * Returns the admin of the `e2e` seed set.
+ *
+ * @returns {Promise<User>} - The admin.
+ */
+const findAdmin = () =>
+  testApp.prismaClient.user.findUniqueOrThrow({ where: { email: e2eFixtures.admin.email } });
+
+/**
+ * Creates an API key of the admin of the `e2e` seed set, with the given scopes.
+ *
+ * @param scopes - The scopes of the key.
+ * @returns {Promise<string>} - The plain key.
+ */
+const createAdminKey = async (scopes: string[]) => {
+  const { key } = await apiKeyFactory.create({ userId: (await findAdmin()).id, scopes });
+  return key;
+};
+
+describe('authorize', () => {
+  it('lets users with the role through the routes requiring roles only', async () => {
+    await (await actingAs(app, await findAdmin())).get('/role-only').expect(200);
+  });
+
+  it('rejects API keys on the routes requiring roles only, whatever their scopes', async () => {
+    const response = await withApiKey(app, await createAdminKey(['user:read'])).get('/role-only');
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+    await withApiKey(app).get('/role-only').expect(403);
+  });
+
+  it('checks the scopes of API keys on the routes requiring permissions', async () => {
+    await withApiKey(app, await createAdminKey(['user:read']))
+      .get('/user-read')
+      .expect(200);
+    await withApiKey(app, await createAdminKey(['file:read']))
+      .get('/user-read')
+      .expect(403);
+  });
+});
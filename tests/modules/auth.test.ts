@@ -0,0 +1,70 @@
+import { AuthTokenType } from '@prisma/client';
+import {
+  authTokenFactory,
+  defaultSeedPassword,
+  userFactory,
+} from '../../src/helpers/seed/factories';
+import { asSuperAdmin, loginAs } from '../harness/auth';
+import { createTestApp } from '../harness/test-app';
+
+const testApp = createTestApp();
+
+beforeEach(() => testApp.reset());
+
+afterAll(() => testApp.close());
+
+describe('POST /api/v1/auth/refresh-token', () => {
+  it('rotates the refresh token', async () => {
+    const user = await userFactory.create();
+    const login = await testApp.client
+      .post('/auth/login')
+      .send({ email: user.email, password: defaultSeedPassword })
+      .expect(200);
+    const { refreshToken } = login.body.data.tokens;
+
+    const response = await testApp.client
+      .post('/auth/refresh-token')
+      .send({ refreshToken })
+      .expect(200);
+
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    await testApp.client.post('/auth/refresh-token').send({ refreshToken }).expect(401);
+  });
+
+  it('rejects the refresh tokens of users in the trash', async () => {
+    const user = await userFactory.create();
+    const login = await testApp.client
+      .post('/auth/login')
+      .send({ email: user.email, password: defaultSeedPassword })
+      .expect(200);
+
+    await (await asSuperAdmin(testApp.app)).delete(`/user/delete-user/${user.id}`).expect(200);
+
+    await testApp.client
+      .post('/auth/refresh-token')
+      .send({ refreshToken: login.body.data.tokens.refreshToken })
+      .expect(401);
+  });
+});
+
+describe('POST /api/v1/auth/reset-password', () => {
+  it('rejects the access tokens issued before the reset', async () => {
+    const user = await userFactory.create();
+    const before = await loginAs(testApp.app, { email: user.email, password: defaultSeedPassword });
+    const { token } = await authTokenFactory.create({
+      userId: user.id,
+      type: AuthTokenType.PasswordReset,
+    });
+
+    // Tokens issued within the second of the reset are accepted
+    testApp.clock.advance(1000);
+    await testApp.client
+      .post('/auth/reset-password')
+      .send({ token, password: 'New-Password-123' })
+      .expect(200);
+
+    await before.get('/auth/me').expect(401);
+    const after = await loginAs(testApp.app, { email: user.email, password: 'New-Password-123' });
+    await after.get('/auth/me').expect(200);
+  });
+});
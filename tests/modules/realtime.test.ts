@@ -0,0 +1,302 @@
+import { UserRole } from '@prisma/client';
+import http, { Server } from 'http';
+import { AddressInfo } from 'net';
+import WebSocket from 'ws';
+import { prismaClient } from '../../src/helpers/prisma/prisma-client';
+import { ResourceEvent } from '../../src/helpers/realtime/event-bus';
+import { closeRealtimeConnections } from '../../src/helpers/realtime/realtime-hub';
+import { attachWebSocketServer } from '../../src/helpers/realtime/websocket-server';
+import { userFactory } from '../../src/helpers/seed/factories';
+import { e2eFixtures } from '../../src/helpers/seed/seed-sets';
+import EncodeToken from '../../src/utils/jwt/encode-token';
+import { asAdmin, asSuperAdmin } from '../harness/auth';
+import { createTestApp } from '../harness/test-app';
+
+const testApp = createTestApp();
+
+let server: Server;
+let origin: string;
+let url: string;
+
+beforeAll(async () => {
+  server = testApp.app.listen(0);
+  attachWebSocketServer(server);
+  await new Promise((resolve) => server.once('listening', resolve));
+  origin = `127.0.0.1:${(server.address() as AddressInfo).port}`;
+  url = `ws://${origin}/api/v1/realtime`;
+});
+
+beforeEach(() => testApp.reset());
+
+afterEach(() => closeRealtimeConnections());
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await testApp.close();
+});
+
+/**
+ * Returns an access token of a user of the `e2e` seed set.
+ *
+ * @param email - The email of the user.
+ * @returns {Promise<string>} - The access token.
+ */
+const tokenOf = async (email: string) => {
+  const user = await testApp.prismaClient.user.findUniqueOrThrow({ where: { email } });
+  return EncodeToken(user.email, user.id);
+};
+
+/**
+ * Opens a WebSocket connection and collects its messages.
+ *
+ * @param token - The access token, if any.
+ * @param channels - The channels of the query, comma separated.
+ * @returns {Promise<{ ws: WebSocket; next: () => Promise<unknown> }>} - The connection and a function returning its next message.
+ */
+const connect = async (token?: string, channels = '') => {
+  const ws = new WebSocket(`${url}?channels=${channels}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  const messages: unknown[] = [];
+  const waiting: ((message: unknown) => void)[] = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const resolve = waiting.shift();
+    if (resolve) resolve(message);
+    else messages.push(message);
+  });
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('unexpected-response', (_req, res) => reject(new Error(String(res.statusCode))));
+  });
+
+  const next = () =>
+    messages.length
+      ? Promise.resolve(messages.shift())
+      : new Promise<unknown>((resolve) => waiting.push(resolve));
+  return { ws, next };
+};
+
+/**
+ * Opens a Server-Sent Events stream and collects its events.
+ *
+ * @param token - The access token.
+ * @param channels - The channels of the query, comma separated.
+ * @returns {Promise<{ next: () => Promise<{ name: string; data: unknown }> }>} - A function returning the next event of the stream.
+ */
+const openEventStream = async (token: string, channels: string) => {
+  const events: { name: string; data: unknown }[] = [];
+  const waiting: ((event: { name: string; data: unknown }) => void)[] = [];
+
+  await new Promise<void>((resolve, reject) => {
+    const req = http.get(
+      `http://${origin}/api/v1/realtime/events?channels=${channels}`,
+      { headers: { Authorization: `Bearer ${token}` } },
+      (res) => {
+        if (res.statusCode !== 200) return reject(new Error(String(res.statusCode)));
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk: string) => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop()!;
+          for (const block of blocks) {
+            // Comments (the heartbeat) start with a colon
+            const fields = Object.fromEntries(
+              block
+                .split('\n')
+                .filter((line) => !line.startsWith(':'))
+                .map((line) => [
+                  line.slice(0, line.indexOf(':')),
+                  line.slice(line.indexOf(':') + 2),
+                ])
+            );
+            if (!fields.event) continue;
+            const event = { name: fields.event, data: JSON.parse(fields.data) };
+            const resolveNext = waiting.shift();
+            if (resolveNext) resolveNext(event);
+            else events.push(event);
+          }
+        });
+        resolve();
+      }
+    );
+    req.on('error', reject);
+  });
+
+  const next = () =>
+    events.length
+      ? Promise.resolve(events.shift()!)
+      : new Promise<{ name: string; data: unknown }>((resolve) => waiting.push(resolve));
+  return { next };
+};
+
+describe('WebSocket /api/v1/realtime', () => {
+  it('rejects connections without a valid access token', async () => {
+    await expect(connect()).rejects.toThrow('401');
+    await expect(connect('not-a-token')).rejects.toThrow('401');
+  });
+
+  it('subscribes to the channels the role may read only', async () => {
+    const { next } = await connect(await tokenOf(e2eFixtures.admin.email), 'user,audit-log');
+
+    expect(await next()).toEqual({
+      type: 'subscribed',
+      channels: ['user'],
+      denied: ['audit-log'],
+    });
+  });
+
+  it('changes the subscriptions with messages', async () => {
+    const { ws, next } = await connect(await tokenOf(e2eFixtures.superAdmin.email));
+
+    ws.send(JSON.stringify({ type: 'subscribe', channels: ['user', 'unknown'] }));
+    expect(await next()).toEqual({ type: 'subscribed', channels: ['user'], denied: ['unknown'] });
+
+    ws.send(JSON.stringify({ type: 'unsubscribe', channels: ['user'] }));
+    expect(await next()).toEqual({ type: 'unsubscribed', channels: ['user'] });
+
+    ws.send('not json');
+    expect(await next()).toMatchObject({ type: 'error' });
+  });
+
+  it('receives the events of the changes made through the API', async () => {
+    const { next } = await connect(await tokenOf(e2eFixtures.superAdmin.email), 'user');
+    await next();
+
+    const response = await (await asSuperAdmin(testApp.app))
+      .post('/user/create-user')
+      .send({ email: 'new.user@example.com', phone: '+15550000001' })
+      .expect(201);
+
+    expect(await next()).toEqual({
+      type: 'event',
+      event: expect.objectContaining({
+        channel: 'user',
+        model: 'User',
+        action: 'created',
+        id: response.body.data.id,
+      }),
+    });
+  });
+
+  it('closes the connections of the users who may no longer read their channels', async () => {
+    const admin = await userFactory.create();
+    const { ws, next } = await connect(await EncodeToken(admin.email, admin.id), 'user');
+    await next();
+    const messages: unknown[] = [];
+    ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+
+    const superAdmin = await asSuperAdmin(testApp.app);
+    await superAdmin
+      .patch(`/user/update-user/${admin.id}`)
+      .send({ role: UserRole.User })
+      .expect(200);
+    await superAdmin
+      .post('/user/create-user')
+      .send({ email: 'new.user@example.com', phone: '+15550000001' })
+      .expect(201);
+
+    expect(await closed).toBe(1008);
+    expect(messages).toEqual([]);
+  });
+});
+
+describe('GET /api/v1/realtime/events', () => {
+  it('rejects channels the role may not read', async () => {
+    const admin = await asAdmin(testApp.app);
+
+    await admin.get('/realtime/events').query({ channels: 'audit-log' }).expect(403);
+    await admin.get('/realtime/events').expect(400);
+  });
+
+  it('streams the events of the subscribed channels', async () => {
+    const { next } = await openEventStream(
+      await tokenOf(e2eFixtures.admin.email),
+      'user,audit-log'
+    );
+    expect(await next()).toEqual({
+      name: 'subscribed',
+      data: { channels: ['user'], denied: ['audit-log'] },
+    });
+
+    const response = await (await asSuperAdmin(testApp.app))
+      .post('/user/create-user')
+      .send({ email: 'new.user@example.com', phone: '+15550000001' })
+      .expect(201);
+
+    expect(await next()).toEqual({
+      name: 'user',
+      data: expect.objectContaining({ action: 'created', id: response.body.data.id }),
+    });
+  });
+
+  it('streams the events of the records of the user only on the owner-scoped channels', async () => {
+    const [admin, superAdmin] = await Promise.all(
+      [e2eFixtures.admin.email, e2eFixtures.superAdmin.email].map((email) =>
+        testApp.prismaClient.user.findUniqueOrThrow({ where: { email } })
+      )
+    );
+    const { next } = await openEventStream(await EncodeToken(admin.email, admin.id), 'file');
+    await next();
+
+    // Created through the extended client of the application, which publishes the events
+    const createFile = (ownerId: string, hash: string) =>
+      prismaClient.file.create({
+        data: {
+          ownerId,
+          originalName: `${hash}.txt`,
+          mimeType: 'text/plain',
+          size: 1,
+          hash,
+          storage: 'local',
+          storageKey: `${hash}.txt`,
+        },
+        select: { id: true },
+      });
+    await createFile(superAdmin.id, 'other');
+    const own = await createFile(admin.id, 'own');
+
+    expect(await next()).toEqual({
+      name: 'file',
+      data: expect.objectContaining({ action: 'created', id: own.id, ownerId: admin.id }),
+    });
+  });
+});
+
+describe('realtime events', () => {
+  it('publishes the soft deletes as deleted events', async () => {
+    const events: ResourceEvent[] = [];
+    const unsubscribe = testApp.eventBus.subscribe((event) => events.push(event));
+    const superAdmin = await asSuperAdmin(testApp.app);
+    const user = await userFactory.create();
+
+    await superAdmin.delete(`/user/delete-user/${user.id}`).expect(200);
+    unsubscribe();
+
+    expect(events).toContainEqual(
+      expect.objectContaining({ channel: 'user', action: 'deleted', id: user.id })
+    );
+  });
+
+  it('publishes nothing for the changes of a rolled back transaction', async () => {
+    const events: ResourceEvent[] = [];
+    const unsubscribe = testApp.eventBus.subscribe((event) => events.push(event));
+    const user = await userFactory.create();
+
+    await (
+      await asSuperAdmin(testApp.app)
+    )
+      .post('/user/create-user/many')
+      .send([
+        { email: 'first@example.com', phone: '+15550000001' },
+        { email: user.email, phone: '+15550000002' },
+      ])
+      .expect(409);
+    unsubscribe();
+
+    expect(events.filter((event) => event.id !== user.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,377 @@
+import { Prisma, User, UserRole } from '@prisma/client';
+import { randomUUID } from 'crypto';
+import { userFactory } from '../../src/helpers/seed/factories';
+import { actingAs, asAdmin, asSuperAdmin, withApiKey } from '../harness/auth';
+import { TestClient } from '../harness/request';
+import { createTestApp } from '../harness/test-app';
+
+const testApp = createTestApp();
+
+let superAdmin: TestClient;
+
+beforeEach(async () => {
+  await testApp.reset();
+  superAdmin = await asSuperAdmin(testApp.app);
+});
+
+afterAll(() => testApp.close());
+
+/**
+ * Creates a user directly in the test database.
+ *
+ * @param overrides - The fields of the user.
+ * @returns {Promise<User>} - The created user.
+ */
+const createUser = (overrides: Partial<Prisma.UserCreateInput> = {}) =>
+  userFactory.create(overrides);
+
+describe('authentication and authorization', () => {
+  it('rejects anonymous requests', async () => {
+    await testApp.client.get('/user/get-user/many').expect(401);
+  });
+
+  it('rejects users without the permission of the route', async () => {
+    const admin = await asAdmin(testApp.app);
+
+    await admin.get('/user/get-user/many').expect(200);
+    await admin
+      .post('/user/create-user')
+      .send({ email: 'new.user@example.com', phone: '+15550000001' })
+      .expect(403);
+  });
+
+  it('accepts API keys within the permissions of their owner', async () => {
+    await withApiKey(testApp.app).get('/user/get-user/many').expect(200);
+    await withApiKey(testApp.app).delete(`/user/delete-user/${randomUUID()}`).expect(403);
+  });
+});
+
+describe('POST /api/v1/user/create-user', () => {
+  it('creates a user, without exposing the password', async () => {
+    const response = await superAdmin
+      .post('/user/create-user')
+      .send({ email: 'new.user@example.com', phone: '+15550000001', password: 'new-password' })
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({
+      email: 'new.user@example.com',
+      role: UserRole.Admin,
+    });
+    expect(response.body.data).not.toHaveProperty('password');
+
+    const stored = await testApp.prismaClient.user.findUnique({
+      where: { email: 'new.user@example.com' },
+    });
+    expect(stored?.password).toBeTruthy();
+    expect(stored?.password).not.toBe('new-password');
+  });
+
+  it('rejects invalid data', async () => {
+    const response = await superAdmin
+      .post('/user/create-user')
+      .send({ email: 'not-an-email', phone: '+15550000001', unknown: true })
+      .expect(400);
+
+    expect(response.body.status).toBe(false);
+  });
+
+  it('rejects a taken email', async () => {
+    const user = await createUser();
+
+    await superAdmin
+      .post('/user/create-user')
+      .send({ email: user.email, phone: '+15550000001' })
+      .expect(409);
+  });
+});
+
+describe('POST /api/v1/user/create-user/many', () => {
+  it('creates every user', async () => {
+    const response = await superAdmin
+      .post('/user/create-user/many')
+      .send([
+        { email: 'first@example.com', phone: '+15550000001' },
+        { email: 'second@example.com', phone: '+15550000002' },
+      ])
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({ mode: 'atomic', succeeded: 2, failed: 0 });
+  });
+
+  it('creates no user when one fails in atomic mode', async () => {
+    const user = await createUser();
+
+    await superAdmin
+      .post('/user/create-user/many')
+      .send([
+        { email: 'first@example.com', phone: '+15550000001' },
+        { email: user.email, phone: '+15550000002' },
+      ])
+      .expect(409);
+
+    expect(await testApp.prismaClient.user.count({ where: { email: 'first@example.com' } })).toBe(
+      0
+    );
+  });
+
+  it('creates the valid users in partial mode', async () => {
+    const user = await createUser();
+
+    const response = await superAdmin
+      .post('/user/create-user/many')
+      .query({ mode: 'partial' })
+      .send([
+        { email: 'first@example.com', phone: '+15550000001' },
+        { email: user.email, phone: '+15550000002' },
+      ])
+      .expect(207);
+
+    expect(response.body.data).toMatchObject({ mode: 'partial', succeeded: 1, failed: 1 });
+    expect(response.body.data.results[1]).toMatchObject({ index: 1, status: 'failed' });
+  });
+
+  it('fails when every user fails in partial mode', async () => {
+    const user = await createUser();
+
+    const response = await superAdmin
+      .post('/user/create-user/many')
+      .query({ mode: 'partial' })
+      .send([
+        { email: user.email, phone: '+15550000001' },
+        { email: user.email, phone: '+15550000002' },
+      ])
+      .expect(409);
+
+    expect(response.body.status).toBe(false);
+    expect(response.body.errors).toHaveLength(2);
+  });
+});
+
+describe('PATCH /api/v1/user/update-user/:id', () => {
+  it('updates a user', async () => {
+    const user = await createUser();
+
+    const response = await superAdmin
+      .patch(`/user/update-user/${user.id}`)
+      .send({ phone: '+15559999999' })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ id: user.id, phone: '+15559999999' });
+  });
+
+  it('rejects an invalid ID', async () => {
+    await superAdmin.patch('/user/update-user/42').send({ phone: '+15559999999' }).expect(400);
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    await superAdmin
+      .patch(`/user/update-user/${randomUUID()}`)
+      .send({ phone: '+15559999999' })
+      .expect(404);
+  });
+
+  it('lets admins update users', async () => {
+    const user = await createUser();
+    const admin = await actingAs(testApp.app, await createUser());
+
+    await admin.patch(`/user/update-user/${user.id}`).send({ phone: '+15559999999' }).expect(200);
+  });
+
+  it('lets only the roles holding user:role change roles', async () => {
+    const user = await createUser();
+    const admin = await actingAs(testApp.app, user);
+
+    await admin
+      .patch(`/user/update-user/${user.id}`)
+      .send({ role: UserRole.SuperAdmin })
+      .expect(403);
+    await admin
+      .patch('/user/update-user/many')
+      .send([{ id: user.id, updates: { role: UserRole.SuperAdmin } }])
+      .expect(403);
+    expect(await testApp.prismaClient.user.findUnique({ where: { id: user.id } })).toMatchObject({
+      role: UserRole.Admin,
+    });
+
+    await superAdmin
+      .patch(`/user/update-user/${user.id}`)
+      .send({ role: UserRole.User })
+      .expect(200);
+  });
+});
+
+describe('PATCH /api/v1/user/update-user/many', () => {
+  it('updates every user', async () => {
+    const [first, second] = await userFactory.createMany(2);
+
+    const response = await superAdmin
+      .patch('/user/update-user/many')
+      .send([
+        { id: first.id, updates: { phone: '+15550000011' } },
+        { id: second.id, updates: { phone: '+15550000012' } },
+      ])
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ succeeded: 2, failed: 0 });
+    const updated = await testApp.prismaClient.user.findUnique({ where: { id: second.id } });
+    expect(updated?.phone).toBe('+15550000012');
+  });
+});
+
+describe('DELETE /api/v1/user/delete-user/:id', () => {
+  it('moves a user to the trash', async () => {
+    const user = await createUser();
+
+    await superAdmin.delete(`/user/delete-user/${user.id}`).expect(200);
+
+    const trashed = await testApp.prismaClient.user.findUnique({ where: { id: user.id } });
+    expect(trashed?.deletedAt).toBeInstanceOf(Date);
+    await superAdmin.get(`/user/get-user/${user.id}`).expect(404);
+  });
+
+  it('dates the deletion with the application clock', async () => {
+    const user = await createUser();
+    const later = Date.now() + 60 * 1000;
+    testApp.clock.advance(60 * 1000);
+
+    await superAdmin.delete(`/user/delete-user/${user.id}`).expect(200);
+
+    const trashed = await testApp.prismaClient.user.findUnique({ where: { id: user.id } });
+    expect(trashed?.deletedAt?.getTime()).toBeGreaterThanOrEqual(later - 1000);
+  });
+});
+
+describe('DELETE /api/v1/user/delete-user/many', () => {
+  it('moves every user to the trash', async () => {
+    const users = await userFactory.createMany(3);
+
+    const response = await superAdmin
+      .delete('/user/delete-user/many')
+      .send({ ids: users.map((user) => user.id) })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ succeeded: 3, failed: 0 });
+    expect(
+      await testApp.prismaClient.user.count({
+        where: { id: { in: users.map((user) => user.id) }, deletedAt: { not: null } },
+      })
+    ).toBe(3);
+  });
+
+  it('rejects invalid IDs', async () => {
+    await superAdmin
+      .delete('/user/delete-user/many')
+      .send({ ids: ['not-an-id'] })
+      .expect(400);
+  });
+});
+
+describe('PATCH /api/v1/user/restore-user/:id', () => {
+  it('restores a user from the trash', async () => {
+    const user = await createUser({ deletedAt: new Date() });
+
+    await superAdmin.patch(`/user/restore-user/${user.id}`).expect(200);
+
+    await superAdmin.get(`/user/get-user/${user.id}`).expect(200);
+  });
+
+  it('returns 404 for a user not in the trash', async () => {
+    const user = await createUser();
+
+    await superAdmin.patch(`/user/restore-user/${user.id}`).expect(404);
+  });
+});
+
+describe('PATCH /api/v1/user/restore-user/many', () => {
+  it('restores the users in the trash', async () => {
+    const users = await userFactory.createMany(2, { deletedAt: new Date() });
+
+    const response = await superAdmin
+      .patch('/user/restore-user/many')
+      .send({ ids: users.map((user) => user.id) })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ count: 2 });
+  });
+});
+
+describe('DELETE /api/v1/user/purge-user/:id', () => {
+  it('permanently deletes a user from the trash', async () => {
+    const user = await createUser({ deletedAt: new Date() });
+
+    await superAdmin.delete(`/user/purge-user/${user.id}`).expect(200);
+
+    expect(await testApp.prismaClient.user.findUnique({ where: { id: user.id } })).toBeNull();
+  });
+
+  it('does not purge a user outside the trash', async () => {
+    const user = await createUser();
+
+    await superAdmin.delete(`/user/purge-user/${user.id}`).expect(404);
+  });
+});
+
+describe('GET /api/v1/user/get-user/trash', () => {
+  it('lists the users in the trash only', async () => {
+    const trashed = await createUser({ deletedAt: new Date() });
+
+    const response = await superAdmin.get('/user/get-user/trash').expect(200);
+
+    expect(response.body.data.totalData).toBe(1);
+    expect(response.body.data.users[0]).toMatchObject({ id: trashed.id });
+    expect(response.body.data.users[0].deletedAt).toBeTruthy();
+  });
+});
+
+describe('GET /api/v1/user/get-user/many', () => {
+  it('lists, filters, sorts and paginates the users', async () => {
+    await userFactory.createMany(4, { role: UserRole.SuperAdmin });
+    await createUser({ deletedAt: new Date() });
+
+    const response = await superAdmin
+      .get('/user/get-user/many')
+      .query({ 'filter[role]': 'SuperAdmin', sort: '-email', showPerPage: 2, pageNo: 1 })
+      .expect(200);
+
+    // The four created SuperAdmins and the SuperAdmin of the seed set, not the trashed user
+    expect(response.body.data).toMatchObject({ totalData: 5, totalPages: 3 });
+    const emails = response.body.data.users.map((user: User) => user.email);
+    expect(emails).toEqual([...emails].sort().reverse());
+  });
+
+  it('paginates with cursors, without a cursor to an empty page', async () => {
+    // With the SuperAdmin of the seed set, the second page is exactly full
+    await userFactory.createMany(3, { role: UserRole.SuperAdmin });
+    const query = { 'filter[role]': 'SuperAdmin', showPerPage: 2 };
+
+    const first = await superAdmin.get('/user/get-user/many').query(query).expect(200);
+    expect(first.body.data.users).toHaveLength(2);
+    expect(first.body.data.nextCursor).toEqual(expect.any(String));
+
+    const second = await superAdmin
+      .get('/user/get-user/many')
+      .query({ ...query, cursor: first.body.data.nextCursor })
+      .expect(200);
+    expect(second.body.data.users).toHaveLength(2);
+    expect(second.body.data.nextCursor).toBeNull();
+  });
+
+  it('rejects fields outside the whitelist', async () => {
+    await superAdmin.get('/user/get-user/many').query({ sort: 'password' }).expect(400);
+  });
+});
+
+describe('GET /api/v1/user/get-user/:id', () => {
+  it('returns a user', async () => {
+    const user = await createUser();
+
+    const response = await superAdmin.get(`/user/get-user/${user.id}`).expect(200);
+
+    expect(response.body.data).toMatchObject({ id: user.id, email: user.email });
+    expect(response.body.data).not.toHaveProperty('password');
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    await superAdmin.get(`/user/get-user/${randomUUID()}`).expect(404);
+  });
+});